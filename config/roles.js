@@ -0,0 +1,99 @@
+// Role-based access control
+// Each role maps to the list of permissions it grants. '*' grants everything.
+
+const PERMISSIONS = {
+  RESUMES_READ: 'resumes:read',         // List and view candidate records
+  RESUMES_DOWNLOAD: 'resumes:download', // Download the original resume file
+  RESUMES_WRITE: 'resumes:write',       // Upload resumes / add from URL
+  RESUMES_DELETE: 'resumes:delete',     // Delete candidate records
+  NOTIFICATIONS_READ: 'notifications:read',
+  USERS_MANAGE: 'users:manage',         // Invite, disable and delete team members
+  SECURITY_MANAGE: 'security:manage',   // Account-wide security policies (e.g. required 2FA)
+  API_KEYS_MANAGE: 'apikeys:manage',    // Create and revoke API keys
+  MAILBOXES_MANAGE: 'mailboxes:manage', // Connect, edit and disable monitored mailboxes
+  AUDIT_READ: 'audit:read'              // Query and export the audit log
+};
+
+const ROLE_PERMISSIONS = {
+  'super-admin': ['*'], // Owner of the deployment - can switch between organizations
+  owner: ['*'],
+  admin: ['*'], // Legacy role kept for accounts created before RBAC
+  recruiter: [
+    PERMISSIONS.RESUMES_READ,
+    PERMISSIONS.RESUMES_DOWNLOAD,
+    PERMISSIONS.RESUMES_WRITE,
+    PERMISSIONS.RESUMES_DELETE,
+    PERMISSIONS.NOTIFICATIONS_READ
+  ],
+  'hiring-manager': [
+    PERMISSIONS.RESUMES_READ,
+    PERMISSIONS.RESUMES_DOWNLOAD,
+    PERMISSIONS.NOTIFICATIONS_READ
+  ],
+  viewer: [
+    PERMISSIONS.RESUMES_READ
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// API keys get a fixed scope instead of a role
+const API_KEY_SCOPE_PERMISSIONS = {
+  'read-only': [
+    PERMISSIONS.RESUMES_READ,
+    PERMISSIONS.RESUMES_DOWNLOAD,
+    PERMISSIONS.NOTIFICATIONS_READ
+  ],
+  'upload-only': [
+    PERMISSIONS.RESUMES_WRITE
+  ],
+  full: [
+    PERMISSIONS.RESUMES_READ,
+    PERMISSIONS.RESUMES_DOWNLOAD,
+    PERMISSIONS.RESUMES_WRITE,
+    PERMISSIONS.RESUMES_DELETE,
+    PERMISSIONS.NOTIFICATIONS_READ
+  ]
+};
+
+const API_KEY_SCOPES = Object.keys(API_KEY_SCOPE_PERMISSIONS);
+
+// Roles with full control over the account - only they can grant or revoke them
+const OWNER_ROLES = ['super-admin', 'owner', 'admin'];
+
+// Cross-organization role - only a super-admin can grant or revoke it
+const SUPER_ADMIN_ROLE = 'super-admin';
+
+/**
+ * Get the permissions granted to a role (empty for unknown roles)
+ */
+function getPermissionsForRole(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Get the permissions granted to an API key scope
+ */
+function getPermissionsForApiKeyScope(scope) {
+  return API_KEY_SCOPE_PERMISSIONS[scope] || [];
+}
+
+/**
+ * Check whether a permission list grants a given permission
+ */
+function hasPermission(permissions, permission) {
+  if (!permissions) return false;
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  OWNER_ROLES,
+  SUPER_ADMIN_ROLE,
+  API_KEY_SCOPES,
+  getPermissionsForRole,
+  getPermissionsForApiKeyScope,
+  hasPermission
+};
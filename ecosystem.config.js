@@ -37,6 +37,25 @@ module.exports = {
       error_file: './logs/manager-err.log',
       out_file: './logs/manager-out.log',
       time: true
+    },
+    {
+      // Optional: parses queued mail and uploads apart from the server
+      // (set INGEST_WORKERS=0 on the server when it runs)
+      name: 'ingestion-worker',
+      script: 'scripts/ingestion-worker.js',
+      instances: 1,
+      autorestart: true,
+      watch: false,
+      kill_timeout: 60000, // Let running jobs finish
+      env: {
+        NODE_ENV: 'development'
+      },
+      env_production: {
+        NODE_ENV: 'production'
+      },
+      error_file: './logs/worker-err.log',
+      out_file: './logs/worker-out.log',
+      time: true
     }
   ]
 };
\ No newline at end of file
@@ -1,43 +1,185 @@
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin');
+const ApiKey = require('../models/ApiKey');
+const { getPermissionsForRole, getPermissionsForApiKeyScope, hasPermission, SUPER_ADMIN_ROLE } = require('../config/roles');
+const { JWT_SECRET, isSessionActive, touchSession } = require('../services/sessionService');
+const { hashToken } = require('../utils/tokenUtils');
+const { resolveOrganizationId, TenantError } = require('../services/tenantService');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'yourHRpower_secret_key_change_in_production_2024';
+const API_KEY_PREFIX = 'hrk_';
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000; // Write lastUsedAt at most once a minute per key
 
-// Authentication middleware
-const authenticate = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
+// Raised when credentials are missing or no longer valid
+class AuthError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+}
 
-    if (!token) {
-      return res.status(401).json({ error: 'Authentication required. Please login.' });
-    }
+// Resolve an API key to the principal it acts as
+const resolveApiKey = async (key, ip) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key), revokedAt: null });
+
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+    throw new AuthError('Invalid or revoked API key');
+  }
+
+  // A key stops working with the account that created it (disabled or deleted)
+  const creator = await Admin.findById(apiKey.createdBy).select('status');
+  if (!creator || (creator.status || 'active') !== 'active') {
+    throw new AuthError('Invalid or revoked API key');
+  }
+
+  // Record usage without slowing down the request
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > API_KEY_TOUCH_INTERVAL_MS) {
+    ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: new Date(), lastUsedIp: ip }
+    ).catch(err => console.warn(`⚠️  Could not update API key usage: ${err.message}`));
+  }
+
+  return {
+    id: apiKey.createdBy,
+    username: `api-key:${apiKey.name}`,
+    role: 'api-key',
+    permissions: getPermissionsForApiKeyScope(apiKey.scope),
+    organization: apiKey.organization,
+    apiKeyId: apiKey._id,
+    expiresAt: apiKey.expiresAt || null
+  };
+};
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const admin = await Admin.findById(decoded.id).select('-password');
+/**
+ * Resolve a JWT access token or API key to the principal stored in req.admin.
+ * Shared by the HTTP middleware and the Socket.io handshake.
+ * @param {string} token - access token or "hrk_..." API key
+ * @param {{ip?: string}} [context]
+ * @returns {Promise<object>} principal ({ id, username, role, permissions, ... })
+ * @throws {AuthError} when the credentials are missing, invalid or revoked
+ */
+const resolvePrincipal = async (token, { ip } = {}) => {
+  if (!token) {
+    throw new AuthError('Authentication required. Please login.');
+  }
+
+  // API keys are accepted alongside JWTs (Bearer or X-API-Key header)
+  if (token.startsWith(API_KEY_PREFIX)) {
+    return resolveApiKey(token, ip);
+  }
 
-    if (!admin) {
-      return res.status(401).json({ error: 'Invalid token. Admin not found.' });
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new AuthError('Token expired. Refresh your session or login again.', 'TOKEN_EXPIRED');
+    }
+    if (error.name === 'JsonWebTokenError') {
+      throw new AuthError('Invalid token');
     }
+    throw error;
+  }
+
+  const admin = await Admin.findById(decoded.id).select('-password');
+
+  if (!admin) {
+    throw new AuthError('Invalid token. Admin not found.');
+  }
+
+  if (admin.status && admin.status !== 'active') {
+    throw new AuthError('Account is disabled. Contact your administrator.');
+  }
+
+  // Tokens issued before a disable/password reset carry an older version
+  if ((decoded.tv || 0) !== (admin.tokenVersion || 0)) {
+    throw new AuthError('Session has been revoked. Please login again.');
+  }
+
+  // Access tokens are bound to a server-side session that can be revoked
+  if (!(await isSessionActive(decoded.sid))) {
+    throw new AuthError('Session has been revoked. Please login again.');
+  }
+  touchSession(decoded.sid, ip);
+
+  return {
+    id: admin._id,
+    username: admin.username,
+    email: admin.email,
+    role: admin.role,
+    permissions: getPermissionsForRole(admin.role),
+    organization: admin.organization,
+    sessionId: decoded.sid,
+    expiresAt: new Date(decoded.exp * 1000)
+  };
+};
+
+// Authentication middleware
+const authenticate = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '') || req.headers['x-api-key'];
 
     // Attach admin info to request
-    req.admin = {
-      id: admin._id,
-      username: admin.username,
-      email: admin.email,
-      role: admin.role
-    };
+    req.admin = await resolvePrincipal(token, { ip: req.ip });
 
+    // Organization the request works in (super-admins can switch with X-Organization-Id)
+    req.organizationId = await resolveOrganizationId(req.admin, req.headers['x-organization-id']);
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Invalid token' });
+    if (error instanceof AuthError) {
+      return res.status(401).json(error.code ? { error: error.message, code: error.code } : { error: error.message });
     }
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Token expired. Please login again.' });
+    if (error instanceof TenantError) {
+      return res.status(error.status).json({ error: error.message });
     }
     console.error('Auth middleware error:', error);
     res.status(500).json({ error: 'Authentication failed' });
   }
 };
 
-module.exports = { authenticate };
+// Account endpoints (logout, password, 2FA...) need a real user session, not an API key
+const requireUserSession = (req, res, next) => {
+  if (req.admin && req.admin.apiKeyId) {
+    return res.status(403).json({ error: 'API keys cannot be used for this endpoint' });
+  }
+  next();
+};
+
+// Cross-organization management is reserved for super-admins
+const requireSuperAdmin = (req, res, next) => {
+  if (!req.admin || req.admin.role !== SUPER_ADMIN_ROLE || req.admin.apiKeyId) {
+    return res.status(403).json({ error: 'Only super-admins can perform this action' });
+  }
+  next();
+};
+
+// Authorization middleware factory - must run after authenticate
+// Usage: router.delete('/:id', requirePermission('resumes:delete'), handler)
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.admin) {
+      return res.status(401).json({ error: 'Authentication required. Please login.' });
+    }
+
+    const missing = permissions.filter(p => !hasPermission(req.admin.permissions, p));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'You do not have permission to perform this action',
+        required: missing
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  authenticate,
+  requireUserSession,
+  requirePermission,
+  requireSuperAdmin,
+  resolvePrincipal,
+  AuthError,
+  API_KEY_PREFIX
+};
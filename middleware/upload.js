@@ -1,4 +1,5 @@
 const multer = require('multer');
+const { isSupportedDocument, SUPPORTED_FORMATS } = require('../services/documentConverter');
 
 const storage = multer.memoryStorage();
 
@@ -8,8 +9,8 @@ const upload = multer({
     fileSize: 5 * 1024 * 1024 // 5MB per resume
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype !== 'application/pdf') {
-      return cb(new Error('Only PDF files allowed'));
+    if (!isSupportedDocument(file)) {
+      return cb(new Error(`Only ${SUPPORTED_FORMATS} files allowed`));
     }
     cb(null, true);
   }
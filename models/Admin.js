@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ROLES } = require('../config/roles');
 
 const adminSchema = new mongoose.Schema({
   username: {
@@ -20,14 +21,58 @@ const adminSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    default: 'admin',
-    enum: ['admin']
+    default: 'viewer',
+    enum: ROLES
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
   },
   lastLogin: {
     type: Date
+  },
+  // 'invited' accounts cannot login until the invite is accepted
+  status: {
+    type: String,
+    default: 'active',
+    enum: ['active', 'invited', 'disabled']
+  },
+  // Bumped to invalidate every token issued to this account
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  inviteTokenHash: String,        // SHA-256 of the invite token
+  inviteExpiresAt: Date,
+  passwordResetTokenHash: String, // SHA-256 of the single-use reset token
+  passwordResetExpiresAt: Date,
+  disabledAt: Date,
+  // TOTP two-factor authentication (secrets encrypted with utils/crypto)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    pendingSecret: String,        // Set during enrollment until the first code is confirmed
+    enabledAt: Date,
+    lastUsedStep: Number,         // Last accepted time step, blocks code replay
+    recoveryCodeHashes: [String]  // SHA-256 of unused recovery codes
+  },
+  // OpenID Connect identity linked on first single sign-on
+  sso: {
+    issuer: String,
+    subject: String
   }
 }, {
   timestamps: true
 });
 
+adminSchema.index({ 'sso.issuer': 1, 'sso.subject': 1 }, { sparse: true });
+
 module.exports = mongoose.model('Admin', adminSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// API key for machine integrations (only the hash of the key is stored)
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  prefix: {
+    type: String,              // First characters of the key, to recognise it in lists
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scope: {
+    type: String,
+    required: true,
+    enum: ['read-only', 'upload-only', 'full']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
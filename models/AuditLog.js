@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Append-only record of who did what to candidate data and accounts
+const auditLogSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  actor: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    username: String,
+    role: String,
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey'
+    }
+  },
+  action: {
+    type: String,
+    required: true          // e.g. 'resume.download', 'user.disable'
+  },
+  targetType: String,       // e.g. 'resume', 'user', 'api_key'
+  targetId: String,
+  method: String,
+  path: String,
+  statusCode: Number,
+  success: Boolean,
+  ip: String,
+  userAgent: String,
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ organization: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+
+// Entries can be written once and never changed or removed through the app
+const rejectMutation = function (next) {
+  next(new Error('Audit log entries are append-only'));
+};
+
+auditLogSchema.pre([
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'
+], rejectMutation);
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries are append-only'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
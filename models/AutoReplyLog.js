@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Acknowledgement sent (or held back) for an application received by
+// email, written by services/autoReplyService
+const autoReplyLogSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  mailbox: {
+    type: mongoose.Schema.Types.ObjectId,   // IMAP mailbox the application came in on
+    ref: 'MailboxAccount'
+  },
+  graphAccount: String,                     // or the connected Outlook account
+  email: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Email'
+  },
+  to: {
+    type: String,                           // lowercased sender address
+    required: true
+  },
+  subject: String,
+  status: {
+    type: String,
+    required: true,
+    enum: ['sent', 'suppressed', 'failed']
+  },
+  reason: String,                           // why it was suppressed or failed
+  transport: {
+    type: String,
+    enum: ['smtp', 'graph']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+autoReplyLogSchema.index({ organization: 1, createdAt: -1 });
+autoReplyLogSchema.index({ organization: 1, to: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AutoReplyLog', autoReplyLogSchema);
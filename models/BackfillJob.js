@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Import of past mail from one mailbox (IMAP) or Outlook account (Graph),
+// run in the background by services/backfillService
+const backfillJobSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  source: {
+    type: String,
+    required: true,
+    enum: ['imap', 'graph']
+  },
+  mailbox: {
+    type: mongoose.Schema.Types.ObjectId,   // source 'imap'
+    ref: 'MailboxAccount'
+  },
+  graphAccount: String,                     // source 'graph' - connected Outlook account email
+  folders: [String],                        // IMAP folders, the mailbox's folders when empty
+  since: {
+    type: Date,                             // inclusive
+    required: true
+  },
+  before: {
+    type: Date,                             // exclusive
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+  progress: {
+    scanned: { type: Number, default: 0 },
+    imported: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // Where to continue after a restart:
+  // IMAP { folderIndex, uidValidity, lastUid }, Graph { pageLink, pageIndex }
+  cursor: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  error: String,
+  heartbeatAt: Date,          // updated while a server is working on the job
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+module.exports = mongoose.model('BackfillJob', backfillJobSchema);
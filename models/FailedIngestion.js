@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Mail or upload that could not be imported (dead-letter queue), kept until
+// it is retried successfully or discarded. See services/deadLetterService.
+const failedIngestionSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  key: {
+    type: String,               // email id (and attachment) - one record per failing item
+    required: true,
+    unique: true
+  },
+  source: {
+    type: String,
+    required: true,
+    enum: ['imap', 'graph', 'upload']
+  },
+  stage: {
+    type: String,
+    enum: ['fetch', 'parse', 'extract', 'store', 'other'],   // extract: resume text/data, store: S3 or database
+    default: 'other'
+  },
+  status: {
+    type: String,
+    enum: ['failed', 'retrying'],
+    default: 'failed',
+    index: true
+  },
+  error: String,
+  failures: {
+    type: Number,               // times it failed, including retries
+    default: 0
+  },
+  firstFailedAt: Date,
+  lastFailedAt: Date,
+  // Where it came from
+  mailbox: {
+    type: mongoose.Schema.Types.ObjectId,   // source 'imap', mailboxes added through the API
+    ref: 'MailboxAccount'
+  },
+  accountKey: String,           // source 'imap': "env:Primary", "env:Outlook" or the mailbox id
+  folder: String,
+  uidValidity: Number,
+  uid: Number,
+  graphAccount: String,         // source 'graph'
+  graphMessageId: String,
+  emailId: String,
+  email: {
+    type: mongoose.Schema.Types.ObjectId,   // saved record a failed attachment belongs to
+    ref: 'Email'
+  },
+  fileName: String,             // upload or attachment
+  subject: String,
+  from: String,
+  // How to run it again: an ingestion worker handler and its job payload,
+  // without the raw bytes
+  jobType: String,
+  payload: mongoose.Schema.Types.Mixed,
+  // Message source or file, when small enough to keep (otherwise fetched again)
+  raw: {
+    type: Buffer,
+    select: false
+  },
+  rawSize: Number               // size of the kept raw bytes, 0 when there are none
+}, {
+  timestamps: true
+});
+
+failedIngestionSchema.index({ organization: 1, lastFailedAt: -1 });
+
+module.exports = mongoose.model('FailedIngestion', failedIngestionSchema);
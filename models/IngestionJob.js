@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Ingestion job waiting for a worker, used by services/ingestionQueue when
+// Redis isn't available. A job is removed once a worker acknowledges it, or
+// moved to FailedIngestion when it runs out of attempts.
+const ingestionJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true            // 'imap_message', 'graph_message' or 'upload'
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  key: String,                // e.g. the email id - the same message is only queued once
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,             // deliveries so far, counted when a worker takes the job
+    default: 0
+  },
+  maxAttempts: Number,
+  availableAt: {
+    type: Date,               // not handed out before (retry backoff)
+    default: Date.now
+  },
+  leaseExpiresAt: Date,       // handed out again after this when not acknowledged
+  lockedBy: String,           // worker holding the lease
+  lastError: String
+}, {
+  timestamps: true
+});
+
+ingestionJobSchema.index({ status: 1, availableAt: 1 });
+ingestionJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+ingestionJobSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $type: 'string' } } });
+
+module.exports = mongoose.model('IngestionJob', ingestionJobSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Decides which incoming emails are imported, managed through /api/ingestion-rules
+// (evaluated by services/ruleEngine). A rule without mailbox and graphAccount
+// applies to every mailbox of the organization.
+const ingestionRuleSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mailbox: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MailboxAccount'
+  },
+  graphAccount: {
+    type: String,             // Outlook account connected through Graph
+    lowercase: true,
+    trim: true
+  },
+  // Lowest first; the first matching rule decides
+  priority: {
+    type: Number,
+    default: 100
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Every condition that is set must match
+  conditions: {
+    folders: [String],            // Folder or label (Gmail labels, Outlook categories)
+    senderAllowList: [String],    // Addresses or domains the sender must be in
+    senderDenyList: [String],     // Addresses or domains the sender must not be in
+    subjectKeywords: [String],    // Any of them, case-insensitive
+    hasAttachment: Boolean,
+    attachmentTypes: [String]     // File extensions: pdf, docx, jpg...
+  },
+  action: {
+    type: String,
+    enum: ['ingest', 'ignore', 'ingest_and_tag'],
+    required: true
+  },
+  tags: [String],                 // Added to the email by ingest_and_tag
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+ingestionRuleSchema.index({ organization: 1, priority: 1 });
+
+module.exports = mongoose.model('IngestionRule', ingestionRuleSchema);
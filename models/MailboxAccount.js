@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// IMAP mailbox monitored for incoming resumes, managed through /api/mailboxes
+// (the password is stored encrypted with utils/crypto)
+const mailboxAccountSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  host: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  port: {
+    type: Number,
+    default: 993
+  },
+  tls: {
+    type: Boolean,
+    default: true
+  },
+  // Accept self-signed certificates (off by default for API-managed mailboxes)
+  allowSelfSignedCertificate: {
+    type: Boolean,
+    default: false
+  },
+  username: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  password: {
+    type: String,             // encrypt() output, never returned by the API
+    required: true
+  },
+  folders: {
+    type: [String],
+    default: ['INBOX']
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Done to a message once it is handled (services/postProcessingService)
+  postProcessing: {
+    markAsRead: { type: Boolean, default: false },
+    flag: { type: Boolean, default: false },
+    category: { type: String, trim: true },
+    processedFolder: { type: String, trim: true },
+    failedFolder: { type: String, trim: true }
+  },
+  // Acknowledgement sent to applicants (services/autoReplyService)
+  autoReply: {
+    enabled: { type: Boolean, default: false },
+    subject: String,                 // template, the default when empty
+    body: String,
+    dedupeDays: { type: Number, default: 30 },
+    // Reply through the mailbox's own SMTP server, with its IMAP credentials
+    smtpHost: { type: String, trim: true },
+    smtpPort: Number,
+    smtpSecure: Boolean
+  },
+  lastConnectedAt: Date,
+  lastError: String,
+  lastErrorAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+mailboxAccountSchema.index({ organization: 1, host: 1, username: 1 }, { unique: true });
+
+module.exports = mongoose.model('MailboxAccount', mailboxAccountSchema);
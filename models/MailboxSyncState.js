@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Sync position of one IMAP folder: messages with a UID above lastUid are new.
+// UIDs are only meaningful while the folder's UIDVALIDITY stays the same.
+const mailboxSyncStateSchema = new mongoose.Schema({
+  account: {
+    type: String,             // MailboxAccount id, or "env:<user>@<host>" for .env mailboxes
+    required: true
+  },
+  folder: {
+    type: String,
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
+  uidValidity: {
+    type: Number,
+    required: true
+  },
+  lastUid: {
+    type: Number,
+    default: 0
+  },
+  lastSyncedAt: Date
+}, {
+  timestamps: true
+});
+
+mailboxSyncStateSchema.index({ account: 1, folder: 1 }, { unique: true });
+
+module.exports = mongoose.model('MailboxSyncState', mailboxSyncStateSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Tenant: a client company with its own team, mailboxes and candidate pool
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  // Token in the public upload link (/api/apply/:token) - rotate to revoke old links
+  uploadToken: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Organization', organizationSchema);
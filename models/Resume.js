@@ -2,6 +2,11 @@ const mongoose = require('mongoose');
 
 // Email schema (used by emailService)
 const emailSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
   from: {
     type: String,
     required: true
@@ -25,7 +30,9 @@ const emailSchema = new mongoose.Schema({
     type: String,
     unique: true  // To avoid duplicate emails
   },
-  // PDF attachment data (if PDF is attached)
+  messageId: String,  // Message-ID header, recognises a message after its mailbox is renumbered
+  // Resume attachment (hasAttachment) and the candidate data extracted from it,
+  // or from the message body when there is no resume (attachmentData.source 'body')
   hasAttachment: {
     type: Boolean,
     default: false
@@ -46,19 +53,63 @@ const emailSchema = new mongoose.Schema({
       github: String,
       portfolio: String
     },
-    pdfPath: String,              // URL (Local, Cloudinary or S3)
-    s3Url: String,                // AWS S3 URL for the PDF
+    pdfPath: String,              // URL (Local, Cloudinary or S3) of the original file
+    s3Url: String,                // AWS S3 URL of the original file
     s3Key: String,                // AWS S3 Key for deletion
     cloudinaryUrl: String,         // Cloudinary URL for the PDF
     cloudinaryPublicId: String,   // Cloudinary public ID for deletion
-    rawText: String
+    originalFileName: String,
+    fileType: String,             // pdf, docx, doc, rtf or odt (unset on older records: pdf)
+    contentType: String,          // MIME type of the original file
+    previewPdfPath: String,       // PDF rendition of Word/RTF/ODT files (Local or S3)
+    previewS3Key: String,
+    rawText: String,
+    source: {
+      type: String,
+      enum: ['attachment', 'body']   // body: details pasted into the message (unset on older records: attachment)
+    }
+  },
+  // Every attachment of the message and what happened to it
+  attachments: [{
+    filename: String,
+    contentType: String,
+    size: Number,
+    isResume: Boolean,
+    status: {
+      type: String,
+      enum: ['extracted', 'failed', 'skipped', 'expanded']   // expanded: a ZIP/RAR archive
+    },
+    error: String,
+    archive: String,              // Archive the file was found in
+    candidate: {                  // Record holding the candidate extracted from it
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Email'
+    }
+  }],
+  // Added by ingest_and_tag ingestion rules
+  tags: {
+    type: [String],
+    index: true
+  },
+  // Set on candidate records for the 2nd, 3rd... resume of a message
+  parentEmail: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Email',
+    index: true
   }
 }, {
   timestamps: true
 });
 
+emailSchema.index({ organization: 1, messageId: 1 });
+
 // Resume schema (for direct uploads)
 const resumeSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
   name: String,
   email: String,
   contactNumber: String,
@@ -92,6 +143,13 @@ const resumeSchema = new mongoose.Schema({
 const Email = mongoose.model('Email', emailSchema);
 const Resume = mongoose.model('Resume', resumeSchema);
 
+// Emails holding a candidate: from a resume file, or from details pasted
+// into the message body (those have no file to download)
+const CANDIDATE_FILTER = {
+  $or: [{ hasAttachment: true }, { 'attachmentData.source': 'body' }]
+};
+
 // Export Email as default (for emailService compatibility)
 module.exports = Email;
 module.exports.Resume = Resume;
+module.exports.CANDIDATE_FILTER = CANDIDATE_FILTER;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Login session backing a rotating refresh token
+const sessionSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastRotatedAt: Date,
+  revokedAt: Date,
+  revokedReason: String,
+  userAgent: String,
+  ip: String,
+  // Last authenticated request, written in batches (see sessionService.flushLastSeen)
+  lastSeenAt: Date,
+  lastSeenIp: String
+}, {
+  timestamps: true
+});
+
+// Let MongoDB clean up sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
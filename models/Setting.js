@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Application-wide settings managed through the API (key/value)
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: mongoose.Schema.Types.Mixed,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+// Read a setting, falling back to a default when it was never set
+settingSchema.statics.getValue = async function (key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : defaultValue;
+};
+
+settingSchema.statics.setValue = async function (key, value, updatedBy) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -2,9 +2,27 @@ const mongoose = require('mongoose');
 
 const tokenSchema = new mongoose.Schema({
   accountEmail: { type: String, required: true, unique: true },
+  organization: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', index: true },
   accessToken: { type: String, required: true },
   refreshToken: { type: String, required: true },
   expiresAt: { type: Date, required: true },
+  // Granted by the user; post-processing needs Mail.ReadWrite, auto-reply Mail.Send
+  scopes: { type: [String], default: undefined },
+  // Done to a message once it is handled (services/postProcessingService)
+  postProcessing: {
+    markAsRead: { type: Boolean, default: false },
+    flag: { type: Boolean, default: false },
+    category: { type: String, trim: true },
+    processedFolder: { type: String, trim: true },
+    failedFolder: { type: String, trim: true }
+  },
+  // Acknowledgement sent to applicants (services/autoReplyService)
+  autoReply: {
+    enabled: { type: Boolean, default: false },
+    subject: String,                 // template, the default when empty
+    body: String,
+    dedupeDays: { type: Number, default: 30 }
+  },
   updatedAt: { type: Date, default: Date.now }
 });
 
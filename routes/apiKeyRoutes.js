@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { requirePermission, API_KEY_PREFIX } = require('../middleware/auth');
+const { PERMISSIONS, API_KEY_SCOPES, getPermissionsForApiKeyScope } = require('../config/roles');
+const { generateToken, hashToken } = require('../utils/tokenUtils');
+const { auditTrail } = require('../services/auditService');
+const { tenantFilter } = require('../services/tenantService');
+
+router.use(requirePermission(PERMISSIONS.API_KEYS_MANAGE));
+
+// Never return the key hash
+const toPublicApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scope: apiKey.scope,
+  permissions: getPermissionsForApiKeyScope(apiKey.scope),
+  createdBy: apiKey.createdBy,
+  createdAt: apiKey.createdAt,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  revokedAt: apiKey.revokedAt,
+  status: apiKey.revokedAt ? 'revoked'
+    : (apiKey.expiresAt && apiKey.expiresAt <= new Date() ? 'expired' : 'active')
+});
+
+// List API keys
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.query.includeRevoked === 'true' ? {} : { revokedAt: null };
+    const apiKeys = await ApiKey.find(tenantFilter(req, filter))
+      .populate('createdBy', 'username email')
+      .sort({ createdAt: -1 });
+    res.json(apiKeys.map(toPublicApiKey));
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create an API key - the key itself is only returned in this response
+router.post('/', auditTrail('api_key.create', 'api_key'), async (req, res) => {
+  try {
+    const { name, scope, expiresInDays } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+    if (!API_KEY_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `Invalid scope. Allowed scopes: ${API_KEY_SCOPES.join(', ')}` });
+    }
+    if (expiresInDays !== undefined && !(parseInt(expiresInDays) > 0)) {
+      return res.status(400).json({ error: 'expiresInDays must be a positive number' });
+    }
+
+    const key = `${API_KEY_PREFIX}${generateToken(32)}`;
+    const apiKey = await ApiKey.create({
+      name: name.trim(),
+      prefix: key.substring(0, API_KEY_PREFIX.length + 6),
+      keyHash: hashToken(key),
+      scope,
+      createdBy: req.admin.id,
+      organization: req.organizationId,
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000)
+        : undefined
+    });
+
+    console.log(`🔑 API key "${apiKey.name}" (${scope}) created by ${req.admin.username}`);
+    res.locals.auditTargetId = apiKey._id;
+    res.locals.auditMetadata = { name: apiKey.name, scope };
+    res.status(201).json({
+      message: 'API key created. Copy it now - it will not be shown again.',
+      key,
+      apiKey: toPublicApiKey(apiKey)
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke an API key
+router.delete('/:id', auditTrail('api_key.revoke', 'api_key'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    const apiKey = await ApiKey.findOne(tenantFilter(req, { _id: req.params.id }));
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ error: 'API key is already revoked' });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.admin.id;
+    await apiKey.save();
+
+    console.log(`🗑️  API key "${apiKey.name}" revoked by ${req.admin.username}`);
+    res.json({ message: 'API key revoked', apiKey: toPublicApiKey(apiKey) });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
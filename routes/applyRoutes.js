@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const Organization = require('../models/Organization');
+const upload = require('../middleware/upload');
+const { submitUploadedResume } = require('../services/uploadService');
+
+// Public upload links: candidates send their resume straight to one organization
+// Link format: <FRONTEND_URL>/apply/<uploadToken>, backed by /api/apply/:token
+
+// Find the organization behind a link token
+const loadOrganization = async (req, res) => {
+  const organization = req.params.token
+    ? await Organization.findOne({ uploadToken: req.params.token })
+    : null;
+  if (!organization) {
+    res.status(404).json({ error: 'This upload link is invalid or has been replaced' });
+    return null;
+  }
+  return organization;
+};
+
+// Show which company the candidate is applying to
+router.get('/:token', async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+    res.json({ organization: { name: organization.name } });
+  } catch (error) {
+    console.error('Upload link lookup error:', error);
+    res.status(500).json({ error: 'Failed to load upload link' });
+  }
+});
+
+// Submit a resume (single PDF, Word, RTF, ODT or image file in the "resume" field)
+router.post('/:token', (req, res, next) => {
+  upload.single('resume')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'Please attach your resume (PDF, Word, RTF, ODT or a photo of it)' });
+    }
+
+    const { resume, jobId } = await submitUploadedResume(req.file, {
+      organizationId: organization._id,
+      subject: `Application: ${req.file.originalname}`,
+      body: 'Resume submitted through the public upload link.',
+      emailIdPrefix: 'apply',
+      notification: `New application received: ${req.file.originalname}`,
+      io: req.app.get('io')
+    });
+    console.log(`📨 Resume received via upload link for ${organization.name}: ${resume ? resume._id : `job ${jobId}`}`);
+
+    // 202 while the resume waits for an ingestion worker
+    res.status(resume ? 201 : 202).json({ message: 'Thank you! Your resume has been received.' });
+  } catch (error) {
+    console.error('Upload link submission error:', error);
+    res.status(500).json({ error: 'Failed to process your resume. Please try again.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+
+router.use(requirePermission(PERMISSIONS.AUDIT_READ));
+
+const MAX_PAGE_SIZE = 200;
+const CSV_COLUMNS = [
+  ['createdAt', entry => entry.createdAt?.toISOString()],
+  ['actorId', entry => entry.actor?.id],
+  ['actorUsername', entry => entry.actor?.username],
+  ['actorRole', entry => entry.actor?.role],
+  ['apiKeyId', entry => entry.actor?.apiKeyId],
+  ['action', entry => entry.action],
+  ['targetType', entry => entry.targetType],
+  ['targetId', entry => entry.targetId],
+  ['method', entry => entry.method],
+  ['path', entry => entry.path],
+  ['statusCode', entry => entry.statusCode],
+  ['success', entry => entry.success],
+  ['ip', entry => entry.ip],
+  ['userAgent', entry => entry.userAgent],
+  ['metadata', entry => (entry.metadata ? JSON.stringify(entry.metadata) : '')]
+];
+
+const FILTER_PARAMS = ['actor', 'action', 'targetType', 'targetId', 'success', 'from', 'to'];
+
+/**
+ * Build a MongoDB filter from query parameters:
+ * actor (id or username), action (exact, or prefix with "resume.*"),
+ * targetType, targetId, success, from, to (ISO dates)
+ * @returns {{filter?: object, error?: string}}
+ */
+function buildFilter(query) {
+  const filter = {};
+
+  // Repeated or bracketed parameters (?action[$ne]=x) arrive as arrays or
+  // objects and would reach MongoDB as operators
+  for (const param of FILTER_PARAMS) {
+    if (query[param] !== undefined && typeof query[param] !== 'string') {
+      return { error: `"${param}" must be a single value` };
+    }
+  }
+
+  if (query.actor) {
+    filter.$or = mongoose.Types.ObjectId.isValid(query.actor)
+      ? [{ 'actor.id': query.actor }, { 'actor.apiKeyId': query.actor }]
+      : [{ 'actor.username': query.actor }];
+  }
+
+  if (query.action) {
+    if (query.action.endsWith('*')) {
+      const prefix = query.action.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.action = { $regex: `^${prefix}` };
+    } else {
+      filter.action = query.action;
+    }
+  }
+
+  if (query.targetType) filter.targetType = query.targetType;
+  if (query.targetId) filter.targetId = query.targetId;
+  if (query.success === 'true' || query.success === 'false') {
+    filter.success = query.success === 'true';
+  }
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+      if (!query[param]) continue;
+      const date = new Date(query[param]);
+      if (isNaN(date.getTime())) {
+        return { error: `Invalid "${param}" date` };
+      }
+      filter.createdAt[operator] = date;
+    }
+  }
+
+  return { filter };
+}
+
+function escapeCsv(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Query the audit log (newest first)
+router.get('/', async (req, res) => {
+  try {
+    const { filter, error } = buildFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    filter.organization = req.organizationId;
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      entries,
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Audit log query error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export matching entries as CSV for compliance reviews (same filters as GET /)
+router.get('/export.csv', async (req, res) => {
+  try {
+    const { filter, error } = buildFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    filter.organization = req.organizationId;
+
+    const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.write(CSV_COLUMNS.map(([name]) => name).join(',') + '\n');
+
+    // Stream with a cursor so large exports don't load everything into memory
+    const cursor = AuditLog.find(filter).sort({ createdAt: -1 }).lean().cursor();
+    for await (const entry of cursor) {
+      res.write(CSV_COLUMNS.map(([, getValue]) => escapeCsv(getValue(entry))).join(',') + '\n');
+    }
+
+    console.log(`📤 Audit log exported by ${req.admin.username}`);
+    res.end();
+  } catch (error) {
+    console.error('Audit log export error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,44 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const { getPermissionsForRole, PERMISSIONS, OWNER_ROLES, SUPER_ADMIN_ROLE } = require('../config/roles');
+const { authenticate, requireUserSession, requirePermission } = require('../middleware/auth');
+const { encrypt, decrypt } = require('../utils/crypto');
+const { generateToken, hashToken } = require('../utils/tokenUtils');
+const sessionService = require('../services/sessionService');
+const loginThrottle = require('../services/loginThrottle');
+const mailer = require('../services/mailer');
+const totpService = require('../services/totpService');
+const { auditTrail } = require('../services/auditService');
+const oidcService = require('../services/oidcService');
+const { getDefaultOrganizationId } = require('../services/tenantService');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'yourHRpower_secret_key_change_in_production_2024';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '30d'; // 30 days
 const DEFAULT_ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
 const DEFAULT_ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'admin@youhrpower.com';
 const DEFAULT_ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin123';
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+const REQUIRE_2FA_SETTING = 'security.require2fa';
+
+// Account endpoints accept user sessions only
+const authenticateUser = [authenticate, requireUserSession];
+
+// The two-factor policy is set per organization; the old account-wide
+// setting applies until an organization sets its own
+const twoFactorPolicyKey = (organizationId) => `${REQUIRE_2FA_SETTING}:${organizationId}`;
+
+async function isTwoFactorRequired(organizationId) {
+  const fallback = await Setting.getValue(REQUIRE_2FA_SETTING, false);
+  return !!(await Setting.getValue(twoFactorPolicyKey(organizationId), fallback));
+}
 
 // Initialize default admin if not exists
 async function ensureDefaultAdmin() {
   try {
+    const organizationId = await getDefaultOrganizationId();
     const adminCount = await Admin.countDocuments();
     if (adminCount === 0) {
       const hashedPassword = await bcrypt.hash(DEFAULT_ADMIN_PASSWORD, 10);
@@ -21,7 +47,8 @@ async function ensureDefaultAdmin() {
         username: DEFAULT_ADMIN_USERNAME,
         email: DEFAULT_ADMIN_EMAIL,
         password: hashedPassword,
-        role: 'admin'
+        role: SUPER_ADMIN_ROLE,
+        organization: organizationId
       });
       
       await defaultAdmin.save();
@@ -33,6 +60,13 @@ async function ensureDefaultAdmin() {
       const admin = await Admin.findOne({ username: DEFAULT_ADMIN_USERNAME });
       if (admin) {
         console.log(`ℹ️  Admin user exists: ${admin.username}`);
+
+        // Deployments from before organizations: the default owner becomes the super-admin
+        if (OWNER_ROLES.includes(admin.role) && !(await Admin.exists({ role: SUPER_ADMIN_ROLE }))) {
+          admin.role = SUPER_ADMIN_ROLE;
+          await admin.save();
+          console.log(`🏢 ${admin.username} promoted to ${SUPER_ADMIN_ROLE}`);
+        }
       } else {
         console.log('ℹ️  Admin count > 0 but default username not found.');
       }
@@ -42,6 +76,79 @@ async function ensureDefaultAdmin() {
   }
 }
 
+// Record a successful login and start a session
+async function startLogin(admin, req) {
+  admin.lastLogin = new Date();
+  await admin.save();
+
+  // Failure counters are only cleared once every login step passed
+  await loginThrottle.recordSuccessfulLogin(req.ip || req.connection?.remoteAddress, `id:${admin._id}`);
+
+  // Start a session: short-lived access token + rotating refresh token
+  return sessionService.createSession(admin, req);
+}
+
+// Finish a login: record it, start a session and send the tokens
+async function completeLogin(admin, req, res, extra = {}) {
+  const { accessToken, refreshToken, expiresIn } = await startLogin(admin, req);
+
+  res.json({
+    message: 'Login successful',
+    token: accessToken,
+    refreshToken,
+    expiresIn,
+    admin: {
+      id: admin._id,
+      username: admin.username,
+      email: admin.email,
+      role: admin.role,
+      permissions: getPermissionsForRole(admin.role),
+      organization: admin.organization,
+      twoFactorEnabled: !!admin.twoFactor?.enabled,
+      lastLogin: admin.lastLogin
+    },
+    ...extra
+  });
+}
+
+// Check a TOTP code against the enrolled secret and consume its time step.
+// The step is claimed with one conditional update, so of two requests
+// replaying the same code only one gets through.
+async function verifyTwoFactorCode(admin, code) {
+  const step = totpService.verifyCode(decrypt(admin.twoFactor.secret), code, {
+    lastUsedStep: admin.twoFactor.lastUsedStep ?? null
+  });
+  if (step === null) return false;
+
+  const result = await Admin.updateOne({
+    _id: admin._id,
+    $or: [
+      { 'twoFactor.lastUsedStep': null },
+      { 'twoFactor.lastUsedStep': { $lt: step } }
+    ]
+  }, { 'twoFactor.lastUsedStep': step });
+  return result.matchedCount > 0;
+}
+
+// Consume a single-use recovery code (only one request can pull it)
+async function useRecoveryCode(admin, recoveryCode) {
+  const hash = hashToken(totpService.normalizeRecoveryCode(recoveryCode));
+  if (!(admin.twoFactor.recoveryCodeHashes || []).includes(hash)) return false;
+
+  const result = await Admin.updateOne(
+    { _id: admin._id, 'twoFactor.recoveryCodeHashes': hash },
+    { $pull: { 'twoFactor.recoveryCodeHashes': hash } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Generate fresh recovery codes, store their hashes and return the plain codes
+function issueRecoveryCodes(admin) {
+  const codes = totpService.generateRecoveryCodes();
+  admin.twoFactor.recoveryCodeHashes = codes.map(code => hashToken(code));
+  return codes;
+}
+
 // Login endpoint
 router.post('/login', async (req, res) => {
   try {
@@ -59,43 +166,60 @@ router.post('/login', async (req, res) => {
       ]
     });
 
-    if (!admin) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    // Throttle per IP and per account (unknown usernames are throttled too)
+    const clientIp = req.ip || req.connection?.remoteAddress;
+    const accountKey = admin ? `id:${admin._id}` : `name:${String(username).toLowerCase()}`;
+    const throttle = await loginThrottle.checkLoginAllowed(clientIp, accountKey);
+
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        error: throttle.reason === 'account'
+          ? 'Account temporarily locked due to too many failed login attempts. Please try again later.'
+          : 'Too many login attempts. Please try again later.',
+        retryAfter: throttle.retryAfter
+      });
     }
 
     // Verify password
-    const isPasswordValid = await bcrypt.compare(password, admin.password);
+    const isPasswordValid = admin && await bcrypt.compare(password, admin.password);
     if (!isPasswordValid) {
+      const failure = await loginThrottle.recordFailedLogin(clientIp, accountKey);
+      if (failure.locked) {
+        res.set('Retry-After', String(failure.retryAfter));
+        return res.status(429).json({
+          error: 'Account temporarily locked due to too many failed login attempts. Please try again later.',
+          retryAfter: failure.retryAfter
+        });
+      }
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Update last login
-    admin.lastLogin = new Date();
-    await admin.save();
+    if (admin.status === 'disabled') {
+      return res.status(403).json({ error: 'Account is disabled. Contact your administrator.' });
+    }
+    if (admin.status === 'invited') {
+      return res.status(403).json({ error: 'Please accept your invitation before logging in' });
+    }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        id: admin._id,
-        username: admin.username,
-        email: admin.email,
-        role: admin.role
-      },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+    // Second step when two-factor authentication is on, or required but not set up yet
+    if (admin.twoFactor?.enabled) {
+      return res.json({
+        message: 'Two-factor authentication code required',
+        twoFactorRequired: true,
+        challengeToken: sessionService.signChallengeToken(admin, '2fa')
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      token,
-      admin: {
-        id: admin._id,
-        username: admin.username,
-        email: admin.email,
-        role: admin.role,
-        lastLogin: admin.lastLogin
-      }
-    });
+    if (await isTwoFactorRequired(admin.organization)) {
+      return res.json({
+        message: 'Two-factor authentication must be set up before you can login',
+        twoFactorSetupRequired: true,
+        challengeToken: sessionService.signChallengeToken(admin, '2fa-setup')
+      });
+    }
+
+    await completeLogin(admin, req, res);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -103,46 +227,182 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Verify token endpoint
-router.get('/verify', async (req, res) => {
+// Second login step: TOTP or recovery code
+router.post('/login/2fa', async (req, res) => {
   try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
+    const { challengeToken, code, recoveryCode } = req.body;
 
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Challenge token and a code or recovery code are required' });
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const admin = await Admin.findById(decoded.id).select('-password');
+    const admin = await sessionService.verifyChallengeToken(challengeToken, '2fa');
+    if (!admin || !admin.twoFactor?.enabled) {
+      return res.status(401).json({ error: 'Login challenge is invalid or has expired. Please login again.' });
+    }
 
-    if (!admin) {
-      return res.status(401).json({ error: 'Invalid token' });
+    // Codes are guessable too, so they share the login throttle
+    const clientIp = req.ip || req.connection?.remoteAddress;
+    const accountKey = `id:${admin._id}`;
+    const throttle = await loginThrottle.checkLoginAllowed(clientIp, accountKey);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        error: 'Too many failed attempts. Please try again later.',
+        retryAfter: throttle.retryAfter
+      });
     }
 
-    res.json({
-      valid: true,
-      admin: {
-        id: admin._id,
-        username: admin.username,
-        email: admin.email,
-        role: admin.role
+    const verified = code ? await verifyTwoFactorCode(admin, code) : await useRecoveryCode(admin, recoveryCode);
+    if (!verified) {
+      const failure = await loginThrottle.recordFailedLogin(clientIp, accountKey);
+      if (failure.locked) {
+        res.set('Retry-After', String(failure.retryAfter));
+        return res.status(429).json({
+          error: 'Account temporarily locked due to too many failed login attempts. Please try again later.',
+          retryAfter: failure.retryAfter
+        });
       }
+      return res.status(401).json({ error: 'Invalid two-factor authentication code' });
+    }
+
+    // The loaded admin still lists the code that was just pulled
+    await completeLogin(admin, req, res, recoveryCode ? {
+      recoveryCodesRemaining: admin.twoFactor.recoveryCodeHashes.length - 1
+    } : {});
+
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({ error: 'Login failed. Please try again.' });
+  }
+});
+
+// Verify token endpoint
+router.get('/verify', authenticateUser, (req, res) => {
+  res.json({
+    valid: true,
+    admin: {
+      id: req.admin.id,
+      username: req.admin.username,
+      email: req.admin.email,
+      role: req.admin.role,
+      permissions: req.admin.permissions,
+      organization: req.organizationId
+    }
+  });
+});
+
+// Exchange a refresh token for a new token pair (public)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const result = await sessionService.refreshSession(refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token. Please login again.' });
+    }
+
+    res.json({
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
     });
 
   } catch (error) {
-    res.status(401).json({ error: 'Invalid or expired token' });
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
   }
 });
 
-// Change password endpoint
-router.post('/change-password', async (req, res) => {
+// Logout the current session
+router.post('/logout', authenticateUser, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.admin.sessionId, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to logout' });
+  }
+});
+
+// Logout every session of the current account
+router.post('/logout-all', authenticateUser, async (req, res) => {
   try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    if (!token) {
-      return res.status(401).json({ error: 'Authentication required' });
+    const revoked = await sessionService.revokeAllSessions(req.admin.id, 'logout_all');
+    res.json({ message: 'Logged out from all devices', revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to logout from all devices' });
+  }
+});
+
+// Short device description from a user agent, e.g. "Chrome on Windows"
+function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg(e|A|iOS)?\//], ['Opera', /OPR\//], ['Chrome', /Chrome\/|CriOS\//],
+    ['Firefox', /Firefox\/|FxiOS\//], ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Windows', /Windows/], ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/],
+    ['macOS', /Mac OS X|Macintosh/], ['Linux', /Linux/]
+  ];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return userAgent.substring(0, 60);
+  return [browser?.[0] || 'Unknown browser', system?.[0]].filter(Boolean).join(' on ');
+}
+
+// List the active sessions (signed-in devices) of the current account
+router.get('/sessions', authenticateUser, async (req, res) => {
+  try {
+    const sessions = await sessionService.listActiveSessions(req.admin.id);
+    res.json(sessions.map(session => ({
+      id: session._id,
+      device: describeUserAgent(session.userAgent),
+      userAgent: session.userAgent,
+      ip: session.lastSeenIp || session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt || session.createdAt,
+      expiresAt: session.expiresAt,
+      current: String(session._id) === String(req.admin.sessionId)
+    })));
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+// Sign out one session of the current account (e.g. a lost laptop)
+router.delete('/sessions/:id', authenticateUser, async (req, res) => {
+  try {
+    const session = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Session.findOne({ _id: req.params.id, admin: req.admin.id, revokedAt: null })
+      : null;
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
+    await sessionService.revokeSession(session._id, 'revoked_by_user');
+    console.log(`🔒 Session ${session._id} revoked by ${req.admin.username}`);
+    res.json({
+      message: 'Session signed out',
+      current: String(session._id) === String(req.admin.sessionId)
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to sign out session' });
+  }
+});
+
+// Change password endpoint
+router.post('/change-password', authenticateUser, async (req, res) => {
+  try {
     const { currentPassword, newPassword } = req.body;
 
     if (!currentPassword || !newPassword) {
@@ -153,7 +413,7 @@ router.post('/change-password', async (req, res) => {
       return res.status(400).json({ error: 'New password must be at least 6 characters' });
     }
 
-    const admin = await Admin.findById(decoded.id);
+    const admin = await Admin.findById(req.admin.id);
     if (!admin) {
       return res.status(404).json({ error: 'Admin not found' });
     }
@@ -166,6 +426,9 @@ router.post('/change-password', async (req, res) => {
     admin.password = await bcrypt.hash(newPassword, 10);
     await admin.save();
 
+    // Keep the current session, sign out everywhere else
+    await sessionService.revokeAllSessions(admin._id, 'password_changed', req.admin.sessionId);
+
     res.json({ message: 'Password changed successfully' });
 
   } catch (error) {
@@ -174,4 +437,486 @@ router.post('/change-password', async (req, res) => {
   }
 });
 
+// Two-factor enrollment works for a logged-in admin, or mid-login with a '2fa-setup' challenge
+const authenticateForEnrollment = async (req, res, next) => {
+  try {
+    if (req.body && req.body.challengeToken) {
+      const admin = await sessionService.verifyChallengeToken(req.body.challengeToken, '2fa-setup');
+      if (!admin) {
+        return res.status(401).json({ error: 'Setup challenge is invalid or has expired. Please login again.' });
+      }
+      req.enrollingAdmin = admin;
+      req.enrollingDuringLogin = true;
+      return next();
+    }
+
+    authenticate(req, res, async () => {
+      try {
+        if (req.admin.apiKeyId) {
+          return res.status(403).json({ error: 'API keys cannot be used for this endpoint' });
+        }
+        req.enrollingAdmin = await Admin.findById(req.admin.id);
+        next();
+      } catch (error) {
+        next(error);
+      }
+    });
+  } catch (error) {
+    console.error('2FA enrollment auth error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+};
+
+// Two-factor status of the current account
+router.get('/2fa/status', authenticateUser, async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin.id);
+    res.json({
+      enabled: !!admin.twoFactor?.enabled,
+      enabledAt: admin.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: admin.twoFactor?.recoveryCodeHashes?.length || 0,
+      required: await isTwoFactorRequired(admin.organization)
+    });
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({ error: 'Failed to get two-factor status' });
+  }
+});
+
+// Start enrollment: returns the secret, otpauth URI and QR code
+router.post('/2fa/setup', authenticateForEnrollment, async (req, res) => {
+  try {
+    const admin = req.enrollingAdmin;
+
+    if (admin.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = totpService.generateSecret();
+    admin.twoFactor = admin.twoFactor || {};
+    admin.twoFactor.pendingSecret = encrypt(secret);
+    await admin.save();
+
+    const provisioning = await totpService.buildProvisioningData(secret, admin.email);
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      ...provisioning
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Confirm enrollment with a first code - returns the recovery codes once
+router.post('/2fa/enable', authenticateForEnrollment, async (req, res) => {
+  try {
+    const admin = req.enrollingAdmin;
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code from your authenticator app is required' });
+    }
+    if (admin.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!admin.twoFactor?.pendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = totpService.verifyCode(decrypt(admin.twoFactor.pendingSecret), code);
+    if (step === null) {
+      return res.status(401).json({ error: 'Invalid two-factor authentication code' });
+    }
+
+    admin.twoFactor.enabled = true;
+    admin.twoFactor.secret = admin.twoFactor.pendingSecret;
+    admin.twoFactor.pendingSecret = undefined;
+    admin.twoFactor.enabledAt = new Date();
+    admin.twoFactor.lastUsedStep = step;
+    const recoveryCodes = issueRecoveryCodes(admin);
+
+    console.log(`🔐 Two-factor authentication enabled for ${admin.username}`);
+
+    // Enrollment that was forced during login finishes the login
+    if (req.enrollingDuringLogin) {
+      return completeLogin(admin, req, res, { recoveryCodes });
+    }
+
+    await admin.save();
+    res.json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Turn two-factor authentication off (needs password and a code)
+router.post('/2fa/disable', authenticateUser, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Password and a code or recovery code are required' });
+    }
+
+    const admin = await Admin.findById(req.admin.id);
+    if (await isTwoFactorRequired(admin.organization)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for all accounts' });
+    }
+
+    if (!admin.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    // Codes are only consumed once the password checks out
+    const isPasswordValid = await bcrypt.compare(password, admin.password);
+    const verified = isPasswordValid && (code ? await verifyTwoFactorCode(admin, code) : await useRecoveryCode(admin, recoveryCode));
+    if (!isPasswordValid || !verified) {
+      return res.status(401).json({ error: 'Invalid password or two-factor code' });
+    }
+
+    admin.twoFactor = { enabled: false };
+    await admin.save();
+
+    console.log(`🔓 Two-factor authentication disabled for ${admin.username}`);
+    res.json({ message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// Replace all recovery codes
+router.post('/2fa/recovery-codes', authenticateUser, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const admin = await Admin.findById(req.admin.id);
+
+    if (!admin.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!code || !(await verifyTwoFactorCode(admin, code))) {
+      return res.status(401).json({ error: 'Invalid two-factor authentication code' });
+    }
+
+    const recoveryCodes = issueRecoveryCodes(admin);
+    await admin.save();
+
+    res.json({
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to generate recovery codes' });
+  }
+});
+
+// Organization-wide two-factor policy
+router.get('/2fa/policy', authenticateUser, requirePermission(PERMISSIONS.SECURITY_MANAGE), async (req, res) => {
+  try {
+    const required = await isTwoFactorRequired(req.organizationId);
+    const withoutTwoFactor = await Admin.countDocuments({
+      organization: req.organizationId,
+      status: 'active',
+      'twoFactor.enabled': { $ne: true }
+    });
+    res.json({ required: !!required, accountsWithoutTwoFactor: withoutTwoFactor });
+  } catch (error) {
+    console.error('2FA policy error:', error);
+    res.status(500).json({ error: 'Failed to get two-factor policy' });
+  }
+});
+
+// Require (or stop requiring) two-factor authentication for every role
+router.put('/2fa/policy', authenticateUser, auditTrail('security.2fa_policy_change', 'setting'), requirePermission(PERMISSIONS.SECURITY_MANAGE), async (req, res) => {
+  try {
+    const { required, revokeSessionsWithoutTwoFactor = false } = req.body;
+
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({ error: 'required must be true or false' });
+    }
+
+    await Setting.setValue(twoFactorPolicyKey(req.organizationId), required, req.admin.id);
+
+    // Optionally sign out accounts that have not enrolled, so the policy applies now
+    let sessionsRevoked = 0;
+    if (required && revokeSessionsWithoutTwoFactor) {
+      const admins = await Admin.find({
+        organization: req.organizationId,
+        'twoFactor.enabled': { $ne: true }
+      }).select('_id');
+      for (const admin of admins) {
+        const keep = String(admin._id) === String(req.admin.id) ? req.admin.sessionId : null;
+        sessionsRevoked += await sessionService.revokeAllSessions(admin._id, '2fa_required', keep);
+      }
+    }
+
+    console.log(`🔐 Two-factor policy set to ${required ? 'required' : 'optional'} by ${req.admin.username}`);
+    res.locals.auditTargetId = twoFactorPolicyKey(req.organizationId);
+    res.locals.auditMetadata = { required, sessionsRevoked };
+    res.json({ required, sessionsRevoked });
+
+  } catch (error) {
+    console.error('2FA policy update error:', error);
+    res.status(500).json({ error: 'Failed to update two-factor policy' });
+  }
+});
+
+// Single sign-on through an OpenID Connect provider (public)
+// Whether SSO is configured, so the login page can show the button
+router.get('/oidc/config', (req, res) => {
+  res.json({ enabled: oidcService.isEnabled() });
+});
+
+// Start SSO: redirect the browser to the identity provider
+router.get('/oidc/login', async (req, res) => {
+  if (!oidcService.isEnabled()) {
+    return res.status(404).json({ error: 'Single sign-on is not configured' });
+  }
+
+  try {
+    res.redirect(await oidcService.getAuthorizationUrl());
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    res.status(502).json({ error: 'Could not reach the identity provider' });
+  }
+});
+
+// Link SSO to the signed-in account (needed when an account with the same
+// email can't be linked automatically on first SSO login). Answers with the
+// provider URL to send the browser to.
+router.post('/oidc/link', authenticateUser, async (req, res) => {
+  if (!oidcService.isEnabled()) {
+    return res.status(404).json({ error: 'Single sign-on is not configured' });
+  }
+
+  try {
+    res.json({ url: await oidcService.getAuthorizationUrl({ linkAdminId: req.admin.id }) });
+  } catch (error) {
+    console.error('OIDC link error:', error);
+    res.status(502).json({ error: 'Could not reach the identity provider' });
+  }
+});
+
+// Provider callback: sign the user in and hand the tokens to the frontend.
+// Tokens go in the URL fragment so they never reach server logs.
+// Two-factor authentication applies as for password logins.
+router.get('/oidc/callback', async (req, res) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const fail = (message) => {
+    res.redirect(`${frontendUrl}/login?${new URLSearchParams({ ssoError: message }).toString()}`);
+  };
+  const finish = (params) => {
+    res.redirect(`${frontendUrl}/sso/callback#${new URLSearchParams(params).toString()}`);
+  };
+
+  if (!oidcService.isEnabled()) {
+    return res.status(404).json({ error: 'Single sign-on is not configured' });
+  }
+  if (req.query.error) {
+    return fail(req.query.error_description || req.query.error);
+  }
+
+  try {
+    const { claims, linkAdminId } = await oidcService.handleCallback({ code: req.query.code, state: req.query.state });
+
+    let admin;
+    try {
+      admin = linkAdminId
+        ? await oidcService.linkAdmin(linkAdminId, claims)
+        : await oidcService.findOrProvisionAdmin(claims);
+    } catch (error) {
+      console.warn(`⚠️  SSO ${linkAdminId ? 'link' : 'login'} rejected for ${claims.email || claims.sub}: ${error.message}`);
+      return fail(error.message);
+    }
+
+    if (linkAdminId) {
+      return finish({ linked: 'true' });
+    }
+    if (admin.status === 'disabled') {
+      return fail('Account is disabled. Contact your administrator.');
+    }
+
+    // Same second step as the password login
+    if (admin.twoFactor?.enabled) {
+      return finish({ twoFactorRequired: 'true', challengeToken: sessionService.signChallengeToken(admin, '2fa') });
+    }
+    if (await isTwoFactorRequired(admin.organization)) {
+      return finish({ twoFactorSetupRequired: 'true', challengeToken: sessionService.signChallengeToken(admin, '2fa-setup') });
+    }
+
+    const { accessToken, refreshToken, expiresIn } = await startLogin(admin, req);
+    console.log(`🔐 SSO login: ${admin.username}`);
+
+    finish({ token: accessToken, refreshToken, expiresIn: String(expiresIn) });
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    fail('Single sign-on failed. Please try again.');
+  }
+});
+
+// Store a reset token for the account and email it the link
+async function sendPasswordReset(admin) {
+  const resetToken = generateToken();
+  admin.passwordResetTokenHash = hashToken(resetToken);
+  admin.passwordResetExpiresAt = new Date(Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000);
+  await admin.save();
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const resetUrl = `${frontendUrl}/reset-password?token=${resetToken}`;
+
+  await mailer.sendMail({
+    to: admin.email,
+    subject: 'Reset your password',
+    text: `Hi ${admin.username},
+
+We received a request to reset your password. Use the link below to choose a new one:
+
+${resetUrl}
+
+This link expires in ${PASSWORD_RESET_EXPIRES_MINUTES} minutes and can only be used once.
+If you did not request a reset, you can ignore this email.`
+  });
+}
+
+// Request a password reset email (public)
+// Always answers the same way so it can't be used to discover accounts
+router.post('/forgot-password', async (req, res) => {
+  const genericResponse = {
+    message: 'If an account exists for that email, a password reset link has been sent.'
+  };
+
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+    const clientIp = req.ip || req.connection?.remoteAddress;
+    const throttle = await loginThrottle.checkPasswordResetAllowed(clientIp, normalizedEmail);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        error: 'Too many password reset requests. Please try again later.',
+        retryAfter: throttle.retryAfter
+      });
+    }
+
+    const admin = await Admin.findOne({ email: normalizedEmail, status: 'active' });
+
+    // Answer before doing any work for the account, so the response time
+    // doesn't tell whether it exists
+    res.json(genericResponse);
+
+    if (admin) {
+      sendPasswordReset(admin).catch(error => console.error('Password reset email error:', error));
+    }
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.json(genericResponse);
+  }
+});
+
+// Set a new password with a reset token (public)
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({ error: 'Reset token and new password are required' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ error: 'New password must be at least 6 characters' });
+    }
+
+    const admin = await Admin.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpiresAt: { $gt: new Date() },
+      status: 'active'
+    });
+
+    if (!admin) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    admin.password = await bcrypt.hash(newPassword, 10);
+    admin.passwordResetTokenHash = undefined;
+    admin.passwordResetExpiresAt = undefined;
+    admin.tokenVersion = (admin.tokenVersion || 0) + 1;
+    await admin.save();
+
+    // Sign out everywhere and clear any lockout from the forgotten password
+    await sessionService.revokeAllSessions(admin._id, 'password_reset');
+    await loginThrottle.unlockAccount(`id:${admin._id}`);
+
+    console.log(`🔑 Password reset via email link for ${admin.username}`);
+    res.json({ message: 'Password has been reset. You can now login.' });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Accept an invitation and set the account password (public)
+router.post('/accept-invite', async (req, res) => {
+  try {
+    const { token, password, username } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Invite token and password are required' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    const admin = await Admin.findOne({
+      inviteTokenHash: hashToken(token),
+      status: 'invited',
+      inviteExpiresAt: { $gt: new Date() }
+    });
+
+    if (!admin) {
+      return res.status(400).json({ error: 'Invitation is invalid or has expired' });
+    }
+
+    if (username && username !== admin.username) {
+      const taken = await Admin.exists({ username });
+      if (taken) {
+        return res.status(409).json({ error: 'Username is already taken' });
+      }
+      admin.username = username;
+    }
+
+    admin.password = await bcrypt.hash(password, 10);
+    admin.status = 'active';
+    admin.inviteTokenHash = undefined;
+    admin.inviteExpiresAt = undefined;
+    await admin.save();
+
+    res.json({
+      message: 'Invitation accepted. You can now login.',
+      username: admin.username
+    });
+
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
 module.exports = { router, ensureDefaultAdmin };
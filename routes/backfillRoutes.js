@@ -0,0 +1,204 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const BackfillJob = require('../models/BackfillJob');
+const MailboxAccount = require('../models/MailboxAccount');
+const Token = require('../models/Token');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { auditTrail } = require('../services/auditService');
+const { tenantFilter } = require('../services/tenantService');
+const backfillService = require('../services/backfillService');
+
+router.use(requirePermission(PERMISSIONS.MAILBOXES_MANAGE));
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+/**
+ * Parse the date range of a backfill. Both days are included.
+ * @returns {{ error?: string, since?: Date, before?: Date }}
+ */
+function parseDateRange(from, to) {
+  if (!DATE_ONLY.test(from || '') || !DATE_ONLY.test(to || '')) {
+    return { error: 'from and to are required (YYYY-MM-DD)' };
+  }
+  const since = new Date(`${from}T00:00:00.000Z`);
+  const before = new Date(`${to}T00:00:00.000Z`);
+  if (isNaN(since.getTime()) || isNaN(before.getTime())) {
+    return { error: 'Invalid date' };
+  }
+  before.setUTCDate(before.getUTCDate() + 1);
+  if (since >= before) {
+    return { error: 'from must be on or before to' };
+  }
+  if (since > new Date()) {
+    return { error: 'from is in the future' };
+  }
+  return { since, before };
+}
+
+// One import at a time per mailbox, the provider would throttle two
+function hasActiveJob(job) {
+  return BackfillJob.exists({
+    _id: { $ne: job._id },
+    organization: job.organization,
+    status: { $in: ACTIVE_STATUSES },
+    ...(job.source === 'imap' ? { mailbox: job.mailbox } : { graphAccount: job.graphAccount })
+  });
+}
+
+async function loadJob(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: 'Backfill not found' });
+    return null;
+  }
+  const job = await BackfillJob.findOne(tenantFilter(req, { _id: req.params.id }));
+  if (!job) {
+    res.status(404).json({ error: 'Backfill not found' });
+  }
+  return job;
+}
+
+// List recent backfills
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const jobs = await BackfillJob.find(tenantFilter(req, filter))
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 50, 200));
+    res.json(jobs.map(backfillService.toPublicJob));
+  } catch (error) {
+    console.error('List backfills error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get one backfill with its progress
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+    res.json(backfillService.toPublicJob(job));
+  } catch (error) {
+    console.error('Get backfill error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start a backfill of a mailbox ({ mailboxId }) or a connected Outlook
+// account ({ graphAccount }) for a date range. Progress is sent to the
+// caller's sockets as 'backfillProgress' events.
+router.post('/', auditTrail('backfill.start', 'backfill'), async (req, res) => {
+  try {
+    const { mailboxId, graphAccount, folders, from, to } = req.body;
+
+    if (!mailboxId === !graphAccount) {
+      return res.status(400).json({ error: 'Provide either mailboxId or graphAccount' });
+    }
+    const { error, since, before } = parseDateRange(from, to);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const job = new BackfillJob({
+      organization: req.organizationId,
+      createdBy: req.admin.id,
+      since,
+      before
+    });
+
+    if (mailboxId) {
+      if (!mongoose.Types.ObjectId.isValid(mailboxId) ||
+          !(await MailboxAccount.exists(tenantFilter(req, { _id: mailboxId })))) {
+        return res.status(404).json({ error: 'Mailbox not found' });
+      }
+      if (folders !== undefined && (!Array.isArray(folders) || folders.some(folder => typeof folder !== 'string' || !folder.trim()))) {
+        return res.status(400).json({ error: 'folders must be a list of folder names' });
+      }
+      job.source = 'imap';
+      job.mailbox = mailboxId;
+      job.folders = (folders || []).map(folder => folder.trim());
+    } else {
+      const accountEmail = String(graphAccount).toLowerCase();
+      if (!(await Token.exists(tenantFilter(req, { accountEmail })))) {
+        return res.status(404).json({ error: 'Outlook account not connected' });
+      }
+      job.source = 'graph';
+      job.graphAccount = accountEmail;
+    }
+
+    if (await hasActiveJob(job)) {
+      return res.status(409).json({ error: 'A backfill is already running for this mailbox' });
+    }
+
+    await job.save();
+    const started = await backfillService.startJob(job._id, req.app.get('io'));
+
+    console.log(`📚 Backfill ${job._id} ${started ? 'started' : 'queued'} by ${req.admin.username}`);
+    res.locals.auditTargetId = job._id;
+    res.locals.auditMetadata = {
+      source: job.source,
+      mailbox: job.mailbox,
+      graphAccount: job.graphAccount,
+      from,
+      to
+    };
+    res.status(202).json(backfillService.toPublicJob(await BackfillJob.findById(job._id)));
+  } catch (error) {
+    console.error('Start backfill error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a queued or running backfill
+router.post('/:id/cancel', auditTrail('backfill.cancel', 'backfill'), async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    const cancelled = await backfillService.cancelJob(job._id);
+    if (!cancelled) {
+      return res.status(400).json({ error: `Backfill is already ${job.status}` });
+    }
+
+    res.locals.auditTargetId = job._id;
+    res.json(backfillService.toPublicJob(cancelled));
+  } catch (error) {
+    console.error('Cancel backfill error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Continue a failed or cancelled backfill from where it stopped
+router.post('/:id/resume', auditTrail('backfill.resume', 'backfill'), async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      return res.status(400).json({ error: `Backfill is ${job.status}` });
+    }
+    if (await hasActiveJob(job)) {
+      return res.status(409).json({ error: 'Another backfill is running for this mailbox' });
+    }
+
+    const resumed = await BackfillJob.findOneAndUpdate(
+      { _id: job._id, status: job.status },
+      { status: 'queued', $unset: { finishedAt: 1, heartbeatAt: 1 } },
+      { new: true }
+    );
+    if (!resumed) {
+      return res.status(409).json({ error: 'Backfill changed, please reload' });
+    }
+    await backfillService.startJob(job._id, req.app.get('io'));
+
+    res.locals.auditTargetId = job._id;
+    res.json(backfillService.toPublicJob(await BackfillJob.findById(job._id)));
+  } catch (error) {
+    console.error('Resume backfill error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,15 +3,20 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs-extra');
-const pdfParse = require('pdf-parse');
 const mongoose = require('mongoose');
 const { extractResumeData } = require('../services/pdfParser');
+const { SUPPORTED_FORMATS, detectDocumentType, isSupportedDocument, isImageType, getContentType, getExtension, extractText, convertToPdf } = require('../services/documentConverter');
 const graphService = require('../services/graphService');
 const Email = require('../models/Resume');
 const { s3Client, bucketName } = require('../config/s3');
 const { Upload } = require("@aws-sdk/lib-storage");
 const { GetObjectCommand } = require("@aws-sdk/client-s3");
 const { streamToBuffer } = require('../utils/streamUtils'); // I'll need to create this or use a simple implementation
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { auditTrail } = require('../services/auditService');
+const { emitNewEmail } = require('../services/socketService');
+const { tenantFilter } = require('../services/tenantService');
 
 // Configure multer for file uploads
 const uploadsDir = path.join(__dirname, '../uploads');
@@ -34,10 +39,10 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024 // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    if (isSupportedDocument(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed'), false);
+      cb(new Error(`Only ${SUPPORTED_FORMATS} files are allowed`), false);
     }
   }
 });
@@ -57,12 +62,22 @@ router.get('/login', async (req, res) => {
   }
 });
 
+// Authorization URL that connects an Outlook mailbox to the caller's organization
+router.get('/outlook/connect-url', requirePermission(PERMISSIONS.MAILBOXES_MANAGE), async (req, res) => {
+  try {
+    const url = await graphService.getAuthUrl(req.organizationId);
+    res.json({ url });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 router.get('/callback', async (req, res) => {
-  const { code } = req.query;
+  const { code, state } = req.query;
   if (!code) return res.status(400).send('No code provided');
 
   try {
-    const email = await graphService.redeemCode(code);
+    const email = await graphService.redeemCode(code, state);
     res.send(`
       <div style="font-family: sans-serif; text-align: center; padding-top: 50px;">
         <h1 style="color: #28a745;">✅ Authorization Successful!</h1>
@@ -76,9 +91,11 @@ router.get('/callback', async (req, res) => {
 });
 
 // Get all emails
-router.get('/', async (req, res) => {
+router.get('/', auditTrail('resume.list', 'resume'), requirePermission(PERMISSIONS.RESUMES_READ), async (req, res) => {
   try {
-    const emails = await Email.find().sort({ receivedAt: -1, createdAt: -1 });
+    // ?tag= narrows the list to candidates tagged by an ingestion rule
+    const filter = req.query.tag ? { tags: String(req.query.tag) } : {};
+    const emails = await Email.find(tenantFilter(req, filter)).sort({ receivedAt: -1, createdAt: -1 });
     
     // Log summary for debugging
     const withAttachments = emails.filter(e => e.hasAttachment).length;
@@ -86,6 +103,7 @@ router.get('/', async (req, res) => {
     const withLocalPath = emails.filter(e => e.attachmentData?.pdfPath && !e.attachmentData?.pdfPath?.startsWith('http')).length;
     
     console.log(`📊 Email summary: ${emails.length} total, ${withAttachments} with attachments, ${withCloudinary} in Cloudinary, ${withLocalPath} local files`);
+    res.locals.auditMetadata = { count: emails.length };
     
     res.json(emails);
   } catch (error) {
@@ -94,9 +112,9 @@ router.get('/', async (req, res) => {
 });
 
 // Get email count (must be before /:id route)
-router.get('/stats/count', async (req, res) => {
+router.get('/stats/count', requirePermission(PERMISSIONS.RESUMES_READ), async (req, res) => {
   try {
-    const count = await Email.countDocuments();
+    const count = await Email.countDocuments(tenantFilter(req));
     res.json({ count });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -119,11 +137,17 @@ async function processUploadedResume(file, req) {
   console.log(`   Original name: ${file.originalname}`);
   console.log(`   Size: ${file.size} bytes`);
 
-  // Read PDF file
-  const pdfBuffer = await fs.readFile(file.path);
-  
-  // STEP 1: Upload PDF to AWS S3 FIRST
-  console.log('☁️  Step 1: Uploading PDF to AWS S3...');
+  // Read the uploaded document
+  const fileBuffer = await fs.readFile(file.path);
+  const fileType = detectDocumentType({ filename: file.originalname, contentType: file.mimetype, buffer: fileBuffer });
+  if (!fileType) {
+    await fs.remove(file.path);
+    throw new Error(`Unsupported file type. Upload a ${SUPPORTED_FORMATS} file.`);
+  }
+  const contentType = getContentType(fileType);
+
+  // STEP 1: Upload the original file to AWS S3 FIRST
+  console.log(`☁️  Step 1: Uploading ${fileType.toUpperCase()} to AWS S3...`);
   let s3Result = null;
   let s3Url = null;
   let s3Key = null;
@@ -142,15 +166,15 @@ async function processUploadedResume(file, req) {
       params: {
         Bucket: bucketName,
         Key: s3Key,
-        Body: pdfBuffer,
-        ContentType: 'application/pdf',
+        Body: fileBuffer,
+        ContentType: contentType,
       },
     });
 
     s3Result = await upload.done();
     s3Url = s3Result.Location;
     
-    console.log('✅ PDF uploaded to AWS S3 successfully!');
+    console.log('✅ File uploaded to AWS S3 successfully!');
     console.log(`   URL: ${s3Url}`);
     console.log(`   Key: ${s3Key}`);
     
@@ -159,18 +183,17 @@ async function processUploadedResume(file, req) {
     console.error(`⚠️  Continuing with local storage as fallback...`);
   }
 
-  // STEP 2: Extract data from PDF
-  console.log('📄 Step 2: Parsing PDF and extracting data...');
+  // STEP 2: Extract data from the document
+  console.log(`📄 Step 2: Parsing ${fileType.toUpperCase()} and extracting data...`);
   
-  const pdfData = await pdfParse(pdfBuffer);
-  const pdfText = pdfData.text;
+  const pdfText = await extractText(fileBuffer, fileType);
 
   if (!pdfText || pdfText.length === 0) {
     // Clean up local file if S3 succeeded
     if (s3Url) {
       await fs.remove(file.path);
     }
-    throw new Error('PDF file appears to be empty or could not be parsed');
+    throw new Error('Document appears to be empty or could not be parsed');
   }
 
   // Extract resume data
@@ -183,6 +206,27 @@ async function processUploadedResume(file, req) {
     role: extractedData.role
   });
 
+  // PDF rendition for preview (Word/RTF/ODT, when LibreOffice is available)
+  let previewPdfPath = null;
+  let previewS3Key = null;
+  const previewPdf = fileType === 'pdf' ? null : await convertToPdf(fileBuffer, fileType);
+  if (previewPdf) {
+    const previewName = `${path.basename(file.filename, path.extname(file.filename))}_preview.pdf`;
+    try {
+      previewS3Key = `resumes/${previewName}`;
+      const previewUpload = await new Upload({
+        client: s3Client,
+        params: { Bucket: bucketName, Key: previewS3Key, Body: previewPdf, ContentType: 'application/pdf' },
+      }).done();
+      previewPdfPath = previewUpload.Location;
+    } catch (s3Error) {
+      console.error(`❌ AWS S3 preview upload failed: ${s3Error.message}`);
+      previewS3Key = null;
+      previewPdfPath = path.join(uploadsDir, previewName);
+      await fs.writeFile(previewPdfPath, previewPdf);
+    }
+  }
+
   // Check MongoDB connection before saving
   if (mongoose.connection.readyState !== 1) {
     console.error('❌ MongoDB not connected');
@@ -206,12 +250,18 @@ Extracted Information:
 ${JSON.stringify(extractedData, null, 2)}`,
     receivedAt: new Date(),
     emailId: `upload_${Date.now()}_${Math.random().toString(36).substring(7)}`,
+    organization: req.organizationId,
     hasAttachment: true,
     attachmentData: {
       ...extractedData,
       s3Url: s3Url || null,
       s3Key: s3Key || null,
       pdfPath: s3Url || file.path, // Use S3 URL if available, otherwise local path
+      originalFileName: file.originalname,
+      fileType,
+      contentType,
+      previewPdfPath,
+      previewS3Key,
       rawText: pdfText.substring(0, 5000) // Store first 5000 chars
     }
   };
@@ -233,7 +283,7 @@ ${JSON.stringify(extractedData, null, 2)}`,
   // Emit socket event for real-time update
   const io = req.app.get('io');
   if (io) {
-    io.emit('newEmail', {
+    emitNewEmail(io, {
       message: 'New resume uploaded!',
       email: savedResume
     });
@@ -243,7 +293,7 @@ ${JSON.stringify(extractedData, null, 2)}`,
 }
 
 // Upload multiple resume files (must be before /:id route)
-router.post('/upload', (req, res, next) => {
+router.post('/upload', auditTrail('resume.upload', 'resume'), requirePermission(PERMISSIONS.RESUMES_WRITE), (req, res, next) => {
   upload.array('resumes', 10)(req, res, (err) => {
     if (err) {
       console.error('❌ Multer upload error:', err);
@@ -260,7 +310,7 @@ router.post('/upload', (req, res, next) => {
 }, async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: 'No file uploaded. Please select at least one PDF file.' });
+      return res.status(400).json({ error: `No file uploaded. Please select at least one resume (${SUPPORTED_FORMATS}).` });
     }
 
     const results = [];
@@ -274,6 +324,9 @@ router.post('/upload', (req, res, next) => {
       }
     }
 
+    res.locals.auditTargetId = results.filter(r => r.status === 'success').map(r => r.resume._id).join(',');
+    res.locals.auditMetadata = { files: results.map(r => ({ file: r.file, status: r.status })) };
+
     res.json({
       message: 'Upload processed',
       results
@@ -287,8 +340,8 @@ router.post('/upload', (req, res, next) => {
   }
 });
 
-// Download PDF route (must be before /:id route)
-router.get('/download/:id', async (req, res) => {
+// Download the original resume file (must be before /:id route)
+router.get('/download/:id', auditTrail('resume.download', 'resume'), requirePermission(PERMISSIONS.RESUMES_DOWNLOAD), async (req, res) => {
   try {
     console.log(`📥 Download request received for ID: ${req.params.id}`);
     console.log(`📥 Full URL: ${req.originalUrl}`);
@@ -299,7 +352,7 @@ router.get('/download/:id', async (req, res) => {
       return res.status(503).json({ error: 'Database not connected', message: 'MongoDB connection is not established.' });
     }
 
-    const email = await Email.findById(req.params.id);
+    const email = await Email.findOne(tenantFilter(req, { _id: req.params.id }));
     if (!email) {
       console.error(`❌ Resume not found with ID: ${req.params.id}`);
       return res.status(404).json({ error: 'Resume not found' });
@@ -319,7 +372,10 @@ router.get('/download/:id', async (req, res) => {
     // Get the original filename for download
     const originalName = email.attachmentData?.name || email.fromName || 'resume';
     const sanitizedName = originalName.replace(/[^a-zA-Z0-9.-]/g, '_');
-    const filename = `${sanitizedName}_resume.pdf`;
+    // Word/RTF/ODT resumes are served as they were sent; older records are all PDFs
+    const fileType = email.attachmentData.fileType || 'pdf';
+    const contentType = email.attachmentData.contentType || getContentType(fileType);
+    const filename = `${sanitizedName}_resume${getExtension(fileType) || '.pdf'}`;
 
     const https = require('https');
     const http = require('http');
@@ -394,7 +450,7 @@ router.get('/download/:id', async (req, res) => {
           const pdfBuffer = await streamToBuffer(Body);
           
           if (pdfBuffer) {
-            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Type', contentType);
             res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
             res.setHeader('Content-Length', pdfBuffer.length);
             res.send(pdfBuffer);
@@ -425,7 +481,7 @@ router.get('/download/:id', async (req, res) => {
           
           if (pdfBuffer) {
             console.log(`✅ Successfully downloaded PDF via presigned URL`);
-            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Type', contentType);
             res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
             res.setHeader('Content-Length', pdfBuffer.length);
             res.send(pdfBuffer);
@@ -454,7 +510,7 @@ router.get('/download/:id', async (req, res) => {
                 const pdfBuffer = await fetchFromUrl(url);
                 if (pdfBuffer) {
                   console.log(`✅ Successfully downloaded PDF via HTTP from S3`);
-                  res.setHeader('Content-Type', 'application/pdf');
+                  res.setHeader('Content-Type', contentType);
                   res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
                   res.setHeader('Content-Length', pdfBuffer.length);
                   res.send(pdfBuffer);
@@ -541,7 +597,7 @@ router.get('/download/:id', async (req, res) => {
         }
 
         if (pdfBuffer) {
-          res.setHeader('Content-Type', 'application/pdf');
+          res.setHeader('Content-Type', contentType);
           res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
           res.setHeader('Content-Length', pdfBuffer.length);
           res.send(pdfBuffer);
@@ -599,7 +655,7 @@ router.get('/download/:id', async (req, res) => {
           console.log(`✅ PDF fetched from URL, size: ${pdfBuffer.length} bytes`);
           console.log(`📤 Sending PDF to client as: ${filename}`);
 
-          res.setHeader('Content-Type', 'application/pdf');
+          res.setHeader('Content-Type', contentType);
           res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
           res.setHeader('Content-Length', pdfBuffer.length);
           res.send(pdfBuffer);
@@ -641,7 +697,7 @@ router.get('/download/:id', async (req, res) => {
     // Use res.sendFile with absolute path
     res.sendFile(pdfPath, {
       headers: {
-        'Content-Type': 'application/pdf',
+        'Content-Type': contentType,
         'Content-Disposition': `attachment; filename="${filename}"`
       }
     }, (err) => {
@@ -664,15 +720,64 @@ router.get('/download/:id', async (req, res) => {
   }
 });
 
+// Show the resume inline: the original when it is a PDF or a picture,
+// otherwise its PDF rendition (must be before /:id route)
+router.get('/preview/:id', auditTrail('resume.preview', 'resume'), requirePermission(PERMISSIONS.RESUMES_DOWNLOAD), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+    const email = await Email.findOne(tenantFilter(req, { _id: req.params.id }));
+    if (!email) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    const data = email.attachmentData || {};
+    const fileType = data.fileType || 'pdf';
+    const showOriginal = fileType === 'pdf' || isImageType(fileType);
+    const s3Key = showOriginal ? data.s3Key : data.previewS3Key;
+    const filePath = showOriginal ? data.pdfPath : data.previewPdfPath;
+
+    if (!email.hasAttachment || (!s3Key && !filePath)) {
+      return res.status(404).json({ error: 'No preview available for this resume' });
+    }
+
+    let fileBuffer = null;
+    if (s3Key) {
+      const { Body } = await s3Client.send(new GetObjectCommand({ Bucket: bucketName, Key: s3Key }));
+      fileBuffer = await streamToBuffer(Body);
+    } else if (!filePath.startsWith('http')) {
+      const localPath = path.isAbsolute(filePath) ? filePath : path.resolve(__dirname, '..', filePath);
+      if (!(await fs.pathExists(localPath))) {
+        return res.status(404).json({ error: 'File not found on server' });
+      }
+      fileBuffer = await fs.readFile(localPath);
+    } else {
+      // Legacy Cloudinary/URL-only records
+      return res.redirect(filePath);
+    }
+
+    res.setHeader('Content-Type', showOriginal ? (data.contentType || getContentType(fileType)) : 'application/pdf');
+    res.setHeader('Content-Disposition', 'inline');
+    res.setHeader('Content-Length', fileBuffer.length);
+    res.send(fileBuffer);
+  } catch (error) {
+    console.error('❌ Error loading resume preview:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message || 'Failed to load preview' });
+    }
+  }
+});
+
 // Get a single email by ID (must be after specific routes like /download/:id)
-router.get('/:id', async (req, res) => {
+router.get('/:id', auditTrail('resume.view', 'resume'), requirePermission(PERMISSIONS.RESUMES_READ), async (req, res) => {
   // Don't match if this is a download request (should be caught by /download/:id)
   if (req.path.includes('/download')) {
     return res.status(404).json({ error: 'Route not found' });
   }
   
   try {
-    const email = await Email.findById(req.params.id);
+    const email = await Email.findOne(tenantFilter(req, { _id: req.params.id }));
     if (!email) {
       return res.status(404).json({ error: 'Email not found' });
     }
@@ -683,12 +788,17 @@ router.get('/:id', async (req, res) => {
 });
 
 // Delete an email
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', auditTrail('resume.delete', 'resume'), requirePermission(PERMISSIONS.RESUMES_DELETE), async (req, res) => {
   try {
-    const email = await Email.findByIdAndDelete(req.params.id);
+    const email = await Email.findOneAndDelete(tenantFilter(req, { _id: req.params.id }));
     if (!email) {
       return res.status(404).json({ error: 'Email not found' });
     }
+    res.locals.auditMetadata = {
+      candidateName: email.attachmentData?.name,
+      from: email.from,
+      subject: email.subject
+    };
     res.json({ message: 'Email deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -696,7 +806,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Add resume from URL
-router.post('/add-from-url', async (req, res) => {
+router.post('/add-from-url', auditTrail('resume.add_from_url', 'resume'), requirePermission(PERMISSIONS.RESUMES_WRITE), async (req, res) => {
   try {
     const { url } = req.body;
     
@@ -722,7 +832,6 @@ router.post('/add-from-url', async (req, res) => {
     const http = require('http');
     const fs = require('fs-extra');
     const path = require('path');
-    const pdfParse = require('pdf-parse');
     const { extractResumeData } = require('../services/pdfParser');
 
     // Download PDF from URL
@@ -806,8 +915,8 @@ router.post('/add-from-url', async (req, res) => {
 
     // STEP 2: Extract data from PDF
     console.log('📄 Step 2: Parsing PDF and extracting data...');
-    const pdfData = await pdfParse(pdfBuffer);
-    const pdfText = pdfData.text;
+    // Scanned PDFs are read by OCR
+    const pdfText = await extractText(pdfBuffer, 'pdf');
 
     // Extract resume data
     console.log('🔍 Extracting resume data...');
@@ -823,6 +932,7 @@ router.post('/add-from-url', async (req, res) => {
       body: `Resume added from URL: ${url}\n\nExtracted Information:\n${JSON.stringify(extractedData, null, 2)}`,
       receivedAt: new Date(),
       emailId: `url_${timestamp}`,
+      organization: req.organizationId,
       hasAttachment: true,
       attachmentData: {
         ...extractedData,
@@ -842,11 +952,13 @@ router.post('/add-from-url', async (req, res) => {
     // Save to database
     const savedResume = await Email.create(resumeData);
     console.log(`✅ Resume saved to database: ${savedResume._id}`);
+    res.locals.auditTargetId = savedResume._id;
+    res.locals.auditMetadata = { url };
 
     // Emit socket event for real-time update
     const io = req.app.get('io');
     if (io) {
-      io.emit('newEmail', {
+      emitNewEmail(io, {
         message: 'New resume added from URL!',
         email: savedResume
       });
@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const FailedIngestion = require('../models/FailedIngestion');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { auditTrail } = require('../services/auditService');
+const { tenantFilter } = require('../services/tenantService');
+const deadLetterService = require('../services/deadLetterService');
+
+// Dead-letter queue: mail and uploads that could not be imported
+router.use(requirePermission(PERMISSIONS.MAILBOXES_MANAGE));
+
+const MAX_PAGE_SIZE = 200;
+const SOURCES = FailedIngestion.schema.path('source').enumValues;
+const STAGES = FailedIngestion.schema.path('stage').enumValues;
+const STATUSES = FailedIngestion.schema.path('status').enumValues;
+
+/**
+ * Build a MongoDB filter from query parameters:
+ * source, stage, status, mailboxId, graphAccount
+ * @returns {{filter?: object, error?: string}}
+ */
+function buildFilter(query) {
+  const filter = {};
+
+  for (const [param, values] of [['source', SOURCES], ['stage', STAGES], ['status', STATUSES]]) {
+    if (!query[param]) continue;
+    if (!values.includes(query[param])) {
+      return { error: `${param} must be one of: ${values.join(', ')}` };
+    }
+    filter[param] = query[param];
+  }
+
+  if (query.mailboxId) {
+    if (!mongoose.Types.ObjectId.isValid(query.mailboxId)) {
+      return { error: 'Invalid mailboxId' };
+    }
+    filter.mailbox = query.mailboxId;
+  }
+  if (query.graphAccount) filter.graphAccount = String(query.graphAccount).toLowerCase();
+
+  return { filter };
+}
+
+async function loadFailure(req, res, { withRaw = false } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: 'Failed ingestion not found' });
+    return null;
+  }
+  const query = FailedIngestion.findOne(tenantFilter(req, { _id: req.params.id }));
+  const failure = await (withRaw ? query.select('+raw') : query);
+  if (!failure) {
+    res.status(404).json({ error: 'Failed ingestion not found' });
+  }
+  return failure;
+}
+
+// List failures, most recent first
+router.get('/', async (req, res) => {
+  try {
+    const { filter, error } = buildFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+
+    const [entries, total] = await Promise.all([
+      FailedIngestion.find(tenantFilter(req, filter))
+        .sort({ lastFailedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      FailedIngestion.countDocuments(tenantFilter(req, filter))
+    ]);
+
+    res.json({
+      entries: entries.map(entry => deadLetterService.toPublicFailure(entry)),
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('List failed ingestions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retry every failure matching the list filters (status 'failed' only)
+router.post('/retry', auditTrail('failed_ingestion.retry_all', 'failed_ingestion'), async (req, res) => {
+  try {
+    const { filter, error } = buildFilter({ ...req.query, ...req.body, status: 'failed' });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const failures = await FailedIngestion.find(tenantFilter(req, filter)).select('_id key organization');
+    for (const failure of failures) {
+      await deadLetterService.retryFailure(failure, req.app.get('io'));
+    }
+
+    console.log(`🔁 ${failures.length} failed ingestion(s) retried by ${req.admin.username}`);
+    res.locals.auditMetadata = { filter, count: failures.length };
+    res.status(202).json({ retrying: failures.length });
+  } catch (error) {
+    console.error('Retry failed ingestions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// One failure with its job payload
+router.get('/:id', async (req, res) => {
+  try {
+    const failure = await loadFailure(req, res);
+    if (!failure) return;
+    res.json(deadLetterService.toPublicFailure(failure, { detailed: true }));
+  } catch (error) {
+    console.error('Get failed ingestion error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download the kept message source or file
+router.get('/:id/raw', async (req, res) => {
+  try {
+    const failure = await loadFailure(req, res, { withRaw: true });
+    if (!failure) return;
+    if (!failure.raw?.length) {
+      return res.status(404).json({ error: 'The raw message or file was not kept' });
+    }
+
+    const { filename, contentType } = deadLetterService.rawFile(failure);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/["\r\n]/g, '_')}"`);
+    res.send(failure.raw);
+  } catch (error) {
+    console.error('Download failed ingestion error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run a failure again: it is removed when it succeeds, back to 'failed'
+// with the new error otherwise
+router.post('/:id/retry', auditTrail('failed_ingestion.retry', 'failed_ingestion'), async (req, res) => {
+  try {
+    const failure = await loadFailure(req, res);
+    if (!failure) return;
+
+    await deadLetterService.retryFailure(failure, req.app.get('io'));
+
+    res.locals.auditTargetId = failure._id;
+    res.locals.auditMetadata = { key: failure.key, source: failure.source };
+    res.status(202).json({ ...deadLetterService.toPublicFailure(failure), status: 'retrying' });
+  } catch (error) {
+    console.error('Retry failed ingestion error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Discard a failure without importing it
+router.delete('/:id', auditTrail('failed_ingestion.discard', 'failed_ingestion'), async (req, res) => {
+  try {
+    const failure = await loadFailure(req, res);
+    if (!failure) return;
+
+    await FailedIngestion.deleteOne({ _id: failure._id });
+
+    res.locals.auditTargetId = failure._id;
+    res.locals.auditMetadata = { key: failure.key, source: failure.source, error: failure.error };
+    res.json({ message: 'Failed ingestion discarded' });
+  } catch (error) {
+    console.error('Discard failed ingestion error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
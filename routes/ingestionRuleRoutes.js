@@ -0,0 +1,324 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const IngestionRule = require('../models/IngestionRule');
+const MailboxAccount = require('../models/MailboxAccount');
+const Token = require('../models/Token');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { auditTrail } = require('../services/auditService');
+const { tenantFilter } = require('../services/tenantService');
+const { ACTIONS, evaluateRules } = require('../services/ruleEngine');
+const emailService = require('../services/emailService');
+const graphService = require('../services/graphService');
+
+router.use(requirePermission(PERMISSIONS.MAILBOXES_MANAGE));
+
+const LIST_CONDITIONS = ['folders', 'senderAllowList', 'senderDenyList', 'subjectKeywords', 'attachmentTypes'];
+
+const toPublicRule = (rule) => ({
+  id: rule._id,
+  name: rule.name,
+  mailbox: rule.mailbox,
+  graphAccount: rule.graphAccount,
+  priority: rule.priority,
+  enabled: rule.enabled,
+  conditions: {
+    folders: rule.conditions?.folders || [],
+    senderAllowList: rule.conditions?.senderAllowList || [],
+    senderDenyList: rule.conditions?.senderDenyList || [],
+    subjectKeywords: rule.conditions?.subjectKeywords || [],
+    hasAttachment: rule.conditions?.hasAttachment ?? null,
+    attachmentTypes: rule.conditions?.attachmentTypes || []
+  },
+  action: rule.action,
+  tags: rule.tags || [],
+  createdBy: rule.createdBy,
+  createdAt: rule.createdAt,
+  updatedAt: rule.updatedAt
+});
+
+// Trimmed, de-duplicated non-empty strings, or null when the value isn't a list
+function parseStringList(value) {
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) return null;
+  return [...new Set(value.map(item => item.trim()).filter(Boolean))];
+}
+
+/**
+ * Validate a rule from the request body.
+ * On update (partial) only the fields that were sent are returned.
+ * @returns {{ error?: string, value?: object }}
+ */
+function parseRuleInput(body, { partial = false } = {}) {
+  const value = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) return { error: 'name is required' };
+    value.name = body.name.trim();
+  }
+
+  if (body.action !== undefined || !partial) {
+    if (!ACTIONS.includes(body.action)) return { error: `action must be one of ${ACTIONS.join(', ')}` };
+    value.action = body.action;
+  }
+
+  if (body.tags !== undefined) {
+    const tags = parseStringList(body.tags);
+    if (!tags) return { error: 'tags must be a list of strings' };
+    value.tags = tags;
+  }
+
+  if (body.priority !== undefined) {
+    if (!Number.isInteger(body.priority)) return { error: 'priority must be an integer' };
+    value.priority = body.priority;
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') return { error: 'enabled must be true or false' };
+    value.enabled = body.enabled;
+  }
+
+  // Scope: one mailbox, one Outlook account, or (both null) every mailbox
+  for (const field of ['mailboxId', 'graphAccount']) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && (typeof body[field] !== 'string' || !body[field].trim())) {
+      return { error: `${field} must be a string or null` };
+    }
+  }
+  if (body.mailboxId && body.graphAccount) {
+    return { error: 'A rule applies to a mailbox or an Outlook account, not both' };
+  }
+  if (body.mailboxId !== undefined) {
+    if (body.mailboxId && !mongoose.Types.ObjectId.isValid(body.mailboxId)) return { error: 'Mailbox not found' };
+    value.mailbox = body.mailboxId || null;
+    if (body.mailboxId) value.graphAccount = null;
+  }
+  if (body.graphAccount !== undefined) {
+    value.graphAccount = body.graphAccount ? body.graphAccount.trim().toLowerCase() : null;
+    if (body.graphAccount) value.mailbox = null;
+  }
+
+  if (body.conditions !== undefined || !partial) {
+    const conditions = body.conditions || {};
+    if (typeof conditions !== 'object' || Array.isArray(conditions)) return { error: 'conditions must be an object' };
+
+    value.conditions = {};
+    for (const field of LIST_CONDITIONS) {
+      if (conditions[field] === undefined) continue;
+      const list = parseStringList(conditions[field]);
+      if (!list) return { error: `conditions.${field} must be a list of strings` };
+      value.conditions[field] = list;
+    }
+    if (conditions.hasAttachment !== undefined && conditions.hasAttachment !== null) {
+      if (typeof conditions.hasAttachment !== 'boolean') return { error: 'conditions.hasAttachment must be true, false or null' };
+      value.conditions.hasAttachment = conditions.hasAttachment;
+    }
+  }
+
+  return { value };
+}
+
+// The tags only mean something with ingest_and_tag, and it needs some
+function checkTags(rule) {
+  if (rule.action === 'ingest_and_tag' && !(rule.tags || []).length) {
+    return 'ingest_and_tag needs at least one tag';
+  }
+  return null;
+}
+
+// The mailbox or Outlook account of a rule must belong to the organization
+async function checkScope(req, { mailbox, graphAccount }) {
+  if (mailbox && !(await MailboxAccount.exists(tenantFilter(req, { _id: mailbox })))) {
+    return 'Mailbox not found';
+  }
+  if (graphAccount && !(await Token.exists(tenantFilter(req, { accountEmail: graphAccount })))) {
+    return 'Outlook account not connected';
+  }
+  return null;
+}
+
+async function loadRule(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: 'Rule not found' });
+    return null;
+  }
+  const rule = await IngestionRule.findOne(tenantFilter(req, { _id: req.params.id }));
+  if (!rule) {
+    res.status(404).json({ error: 'Rule not found' });
+  }
+  return rule;
+}
+
+// List rules in the order they are applied
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.mailboxId) filter.mailbox = req.query.mailboxId;
+    if (req.query.graphAccount) filter.graphAccount = String(req.query.graphAccount).toLowerCase();
+
+    const rules = await IngestionRule.find(tenantFilter(req, filter)).sort({ priority: 1, createdAt: 1 });
+    res.json(rules.map(toPublicRule));
+  } catch (error) {
+    console.error('List ingestion rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Show what a rule set would have done with recent mail of a mailbox
+// ({ mailboxId } or { graphAccount }). Without "rules" the saved rules are
+// used; with it, the given (unsaved) rules are tried instead.
+router.post('/dry-run', async (req, res) => {
+  try {
+    const { mailboxId, graphAccount } = req.body;
+    if (!mailboxId === !graphAccount) {
+      return res.status(400).json({ error: 'Provide either mailboxId or graphAccount' });
+    }
+    const days = Math.min(Math.max(parseInt(req.body.days) || 7, 1), 30);
+    const limit = Math.min(Math.max(parseInt(req.body.limit) || 50, 1), 200);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    let rules;
+    if (req.body.rules !== undefined) {
+      if (!Array.isArray(req.body.rules)) {
+        return res.status(400).json({ error: 'rules must be a list of rules' });
+      }
+      rules = [];
+      for (const [index, input] of req.body.rules.entries()) {
+        const { error, value } = parseRuleInput(input || {});
+        const tagError = !error && checkTags(value);
+        if (error || tagError) {
+          return res.status(400).json({ error: `rules[${index}]: ${error || tagError}` });
+        }
+        rules.push({ ...value, id: null, enabled: value.enabled !== false });
+      }
+    }
+
+    let messages;
+    if (mailboxId) {
+      const mailbox = mongoose.Types.ObjectId.isValid(mailboxId)
+        ? await MailboxAccount.findOne(tenantFilter(req, { _id: mailboxId }))
+        : null;
+      if (!mailbox) {
+        return res.status(404).json({ error: 'Mailbox not found' });
+      }
+      rules = rules || await emailService.loadIngestionRules(req.organizationId, { mailboxId: mailbox._id });
+      messages = await emailService.fetchRecentRuleMessages(mailbox, { since, limit });
+    } else {
+      const token = await Token.findOne(tenantFilter(req, { accountEmail: String(graphAccount).toLowerCase() }));
+      if (!token) {
+        return res.status(404).json({ error: 'Outlook account not connected' });
+      }
+      rules = rules || await emailService.loadIngestionRules(req.organizationId, { graphAccount: token.accountEmail });
+      messages = await graphService.fetchRecentRuleMessages(token.accountEmail, { since, limit });
+    }
+
+    const summary = Object.fromEntries(ACTIONS.map(action => [action, 0]));
+    const results = messages.map((message) => {
+      const decision = evaluateRules(rules, message);
+      summary[decision.action]++;
+      return {
+        date: message.date,
+        folder: message.folder,
+        from: message.from,
+        subject: message.subject,
+        attachments: message.attachments.map(attachment => attachment.filename).filter(Boolean),
+        action: decision.action,
+        tags: decision.tags,
+        rule: decision.rule ? { id: decision.rule._id || decision.rule.id, name: decision.rule.name } : null
+      };
+    });
+
+    res.json({ since, scanned: results.length, summary, messages: results });
+  } catch (error) {
+    console.error('Ingestion rule dry run error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get one rule
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await loadRule(req, res);
+    if (!rule) return;
+    res.json(toPublicRule(rule));
+  } catch (error) {
+    console.error('Get ingestion rule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a rule - it applies to the next message that arrives
+router.post('/', auditTrail('ingestion_rule.create', 'ingestion_rule'), async (req, res) => {
+  try {
+    const { error, value } = parseRuleInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const invalid = checkTags(value) || await checkScope(req, value);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const rule = await IngestionRule.create({
+      ...value,
+      organization: req.organizationId,
+      createdBy: req.admin.id
+    });
+
+    console.log(`📏 Ingestion rule "${rule.name}" (${rule.action}) added by ${req.admin.username}`);
+    res.locals.auditTargetId = rule._id;
+    res.locals.auditMetadata = { name: rule.name, action: rule.action, mailbox: rule.mailbox, graphAccount: rule.graphAccount };
+    res.status(201).json(toPublicRule(rule));
+  } catch (error) {
+    console.error('Create ingestion rule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Edit a rule
+router.patch('/:id', auditTrail('ingestion_rule.update', 'ingestion_rule'), async (req, res) => {
+  try {
+    const rule = await loadRule(req, res);
+    if (!rule) return;
+
+    const { error, value } = parseRuleInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    rule.set(value);
+    const invalid = checkTags(rule) || await checkScope(req, rule);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    await rule.save();
+
+    console.log(`📏 Ingestion rule "${rule.name}" updated by ${req.admin.username}`);
+    res.locals.auditTargetId = rule._id;
+    res.locals.auditMetadata = { fields: Object.keys(value), action: rule.action, enabled: rule.enabled };
+    res.json(toPublicRule(rule));
+  } catch (error) {
+    console.error('Update ingestion rule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a rule
+router.delete('/:id', auditTrail('ingestion_rule.delete', 'ingestion_rule'), async (req, res) => {
+  try {
+    const rule = await loadRule(req, res);
+    if (!rule) return;
+
+    await rule.deleteOne();
+
+    console.log(`🗑️  Ingestion rule "${rule.name}" removed by ${req.admin.username}`);
+    res.locals.auditTargetId = rule._id;
+    res.locals.auditMetadata = { name: rule.name, action: rule.action };
+    res.json({ message: 'Rule removed' });
+  } catch (error) {
+    console.error('Delete ingestion rule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
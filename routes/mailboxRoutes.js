@@ -0,0 +1,362 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const MailboxAccount = require('../models/MailboxAccount');
+const MailboxSyncState = require('../models/MailboxSyncState');
+const Token = require('../models/Token');
+const AutoReplyLog = require('../models/AutoReplyLog');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { encrypt } = require('../utils/crypto');
+const { auditTrail } = require('../services/auditService');
+const { tenantFilter } = require('../services/tenantService');
+const emailService = require('../services/emailService');
+const graphService = require('../services/graphService');
+const postProcessingService = require('../services/postProcessingService');
+const autoReplyService = require('../services/autoReplyService');
+
+router.use(requirePermission(PERMISSIONS.MAILBOXES_MANAGE));
+
+const MAX_PAGE_SIZE = 200;
+
+// Never return the password
+const toPublicMailbox = (mailbox) => ({
+  id: mailbox._id,
+  name: mailbox.name,
+  host: mailbox.host,
+  port: mailbox.port,
+  tls: mailbox.tls,
+  allowSelfSignedCertificate: mailbox.allowSelfSignedCertificate,
+  username: mailbox.username,
+  folders: mailbox.folders,
+  enabled: mailbox.enabled,
+  postProcessing: postProcessingService.publicSettings(mailbox.postProcessing),
+  autoReply: autoReplyService.publicSettings(mailbox.autoReply),
+  status: emailService.getMonitorStatus(mailbox._id),
+  lastConnectedAt: mailbox.lastConnectedAt,
+  lastError: mailbox.lastError,
+  lastErrorAt: mailbox.lastErrorAt,
+  createdBy: mailbox.createdBy,
+  createdAt: mailbox.createdAt,
+  updatedAt: mailbox.updatedAt
+});
+
+/**
+ * Validate mailbox settings from the request body.
+ * On update (partial) only the fields that were sent are returned.
+ * @returns {{ error?: string, value?: object }}
+ */
+function parseMailboxInput(body, { partial = false } = {}) {
+  const value = {};
+
+  for (const field of ['name', 'host', 'username']) {
+    if (body[field] === undefined && partial) continue;
+    if (typeof body[field] !== 'string' || !body[field].trim()) {
+      return { error: `${field} is required` };
+    }
+    value[field] = body[field].trim();
+  }
+
+  // An empty password on update keeps the saved one
+  if (body.password !== undefined && body.password !== '') {
+    if (typeof body.password !== 'string') return { error: 'password must be a string' };
+    value.password = encrypt(body.password);
+  } else if (!partial) {
+    return { error: 'password is required' };
+  }
+
+  if (body.port !== undefined) {
+    const port = parseInt(body.port);
+    if (!(port > 0 && port < 65536)) return { error: 'port must be between 1 and 65535' };
+    value.port = port;
+  }
+
+  for (const field of ['tls', 'allowSelfSignedCertificate', 'enabled']) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== 'boolean') return { error: `${field} must be true or false` };
+    value[field] = body[field];
+  }
+
+  if (body.folders !== undefined) {
+    const folders = Array.isArray(body.folders)
+      ? [...new Set(body.folders.filter(folder => typeof folder === 'string').map(folder => folder.trim()).filter(Boolean))]
+      : [];
+    if (folders.length === 0) return { error: 'folders must be a non-empty list of folder names' };
+    value.folders = folders;
+  }
+
+  if (body.postProcessing !== undefined) {
+    const { error, value: postProcessing } = postProcessingService.parseSettingsInput(body.postProcessing);
+    if (error) return { error };
+    value.postProcessing = postProcessing;
+  }
+
+  if (body.autoReply !== undefined) {
+    const { error, value: autoReply } = autoReplyService.parseSettingsInput(body.autoReply);
+    if (error) return { error };
+    value.autoReply = autoReply;
+  }
+
+  return { value };
+}
+
+// Messages moved into a monitored folder would be picked up again
+function checkPostProcessingFolders(mailbox) {
+  const { processedFolder, failedFolder } = postProcessingService.publicSettings(mailbox.postProcessing);
+  const monitored = (mailbox.folders || []).map(folder => folder.toLowerCase());
+  const folder = [processedFolder, failedFolder].find(name => name && monitored.includes(name.toLowerCase()));
+  return folder ? `Messages can't be moved to ${folder}, it is one of the monitored folders` : null;
+}
+
+// Outlook accounts connected through /api/outlook-auth - tokens are never returned
+const toPublicOutlookAccount = (token) => ({
+  accountEmail: token.accountEmail,
+  canWriteMail: graphService.canWriteMail(token),
+  canSendMail: graphService.canSendMail(token),
+  postProcessing: postProcessingService.publicSettings(token.postProcessing),
+  autoReply: autoReplyService.publicSettings(token.autoReply),
+  updatedAt: token.updatedAt
+});
+
+async function loadMailbox(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: 'Mailbox not found' });
+    return null;
+  }
+  const mailbox = await MailboxAccount.findOne(tenantFilter(req, { _id: req.params.id }));
+  if (!mailbox) {
+    res.status(404).json({ error: 'Mailbox not found' });
+  }
+  return mailbox;
+}
+
+// Reconnect in the background (in every server process) - the response
+// doesn't wait for the IMAP login
+function syncMonitor(mailbox) {
+  emailService.requestMailboxSync(mailbox._id).catch(err => {
+    console.error(`⚠️  Could not update monitoring for mailbox ${mailbox._id}:`, err.message);
+  });
+}
+
+// List mailboxes
+router.get('/', async (req, res) => {
+  try {
+    const mailboxes = await MailboxAccount.find(tenantFilter(req)).sort({ createdAt: -1 });
+    res.json(mailboxes.map(toPublicMailbox));
+  } catch (error) {
+    console.error('List mailboxes error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List connected Outlook accounts with their post-processing and auto-reply settings
+router.get('/outlook', async (req, res) => {
+  try {
+    const tokens = await Token.find(tenantFilter(req)).sort({ accountEmail: 1 });
+    res.json(tokens.map(toPublicOutlookAccount));
+  } catch (error) {
+    console.error('List Outlook accounts error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set what happens to Outlook messages once they are handled (needs
+// Mail.ReadWrite) and the acknowledgement sent to applicants (needs
+// Mail.Send). Settings that are sent replace the saved ones as a whole.
+router.patch('/outlook/:accountEmail', auditTrail('mailbox.update', 'mailbox'), async (req, res) => {
+  try {
+    const token = await Token.findOne(tenantFilter(req, { accountEmail: req.params.accountEmail.toLowerCase() }));
+    if (!token) {
+      return res.status(404).json({ error: 'Outlook account not connected' });
+    }
+    if (req.body.postProcessing === undefined && req.body.autoReply === undefined) {
+      return res.status(400).json({ error: 'postProcessing or autoReply is required' });
+    }
+
+    const changes = {};
+    if (req.body.postProcessing !== undefined) {
+      const { error, value } = postProcessingService.parseSettingsInput(req.body.postProcessing);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (postProcessingService.isEnabled(value) && !graphService.canWriteMail(token)) {
+        return res.status(409).json({ error: 'Connect the Outlook account again to allow changes to its messages (Mail.ReadWrite)' });
+      }
+      changes.postProcessing = value;
+    }
+    if (req.body.autoReply !== undefined) {
+      const { error, value } = autoReplyService.parseSettingsInput(req.body.autoReply, { smtp: false });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (value.enabled && !graphService.canSendMail(token)) {
+        return res.status(409).json({ error: 'Connect the Outlook account again to allow sending replies (Mail.Send)' });
+      }
+      changes.autoReply = value;
+    }
+
+    token.set(changes);
+    await token.save();
+
+    console.log(`📮 Settings of Outlook account ${token.accountEmail} updated by ${req.admin.username}`);
+    res.locals.auditTargetId = token._id;
+    res.locals.auditMetadata = { accountEmail: token.accountEmail, ...changes };
+    res.json(toPublicOutlookAccount(token));
+  } catch (error) {
+    console.error('Update Outlook account error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Acknowledgements sent, held back or failed (newest first)
+router.get('/auto-replies', async (req, res) => {
+  try {
+    const filter = tenantFilter(req);
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.to) filter.to = String(req.query.to).toLowerCase();
+    if (req.query.graphAccount) filter.graphAccount = String(req.query.graphAccount).toLowerCase();
+    if (req.query.mailboxId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.mailboxId)) {
+        return res.status(400).json({ error: 'Invalid mailboxId' });
+      }
+      filter.mailbox = req.query.mailboxId;
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+
+    const [entries, total] = await Promise.all([
+      AutoReplyLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AutoReplyLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      entries,
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('List auto-replies error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get one mailbox
+router.get('/:id', async (req, res) => {
+  try {
+    const mailbox = await loadMailbox(req, res);
+    if (!mailbox) return;
+    res.json(toPublicMailbox(mailbox));
+  } catch (error) {
+    console.error('Get mailbox error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a mailbox - monitoring starts right away when it is enabled
+router.post('/', auditTrail('mailbox.create', 'mailbox'), async (req, res) => {
+  try {
+    const { error, value } = parseMailboxInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const folderError = checkPostProcessingFolders({ folders: ['INBOX'], ...value });
+    if (folderError) {
+      return res.status(400).json({ error: folderError });
+    }
+
+    const mailbox = await MailboxAccount.create({
+      ...value,
+      organization: req.organizationId,
+      createdBy: req.admin.id
+    });
+
+    console.log(`📮 Mailbox "${mailbox.name}" (${mailbox.username}@${mailbox.host}) added by ${req.admin.username}`);
+    syncMonitor(mailbox);
+
+    res.locals.auditTargetId = mailbox._id;
+    res.locals.auditMetadata = { name: mailbox.name, host: mailbox.host, username: mailbox.username };
+    res.status(201).json(toPublicMailbox(mailbox));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'This mailbox is already connected' });
+    }
+    console.error('Create mailbox error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Edit a mailbox - its connection is restarted with the new settings,
+// or stopped when it is disabled
+router.patch('/:id', auditTrail('mailbox.update', 'mailbox'), async (req, res) => {
+  try {
+    const mailbox = await loadMailbox(req, res);
+    if (!mailbox) return;
+
+    const { error, value } = parseMailboxInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // A different server or account starts over with its own UIDs
+    const movedAccount = ['host', 'username'].some(field => value[field] !== undefined && value[field] !== mailbox[field]);
+
+    mailbox.set(value);
+    const folderError = checkPostProcessingFolders(mailbox);
+    if (folderError) {
+      return res.status(400).json({ error: folderError });
+    }
+    await mailbox.save();
+    if (movedAccount) {
+      await MailboxSyncState.deleteMany({ account: String(mailbox._id) });
+    } else if (value.folders !== undefined) {
+      // Folders no longer monitored start over if they are added back
+      const folders = mailbox.folders?.length ? mailbox.folders : ['INBOX'];
+      await MailboxSyncState.deleteMany({ account: String(mailbox._id), folder: { $nin: folders } });
+    }
+
+    console.log(`📮 Mailbox "${mailbox.name}" updated by ${req.admin.username}${mailbox.enabled ? '' : ' (disabled)'}`);
+    syncMonitor(mailbox);
+
+    res.locals.auditTargetId = mailbox._id;
+    res.locals.auditMetadata = {
+      fields: Object.keys(value),
+      enabled: mailbox.enabled
+    };
+    res.json(toPublicMailbox(mailbox));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'This mailbox is already connected' });
+    }
+    console.error('Update mailbox error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a mailbox and stop monitoring it
+router.delete('/:id', auditTrail('mailbox.delete', 'mailbox'), async (req, res) => {
+  try {
+    const mailbox = await loadMailbox(req, res);
+    if (!mailbox) return;
+
+    await mailbox.deleteOne();
+    syncMonitor(mailbox);
+    await MailboxSyncState.deleteMany({ account: String(mailbox._id) });
+
+    console.log(`🗑️  Mailbox "${mailbox.name}" removed by ${req.admin.username}`);
+    res.locals.auditTargetId = mailbox._id;
+    res.locals.auditMetadata = { name: mailbox.name, host: mailbox.host, username: mailbox.username };
+    res.json({ message: 'Mailbox removed' });
+  } catch (error) {
+    console.error('Delete mailbox error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth');
-const { Resume } = require('../models/Resume'); // Named export is Resume model
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { auditTrail } = require('../services/auditService');
+const { tenantFilter } = require('../services/tenantService');
+const { Resume, CANDIDATE_FILTER } = require('../models/Resume'); // Named export is Resume model
 const Email = require('../models/Resume'); // Default export is Email model
 
 /**
  * Get today's birthday notifications
  */
-router.get('/birthdays/today', authenticate, async (req, res) => {
+router.get('/birthdays/today', authenticate, auditTrail('notification.birthdays_view', 'resume'), requirePermission(PERMISSIONS.NOTIFICATIONS_READ), async (req, res) => {
   try {
     const today = new Date();
     const day = today.getDate();
@@ -20,8 +23,8 @@ router.get('/birthdays/today', authenticate, async (req, res) => {
 
     // Get both Email records and direct Resume records
     const [emails, resumes] = await Promise.all([
-      Email.find({ hasAttachment: true }),
-      Resume.find({})
+      Email.find(tenantFilter(req, CANDIDATE_FILTER)),
+      Resume.find(tenantFilter(req))
     ]);
     
     // Combine and normalize data
@@ -92,6 +95,8 @@ router.get('/birthdays/today', authenticate, async (req, res) => {
       return false;
     });
 
+    res.locals.auditMetadata = { count: birthdayPeople.length };
+
     res.json({
       count: birthdayPeople.length,
       birthdays: birthdayPeople,
@@ -6,12 +6,16 @@ const notificationRoutes = require('./notificationRoutes');
 const { Resume } = require('../models/Resume');
 const Email = require('../models/Resume');
 
+const TEST_ORGANIZATION_ID = '64b000000000000000000001';
+
 // Mock the authentication middleware
 jest.mock('../middleware/auth', () => ({
   authenticate: (req, res, next) => {
     req.user = { id: 'mockUserId' };
+    req.organizationId = '64b000000000000000000001';
     next();
-  }
+  },
+  requirePermission: () => (req, res, next) => next()
 }));
 
 describe('Notification Routes', () => {
@@ -53,6 +57,7 @@ describe('Notification Routes', () => {
       const dob = `${day}/${monthName.toLowerCase()}`;
 
       await Resume.create({
+        organization: TEST_ORGANIZATION_ID,
         name: 'John Doe',
         contactNumber: '+1234567890',
         dateOfBirth: dob
@@ -84,5 +89,21 @@ describe('Notification Routes', () => {
       expect(response.body.count).toBe(0);
       expect(response.body.birthdays).toHaveLength(0);
     });
+
+    it('should not return birthdays from another organization', async () => {
+      const today = new Date();
+      await Resume.create({
+        organization: new mongoose.Types.ObjectId(),
+        name: 'Other Tenant',
+        contactNumber: '+1111111111',
+        dateOfBirth: `${today.getDate()}/${today.toLocaleString('en-US', { month: 'long' }).toLowerCase()}`
+      });
+
+      const response = await request(app)
+        .get('/api/notifications/birthdays/today')
+        .expect(200);
+
+      expect(response.body.count).toBe(0);
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const { requirePermission, requireSuperAdmin } = require('../middleware/auth');
+const { PERMISSIONS, SUPER_ADMIN_ROLE } = require('../config/roles');
+const { generateToken } = require('../utils/tokenUtils');
+const { slugify } = require('../services/tenantService');
+const { auditTrail } = require('../services/auditService');
+
+const toPublicOrganization = (organization) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return {
+    id: organization._id,
+    name: organization.name,
+    slug: organization.slug,
+    uploadUrl: organization.uploadToken ? `${frontendUrl}/apply/${organization.uploadToken}` : null,
+    createdAt: organization.createdAt,
+    updatedAt: organization.updatedAt
+  };
+};
+
+// Organizations visible to the caller: all of them for a super-admin, otherwise their own
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.admin.role === SUPER_ADMIN_ROLE ? {} : { _id: req.admin.organization };
+    const organizations = await Organization.find(filter).sort({ name: 1 });
+    res.json(organizations.map(toPublicOrganization));
+  } catch (error) {
+    console.error('List organizations error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The organization this request works in (see X-Organization-Id)
+router.get('/current', async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.organizationId);
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+    res.json(toPublicOrganization(organization));
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace the public upload link - the old link stops working
+router.post('/current/upload-link', auditTrail('organization.upload_link_rotate', 'organization'), requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.organizationId);
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    organization.uploadToken = generateToken(24);
+    await organization.save();
+    res.locals.auditTargetId = organization._id;
+
+    console.log(`🔗 Upload link rotated for ${organization.name} by ${req.admin.username}`);
+    res.json(toPublicOrganization(organization));
+  } catch (error) {
+    console.error('Rotate upload link error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create an organization (super-admin only)
+router.post('/', auditTrail('organization.create', 'organization'), requireSuperAdmin, async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const slug = slugify(req.body.slug || name);
+    if (await Organization.exists({ slug })) {
+      return res.status(409).json({ error: 'An organization with this slug already exists' });
+    }
+
+    const organization = await Organization.create({
+      name: name.trim(),
+      slug,
+      uploadToken: generateToken(24),
+      createdBy: req.admin.id
+    });
+    res.locals.auditTargetId = organization._id;
+    res.locals.auditMetadata = { name: organization.name };
+
+    console.log(`🏢 Organization created: ${organization.name} by ${req.admin.username}`);
+    res.status(201).json(toPublicOrganization(organization));
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rename an organization (super-admin only)
+router.patch('/:id', auditTrail('organization.update', 'organization'), requireSuperAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+    const { name } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const organization = await Organization.findByIdAndUpdate(
+      req.params.id,
+      { name: name.trim() },
+      { new: true }
+    );
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    res.json(toPublicOrganization(organization));
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
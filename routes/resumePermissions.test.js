@@ -0,0 +1,108 @@
+const express = require('express');
+
+// The Graph client is created when emailRoutes loads
+process.env.MS_GRAPH_CLIENT_ID = process.env.MS_GRAPH_CLIENT_ID || 'test-client';
+process.env.MS_GRAPH_CLIENT_SECRET = process.env.MS_GRAPH_CLIENT_SECRET || 'test-secret';
+
+const resumeUploadRoutes = require('./resumeUploadRoutes');
+const emailRoutes = require('./emailRoutes');
+const Email = require('../models/Resume');
+const AuditLog = require('../models/AuditLog');
+const { getPermissionsForRole } = require('../config/roles');
+
+const TEST_ORGANIZATION_ID = '64b000000000000000000001';
+const RESUME_ID = '64b0000000000000000000aa';
+
+// Signed-in principal with the given role, as authenticate() builds it
+const signInAs = (role) => (req, res, next) => {
+  req.admin = {
+    id: '64b000000000000000000002',
+    username: `${role}-user`,
+    role,
+    permissions: getPermissionsForRole(role),
+    organization: TEST_ORGANIZATION_ID
+  };
+  req.organizationId = TEST_ORGANIZATION_ID;
+  next();
+};
+
+describe('Resume permissions', () => {
+  let server;
+  let baseUrl;
+  let role;
+  let deleted;
+
+  const call = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, { method, body });
+    return { status: response.status, body: await response.json().catch(() => null) };
+  };
+
+  // A form upload of one resume, as the web app sends it
+  const resumeForm = () => {
+    const form = new FormData();
+    form.append('resumes', new Blob(['%PDF-1.4\n'], { type: 'application/pdf' }), 'cv.pdf');
+    return form;
+  };
+
+  beforeAll(async () => {
+    // Mounted like server.js, with the real requirePermission
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => signInAs(role)(req, res, next));
+    app.use('/api/resumes', resumeUploadRoutes);
+    app.use('/api/resumes', emailRoutes);
+
+    server = await new Promise(resolve => {
+      const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    deleted = [];
+    jest.spyOn(Email, 'find').mockReturnValue({ sort: async () => [] });
+    jest.spyOn(Email, 'findOneAndDelete').mockImplementation(async (filter) => {
+      deleted.push(filter);
+      return null;
+    });
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets a viewer list resumes but not delete or upload them', async () => {
+    role = 'viewer';
+
+    expect((await call('GET', '/api/resumes')).status).toBe(200);
+
+    const remove = await call('DELETE', `/api/resumes/${RESUME_ID}`);
+    expect(remove.status).toBe(403);
+    expect(remove.body.required).toEqual(['resumes:delete']);
+    expect(deleted).toHaveLength(0);
+
+    const upload = await call('POST', '/api/resumes/upload', resumeForm());
+    expect(upload.status).toBe(403);
+    expect(upload.body.required).toEqual(['resumes:write']);
+  });
+
+  it('lets a recruiter list, delete and upload resumes', async () => {
+    role = 'recruiter';
+
+    expect((await call('GET', '/api/resumes')).status).toBe(200);
+
+    // Allowed through: the (stubbed) record just doesn't exist
+    expect((await call('DELETE', `/api/resumes/${RESUME_ID}`)).status).toBe(404);
+    expect(deleted).toEqual([{ _id: RESUME_ID, organization: TEST_ORGANIZATION_ID }]);
+
+    // Past the permission check: no file is rejected by the handler itself
+    const upload = await call('POST', '/api/resumes/upload', new FormData());
+    expect(upload.status).toBe(400);
+  });
+});
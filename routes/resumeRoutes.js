@@ -1,11 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const Resume = require('../models/Resume');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { auditTrail } = require('../services/auditService');
+const { tenantFilter } = require('../services/tenantService');
 
 // Get all resumes
-router.get('/', async (req, res) => {
+router.get('/', auditTrail('resume.list', 'resume'), requirePermission(PERMISSIONS.RESUMES_READ), async (req, res) => {
   try {
-    const resumes = await Resume.find().sort({ extractedAt: -1 });
+    const resumes = await Resume.find(tenantFilter(req)).sort({ extractedAt: -1 });
     res.json(resumes);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -13,9 +17,9 @@ router.get('/', async (req, res) => {
 });
 
 // Get a single resume by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', auditTrail('resume.view', 'resume'), requirePermission(PERMISSIONS.RESUMES_READ), async (req, res) => {
   try {
-    const resume = await Resume.findById(req.params.id);
+    const resume = await Resume.findOne(tenantFilter(req, { _id: req.params.id }));
     if (!resume) {
       return res.status(404).json({ error: 'Resume not found' });
     }
@@ -26,9 +30,9 @@ router.get('/:id', async (req, res) => {
 });
 
 // Delete a resume
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', auditTrail('resume.delete', 'resume'), requirePermission(PERMISSIONS.RESUMES_DELETE), async (req, res) => {
   try {
-    const resume = await Resume.findByIdAndDelete(req.params.id);
+    const resume = await Resume.findOneAndDelete(tenantFilter(req, { _id: req.params.id }));
     if (!resume) {
       return res.status(404).json({ error: 'Resume not found' });
     }
@@ -39,9 +43,9 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Get resume count
-router.get('/stats/count', async (req, res) => {
+router.get('/stats/count', requirePermission(PERMISSIONS.RESUMES_READ), async (req, res) => {
   try {
-    const count = await Resume.countDocuments();
+    const count = await Resume.countDocuments(tenantFilter(req));
     res.json({ count });
   } catch (error) {
     res.status(500).json({ error: error.message });
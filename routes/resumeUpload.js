@@ -1,13 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { s3Client, bucketName } = require('../config/s3');
-const { Upload } = require("@aws-sdk/lib-storage");
 const upload = require('../middleware/upload');
-const pdfParse = require('pdf-parse');
-const Email = require('../models/Resume');
-const { extractResumeData } = require('../services/pdfParser');
+const { saveUploadedResume } = require('../services/uploadService');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { auditTrail } = require('../services/auditService');
+const { emitNewEmail } = require('../services/socketService');
 
-router.post('/upload', upload.array('resumes', 25), async (req, res) => {
+router.post('/upload', auditTrail('resume.upload', 'resume'), requirePermission(PERMISSIONS.RESUMES_WRITE), upload.array('resumes', 25), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -17,54 +17,12 @@ router.post('/upload', upload.array('resumes', 25), async (req, res) => {
 
     for (const file of req.files) {
       try {
-        // 1️⃣ Upload to AWS S3
-        const timestamp = Date.now();
-        const sanitizedFilename = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
-        const s3Key = `resumes/${timestamp}_${sanitizedFilename}`;
+        const resume = await saveUploadedResume(file, { organizationId: req.organizationId });
 
-        const uploadResult = await new Upload({
-          client: s3Client,
-          params: {
-            Bucket: bucketName,
-            Key: s3Key,
-            Body: file.buffer,
-            ContentType: 'application/pdf',
-          },
-        }).done();
-
-        const s3Url = uploadResult.Location;
-
-        // 2️⃣ Extract text from PDF buffer (cheap, no OCR yet)
-        const pdfData = await pdfParse(file.buffer);
-        const rawText = pdfData.text || '';
-
-        // 3️⃣ Extract structured data
-        const extractedData = extractResumeData(rawText);
-
-        // 4️⃣ Save in MongoDB (using Email model structure for frontend compatibility)
-        const resumeData = {
-          from: extractedData.email || 'upload@user.com',
-          fromName: extractedData.name || file.originalname,
-          subject: `Web Upload: ${file.originalname}`,
-          body: `Resume uploaded via web dashboard.`,
-          receivedAt: new Date(),
-          emailId: `web_${timestamp}_${Math.random().toString(36).substr(2, 5)}`,
-          hasAttachment: true,
-          attachmentData: {
-            ...extractedData,
-            rawText,
-            pdfPath: s3Url,
-            s3Url: s3Url,
-            s3Key: s3Key
-          }
-        };
-
-        const resume = await Email.create(resumeData);
-
-        // 5️⃣ Emit socket event for real-time update
+        // Emit socket event for real-time update
         const io = req.app.get('io');
         if (io) {
-          io.emit('newEmail', {
+          emitNewEmail(io, {
             message: `New resume uploaded: ${file.originalname}`,
             email: resume
           });
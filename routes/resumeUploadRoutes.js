@@ -1,95 +1,95 @@
 const express = require('express');
 const router = express.Router();
-const { s3Client, bucketName } = require('../config/s3');
-const { Upload } = require("@aws-sdk/lib-storage");
 const multer = require('multer');
-const pdfParse = require('pdf-parse');
-const Email = require('../models/Resume');
-const { extractResumeData } = require('../services/pdfParser');
+const { isSupportedDocument, SUPPORTED_FORMATS } = require('../services/documentConverter');
+const { submitUploadedResume } = require('../services/uploadService');
+const { SUPPORTED_ARCHIVES, isArchive, detectArchiveType, expandArchive } = require('../services/archiveExtractor');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { auditTrail } = require('../services/auditService');
 
-const upload = multer({ storage: multer.memoryStorage() });
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (!isSupportedDocument(file) && !isArchive(file)) {
+      return cb(new Error(`${file.originalname}: only ${SUPPORTED_FORMATS} files or ${SUPPORTED_ARCHIVES} archives allowed`));
+    }
+    cb(null, true);
+  }
+});
 
-router.post('/upload', upload.array('resumes', 25), async (req, res) => {
+router.post('/upload', auditTrail('resume.upload', 'resume'), requirePermission(PERMISSIONS.RESUMES_WRITE), (req, res, next) => {
+  upload.array('resumes', 25)(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    next();
+  });
+}, async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: 'At least one PDF file required' });
+      return res.status(400).json({ error: `At least one resume file required (${SUPPORTED_FORMATS}, or a ${SUPPORTED_ARCHIVES} archive of them)` });
     }
 
     const results = [];
 
+    // Archives count as the resumes inside them
+    const files = [];
     for (const file of req.files) {
+      if (!detectArchiveType({ filename: file.originalname, contentType: file.mimetype, buffer: file.buffer })) {
+        files.push(file);
+        continue;
+      }
       try {
-        // 1️⃣ Upload PDF to AWS S3
-        const timestamp = Date.now();
-        const sanitizedFilename = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
-        const s3Key = `resumes/${timestamp}_${sanitizedFilename}`;
-
-        const uploadResult = await new Upload({
-          client: s3Client,
-          params: {
-            Bucket: bucketName,
-            Key: s3Key,
-            Body: file.buffer,
-            ContentType: 'application/pdf',
-          },
-        }).done();
-
-        const s3Url = uploadResult.Location;
-
-        // 2️⃣ Extract text from PDF
-        const pdfData = await pdfParse(file.buffer);
-        const rawText = pdfData.text || '';
-
-        // 3️⃣ Extract structured resume data
-        const extracted = extractResumeData(rawText);
-
-        // 4️⃣ Save in MongoDB (using Email model structure for frontend compatibility)
-        const resumeData = {
-          from: extracted.email || 'upload@user.com',
-          fromName: extracted.name || file.originalname,
-          subject: `Web Upload: ${file.originalname}`,
-          body: `Resume uploaded via web dashboard.`,
-          receivedAt: new Date(),
-          emailId: `web_${timestamp}_${Math.random().toString(36).substr(2, 5)}`,
-          hasAttachment: true,
-          attachmentData: {
-            ...extracted,
-            rawText,
-            pdfPath: s3Url,
-            s3Url: s3Url,
-            s3Key: s3Key
+        for (const entry of await expandArchive(file.buffer, { filename: file.originalname })) {
+          if (isSupportedDocument({ filename: entry.filename })) {
+            files.push({ originalname: entry.filename, mimetype: entry.contentType, buffer: entry.content, archivePath: entry.path });
+          } else {
+            results.push({ status: 'skipped', file: entry.path, error: 'Not a resume' });
           }
-        };
-
-        const resume = await Email.create(resumeData);
-
-        // 5️⃣ Emit socket event for real-time update
-        const io = req.app.get('io');
-        if (io) {
-          io.emit('newEmail', {
-            message: `New resume uploaded: ${file.originalname}`,
-            email: resume
-          });
         }
+      } catch (archiveError) {
+        console.error(`Error expanding archive ${file.originalname}:`, archiveError.message);
+        results.push({ status: 'error', file: file.originalname, error: archiveError.message });
+      }
+    }
 
-        results.push({
+    for (const file of files) {
+      try {
+        // Parsed by the ingestion workers when the queue is enabled
+        const { resume, jobId } = await submitUploadedResume(file, {
+          organizationId: req.organizationId,
+          notification: `New resume uploaded: ${file.originalname}`,
+          io: req.app.get('io')
+        });
+
+        results.push(resume ? {
           status: 'success',
-          file: file.originalname,
+          file: file.archivePath || file.originalname,
           resumeId: resume._id
+        } : {
+          status: 'queued',
+          file: file.archivePath || file.originalname,
+          jobId
         });
       } catch (fileError) {
         console.error(`Error processing file ${file.originalname}:`, fileError);
         results.push({
           status: 'error',
-          file: file.originalname,
+          file: file.archivePath || file.originalname,
           error: fileError.message
         });
       }
     }
 
+    res.locals.auditTargetId = results.filter(r => r.status === 'success').map(r => r.resumeId).join(',');
+    res.locals.auditMetadata = { files: results.map(r => ({ file: r.file, status: r.status })) };
+
+    const queued = results.filter(r => r.status === 'queued').length;
     res.json({
       success: true,
-      message: `Processed ${results.filter(r => r.status === 'success').length} files successfully`,
+      message: `Processed ${results.filter(r => r.status === 'success').length} files successfully`
+        + (queued ? `, ${queued} queued for processing` : ''),
       results
     });
 
@@ -0,0 +1,107 @@
+const express = require('express');
+const mongoose = require('mongoose');
+
+const { router: authRoutes } = require('./authRoutes');
+const Admin = require('../models/Admin');
+const sessionService = require('../services/sessionService');
+const loginThrottle = require('../services/loginThrottle');
+const totpService = require('../services/totpService');
+const { encrypt } = require('../utils/crypto');
+const { hashToken } = require('../utils/tokenUtils');
+
+const ADMIN_ID = new mongoose.Types.ObjectId();
+
+describe('Two-factor login', () => {
+  let server;
+  let baseUrl;
+  let secret;
+  let recoveryCode;
+  let stored;
+
+  // The enrolled account as MongoDB holds it; each request loads its own copy
+  const loadAdmin = () => new Admin({
+    _id: ADMIN_ID,
+    username: 'jane',
+    email: 'jane@example.test',
+    password: 'x',
+    role: 'recruiter',
+    status: 'active',
+    twoFactor: { enabled: true, secret: encrypt(secret), ...stored }
+  });
+
+  // Single-document updates are applied in one go, like MongoDB does
+  const fakeAdminUpdates = () => jest.spyOn(Admin, 'updateOne').mockImplementation(async (filter, update) => {
+    if (update.$pull) {
+      const hash = update.$pull['twoFactor.recoveryCodeHashes'];
+      const index = stored.recoveryCodeHashes.indexOf(filter['twoFactor.recoveryCodeHashes']);
+      if (index === -1) return { matchedCount: 0, modifiedCount: 0 };
+      stored.recoveryCodeHashes = stored.recoveryCodeHashes.filter(existing => existing !== hash);
+      return { matchedCount: 1, modifiedCount: 1 };
+    }
+
+    const step = update['twoFactor.lastUsedStep'];
+    if (stored.lastUsedStep !== null && stored.lastUsedStep >= step) return { matchedCount: 0, modifiedCount: 0 };
+    stored.lastUsedStep = step;
+    return { matchedCount: 1, modifiedCount: 1 };
+  });
+
+  const submit = async (body) => {
+    const response = await fetch(`${baseUrl}/api/auth/login/2fa`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ challengeToken: 'challenge', ...body })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+
+    server = await new Promise(resolve => {
+      const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    secret = totpService.generateSecret();
+    recoveryCode = totpService.generateRecoveryCodes(1)[0];
+    stored = { lastUsedStep: null, recoveryCodeHashes: [hashToken(recoveryCode)] };
+
+    fakeAdminUpdates();
+    jest.spyOn(Admin.prototype, 'save').mockImplementation(async function () { return this; });
+    jest.spyOn(sessionService, 'verifyChallengeToken').mockImplementation(async () => loadAdmin());
+    jest.spyOn(sessionService, 'createSession').mockResolvedValue({ accessToken: 'access', refreshToken: 'refresh', expiresIn: 900 });
+    jest.spyOn(loginThrottle, 'checkLoginAllowed').mockResolvedValue({ allowed: true });
+    jest.spyOn(loginThrottle, 'recordFailedLogin').mockResolvedValue({ locked: false });
+    jest.spyOn(loginThrottle, 'recordSuccessfulLogin').mockResolvedValue();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts a code once when it is submitted twice at the same time', async () => {
+    const code = totpService.generateCode(secret);
+
+    const results = await Promise.all([submit({ code }), submit({ code })]);
+
+    expect(results.map(result => result.status).sort()).toEqual([200, 401]);
+    expect(sessionService.createSession).toHaveBeenCalledTimes(1);
+  });
+
+  it('accepts a recovery code once when it is submitted twice at the same time', async () => {
+    const results = await Promise.all([submit({ recoveryCode }), submit({ recoveryCode })]);
+
+    expect(results.map(result => result.status).sort()).toEqual([200, 401]);
+    expect(results.find(result => result.status === 200).body.recoveryCodesRemaining).toBe(0);
+    expect(stored.recoveryCodeHashes).toEqual([]);
+  });
+});
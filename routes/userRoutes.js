@@ -0,0 +1,361 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, ROLES, OWNER_ROLES, SUPER_ADMIN_ROLE, getPermissionsForRole } = require('../config/roles');
+const { generateToken, hashToken } = require('../utils/tokenUtils');
+const { revokeAllSessions } = require('../services/sessionService');
+const loginThrottle = require('../services/loginThrottle');
+const { auditTrail } = require('../services/auditService');
+const { tenantFilter } = require('../services/tenantService');
+const mailer = require('../services/mailer');
+
+const INVITE_EXPIRES_HOURS = parseInt(process.env.INVITE_EXPIRES_HOURS) || 72;
+
+// Every team management endpoint requires users:manage
+router.use(requirePermission(PERMISSIONS.USERS_MANAGE));
+
+// Strip secrets before returning an account
+const toPublicAdmin = (admin) => ({
+  id: admin._id,
+  username: admin.username,
+  email: admin.email,
+  role: admin.role,
+  permissions: getPermissionsForRole(admin.role),
+  organization: admin.organization,
+  status: admin.status || 'active',
+  lastLogin: admin.lastLogin,
+  invitedBy: admin.invitedBy,
+  inviteExpiresAt: admin.inviteExpiresAt,
+  disabledAt: admin.disabledAt,
+  createdAt: admin.createdAt,
+  updatedAt: admin.updatedAt
+});
+
+// Only owners may hand out or take away owner-level roles,
+// and only a super-admin may do so for the super-admin role
+const canManageRole = (actorRole, targetRole) => {
+  if (targetRole === SUPER_ADMIN_ROLE) return actorRole === SUPER_ADMIN_ROLE;
+  if (OWNER_ROLES.includes(actorRole)) return true;
+  return !OWNER_ROLES.includes(targetRole);
+};
+
+// Prevent locking an organization out by removing its last active owner
+const isLastActiveOwner = async (admin) => {
+  if (!OWNER_ROLES.includes(admin.role) || admin.status !== 'active') return false;
+  const owners = await Admin.countDocuments({
+    organization: admin.organization,
+    role: { $in: OWNER_ROLES },
+    status: 'active'
+  });
+  return owners <= 1;
+};
+
+// Load the target member and run the common guards
+const loadTarget = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: 'Team member not found' });
+    return null;
+  }
+
+  const admin = await Admin.findOne(tenantFilter(req, { _id: req.params.id }));
+  if (!admin) {
+    res.status(404).json({ error: 'Team member not found' });
+    return null;
+  }
+
+  if (!canManageRole(req.admin.role, admin.role)) {
+    res.status(403).json({ error: 'Only owners can manage owner accounts' });
+    return null;
+  }
+
+  return admin;
+};
+
+// List team members
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.role) filter.role = req.query.role;
+
+    const admins = await Admin.find(tenantFilter(req, filter)).sort({ createdAt: 1 });
+    res.json(admins.map(toPublicAdmin));
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a team member with a password set by the admin
+router.post('/', auditTrail('user.create', 'user'), async (req, res) => {
+  try {
+    const { username, email, password, role = 'viewer' } = req.body;
+
+    if (!username || !email || !password) {
+      return res.status(400).json({ error: 'Username, email and password are required' });
+    }
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Allowed roles: ${ROLES.join(', ')}` });
+    }
+    if (!canManageRole(req.admin.role, role)) {
+      return res.status(403).json({ error: 'Only owners can create owner accounts' });
+    }
+
+    const existing = await Admin.findOne({ $or: [{ username }, { email: email.toLowerCase() }] });
+    if (existing) {
+      return res.status(409).json({ error: 'A team member with this username or email already exists' });
+    }
+
+    const admin = await Admin.create({
+      username,
+      email,
+      password: await bcrypt.hash(password, 10),
+      role,
+      organization: req.organizationId,
+      status: 'active',
+      invitedBy: req.admin.id
+    });
+
+    console.log(`👤 Team member created: ${admin.username} (${admin.role}) by ${req.admin.username}`);
+    res.locals.auditTargetId = admin._id;
+    res.locals.auditMetadata = { username: admin.username, role: admin.role };
+    res.status(201).json(toPublicAdmin(admin));
+  } catch (error) {
+    console.error('Create user error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Invite a team member - they get an email and choose their own password via
+// /api/auth/accept-invite. The link is only returned with returnInviteUrl: true
+// (e.g. for the admin UI to copy it)
+router.post('/invite', auditTrail('user.invite', 'user'), async (req, res) => {
+  try {
+    const { email, role = 'viewer', returnInviteUrl = false } = req.body;
+    const username = req.body.username || (email && email.split('@')[0]);
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Allowed roles: ${ROLES.join(', ')}` });
+    }
+    if (!canManageRole(req.admin.role, role)) {
+      return res.status(403).json({ error: 'Only owners can invite owners' });
+    }
+
+    const existing = await Admin.findOne({ $or: [{ username }, { email: email.toLowerCase() }] });
+    if (existing && (existing.status !== 'invited' || String(existing.organization) !== String(req.organizationId))) {
+      return res.status(409).json({ error: 'A team member with this username or email already exists' });
+    }
+
+    const inviteToken = generateToken();
+    const admin = existing || new Admin({
+      username,
+      email,
+      // Unusable placeholder until the invite is accepted
+      password: await bcrypt.hash(generateToken(), 10)
+    });
+
+    admin.role = role;
+    admin.organization = req.organizationId;
+    admin.status = 'invited';
+    admin.invitedBy = req.admin.id;
+    admin.inviteTokenHash = hashToken(inviteToken);
+    admin.inviteExpiresAt = new Date(Date.now() + INVITE_EXPIRES_HOURS * 60 * 60 * 1000);
+    await admin.save();
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const inviteUrl = `${frontendUrl}/accept-invite?token=${inviteToken}`;
+
+    let emailSent = true;
+    try {
+      await mailer.sendMail({
+        to: admin.email,
+        subject: 'You have been invited',
+        text: `Hi ${admin.username},
+
+${req.admin.username} invited you to join the team as ${admin.role}. Use the link below to choose your password:
+
+${inviteUrl}
+
+This link expires in ${INVITE_EXPIRES_HOURS} hours.`
+      });
+    } catch (mailError) {
+      emailSent = false;
+      console.error(`❌ Invitation email to ${admin.email} failed:`, mailError.message);
+    }
+
+    console.log(`✉️  Team member invited: ${admin.email} (${admin.role}) by ${req.admin.username}`);
+    res.locals.auditTargetId = admin._id;
+    res.locals.auditMetadata = { email: admin.email, role: admin.role, emailSent };
+    res.status(201).json({
+      message: emailSent ? 'Invitation sent' : 'Invitation created, but the email could not be sent',
+      emailSent,
+      ...(returnInviteUrl === true ? { inviteUrl } : {}),
+      user: toPublicAdmin(admin)
+    });
+  } catch (error) {
+    console.error('Invite user error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a member's role
+router.patch('/:id/role', auditTrail('user.role_change', 'user'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Allowed roles: ${ROLES.join(', ')}` });
+    }
+    if (!canManageRole(req.admin.role, role)) {
+      return res.status(403).json({ error: 'Only owners can grant owner roles' });
+    }
+
+    const admin = await loadTarget(req, res);
+    if (!admin) return;
+
+    if (!OWNER_ROLES.includes(role) && await isLastActiveOwner(admin)) {
+      return res.status(400).json({ error: 'Cannot demote the last active owner' });
+    }
+
+    res.locals.auditMetadata = { from: admin.role, to: role };
+    admin.role = role;
+    await admin.save();
+
+    res.json(toPublicAdmin(admin));
+  } catch (error) {
+    console.error('Change role error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Disable a member - their existing tokens stop working immediately
+router.post('/:id/disable', auditTrail('user.disable', 'user'), async (req, res) => {
+  try {
+    const admin = await loadTarget(req, res);
+    if (!admin) return;
+
+    if (String(admin._id) === String(req.admin.id)) {
+      return res.status(400).json({ error: 'You cannot disable your own account' });
+    }
+    if (await isLastActiveOwner(admin)) {
+      return res.status(400).json({ error: 'Cannot disable the last active owner' });
+    }
+
+    admin.status = 'disabled';
+    admin.disabledAt = new Date();
+    admin.tokenVersion = (admin.tokenVersion || 0) + 1;
+    await admin.save();
+    await revokeAllSessions(admin._id, 'disabled');
+
+    console.log(`🚫 Team member disabled: ${admin.username} by ${req.admin.username}`);
+    res.json(toPublicAdmin(admin));
+  } catch (error) {
+    console.error('Disable user error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-enable a disabled member
+router.post('/:id/enable', auditTrail('user.enable', 'user'), async (req, res) => {
+  try {
+    const admin = await loadTarget(req, res);
+    if (!admin) return;
+
+    if (admin.status !== 'disabled') {
+      return res.status(400).json({ error: 'Team member is not disabled' });
+    }
+
+    admin.status = 'active';
+    admin.disabledAt = undefined;
+    await admin.save();
+
+    console.log(`✅ Team member re-enabled: ${admin.username} by ${req.admin.username}`);
+    res.json(toPublicAdmin(admin));
+  } catch (error) {
+    console.error('Enable user error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unlock an account locked by failed login attempts (owners only)
+router.post('/:id/unlock', auditTrail('user.unlock', 'user'), async (req, res) => {
+  try {
+    if (!OWNER_ROLES.includes(req.admin.role)) {
+      return res.status(403).json({ error: 'Only owners can unlock accounts' });
+    }
+
+    const admin = await loadTarget(req, res);
+    if (!admin) return;
+
+    const accountKey = `id:${admin._id}`;
+    const lock = await loginThrottle.getLockStatus(accountKey);
+    await loginThrottle.unlockAccount(accountKey);
+
+    console.log(`🔓 Login unlocked for ${admin.username} by ${req.admin.username}`);
+    res.json({
+      message: lock ? 'Account unlocked' : 'Account was not locked',
+      wasLockedUntil: lock ? lock.lockedUntil : null
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reset another member's password - signs them out everywhere
+router.post('/:id/reset-password', auditTrail('user.reset_password', 'user'), async (req, res) => {
+  try {
+    const { newPassword } = req.body;
+    if (!newPassword || newPassword.length < 6) {
+      return res.status(400).json({ error: 'New password must be at least 6 characters' });
+    }
+
+    const admin = await loadTarget(req, res);
+    if (!admin) return;
+
+    admin.password = await bcrypt.hash(newPassword, 10);
+    admin.tokenVersion = (admin.tokenVersion || 0) + 1;
+    await admin.save();
+    await revokeAllSessions(admin._id, 'password_reset');
+
+    console.log(`🔑 Password reset for ${admin.username} by ${req.admin.username}`);
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a member
+router.delete('/:id', auditTrail('user.delete', 'user'), async (req, res) => {
+  try {
+    const admin = await loadTarget(req, res);
+    if (!admin) return;
+
+    if (String(admin._id) === String(req.admin.id)) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    if (await isLastActiveOwner(admin)) {
+      return res.status(400).json({ error: 'Cannot delete the last active owner' });
+    }
+
+    await Admin.deleteOne({ _id: admin._id });
+    await revokeAllSessions(admin._id, 'deleted');
+
+    console.log(`🗑️  Team member deleted: ${admin.username} by ${req.admin.username}`);
+    res.json({ message: 'Team member deleted successfully' });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+/**
+ * Ingestion worker process
+ * Parses queued mail and uploads apart from the web server (run the server
+ * with INGEST_WORKERS=0 to leave all jobs to these). Notifications reach the
+ * server's socket clients over Redis.
+ *
+ * Usage: npm run worker (INGEST_WORKERS sets the number of workers, default 2)
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const redisService = require('../services/redisService');
+const ingestionQueue = require('../services/ingestionQueue');
+const { startIngestionWorkers, stopIngestionWorkers, createEventRelay } = require('../services/ingestionWorker');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/resume_extractor';
+const count = parseInt(process.env.INGEST_WORKERS) || 2;
+
+async function main() {
+  if (!ingestionQueue.isEnabled()) {
+    console.error('❌ INGEST_QUEUE is off, there is nothing to work on');
+    process.exit(1);
+  }
+
+  await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 10000 });
+  console.log('✅ MongoDB Connected successfully');
+
+  try {
+    await redisService.initializeRedis();
+  } catch (err) {
+    console.warn('⚠️ Redis initialization failed, using the MongoDB queue only:', err.message);
+  }
+
+  startIngestionWorkers(createEventRelay(), count);
+}
+
+let stopping = false;
+async function shutdown(signal) {
+  if (stopping) return;
+  stopping = true;
+  console.log(`\n🛑 ${signal} received, finishing running jobs...`);
+
+  await stopIngestionWorkers();
+  await redisService.closeRedis();
+  await mongoose.connection.close();
+  console.log('👋 Ingestion worker stopped');
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+main().catch(err => {
+  console.error('❌ Ingestion worker failed to start:', err.message);
+  process.exit(1);
+});
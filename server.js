@@ -90,7 +90,10 @@ const connectWithRetry = () => {
 
     // Ensure a default admin exists after successful DB connection
     try {
-      ensureDefaultAdmin().catch(err => console.error('Error ensuring default admin:', err));
+      // Existing data is moved to the default organization first
+      ensureDefaultOrganization()
+        .then(() => ensureDefaultAdmin())
+        .catch(err => console.error('Error ensuring default admin:', err));
     } catch (e) {
       console.error('Error invoking ensureDefaultAdmin:', e);
     }
@@ -105,6 +108,12 @@ const connectWithRetry = () => {
       });
     });
 
+    // Continue backfills interrupted by a restart and start queued ones
+    startBackfillScheduler(io);
+
+    // Parse queued mail and uploads (INGEST_WORKERS, 0 when they run with npm run worker)
+    startIngestionWorkers(io);
+
     // Initialize birthday checker task (lightweight)
     try {
       smsService.initBirthdayTask();
@@ -151,10 +160,24 @@ mongoose.connection.on('connecting', () => {
 const emailRoutes = require('./routes/emailRoutes');
 const { router: authRoutes, ensureDefaultAdmin } = require('./routes/authRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
+const userRoutes = require('./routes/userRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
+const applyRoutes = require('./routes/applyRoutes');
+const mailboxRoutes = require('./routes/mailboxRoutes');
+const backfillRoutes = require('./routes/backfillRoutes');
+const ingestionRuleRoutes = require('./routes/ingestionRuleRoutes');
+const failedIngestionRoutes = require('./routes/failedIngestionRoutes');
 const emailService = require('./services/emailService');
 const smsService = require('./services/smsService');
 const { authenticate } = require('./middleware/auth');
 const redisService = require('./services/redisService');
+const { initializeSocket } = require('./services/socketService');
+const { ensureDefaultOrganization } = require('./services/tenantService');
+const { startLastSeenFlusher } = require('./services/sessionService');
+const { startBackfillScheduler } = require('./services/backfillService');
+const { startIngestionWorkers, receiveWorkerEvents } = require('./services/ingestionWorker');
 
 // Public routes (no authentication required)
 app.use('/api/auth', authRoutes);
@@ -162,6 +185,9 @@ app.use('/api/auth', authRoutes);
 // Public Outlook OAuth routes
 app.use('/api/outlook-auth', emailRoutes);
 
+// Public upload links for candidates (one per organization)
+app.use('/api/apply', applyRoutes);
+
 // Protected routes (authentication required)
 const resumeUploadRoutes = require('./routes/resumeUploadRoutes');
 
@@ -170,6 +196,14 @@ app.use('/api/resumes', authenticate, resumeUploadRoutes);
 app.use('/api/resumes', authenticate, emailRoutes);
 app.use('/api/emails', authenticate, emailRoutes);
 app.use('/api/notifications', authenticate, notificationRoutes);
+app.use('/api/users', authenticate, userRoutes);
+app.use('/api/api-keys', authenticate, apiKeyRoutes);
+app.use('/api/audit-logs', authenticate, auditRoutes);
+app.use('/api/organizations', authenticate, organizationRoutes);
+app.use('/api/mailboxes', authenticate, mailboxRoutes);
+app.use('/api/backfills', authenticate, backfillRoutes);
+app.use('/api/ingestion-rules', authenticate, ingestionRuleRoutes);
+app.use('/api/failed-ingestions', authenticate, failedIngestionRoutes);
 
 // Debug: Log route registration
 console.log('📋 Registered routes:');
@@ -180,15 +214,20 @@ console.log('   GET  /api/resumes/test-upload-route - Test route');
 console.log('   GET  /api/resumes/download/:id - Download PDF');
 console.log('   GET  /api/resumes/:id - Get single resume');
 console.log('   DELETE /api/resumes/:id - Delete resume');
-
-// Socket.io connection
-io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
-  
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-  });
-});
+console.log('   GET/POST /api/users - Team member management');
+console.log('   GET/POST /api/api-keys - API key management');
+console.log('   GET  /api/audit-logs - Audit log (GET /api/audit-logs/export.csv for CSV)');
+console.log('   GET  /api/auth/oidc/login - Single sign-on (OpenID Connect)');
+console.log('   GET  /api/auth/sessions - Active sessions (DELETE /api/auth/sessions/:id to sign one out)');
+console.log('   GET/POST /api/organizations - Organizations (super-admins switch with X-Organization-Id)');
+console.log('   POST /api/apply/:token - Public resume upload link');
+console.log('   GET/POST /api/mailboxes - Monitored mailboxes (PATCH/DELETE /api/mailboxes/:id, Outlook: /api/mailboxes/outlook, auto-reply log: /api/mailboxes/auto-replies)');
+console.log('   GET/POST /api/backfills - Import past mail (POST /api/backfills/:id/cancel|resume)');
+console.log('   GET/POST /api/ingestion-rules - Which emails are imported (POST /api/ingestion-rules/dry-run)');
+console.log('   GET  /api/failed-ingestions - Mail and uploads that failed (POST /api/failed-ingestions/:id/retry or /retry for all, DELETE to discard)');
+
+// Socket.io - handshake requires a JWT or API key, events go to permission rooms
+initializeSocket(io);
 
 // Make io accessible to email service
 app.set('io', io);
@@ -213,6 +252,11 @@ const initRedisWithTimeout = async () => {
       timeout
     ]);
     console.log('✅ Redis initialized');
+
+    // Notifications from ingestion workers running in their own process
+    await receiveWorkerEvents(io);
+    // Mailbox changes saved by other server processes
+    await emailService.receiveMailboxSyncs();
   } catch (err) {
     console.warn('⚠️ Redis initialization failed, continuing without Redis:', err.message);
   }
@@ -220,7 +264,8 @@ const initRedisWithTimeout = async () => {
 
 initRedisWithTimeout();
 
-// NOTE: Removed unused queue processor since no actual job processing logic was implemented
+// Write session last-seen times collected by authenticate in batches
+startLastSeenFlusher();
 
 // Health check
 app.get('/api/health', (req, res) => {
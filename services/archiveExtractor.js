@@ -0,0 +1,234 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { detectDocumentType, getContentType } = require('./documentConverter');
+
+// Optional: node-unrar-js (unrar compiled to WebAssembly) for RAR archives
+let unrar = null;
+try {
+  unrar = require('node-unrar-js');
+} catch (e) {
+  console.warn('⚠️ node-unrar-js not installed. RAR archives cannot be read.');
+}
+
+/**
+ * Archives of resumes, as agencies send them. ZIP and RAR are expanded,
+ * recursively; 7z is recognised but has no pure-JS decoder, so it is
+ * reported as unsupported rather than silently ignored.
+ */
+const ARCHIVE_TYPES = {
+  zip: {
+    extensions: ['.zip'],
+    contentTypes: ['application/zip', 'application/x-zip-compressed', 'application/x-zip']
+  },
+  rar: {
+    extensions: ['.rar'],
+    contentTypes: ['application/vnd.rar', 'application/x-rar-compressed', 'application/x-rar']
+  },
+  '7z': {
+    extensions: ['.7z'],
+    contentTypes: ['application/x-7z-compressed']
+  }
+};
+
+const SUPPORTED_ARCHIVES = 'ZIP or RAR';
+
+// Zip-bomb protection. The limits cover an archive and everything nested in
+// it, and are checked against the sizes in the archive headers before
+// anything is decompressed (and against the real sizes of RAR files as they
+// are extracted, since unrar doesn't hold them to their header).
+const ARCHIVE_MAX_ENTRIES = parseInt(process.env.ARCHIVE_MAX_ENTRIES) || 100;
+const ARCHIVE_MAX_TOTAL_BYTES = (parseInt(process.env.ARCHIVE_MAX_TOTAL_MB) || 100) * 1024 * 1024;
+const ARCHIVE_MAX_DEPTH = parseInt(process.env.ARCHIVE_MAX_DEPTH) || 3;
+
+const ZIP_SIGNATURE = Buffer.from('504b', 'hex');
+const RAR_SIGNATURE = Buffer.from('526172211a07', 'hex');
+const SEVEN_ZIP_SIGNATURE = Buffer.from('377abcaf271c', 'hex');
+
+/**
+ * Archive format named by the file name or MIME type
+ */
+function typeFromName(filename, contentType) {
+  const extension = path.extname(filename || '').toLowerCase();
+  const mime = (contentType || '').toLowerCase().split(';')[0].trim();
+
+  for (const [type, { extensions, contentTypes }] of Object.entries(ARCHIVE_TYPES)) {
+    if (extensions.includes(extension) || contentTypes.includes(mime)) {
+      return type;
+    }
+  }
+  return null;
+}
+
+/**
+ * Work out whether a file is an archive. As with documents, the content wins
+ * over the name: a DOCX or ODT is a zip file too, but not an archive.
+ * @param {{filename?: string, contentType?: string, buffer?: Buffer}} file
+ * @returns {string|null} a key of ARCHIVE_TYPES
+ */
+function detectArchiveType({ filename, contentType, buffer } = {}) {
+  if (!buffer || buffer.length < 6) return typeFromName(filename, contentType);
+
+  if (buffer.subarray(0, 6).equals(RAR_SIGNATURE)) return 'rar';
+  if (buffer.subarray(0, 6).equals(SEVEN_ZIP_SIGNATURE)) return '7z';
+  if (buffer.subarray(0, 2).equals(ZIP_SIGNATURE)) {
+    return detectDocumentType({ buffer }) ? null : 'zip';
+  }
+  return null;
+}
+
+/**
+ * Whether a file looks like an archive (name/MIME type only)
+ */
+function isArchive({ filename, originalname, contentType, mimetype } = {}) {
+  return typeFromName(filename || originalname, contentType || mimetype) !== null;
+}
+
+// Folders, macOS resource forks and desktop clutter
+function isJunkEntry(entryPath) {
+  const name = path.posix.basename(entryPath);
+  return entryPath.startsWith('__MACOSX/') || name.startsWith('._') || ['.DS_Store', 'Thumbs.db', 'desktop.ini'].includes(name);
+}
+
+/**
+ * Count an archive's entries against the limits before decompressing them
+ * @param {{entries: number, bytes: number}} budget - shared with nested archives
+ */
+function reserve(budget, entries, name) {
+  budget.entries += entries.length;
+  budget.bytes += entries.reduce((total, entry) => total + entry.size, 0);
+
+  if (budget.entries > ARCHIVE_MAX_ENTRIES) {
+    throw new Error(`${name} has more than ${ARCHIVE_MAX_ENTRIES} files`);
+  }
+  checkBytes(budget, name);
+}
+
+function checkBytes(budget, name) {
+  if (budget.bytes > ARCHIVE_MAX_TOTAL_BYTES) {
+    throw new Error(`${name} expands to more than ${Math.round(ARCHIVE_MAX_TOTAL_BYTES / 1024 / 1024)} MB`);
+  }
+}
+
+/**
+ * Files of a zip archive: [{ path, content }]
+ */
+function readZip(buffer, name, budget) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw new Error(`${name} is not a readable ZIP file`);
+  }
+
+  const entries = zip.getEntries()
+    .filter(entry => !entry.isDirectory && !isJunkEntry(entry.entryName))
+    .map(entry => ({ entry, path: entry.entryName, size: entry.header.size }));
+
+  if (entries.some(({ entry }) => entry.header.encrypted)) {
+    throw new Error(`${name} is password protected`);
+  }
+  reserve(budget, entries, name);
+
+  // adm-zip never inflates past the size in the header, so the reserved
+  // total holds even when the header lies
+  return entries.map(({ entry, path: entryPath }) => ({ path: entryPath, content: entry.getData() }));
+}
+
+/**
+ * Files of a RAR archive: [{ path, content }]
+ */
+async function readRar(buffer, name, budget) {
+  if (!unrar) {
+    throw new Error('RAR archives are not supported (node-unrar-js missing)');
+  }
+
+  let extractor;
+  let list;
+  try {
+    extractor = await unrar.createExtractorFromData({ data: Uint8Array.from(buffer).buffer });
+    list = extractor.getFileList();
+  } catch (error) {
+    throw new Error(error.reason === 'ERAR_MISSING_PASSWORD' ? `${name} is password protected` : `${name} is not a readable RAR file`);
+  }
+  if (list.arcHeader.flags.volume) {
+    throw new Error(`${name} is part of a multi-volume RAR archive`);
+  }
+
+  const entries = [...list.fileHeaders]
+    .filter(header => !header.flags.directory && !isJunkEntry(header.name))
+    .map(header => ({ path: header.name, size: header.unpSize, encrypted: header.flags.encrypted }));
+
+  if (entries.some(entry => entry.encrypted)) {
+    throw new Error(`${name} is password protected`);
+  }
+  reserve(budget, entries, name);
+
+  // Files are extracted one at a time as the loop asks for them: the real
+  // size of each replaces its declared one, and extraction stops once the
+  // total goes over the limit
+  const declaredSizes = new Map(entries.map(entry => [entry.path, entry.size]));
+  const files = [];
+  for (const file of extractor.extract({ files: header => declaredSizes.has(header.name) }).files) {
+    budget.bytes += file.extraction.length - declaredSizes.get(file.fileHeader.name);
+    checkBytes(budget, name);
+    files.push({ path: file.fileHeader.name, content: Buffer.from(file.extraction) });
+  }
+  return files;
+}
+
+/**
+ * Expand an archive, and the archives inside it, into the files it holds.
+ * Throws when the archive can't be read or goes over a limit; nothing is
+ * returned for it then.
+ * @param {Buffer} buffer
+ * @param {{filename: string, depth?: number, budget?: object}} options
+ * @returns {Promise<object[]>} [{ filename, path, archive, content, contentType }]
+ *   where path is the file's place inside the (nested) archive and archive
+ *   the archive that held it
+ */
+async function expandArchive(buffer, { filename, depth = 1, budget = { entries: 0, bytes: 0 } }) {
+  if (depth > ARCHIVE_MAX_DEPTH) {
+    throw new Error(`${filename} is nested more than ${ARCHIVE_MAX_DEPTH} archives deep`);
+  }
+
+  const type = detectArchiveType({ filename, buffer });
+  let entries;
+  if (type === 'zip') {
+    entries = readZip(buffer, filename, budget);
+  } else if (type === 'rar') {
+    entries = await readRar(buffer, filename, budget);
+  } else if (type === '7z') {
+    throw new Error(`7z archives are not supported, send a ${SUPPORTED_ARCHIVES} file`);
+  } else {
+    throw new Error(`${filename} is not a ${SUPPORTED_ARCHIVES} archive`);
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = `${filename}/${entry.path.replace(/\\/g, '/')}`;
+    const entryName = path.posix.basename(entryPath);
+
+    // A 7z inside is kept as a file and shows up as not a resume
+    if (['zip', 'rar'].includes(detectArchiveType({ filename: entryName, buffer: entry.content }))) {
+      files.push(...await expandArchive(entry.content, { filename: entryPath, depth: depth + 1, budget }));
+      continue;
+    }
+
+    files.push({
+      filename: entryName,
+      path: entryPath,
+      archive: filename,
+      content: entry.content,
+      contentType: getContentType(detectDocumentType({ filename: entryName, buffer: entry.content }))
+    });
+  }
+  return files;
+}
+
+module.exports = {
+  ARCHIVE_TYPES,
+  SUPPORTED_ARCHIVES,
+  detectArchiveType,
+  isArchive,
+  expandArchive
+};
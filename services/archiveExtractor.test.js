@@ -0,0 +1,125 @@
+const { crc32 } = require('zlib');
+const AdmZip = require('adm-zip');
+
+const buildZip = (files) => {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(files)) {
+    zip.addFile(name, Buffer.isBuffer(content) ? content : Buffer.from(content));
+  }
+  return zip.toBuffer();
+};
+
+// RAR 4 archive with stored (uncompressed) files
+const buildRar = (files) => {
+  const block = (type, flags, body) => {
+    const header = Buffer.alloc(7);
+    header.writeUInt8(type, 2);
+    header.writeUInt16LE(flags, 3);
+    header.writeUInt16LE(7 + body.length, 5);
+    const data = Buffer.concat([header, body]);
+    data.writeUInt16LE(crc32(data.subarray(2)) & 0xffff, 0);
+    return data;
+  };
+
+  const parts = [Buffer.from('526172211a0700', 'hex'), block(0x73, 0, Buffer.alloc(6))];
+  for (const [name, text] of Object.entries(files)) {
+    const content = Buffer.from(text);
+    const fields = Buffer.alloc(25);
+    fields.writeUInt32LE(content.length, 0);  // packed size
+    fields.writeUInt32LE(content.length, 4);  // unpacked size
+    fields.writeUInt8(2, 8);                  // Windows
+    fields.writeUInt32LE(crc32(content), 9);
+    fields.writeUInt32LE(0x5a000000, 13);     // DOS time
+    fields.writeUInt8(20, 17);                // RAR 2.0 to extract
+    fields.writeUInt8(0x30, 18);              // stored
+    fields.writeUInt16LE(Buffer.byteLength(name), 19);
+    fields.writeUInt32LE(0x20, 21);
+    parts.push(block(0x74, 0x8000, Buffer.concat([fields, Buffer.from(name)])), content);
+  }
+  parts.push(block(0x7b, 0x4000, Buffer.alloc(0)));
+  return Buffer.concat(parts);
+};
+
+const PDF = '%PDF-1.4\n';
+
+// Fresh module with its limits taken from the given environment
+const loadExtractor = (env = {}) => {
+  let extractor;
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  jest.isolateModules(() => {
+    extractor = require('./archiveExtractor');
+  });
+  process.env = saved;
+  return extractor;
+};
+
+describe('Archive extractor', () => {
+  const archiveExtractor = loadExtractor();
+
+  it('tells archives from documents that are zip files too', () => {
+    const { detectArchiveType, isArchive } = archiveExtractor;
+    const docx = buildZip({ 'word/document.xml': '<w:document/>' });
+
+    expect(detectArchiveType({ filename: 'cvs.bin', buffer: buildZip({ 'a.pdf': PDF }) })).toBe('zip');
+    expect(detectArchiveType({ filename: 'cvs.zip', buffer: docx })).toBeNull();
+    expect(detectArchiveType({ filename: 'cvs.zip', buffer: buildRar({ 'a.pdf': PDF }) })).toBe('rar');
+    expect(detectArchiveType({ filename: 'cvs.7z', buffer: Buffer.from('377abcaf271c0004', 'hex') })).toBe('7z');
+    expect(detectArchiveType({ filename: 'cv.pdf', buffer: Buffer.from(PDF) })).toBeNull();
+    expect(isArchive({ originalname: 'CVs.ZIP' })).toBe(true);
+    expect(isArchive({ filename: 'x', contentType: 'application/x-rar-compressed' })).toBe(true);
+    expect(isArchive({ filename: 'cv.docx' })).toBe(false);
+  });
+
+  it('expands nested ZIP and RAR archives, leaving out folders and clutter', async () => {
+    const zip = buildZip({
+      'Jane Doe.pdf': PDF,
+      'more/John.docx': buildZip({ 'word/document.xml': '<w:document/>' }),
+      'more/agency.rar': buildRar({ 'cv\\Ann.pdf': PDF }),
+      '__MACOSX/._Jane Doe.pdf': 'x',
+      '.DS_Store': 'x'
+    });
+
+    const files = (await archiveExtractor.expandArchive(zip, { filename: 'cvs.zip' }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+    expect(files.map(({ filename, path, archive, contentType }) => ({ filename, path, archive, contentType }))).toEqual([
+      { filename: 'Jane Doe.pdf', path: 'cvs.zip/Jane Doe.pdf', archive: 'cvs.zip', contentType: 'application/pdf' },
+      { filename: 'Ann.pdf', path: 'cvs.zip/more/agency.rar/cv/Ann.pdf', archive: 'cvs.zip/more/agency.rar', contentType: 'application/pdf' },
+      {
+        filename: 'John.docx',
+        path: 'cvs.zip/more/John.docx',
+        archive: 'cvs.zip',
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+      }
+    ]);
+    expect(files[1].content.toString()).toBe(PDF);
+  });
+
+  it('rejects 7z and unreadable archives', async () => {
+    await expect(archiveExtractor.expandArchive(Buffer.from('377abcaf271c0004', 'hex'), { filename: 'cvs.7z' }))
+      .rejects.toThrow('7z archives are not supported');
+    await expect(archiveExtractor.expandArchive(Buffer.from('PK\u0003\u0004 broken'), { filename: 'cvs.zip' }))
+      .rejects.toThrow('cvs.zip is not a readable ZIP file');
+  });
+
+  it('stops zip bombs at the entry, size and nesting limits', async () => {
+    const limited = loadExtractor({ ARCHIVE_MAX_ENTRIES: '3', ARCHIVE_MAX_TOTAL_MB: '1', ARCHIVE_MAX_DEPTH: '2' });
+
+    const manyFiles = buildZip({ '1.pdf': PDF, '2.pdf': PDF, '3.pdf': PDF, '4.pdf': PDF });
+    await expect(limited.expandArchive(manyFiles, { filename: 'many.zip' })).rejects.toThrow('more than 3 files');
+
+    // Entries are counted across nested archives
+    const nestedMany = buildZip({ '1.pdf': PDF, 'inner.zip': buildZip({ '2.pdf': PDF, '3.pdf': PDF }) });
+    await expect(limited.expandArchive(nestedMany, { filename: 'nested.zip' })).rejects.toThrow('more than 3 files');
+
+    // Compresses to a few KB
+    const bomb = buildZip({ 'cv.pdf': Buffer.alloc(2 * 1024 * 1024) });
+    expect(bomb.length).toBeLessThan(64 * 1024);
+    await expect(limited.expandArchive(bomb, { filename: 'bomb.zip' })).rejects.toThrow('expands to more than 1 MB');
+
+    const deep = buildZip({ 'a.zip': buildZip({ 'b.zip': buildZip({ 'cv.pdf': PDF }) }) });
+    await expect(limited.expandArchive(deep, { filename: 'deep.zip' })).rejects.toThrow('nested more than 2 archives deep');
+    expect(await limited.expandArchive(buildZip({ 'a.zip': buildZip({ 'cv.pdf': PDF }) }), { filename: 'ok.zip' }))
+      .toHaveLength(1);
+  });
+});
@@ -0,0 +1,62 @@
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Write an audit entry. Never throws - a failed audit write is logged
+ * but must not break the request that triggered it.
+ */
+async function record(req, { action, targetType, targetId, metadata, statusCode } = {}) {
+  try {
+    const admin = req.admin || {};
+    await AuditLog.create({
+      organization: req.organizationId || admin.organization,
+      actor: {
+        id: admin.id,
+        username: admin.username,
+        role: admin.role,
+        apiKeyId: admin.apiKeyId
+      },
+      action,
+      targetType,
+      targetId: targetId !== undefined && targetId !== null ? String(targetId) : undefined,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode,
+      success: statusCode === undefined ? true : statusCode < 400,
+      ip: req.ip || req.connection?.remoteAddress,
+      userAgent: (req.headers?.['user-agent'] || '').substring(0, 500),
+      metadata
+    });
+  } catch (error) {
+    console.error(`❌ Failed to write audit log (${action}):`, error.message);
+  }
+}
+
+/**
+ * Middleware that records an audit entry once the response is sent.
+ * Place it before requirePermission so denied attempts are recorded too.
+ * Handlers can add details through res.locals.auditTargetId / res.locals.auditMetadata.
+ *
+ * Usage: router.delete('/:id', auditTrail('resume.delete', 'resume'), requirePermission(...), handler)
+ */
+function auditTrail(action, targetType) {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      // Unauthenticated requests have no actor worth recording
+      if (!req.admin) return;
+
+      record(req, {
+        action,
+        targetType,
+        targetId: res.locals.auditTargetId !== undefined ? res.locals.auditTargetId : req.params.id,
+        metadata: res.locals.auditMetadata,
+        statusCode: res.statusCode
+      });
+    });
+    next();
+  };
+}
+
+module.exports = {
+  record,
+  auditTrail
+};
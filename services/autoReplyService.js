@@ -0,0 +1,385 @@
+const nodemailer = require('nodemailer');
+const AutoReplyLog = require('../models/AutoReplyLog');
+const Organization = require('../models/Organization');
+const mailer = require('./mailer');
+const redisService = require('./redisService');
+
+/**
+ * Auto-reply: an acknowledgement sent to applicants once a resume (or their
+ * details in the message body) has been extracted from their email.
+ * Settings are kept per mailbox (MailboxAccount) and per Outlook account
+ * (Token):
+ *   { enabled, subject, body, dedupeDays, smtpHost, smtpPort, smtpSecure }
+ *
+ * Subject and body are templates: {{name}}, {{firstName}}, {{role}},
+ * {{subject}} (of the application) and {{organization}}, with an optional
+ * fallback for empty values, e.g. "Hi {{firstName|there}}".
+ *
+ * IMAP mailboxes reply through their own SMTP server when smtpHost is set
+ * (logging in with the mailbox's credentials), otherwise through the app
+ * mailer with the mailbox as Reply-To. Outlook accounts reply with Graph
+ * sendMail, which needs Mail.Send.
+ *
+ * Each sender is acknowledged at most once every dedupeDays days, and mail
+ * from no-reply addresses, mailing lists and other robots never gets a
+ * reply. Every decision is written to AutoReplyLog.
+ */
+
+const DEFAULT_SUBJECT = 'Re: {{subject}}';
+const DEFAULT_BODY = [
+  'Hi {{firstName|there}},',
+  '',
+  'Thank you for your application. We have received your resume and will get back to you if your profile matches one of our openings.',
+  '',
+  'Best regards,',
+  '{{organization}}'
+].join('\n');
+const DEFAULT_DEDUPE_DAYS = 30;
+const CLAIM_TTL_SECONDS = 10 * 60; // Longest a reply may take before another process can claim the sender
+
+const PLACEHOLDERS = ['name', 'firstName', 'role', 'subject', 'organization'];
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g;
+
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_BODY_LENGTH = 5000;
+
+// Sent with every reply so other robots don't answer it
+const REPLY_HEADERS = {
+  'Auto-Submitted': 'auto-replied',
+  'X-Auto-Response-Suppress': 'All'
+};
+
+// Local parts of addresses nobody reads
+const NO_REPLY_SENDER = /^(no[-_.]?reply|do[-_.]?not[-_.]?reply|mailer[-_.]?daemon|postmaster|bounces?|listserv|majordomo)([-+_.][^@]*)?@/i;
+
+/**
+ * Settings as returned by the API, with every field present and the
+ * default templates filled in
+ */
+function publicSettings(settings) {
+  return {
+    enabled: !!settings?.enabled,
+    subject: settings?.subject || DEFAULT_SUBJECT,
+    body: settings?.body || DEFAULT_BODY,
+    dedupeDays: settings?.dedupeDays ?? DEFAULT_DEDUPE_DAYS,
+    smtpHost: settings?.smtpHost || null,
+    smtpPort: settings?.smtpPort || null,
+    smtpSecure: settings?.smtpSecure ?? null
+  };
+}
+
+// A template may only use the known placeholders
+function checkTemplate(field, template) {
+  const unknown = [...template.matchAll(PLACEHOLDER_PATTERN)]
+    .map(match => match[1])
+    .find(name => !PLACEHOLDERS.includes(name));
+  return unknown
+    ? `autoReply.${field} uses unknown placeholder {{${unknown}}}, use one of ${PLACEHOLDERS.map(name => `{{${name}}}`).join(', ')}`
+    : null;
+}
+
+/**
+ * Validate auto-reply settings from a request body. The settings are
+ * replaced as a whole: templates left out go back to the defaults.
+ * @param {{smtp?: boolean}} [options] - whether SMTP settings apply (IMAP mailboxes)
+ * @returns {{ error?: string, value?: object }}
+ */
+function parseSettingsInput(input, { smtp = true } = {}) {
+  if (input === null) return { value: publicSettings(null) };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'autoReply must be an object' };
+  }
+
+  const value = publicSettings(null);
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') return { error: 'autoReply.enabled must be true or false' };
+    value.enabled = input.enabled;
+  }
+
+  for (const [field, maxLength] of [['subject', MAX_SUBJECT_LENGTH], ['body', MAX_BODY_LENGTH]]) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') continue;
+    if (typeof input[field] !== 'string' || !input[field].trim()) {
+      return { error: `autoReply.${field} must be a string or null` };
+    }
+    if (input[field].length > maxLength) {
+      return { error: `autoReply.${field} must be at most ${maxLength} characters` };
+    }
+    const templateError = checkTemplate(field, input[field]);
+    if (templateError) return { error: templateError };
+    value[field] = field === 'subject' ? input[field].trim() : input[field];
+  }
+
+  if (input.dedupeDays !== undefined && input.dedupeDays !== null) {
+    const days = Number(input.dedupeDays);
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+      return { error: 'autoReply.dedupeDays must be a whole number of days between 0 and 365' };
+    }
+    value.dedupeDays = days;
+  }
+
+  if (!smtp) {
+    if (['smtpHost', 'smtpPort', 'smtpSecure'].some(field => input[field] !== undefined && input[field] !== null)) {
+      return { error: 'Outlook accounts reply through Microsoft Graph, SMTP settings don\'t apply' };
+    }
+    return { value };
+  }
+
+  if (input.smtpHost !== undefined && input.smtpHost !== null && input.smtpHost !== '') {
+    if (typeof input.smtpHost !== 'string' || !input.smtpHost.trim()) {
+      return { error: 'autoReply.smtpHost must be a string or null' };
+    }
+    value.smtpHost = input.smtpHost.trim();
+  }
+  if (input.smtpPort !== undefined && input.smtpPort !== null) {
+    const port = parseInt(input.smtpPort);
+    if (!(port > 0 && port < 65536)) return { error: 'autoReply.smtpPort must be between 1 and 65535' };
+    value.smtpPort = port;
+  }
+  if (input.smtpSecure !== undefined && input.smtpSecure !== null) {
+    if (typeof input.smtpSecure !== 'boolean') return { error: 'autoReply.smtpSecure must be true or false' };
+    value.smtpSecure = input.smtpSecure;
+  }
+  return { value };
+}
+
+/**
+ * Fill in a template. Placeholders without a value take their fallback, or
+ * disappear.
+ */
+function renderTemplate(template, values) {
+  return template.replace(PLACEHOLDER_PATTERN, (match, name, fallback) => {
+    const value = values[name];
+    return value ? String(value) : (fallback ?? '').trim();
+  });
+}
+
+/**
+ * Headers of a message parsed by mailparser (headerLines), as
+ * { lowercased name: value }
+ */
+function headersFromLines(headerLines = []) {
+  const headers = {};
+  for (const { key, line } of headerLines) {
+    if (headers[key] !== undefined) continue;
+    headers[key] = line.slice(line.indexOf(':') + 1).replace(/\r?\n\s+/g, ' ').trim();
+  }
+  return headers;
+}
+
+/**
+ * Headers of a Graph message (internetMessageHeaders), as
+ * { lowercased name: value }
+ */
+function headersFromGraph(internetMessageHeaders = []) {
+  const headers = {};
+  for (const { name, value } of internetMessageHeaders) {
+    const key = name.toLowerCase();
+    if (headers[key] === undefined) headers[key] = value;
+  }
+  return headers;
+}
+
+/**
+ * Why a sender must not get an automatic reply, or null when it may
+ * @param {string} from - sender address
+ * @param {object} headers - headers of the received message, lowercased names
+ * @param {string[]} [ownAddresses] - addresses of the receiving mailbox
+ */
+function suppressionReason(from, headers = {}, ownAddresses = []) {
+  const address = (from || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+$/.test(address)) return 'no sender address';
+  if (ownAddresses.some(own => own && own.toLowerCase() === address)) return 'sent from the mailbox itself';
+  if (NO_REPLY_SENDER.test(address)) return 'no-reply sender';
+
+  if (headers['list-id'] || headers['list-unsubscribe'] || headers['list-post']) return 'mailing list';
+  if (/^(bulk|list|junk)$/i.test(headers.precedence || '')) return 'bulk mail';
+  if (headers['auto-submitted'] && !/^no\b/i.test(headers['auto-submitted'])) return 'automatic message';
+  if (headers['x-autoreply'] || headers['x-autorespond']) return 'automatic message';
+  if (/\b(all|autoreply)\b/i.test(headers['x-auto-response-suppress'] || '')) return 'sender asked for no automatic replies';
+  if ((headers['return-path'] || '').replace(/\s/g, '') === '<>') return 'bounce';
+  return null;
+}
+
+/**
+ * Values for the template placeholders, from the extracted resume
+ */
+function templateValues(email, organizationName) {
+  const name = (email.attachmentData?.name || email.fromName || '').trim();
+  return {
+    name,
+    firstName: name.split(/\s+/)[0],
+    role: email.attachmentData?.role,
+    subject: email.subject,
+    organization: organizationName
+  };
+}
+
+/**
+ * Send a reply over SMTP: the mailbox's own server when configured, the
+ * app mailer otherwise
+ * @param {object} mailbox - monitored IMAP account (see toMonitoredAccount)
+ * @param {object} settings
+ * @param {{to, subject, text, inReplyTo, fromName}} reply
+ */
+async function sendSmtpReply(mailbox, settings, { to, subject, text, inReplyTo, fromName }) {
+  const mailboxAddress = mailbox.config?.imap?.user;
+  const message = {
+    to,
+    subject,
+    text,
+    inReplyTo,
+    references: inReplyTo,
+    headers: REPLY_HEADERS
+  };
+
+  if (!settings.smtpHost) {
+    if (!mailer.isDelivering()) {
+      throw new Error('No SMTP server configured for the mailbox or the app (MAIL_TRANSPORT=log), nothing was sent');
+    }
+    return mailer.sendMail({ ...message, replyTo: mailboxAddress });
+  }
+
+  const port = settings.smtpPort || 465;
+  const transport = nodemailer.createTransport({
+    host: settings.smtpHost,
+    port,
+    secure: settings.smtpSecure ?? port === 465,
+    auth: { user: mailboxAddress, pass: mailbox.config.imap.password }
+  });
+  try {
+    return await transport.sendMail({
+      ...message,
+      from: fromName ? { name: fromName, address: mailboxAddress } : mailboxAddress
+    });
+  } finally {
+    transport.close();
+  }
+}
+
+/**
+ * Send a reply with Graph sendMail (needs Mail.Send). Graph only takes
+ * X- headers, so the reply can't be threaded or marked Auto-Submitted.
+ * @param {{client: object, userId: string}} graph
+ */
+async function sendGraphReply({ client, userId }, { to, subject, text }) {
+  await client.api(`/users/${userId}/sendMail`).post({
+    message: {
+      subject,
+      body: { contentType: 'Text', content: text },
+      toRecipients: [{ emailAddress: { address: to } }],
+      internetMessageHeaders: [{ name: 'X-Auto-Response-Suppress', value: REPLY_HEADERS['X-Auto-Response-Suppress'] }]
+    },
+    saveToSentItems: true
+  });
+}
+
+// Senders being acknowledged by this process, used while Redis is down
+const localClaims = new Set();
+
+/**
+ * Claim the right to acknowledge a sender, so two applications from the
+ * same person arriving together get one reply. Held while the log is
+ * checked, the reply sent and the outcome logged.
+ * @returns {Promise<Function|null>} releases the claim, or null when another send holds it
+ */
+async function claimSender(organization, to) {
+  const key = `autoreply:claim:${organization}:${to}`;
+  const claimed = await redisService.claimKey(key, Date.now(), CLAIM_TTL_SECONDS);
+  if (claimed !== null) {
+    return claimed ? () => redisService.deleteCache(key) : null;
+  }
+
+  if (localClaims.has(key)) return null;
+  localClaims.add(key);
+  return async () => localClaims.delete(key);
+}
+
+/**
+ * Acknowledge an application once the candidate was extracted. Never throws:
+ * a reply that can't be sent is logged and doesn't affect the import.
+ * @param {object} email - the saved Email record
+ * @param {object} options
+ * @param {object} options.settings - autoReply settings of the mailbox or account
+ * @param {object} [options.headers] - headers of the received message, lowercased names
+ * @param {string} [options.messageId] - Message-ID of the received message
+ * @param {object} [options.mailbox] - monitored IMAP account, replies over SMTP
+ * @param {{client: object, userId: string}} [options.graph] - Outlook account, replies with Graph
+ * @returns {Promise<object|null>} the AutoReplyLog entry, or null when nothing was due
+ */
+async function acknowledgeApplication(email, { settings, headers = {}, messageId, mailbox = null, graph = null }) {
+  const config = publicSettings(settings);
+  // Only applications: a resume, or candidate details in the message body
+  if (!config.enabled || !(email?.hasAttachment || email?.attachmentData?.source === 'body')) return null;
+
+  const accountName = graph ? 'Outlook-Graph' : mailbox?.name || 'Primary';
+  const to = (email.from || '').trim().toLowerCase();
+  const entry = {
+    organization: email.organization,
+    mailbox: mailbox?.mailboxId,
+    graphAccount: graph?.userId?.toLowerCase(),
+    email: email._id,
+    to,
+    transport: graph ? 'graph' : 'smtp'
+  };
+
+  let release = null;
+  try {
+    let reason = suppressionReason(to, headers, [mailbox?.config?.imap?.user, graph?.userId]);
+    if (!reason && config.dedupeDays > 0) {
+      // Claimed before the log is checked, so a concurrent send can't slip in between
+      release = await claimSender(email.organization, to);
+      const since = new Date(Date.now() - config.dedupeDays * 24 * 60 * 60 * 1000);
+      if (!release) {
+        reason = 'an acknowledgement is already being sent';
+      } else if (await AutoReplyLog.exists({
+        organization: email.organization,
+        to,
+        status: 'sent',
+        createdAt: { $gte: since }
+      })) {
+        reason = `already acknowledged in the last ${config.dedupeDays} days`;
+      }
+    }
+    if (reason) {
+      console.log(`🤫 [${accountName}] No auto-reply to ${to || '(unknown sender)'}: ${reason}`);
+      return await AutoReplyLog.create({ ...entry, status: 'suppressed', reason });
+    }
+
+    const organization = await Organization.findById(email.organization).select('name');
+    const values = templateValues(email, organization?.name);
+    const reply = {
+      to,
+      subject: renderTemplate(config.subject, values) || renderTemplate(DEFAULT_SUBJECT, values),
+      text: renderTemplate(config.body, values),
+      inReplyTo: messageId,
+      fromName: organization?.name
+    };
+
+    if (graph) {
+      await sendGraphReply(graph, reply);
+    } else {
+      await sendSmtpReply(mailbox, config, reply);
+    }
+
+    console.log(`↩️  [${accountName}] Acknowledgement sent to ${to}`);
+    return await AutoReplyLog.create({ ...entry, subject: reply.subject, status: 'sent' });
+  } catch (error) {
+    console.warn(`⚠️  [${accountName}] Auto-reply to ${to} failed: ${error.message}`);
+    return await AutoReplyLog.create({ ...entry, status: 'failed', reason: error.message }).catch(() => null);
+  } finally {
+    if (release) await release();
+  }
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  publicSettings,
+  parseSettingsInput,
+  renderTemplate,
+  headersFromLines,
+  headersFromGraph,
+  suppressionReason,
+  sendSmtpReply,
+  sendGraphReply,
+  acknowledgeApplication
+};
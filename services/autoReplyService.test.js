@@ -0,0 +1,167 @@
+const { SMTPServer } = require('smtp-server');
+const autoReply = require('./autoReplyService');
+const AutoReplyLog = require('../models/AutoReplyLog');
+const Organization = require('../models/Organization');
+const redisService = require('./redisService');
+
+describe('Auto-reply settings and templates', () => {
+  it('validates settings and checks the placeholders', () => {
+    const { value } = autoReply.parseSettingsInput({ enabled: true, subject: ' Thanks {{firstName}} ', dedupeDays: 7 });
+    expect(value).toEqual(expect.objectContaining({ enabled: true, subject: 'Thanks {{firstName}}', dedupeDays: 7, smtpHost: null }));
+    expect(value.body).toContain('{{firstName|there}}');
+
+    expect(autoReply.parseSettingsInput({ body: 'Hi {{candidate}}' }).error).toMatch(/unknown placeholder \{\{candidate\}\}/);
+    expect(autoReply.parseSettingsInput({ dedupeDays: -1 }).error).toMatch(/dedupeDays/);
+    expect(autoReply.parseSettingsInput({ smtpPort: 99999 }).error).toMatch(/smtpPort/);
+    expect(autoReply.parseSettingsInput({ smtpHost: 'smtp.example.com' }, { smtp: false }).error).toMatch(/Graph/);
+    expect(autoReply.parseSettingsInput(null).value.enabled).toBe(false);
+  });
+
+  it('fills in placeholders, with fallbacks for empty values', () => {
+    const template = 'Hi {{firstName|there}}, thanks for applying{{ role | }} to {{organization}}';
+    expect(autoReply.renderTemplate(template, { firstName: 'Jane', role: 'Nurse', organization: 'Acme' }))
+      .toBe('Hi Jane, thanks for applyingNurse to Acme');
+    expect(autoReply.renderTemplate(template, { organization: 'Acme' })).toBe('Hi there, thanks for applying to Acme');
+  });
+});
+
+describe('Auto-reply suppression', () => {
+  it('replies to people only', () => {
+    expect(autoReply.suppressionReason('jane@example.com', {})).toBeNull();
+    expect(autoReply.suppressionReason('No-Reply@jobs.example.com', {})).toBe('no-reply sender');
+    expect(autoReply.suppressionReason('donotreply+42@example.com', {})).toBe('no-reply sender');
+    expect(autoReply.suppressionReason('MAILER-DAEMON@mx.example.com', {})).toBe('no-reply sender');
+    expect(autoReply.suppressionReason('hr@example.com', {}, ['HR@example.com'])).toBe('sent from the mailbox itself');
+    expect(autoReply.suppressionReason('', {})).toBe('no sender address');
+  });
+
+  it('recognises mailing lists and automatic mail from the headers', () => {
+    const headers = autoReply.headersFromLines([
+      { key: 'list-id', line: 'List-Id: Jobs\r\n <jobs.lists.example.com>' },
+      { key: 'subject', line: 'Subject: CV' }
+    ]);
+    expect(headers).toEqual({ 'list-id': 'Jobs <jobs.lists.example.com>', subject: 'CV' });
+    expect(autoReply.suppressionReason('jane@example.com', headers)).toBe('mailing list');
+
+    const graphHeaders = autoReply.headersFromGraph([{ name: 'Precedence', value: 'bulk' }]);
+    expect(autoReply.suppressionReason('jane@example.com', graphHeaders)).toBe('bulk mail');
+    expect(autoReply.suppressionReason('jane@example.com', { 'auto-submitted': 'auto-replied' })).toBe('automatic message');
+    expect(autoReply.suppressionReason('jane@example.com', { 'auto-submitted': 'no' })).toBeNull();
+    expect(autoReply.suppressionReason('jane@example.com', { 'x-auto-response-suppress': 'OOF, AutoReply' }))
+      .toBe('sender asked for no automatic replies');
+  });
+});
+
+describe('Auto-reply sending', () => {
+  let server;
+  let received;
+
+  beforeAll(async () => {
+    // Local SMTP server standing in for the mailbox's own
+    server = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ['STARTTLS'],
+      onAuth(auth, session, callback) {
+        callback(null, { user: auth.username });
+      },
+      onData(stream, session, callback) {
+        let raw = '';
+        stream.on('data', (chunk) => { raw += chunk.toString(); });
+        stream.on('end', () => {
+          received.push({ user: session.user, to: session.envelope.rcptTo.map(r => r.address), raw });
+          callback();
+        });
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+  });
+
+  it('replies through the mailbox SMTP server, threaded and marked as automatic', async () => {
+    const mailbox = { name: 'Jobs', config: { imap: { user: 'jobs@acme.test', password: 'secret' } } };
+    const settings = { smtpHost: '127.0.0.1', smtpPort: server.server.address().port, smtpSecure: false };
+
+    await autoReply.sendSmtpReply(mailbox, settings, {
+      to: 'jane@example.com',
+      subject: 'Re: My resume',
+      text: 'Hi Jane',
+      inReplyTo: '<cv-1@example.com>',
+      fromName: 'Acme'
+    });
+
+    expect(received).toHaveLength(1);
+    expect(received[0].user).toBe('jobs@acme.test');
+    expect(received[0].to).toEqual(['jane@example.com']);
+    expect(received[0].raw).toContain('From: Acme <jobs@acme.test>');
+    expect(received[0].raw).toContain('In-Reply-To: <cv-1@example.com>');
+    expect(received[0].raw).toContain('Auto-Submitted: auto-replied');
+  });
+
+  it('replies with Graph sendMail for Outlook accounts', async () => {
+    const calls = [];
+    const client = { api: (url) => ({ post: async (body) => { calls.push([url, body]); } }) };
+
+    await autoReply.sendGraphReply({ client, userId: 'hr@acme.test' }, { to: 'jane@example.com', subject: 'Thanks', text: 'Hi' });
+
+    expect(calls).toEqual([['/users/hr@acme.test/sendMail', {
+      message: {
+        subject: 'Thanks',
+        body: { contentType: 'Text', content: 'Hi' },
+        toRecipients: [{ emailAddress: { address: 'jane@example.com' } }],
+        internetMessageHeaders: [{ name: 'X-Auto-Response-Suppress', value: 'All' }]
+      },
+      saveToSentItems: true
+    }]]);
+  });
+});
+
+describe('Auto-reply deduplication', () => {
+  let logs;
+
+  beforeEach(() => {
+    logs = [];
+    const keys = new Set();
+    // SET NX and DEL, as Redis applies them
+    jest.spyOn(redisService, 'claimKey').mockImplementation(async (key) => !keys.has(key) && !!keys.add(key));
+    jest.spyOn(redisService, 'deleteCache').mockImplementation(async (key) => keys.delete(key));
+    jest.spyOn(AutoReplyLog, 'exists').mockImplementation(async ({ to, status }) => logs.some(log => log.to === to && log.status === status));
+    jest.spyOn(AutoReplyLog, 'create').mockImplementation(async (entry) => {
+      logs.push(entry);
+      return entry;
+    });
+    jest.spyOn(Organization, 'findById').mockReturnValue({ select: async () => ({ name: 'Acme' }) });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('acknowledges two applications from one sender arriving together once', async () => {
+    const sent = [];
+    const client = {
+      api: () => ({ post: (body) => new Promise(resolve => setTimeout(() => resolve(sent.push(body)), 20)) })
+    };
+    const application = (id) => ({ _id: id, organization: '64b000000000000000000001', from: 'jane@example.com', hasAttachment: true, subject: 'CV' });
+    const options = { settings: { enabled: true }, graph: { client, userId: 'hr@acme.test' } };
+
+    const entries = await Promise.all([
+      autoReply.acknowledgeApplication(application('e1'), options),
+      autoReply.acknowledgeApplication(application('e2'), options)
+    ]);
+
+    expect(sent).toHaveLength(1);
+    expect(entries.map(entry => entry.status).sort()).toEqual(['sent', 'suppressed']);
+
+    // Later applications see the logged reply
+    expect((await autoReply.acknowledgeApplication(application('e3'), options)).reason).toMatch(/already acknowledged/);
+    expect(sent).toHaveLength(1);
+  });
+});
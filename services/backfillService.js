@@ -0,0 +1,282 @@
+const imap = require('imap-simple');
+const BackfillJob = require('../models/BackfillJob');
+const MailboxAccount = require('../models/MailboxAccount');
+const emailService = require('./emailService');
+const graphService = require('./graphService');
+const { emitToUser } = require('./socketService');
+
+// Historical imports run in the background, one message at a time with a pause
+// in between so providers (Gmail in particular) don't rate-limit the mailbox.
+// Progress is saved after every message; a job interrupted by a restart is
+// picked up again by the scheduler once its heartbeat is stale.
+const THROTTLE_MS = process.env.BACKFILL_THROTTLE_MS !== undefined
+  ? Math.max(parseInt(process.env.BACKFILL_THROTTLE_MS) || 0, 0)
+  : 1000;
+const CONCURRENCY = parseInt(process.env.BACKFILL_CONCURRENCY) || 1;
+const BATCH_SIZE = 50;
+const STALE_AFTER_MS = 2 * 60 * 1000;
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+const PROGRESS_EVENT_MS = 2000;
+
+// Jobs running in this process: id -> { cancelled }
+const runningJobs = new Map();
+let schedulerIo = null;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const toPublicJob = (job) => ({
+  id: job._id,
+  source: job.source,
+  mailbox: job.mailbox,
+  graphAccount: job.graphAccount,
+  folders: job.folders,
+  since: job.since,
+  before: job.before,
+  status: job.status,
+  progress: {
+    scanned: job.progress.scanned,
+    imported: job.progress.imported,
+    skipped: job.progress.skipped,
+    failed: job.progress.failed
+  },
+  error: job.error,
+  createdBy: job.createdBy,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
+
+/**
+ * Start a queued (or stale running) job in this process, if a slot is free
+ * @returns {Promise<boolean>} false when the job was not started
+ */
+async function startJob(jobId, io = schedulerIo) {
+  if (runningJobs.size >= CONCURRENCY || runningJobs.has(String(jobId))) {
+    return false;
+  }
+
+  // Claim the job so no other server runs it at the same time
+  const job = await BackfillJob.findOneAndUpdate(
+    {
+      _id: jobId,
+      status: { $in: ['queued', 'running'] },
+      $or: [
+        { heartbeatAt: null },
+        { heartbeatAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) } }
+      ]
+    },
+    { status: 'running', heartbeatAt: new Date(), $unset: { error: 1 } },
+    { new: true }
+  );
+  if (!job) return false;
+
+  runJob(job, io);
+  return true;
+}
+
+async function runJob(job, io) {
+  const control = { cancelled: false };
+  runningJobs.set(String(job._id), control);
+  if (!job.startedAt) job.startedAt = new Date();
+
+  console.log(`\n📚 [Backfill ${job._id}] Importing ${job.source === 'imap' ? 'mailbox' : job.graphAccount} mail from ${job.since.toDateString()} to ${job.before.toDateString()}`);
+
+  let lastEventAt = 0;
+  // Save progress after every message; report it (and look for a cancel
+  // from another server) every few seconds
+  const checkpoint = async () => {
+    job.heartbeatAt = new Date();
+    job.markModified('cursor');
+    await job.save();
+
+    if (Date.now() - lastEventAt < PROGRESS_EVENT_MS) return;
+    lastEventAt = Date.now();
+    if (await BackfillJob.exists({ _id: job._id, status: 'cancelled' })) {
+      control.cancelled = true;
+    }
+    emitToUser(io, job.createdBy, 'backfillProgress', toPublicJob(job));
+  };
+
+  let outcome = { status: 'completed' };
+  try {
+    if (job.source === 'imap') {
+      await runImapBackfill(job, control, checkpoint);
+    } else {
+      await runGraphBackfill(job, control, checkpoint);
+    }
+    console.log(`✅ [Backfill ${job._id}] ${control.cancelled ? 'Cancelled' : 'Completed'}: ${job.progress.imported} imported, ${job.progress.skipped} skipped, ${job.progress.failed} failed`);
+  } catch (error) {
+    // The cursor is kept, so the job can be resumed
+    outcome = { status: 'failed', error: error.message };
+    console.error(`❌ [Backfill ${job._id}] Failed:`, error.message);
+  } finally {
+    runningJobs.delete(String(job._id));
+    try {
+      job.heartbeatAt = undefined;
+      job.markModified('cursor');
+      await job.save();
+
+      // Only while still running: a cancel through the API already set the status
+      await BackfillJob.updateOne(
+        { _id: job._id, status: 'running' },
+        { ...outcome, finishedAt: new Date() }
+      );
+      const finished = await BackfillJob.findById(job._id);
+      if (finished) emitToUser(io, job.createdBy, 'backfillProgress', toPublicJob(finished));
+    } catch (err) {
+      console.error(`⚠️  [Backfill ${job._id}] Could not save job:`, err.message);
+    }
+
+    // Hand the slot to the next queued job
+    setImmediate(() => runScheduler(io));
+  }
+}
+
+/**
+ * Count the outcome of one message and move the cursor past it
+ */
+async function recordMessage(job, result, checkpoint) {
+  job.progress.scanned++;
+  job.progress[result]++;
+  await checkpoint();
+  if (THROTTLE_MS > 0) await sleep(THROTTLE_MS);
+}
+
+async function runImapBackfill(job, control, checkpoint) {
+  const mailbox = await MailboxAccount.findOne({ _id: job.mailbox, organization: job.organization });
+  if (!mailbox) {
+    throw new Error('Mailbox no longer exists');
+  }
+
+  // Historical mail is left as it is in the mailbox (no post-processing) and
+  // applicants who wrote long ago get no acknowledgement
+  const account = { ...emailService.toMonitoredAccount(mailbox), postProcessing: null, autoReply: null };
+  const folders = job.folders.length > 0 ? job.folders : mailbox.folders;
+
+  // A connection of its own: the monitor keeps its folder open
+  const connection = await imap.connect(account.config);
+  connection.on('error', (err) => console.error(`❌ [Backfill ${job._id}] IMAP connection error:`, err.message));
+
+  try {
+    for (let index = job.cursor.folderIndex || 0; index < folders.length; index++) {
+      const folder = folders[index];
+      const box = await connection.openBox(folder, true);
+      const uidValidity = Number(box.uidvalidity);
+
+      // Start the folder over if it was renumbered since the last run
+      if (job.cursor.folderIndex !== index || job.cursor.uidValidity !== uidValidity) {
+        job.cursor = { folderIndex: index, uidValidity, lastUid: 0 };
+      }
+
+      const uids = (await emailService.searchUids(connection, [['SINCE', job.since], ['BEFORE', job.before]]))
+        .filter(uid => uid > job.cursor.lastUid)
+        .sort((a, b) => a - b);
+      console.log(`📚 [Backfill ${job._id}] ${uids.length} message(s) to import from ${folder}`);
+
+      for (let i = 0; i < uids.length; i += BATCH_SIZE) {
+        const messages = await emailService.fetchMessageHeaders(connection, uids.slice(i, i + BATCH_SIZE));
+
+        for (const message of messages) {
+          if (control.cancelled) return;
+
+          const uid = message.attributes.uid;
+          // No io: one notification per historical email would flood the
+          // clients, they get backfillProgress events instead
+          const result = await emailService.processIndividualEmail(
+            message, connection, null, account, emailService.imapEmailId(account, folder, uidValidity, uid), folder, { uidValidity }
+          );
+          job.cursor.lastUid = uid;
+          await recordMessage(job, result, checkpoint);
+        }
+      }
+    }
+  } finally {
+    await connection.end();
+  }
+}
+
+async function runGraphBackfill(job, control, checkpoint) {
+  const userId = job.graphAccount;
+
+  while (true) {
+    const client = graphService.getGraphClient(await graphService.getValidToken(userId));
+    const page = job.cursor.pageLink
+      ? await client.api(job.cursor.pageLink).get()
+      : await client.api(`/users/${userId}/mailFolders/inbox/messages`)
+        .filter(`receivedDateTime ge ${job.since.toISOString()} and receivedDateTime lt ${job.before.toISOString()}`)
+        .select('id,subject,from,receivedDateTime,hasAttachments')
+        .orderby('receivedDateTime asc')
+        .top(BATCH_SIZE)
+        .get();
+
+    const messages = page.value || [];
+    for (let index = job.cursor.pageIndex || 0; index < messages.length; index++) {
+      if (control.cancelled) return;
+
+      let result;
+      try {
+        const savedEmail = await graphService.processGraphMessage(client, userId, messages[index], null, job.organization);
+        result = savedEmail ? 'imported' : 'skipped';
+      } catch (error) {
+        result = 'failed';
+      }
+      job.cursor.pageIndex = index + 1;
+      await recordMessage(job, result, checkpoint);
+    }
+
+    if (!page['@odata.nextLink']) return;
+    job.cursor = { pageLink: page['@odata.nextLink'], pageIndex: 0 };
+    await checkpoint();
+  }
+}
+
+/**
+ * Ask a job to stop. Jobs running on this server stop before the next
+ * message, jobs on another server at their next progress report.
+ * @returns {Promise<object|null>} the job, or null when it had already finished
+ */
+async function cancelJob(jobId) {
+  const job = await BackfillJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['queued', 'running'] } },
+    { status: 'cancelled', finishedAt: new Date() },
+    { new: true }
+  );
+  const control = runningJobs.get(String(jobId));
+  if (control) control.cancelled = true;
+  return job;
+}
+
+/**
+ * Start queued jobs and take over jobs whose server stopped working on them
+ */
+async function runScheduler(io = schedulerIo) {
+  try {
+    const jobs = await BackfillJob.find({ status: { $in: ['queued', 'running'] } })
+      .sort({ createdAt: 1 })
+      .select('_id');
+    for (const job of jobs) {
+      if (runningJobs.size >= CONCURRENCY) break;
+      await startJob(job._id, io);
+    }
+  } catch (error) {
+    console.error('⚠️  Backfill scheduler error:', error.message);
+  }
+}
+
+/**
+ * Resume interrupted jobs now and check for waiting ones every minute
+ */
+function startBackfillScheduler(io) {
+  schedulerIo = io;
+  runScheduler(io);
+  const timer = setInterval(() => runScheduler(io), SCHEDULER_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  toPublicJob,
+  startJob,
+  cancelJob,
+  startBackfillScheduler
+};
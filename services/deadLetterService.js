@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+const FailedIngestion = require('../models/FailedIngestion');
+const ingestionQueue = require('./ingestionQueue');
+const { getDefaultOrganizationId } = require('./tenantService');
+
+/**
+ * Dead-letter queue: mail and uploads that could not be imported are kept
+ * in FailedIngestion with the error, the stage it failed at, where it came
+ * from and what is needed to run it again (the ingestion worker handler,
+ * its payload and the raw bytes). Records are retried from /api/failed-ingestions
+ * and removed once a retry succeeds.
+ */
+
+// Raw bytes larger than this aren't kept (a MongoDB document can't exceed 16 MB);
+// mail is then fetched from the mailbox again on retry
+const MAX_RAW_BYTES = 15 * 1024 * 1024;
+
+// Where each job type carries its raw bytes (Buffer or base64)
+const RAW_FIELDS = {
+  imap_message: ['source'],
+  upload: ['file', 'buffer'],
+  attachment: ['content']
+};
+
+const SOURCES = {
+  imap_message: 'imap',
+  graph_message: 'graph',
+  upload: 'upload'
+};
+
+/**
+ * Tag errors of a step with the stage it belongs to (unless a step inside it
+ * already did)
+ * @param {'fetch'|'parse'|'extract'|'store'} stage
+ * @param {function(): Promise} work
+ */
+async function atStage(stage, work) {
+  try {
+    return await work();
+  } catch (error) {
+    if (error && typeof error === 'object' && !error.stage) error.stage = stage;
+    throw error;
+  }
+}
+
+/**
+ * Payload without its raw bytes, and the bytes
+ * @returns {{payload: object, raw: Buffer|null}}
+ */
+function splitRaw(jobType, payload) {
+  const path = RAW_FIELDS[jobType];
+  const value = path && path.reduce((object, field) => object?.[field], payload);
+  if (!value) return { payload, raw: null };
+
+  const [field, nested] = path;
+  const rest = { ...payload };
+  if (nested) {
+    rest[field] = { ...payload[field] };
+    delete rest[field][nested];
+  } else {
+    delete rest[field];
+  }
+  return { payload: rest, raw: Buffer.isBuffer(value) ? value : Buffer.from(value, 'base64') };
+}
+
+/**
+ * Payload with the raw bytes put back (base64, as queued)
+ */
+function withRaw(jobType, payload, raw) {
+  const path = RAW_FIELDS[jobType];
+  if (!path || !raw?.length) return { ...payload };
+
+  const [field, nested] = path;
+  return nested
+    ? { ...payload, [field]: { ...payload[field], [nested]: raw.toString('base64') } }
+    : { ...payload, [field]: raw.toString('base64') };
+}
+
+// Where a job's item came from, for listing and filtering
+function describeJob(type, payload) {
+  switch (type) {
+    case 'imap_message':
+      return {
+        accountKey: payload.accountKey,
+        mailbox: mongoose.isValidObjectId(payload.accountKey) ? payload.accountKey : undefined,
+        folder: payload.folder,
+        uidValidity: payload.uidValidity || undefined,
+        uid: payload.uid,
+        emailId: payload.emailId,
+        subject: payload.subject,
+        from: payload.fromEmail
+      };
+    case 'graph_message':
+      return {
+        graphAccount: payload.userId,
+        graphMessageId: payload.message?.id,
+        emailId: payload.message?.id && `graph_${payload.message.id}`,
+        subject: payload.message?.subject,
+        from: payload.message?.from?.emailAddress?.address
+      };
+    case 'upload':
+      return {
+        emailId: payload.options?.emailId,
+        fileName: payload.file?.originalname,
+        subject: payload.options?.subject
+      };
+    case 'attachment':
+      return { email: payload.email, fileName: payload.filename };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Record a job (or an item that would have been one) as failed. Failing
+ * again updates the same record.
+ * @param {{type: string, payload: object, key?: string, id?: string, organization?: any, reference?: object}} job -
+ *   reference: more fields of FailedIngestion (e.g. source and mailbox of an attachment)
+ * @param {Error} error - with .stage when known
+ * @returns {Promise<object>} the FailedIngestion record
+ */
+async function recordJobFailure({ type, payload, key = null, id = null, organization = null, reference = {} }, error) {
+  if (type === 'retry_failure') {
+    return markRetryFailed(payload.failureId, error);
+  }
+
+  const { payload: stored, raw } = splitRaw(type, payload);
+  const keepRaw = raw && raw.length <= MAX_RAW_BYTES;
+  const now = new Date();
+  const fields = {
+    ...describeJob(type, payload),
+    source: SOURCES[type],
+    ...reference,
+    organization: organization || await getDefaultOrganizationId(),
+    jobType: type,
+    payload: stored,
+    status: 'failed',
+    stage: error?.stage || 'other',
+    error: error?.message || String(error),
+    lastFailedAt: now,
+    rawSize: keepRaw ? raw.length : 0
+  };
+
+  const record = await FailedIngestion.findOneAndUpdate(
+    { key: key || `job_${id}` },
+    {
+      $set: keepRaw ? { ...fields, raw } : fields,
+      ...(keepRaw ? {} : { $unset: { raw: 1 } }),
+      $inc: { failures: 1 },
+      $setOnInsert: { firstFailedAt: now }
+    },
+    { upsert: true, new: true }
+  );
+
+  if (raw && !keepRaw) {
+    console.warn(`⚠️ ${record.key}: ${raw.length} bytes is too large to keep, it has to be fetched again to retry`);
+  }
+  console.error(`🗃️  ${record.key} recorded as failed ingestion ${record._id} (${record.stage}): ${record.error}`);
+  return record;
+}
+
+async function markRetryFailed(failureId, error) {
+  return FailedIngestion.findByIdAndUpdate(failureId, {
+    status: 'failed',
+    stage: error?.stage || 'other',
+    error: error?.message || String(error),
+    lastFailedAt: new Date(),
+    $inc: { failures: 1 }
+  }, { new: true });
+}
+
+/**
+ * Whether an item has a failure waiting to be retried or discarded
+ */
+async function hasFailure(key) {
+  return !!(await FailedIngestion.exists({ key }));
+}
+
+/**
+ * Retry a failure: in an ingestion worker when the queue is available,
+ * right here (in the background) otherwise
+ * @returns {Promise<'queued'|'started'>}
+ */
+async function retryFailure(failure, io = null) {
+  await FailedIngestion.updateOne({ _id: failure._id }, { status: 'retrying' });
+
+  if (ingestionQueue.isEnabled()) {
+    try {
+      await ingestionQueue.enqueue('retry_failure', { failureId: String(failure._id) }, {
+        key: `retry_${failure._id}`,
+        organization: failure.organization,
+        maxAttempts: 1
+      });
+      return 'queued';
+    } catch (error) {
+      console.warn(`⚠️ Could not queue the retry of ${failure.key}, running it now: ${error.message}`);
+    }
+  }
+
+  setImmediate(() => {
+    runRetry(failure._id, io).catch(err => console.error(`❌ Retry of ${failure.key} failed:`, err.message));
+  });
+  return 'started';
+}
+
+/**
+ * Run a failure again with its ingestion worker handler (retry_failure jobs).
+ * The record is removed when it succeeds and back to 'failed' otherwise.
+ * @returns {Promise<boolean|null>} null when the record was discarded meanwhile
+ */
+async function runRetry(failureId, io = null) {
+  const failure = await FailedIngestion.findById(failureId).select('+raw');
+  if (!failure) return null;
+
+  // Lazy loaded: the worker's handlers load most of the app
+  const { HANDLERS } = require('./ingestionWorker');
+  const handler = HANDLERS[failure.jobType];
+
+  try {
+    if (!handler) throw new Error(`"${failure.jobType}" can't be retried`);
+    await handler(withRaw(failure.jobType, failure.payload, failure.raw), io, { finalAttempt: true });
+  } catch (error) {
+    await markRetryFailed(failure._id, error);
+    console.error(`❌ Retry of ${failure.key} failed: ${error.message}`);
+    return false;
+  }
+
+  await FailedIngestion.deleteOne({ _id: failure._id });
+  console.log(`✅ ${failure.key} imported on retry`);
+  return true;
+}
+
+/**
+ * File name and type of the raw bytes of a failure
+ */
+function rawFile(failure) {
+  switch (failure.jobType) {
+    case 'imap_message':
+      return { filename: `${failure.uid || failure._id}.eml`, contentType: 'message/rfc822' };
+    case 'upload':
+      return { filename: failure.fileName, contentType: failure.payload?.file?.mimetype || 'application/octet-stream' };
+    default:
+      return { filename: failure.fileName || String(failure._id), contentType: failure.payload?.contentType || 'application/octet-stream' };
+  }
+}
+
+/**
+ * Failure as returned by the API: without the raw bytes, and with the job
+ * payload only when detailed
+ */
+function toPublicFailure(failure, { detailed = false } = {}) {
+  const { raw, payload, __v, ...fields } = failure.toObject ? failure.toObject() : failure;
+  return {
+    ...fields,
+    hasRaw: fields.rawSize > 0,
+    ...(detailed ? { payload } : {})
+  };
+}
+
+module.exports = {
+  MAX_RAW_BYTES,
+  atStage,
+  splitRaw,
+  withRaw,
+  recordJobFailure,
+  hasFailure,
+  retryFailure,
+  runRetry,
+  rawFile,
+  toPublicFailure
+};
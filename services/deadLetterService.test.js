@@ -0,0 +1,39 @@
+const deadLetter = require('./deadLetterService');
+
+describe('Dead-letter payloads', () => {
+  it('keeps the raw bytes apart from the job payload and puts them back for a retry', () => {
+    const source = Buffer.from('From: jane@example.com\r\nSubject: CV\r\n\r\nHello');
+    const { payload, raw } = deadLetter.splitRaw('imap_message', { uid: 7, folder: 'INBOX', source: source.toString('base64') });
+    expect(payload).toEqual({ uid: 7, folder: 'INBOX' });
+    expect(raw.equals(source)).toBe(true);
+    expect(deadLetter.withRaw('imap_message', payload, raw)).toEqual({ uid: 7, folder: 'INBOX', source: source.toString('base64') });
+
+    const file = Buffer.from('%PDF-1.4');
+    const upload = deadLetter.splitRaw('upload', { file: { originalname: 'cv.pdf', buffer: file }, options: { emailId: 'web_1' } });
+    expect(upload.payload).toEqual({ file: { originalname: 'cv.pdf' }, options: { emailId: 'web_1' } });
+    expect(deadLetter.withRaw('upload', upload.payload, upload.raw).file.buffer).toBe(file.toString('base64'));
+  });
+
+  it('leaves payloads without raw bytes as they are', () => {
+    const payload = { userId: 'hr@acme.test', message: { id: 'AAMk1' } };
+    expect(deadLetter.splitRaw('graph_message', payload)).toEqual({ payload, raw: null });
+    expect(deadLetter.splitRaw('imap_message', { uid: 7 })).toEqual({ payload: { uid: 7 }, raw: null });
+    expect(deadLetter.withRaw('imap_message', { uid: 7 }, null)).toEqual({ uid: 7 });
+  });
+
+  it('tags errors with the first stage they went through', async () => {
+    const error = await deadLetter.atStage('store', () => deadLetter.atStage('extract', async () => {
+      throw new Error('pdfParse: bad XRef entry');
+    })).catch(err => err);
+    expect(error.stage).toBe('extract');
+
+    expect(await deadLetter.atStage('parse', async () => 'parsed')).toBe('parsed');
+  });
+
+  it('hides the raw bytes and the payload from listings', () => {
+    const failure = { _id: 'f1', key: 'imap_1', rawSize: 12, raw: Buffer.from('x'), payload: { uid: 7 } };
+    expect(deadLetter.toPublicFailure(failure)).toEqual({ _id: 'f1', key: 'imap_1', rawSize: 12, hasRaw: true });
+    expect(deadLetter.toPublicFailure(failure, { detailed: true }).payload).toEqual({ uid: 7 });
+    expect(deadLetter.rawFile({ jobType: 'imap_message', uid: 7 })).toEqual({ filename: '7.eml', contentType: 'message/rfc822' });
+  });
+});
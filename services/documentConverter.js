@@ -0,0 +1,347 @@
+const { execFile } = require('child_process');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+const AdmZip = require('adm-zip');
+const ocrService = require('./ocrService');
+
+/**
+ * Resume document formats we can read. Every format goes through
+ * extractText(), so extractResumeData() gets plain text whatever was sent.
+ * Images and scanned PDFs are read by OCR (see ocrService).
+ */
+const DOCUMENT_TYPES = {
+  pdf: {
+    extensions: ['.pdf'],
+    contentTypes: ['application/pdf']
+  },
+  docx: {
+    extensions: ['.docx'],
+    contentTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+  },
+  doc: {
+    extensions: ['.doc'],
+    contentTypes: ['application/msword']
+  },
+  rtf: {
+    extensions: ['.rtf'],
+    contentTypes: ['application/rtf', 'text/rtf', 'application/x-rtf']
+  },
+  odt: {
+    extensions: ['.odt'],
+    contentTypes: ['application/vnd.oasis.opendocument.text']
+  },
+  jpg: {
+    extensions: ['.jpg', '.jpeg'],
+    contentTypes: ['image/jpeg', 'image/jpg', 'image/pjpeg'],
+    image: true
+  },
+  png: {
+    extensions: ['.png'],
+    contentTypes: ['image/png'],
+    image: true
+  },
+  heic: {
+    extensions: ['.heic', '.heif'],
+    contentTypes: ['image/heic', 'image/heif', 'image/heic-sequence', 'image/heif-sequence'],
+    image: true
+  }
+};
+
+// For error messages
+const SUPPORTED_FORMATS = 'PDF, Word (DOC/DOCX), RTF, ODT, JPG, PNG or HEIC';
+
+// LibreOffice renders the PDF preview of Word documents; without it only the original is kept
+const LIBREOFFICE_PATH = process.env.LIBREOFFICE_PATH;
+const CONVERT_TIMEOUT_MS = 60 * 1000;
+
+const ODT_MIMETYPE = 'application/vnd.oasis.opendocument.text';
+const OLE_SIGNATURE = Buffer.from('d0cf11e0a1b11ae1', 'hex');
+const PNG_SIGNATURE = Buffer.from('89504e470d0a1a0a', 'hex');
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+/**
+ * Format named by the file name or MIME type, without looking at the content
+ */
+function typeFromName(filename, contentType) {
+  const extension = path.extname(filename || '').toLowerCase();
+  const mime = (contentType || '').toLowerCase().split(';')[0].trim();
+
+  for (const [type, { extensions, contentTypes }] of Object.entries(DOCUMENT_TYPES)) {
+    if (extensions.includes(extension) || contentTypes.includes(mime)) {
+      return type;
+    }
+  }
+  return null;
+}
+
+/**
+ * Format of a zip container: DOCX and ODT are both zip files
+ */
+function zipDocumentType(buffer) {
+  try {
+    const zip = new AdmZip(buffer);
+    if (zip.getEntry('word/document.xml')) return 'docx';
+    const mimetype = zip.getEntry('mimetype');
+    if (mimetype && mimetype.getData().toString('utf8').trim() === ODT_MIMETYPE) return 'odt';
+  } catch (error) {
+    // Not a readable zip file
+  }
+  return null;
+}
+
+/**
+ * Work out the format of a document. The content wins over the name when it
+ * is available: mail clients often send Word files as application/octet-stream
+ * and a renamed file shouldn't reach the wrong parser.
+ * @param {{filename?: string, contentType?: string, buffer?: Buffer}} file
+ * @returns {string|null} a key of DOCUMENT_TYPES, or null when unsupported
+ */
+function detectDocumentType({ filename, contentType, buffer } = {}) {
+  const named = typeFromName(filename, contentType);
+  if (!buffer || buffer.length < 4) return named;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpg';
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+  if (buffer.subarray(4, 8).toString('latin1') === 'ftyp' &&
+      HEIC_BRANDS.includes(buffer.subarray(8, 12).toString('latin1'))) return 'heic';
+
+  // Some generators write a few bytes before the PDF header
+  if (buffer.subarray(0, 1024).includes('%PDF-')) return 'pdf';
+  if (buffer.subarray(0, 5).toString('latin1') === '{\\rtf') return 'rtf';
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b) return zipDocumentType(buffer);
+  // Legacy Office container - also used by .xls and .msg, so trust it only for Word
+  if (buffer.subarray(0, 8).equals(OLE_SIGNATURE)) return named === 'doc' || !named ? 'doc' : null;
+
+  return null;
+}
+
+/**
+ * Whether a file looks like a resume document we can read (name/MIME type only)
+ */
+function isSupportedDocument({ filename, originalname, contentType, mimetype } = {}) {
+  return typeFromName(filename || originalname, contentType || mimetype) !== null;
+}
+
+/**
+ * Whether a document type is a picture (read by OCR, shown as is)
+ */
+function isImageType(type) {
+  return DOCUMENT_TYPES[type]?.image === true;
+}
+
+/**
+ * MIME type to store and serve a document with
+ */
+function getContentType(type) {
+  return DOCUMENT_TYPES[type]?.contentTypes[0] || 'application/octet-stream';
+}
+
+/**
+ * File extension (with the dot) of a document type
+ */
+function getExtension(type) {
+  return DOCUMENT_TYPES[type]?.extensions[0] || '';
+}
+
+const RTF_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'listtable', 'listoverridetable', 'info',
+  'pict', 'object', 'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl',
+  'footerr', 'footerf', 'footnote', 'field', 'fldinst', 'themedata', 'colorschememapping',
+  'latentstyles', 'datastore', 'rsidtbl', 'xmlnstbl', 'generator', 'filetbl', 'revtbl'
+]);
+
+const RTF_SPECIAL = {
+  par: '\n', line: '\n', sect: '\n\n', page: '\n\n', row: '\n', cell: '\t', tab: '\t',
+  emdash: '—', endash: '–', bullet: '•',
+  lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”'
+};
+
+// Windows-1252 characters that differ from Latin-1
+const CP1252 = {
+  0x80: '€', 0x85: '…', 0x91: '‘', 0x92: '’', 0x93: '“',
+  0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x99: '™'
+};
+
+/**
+ * Plain text of an RTF document. Groups that hold no body text (fonts,
+ * styles, pictures, headers...) are skipped.
+ */
+function rtfToText(rtf) {
+  const source = Buffer.isBuffer(rtf) ? rtf.toString('latin1') : String(rtf);
+  const pattern = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|(.)/gis;
+  const stack = [];
+  let ignorable = false;
+  let unicodeSkip = 1;
+  let skip = 0;
+  let text = '';
+
+  for (const [, word, arg, hex, symbol, brace, char] of source.matchAll(pattern)) {
+    if (brace) {
+      skip = 0;
+      if (brace === '{') {
+        stack.push({ ignorable, unicodeSkip });
+      } else if (stack.length > 0) {
+        ({ ignorable, unicodeSkip } = stack.pop());
+      }
+    } else if (symbol) {
+      skip = 0;
+      if (symbol === '*') {
+        ignorable = true;
+      } else if (!ignorable) {
+        if (symbol === '~') text += ' ';
+        else if (symbol === '\n' || symbol === '\r') text += '\n';
+        else if ('{}\\'.includes(symbol)) text += symbol;
+      }
+    } else if (word) {
+      skip = 0;
+      const name = word.toLowerCase();
+      if (RTF_DESTINATIONS.has(name)) {
+        ignorable = true;
+      } else if (ignorable) {
+        continue;
+      } else if (RTF_SPECIAL[name]) {
+        text += RTF_SPECIAL[name];
+      } else if (name === 'uc') {
+        unicodeSkip = parseInt(arg) || 0;
+      } else if (name === 'u') {
+        const code = parseInt(arg);
+        text += String.fromCharCode(code < 0 ? code + 0x10000 : code);
+        // The ANSI fallback characters that follow
+        skip = unicodeSkip;
+      }
+    } else if (hex) {
+      if (skip > 0) {
+        skip--;
+      } else if (!ignorable) {
+        const code = parseInt(hex, 16);
+        text += CP1252[code] || String.fromCharCode(code);
+      }
+    } else if (char) {
+      if (skip > 0) {
+        skip--;
+      } else if (!ignorable) {
+        text += char;
+      }
+    }
+  }
+
+  return text;
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1));
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Plain text of an OpenDocument text file (content.xml of the zip)
+ */
+function odtToText(buffer) {
+  const entry = new AdmZip(buffer).getEntry('content.xml');
+  if (!entry) {
+    throw new Error('Not an OpenDocument text file (content.xml missing)');
+  }
+
+  const xml = entry.getData().toString('utf8');
+  const body = xml
+    .replace(/<text:tracked-changes\b[\s\S]*?<\/text:tracked-changes>/g, '')
+    .replace(/<text:s\s+text:c="(\d+)"\s*\/>/g, (match, count) => ' '.repeat(parseInt(count)))
+    .replace(/<text:s\s*\/>/g, ' ')
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    .replace(/<\/text:(p|h)>/g, '\n')
+    .replace(/<text:(p|h)\b[^>]*\/>/g, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeXmlEntities(body);
+}
+
+/**
+ * Extract the plain text of a document
+ * @param {Buffer} buffer
+ * @param {string} type - a key of DOCUMENT_TYPES (see detectDocumentType)
+ * @returns {Promise<string>}
+ */
+async function extractText(buffer, type) {
+  switch (type) {
+    case 'pdf':
+      // Pages without a text layer go through OCR
+      return ocrService.extractPdfText(buffer);
+    case 'docx': {
+      const result = await mammoth.extractRawText({ buffer });
+      return result.value || '';
+    }
+    case 'doc': {
+      const document = await new WordExtractor().extract(buffer);
+      return document.getBody() || '';
+    }
+    case 'rtf':
+      return rtfToText(buffer);
+    case 'odt':
+      return odtToText(buffer);
+    case 'jpg':
+    case 'png':
+    case 'heic':
+      return ocrService.extractImageText(buffer, type);
+    default:
+      throw new Error(`Unsupported document type: ${type}`);
+  }
+}
+
+/**
+ * Render a document as PDF for in-browser preview, through LibreOffice
+ * (LIBREOFFICE_PATH, e.g. /usr/bin/soffice)
+ * @returns {Promise<Buffer|null>} null when LibreOffice isn't configured or the conversion failed
+ */
+async function convertToPdf(buffer, type) {
+  if (type === 'pdf') return buffer;
+  // Pictures are shown as they are
+  if (!LIBREOFFICE_PATH || !DOCUMENT_TYPES[type] || isImageType(type)) return null;
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'resume-preview-'));
+  try {
+    const input = path.join(workDir, `resume${getExtension(type)}`);
+    await fs.writeFile(input, buffer);
+
+    await new Promise((resolve, reject) => {
+      execFile(
+        LIBREOFFICE_PATH,
+        // A profile of its own, so it doesn't clash with a running LibreOffice
+        ['--headless', `-env:UserInstallation=file://${workDir}/profile`, '--convert-to', 'pdf', '--outdir', workDir, input],
+        { timeout: CONVERT_TIMEOUT_MS },
+        (error) => (error ? reject(error) : resolve())
+      );
+    });
+
+    return await fs.readFile(path.join(workDir, 'resume.pdf'));
+  } catch (error) {
+    console.warn(`⚠️  PDF preview conversion failed: ${error.message}`);
+    return null;
+  } finally {
+    await fs.remove(workDir).catch(() => {});
+  }
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  SUPPORTED_FORMATS,
+  detectDocumentType,
+  isSupportedDocument,
+  isImageType,
+  getContentType,
+  getExtension,
+  extractText,
+  convertToPdf,
+  rtfToText,
+  odtToText
+};
@@ -0,0 +1,108 @@
+const AdmZip = require('adm-zip');
+const documentConverter = require('./documentConverter');
+
+const buildDocx = (paragraphs) => {
+  const zip = new AdmZip();
+  zip.addFile('[Content_Types].xml', Buffer.from(
+    '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '</Types>'
+  ));
+  zip.addFile('_rels/.rels', Buffer.from(
+    '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+    '</Relationships>'
+  ));
+  zip.addFile('word/document.xml', Buffer.from(
+    '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+    paragraphs.map(text => `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>`).join('') +
+    '</w:body></w:document>'
+  ));
+  return zip.toBuffer();
+};
+
+const buildOdt = (contentXml) => {
+  const zip = new AdmZip();
+  zip.addFile('mimetype', Buffer.from('application/vnd.oasis.opendocument.text'));
+  zip.addFile('content.xml', Buffer.from(contentXml));
+  return zip.toBuffer();
+};
+
+describe('Document converter', () => {
+  it('detects the format from the content before the name', () => {
+    const { detectDocumentType } = documentConverter;
+
+    expect(detectDocumentType({ filename: 'cv.pdf' })).toBe('pdf');
+    expect(detectDocumentType({ filename: 'cv.bin', contentType: 'application/msword' })).toBe('doc');
+    expect(detectDocumentType({ filename: 'cv.txt', contentType: 'text/plain' })).toBeNull();
+
+    expect(detectDocumentType({ filename: 'cv.bin', contentType: 'application/octet-stream', buffer: buildDocx(['x']) })).toBe('docx');
+    expect(detectDocumentType({ filename: 'cv.docx', buffer: buildOdt('<office:document-content/>') })).toBe('odt');
+    expect(detectDocumentType({ filename: 'cv.doc', buffer: Buffer.from('{\\rtf1 Hello}') })).toBe('rtf');
+    expect(detectDocumentType({ filename: 'cv.docx', buffer: Buffer.from('%PDF-1.4\n') })).toBe('pdf');
+
+    const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+    const heic = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypheic')]);
+    expect(detectDocumentType({ filename: 'cv.pdf', buffer: png })).toBe('png');
+    expect(detectDocumentType({ filename: 'scan', buffer: Buffer.from([0xff, 0xd8, 0xff, 0xe0]) })).toBe('jpg');
+    expect(detectDocumentType({ filename: 'IMG_0001.HEIC', buffer: heic })).toBe('heic');
+    expect(documentConverter.isImageType('heic')).toBe(true);
+    expect(documentConverter.isImageType('pdf')).toBe(false);
+
+    // A zip that is no document, and a renamed text file
+    const zip = new AdmZip();
+    zip.addFile('notes.txt', Buffer.from('hello'));
+    expect(detectDocumentType({ filename: 'cv.docx', buffer: zip.toBuffer() })).toBeNull();
+    expect(detectDocumentType({ filename: 'cv.pdf', buffer: Buffer.from('just some text') })).toBeNull();
+  });
+
+  it('extracts the text of DOCX files', async () => {
+    const text = await documentConverter.extractText(buildDocx(['Jane Doe', 'jane@example.com']), 'docx');
+    expect(text).toContain('Jane Doe');
+    expect(text).toContain('jane@example.com');
+  });
+
+  it('extracts the text of RTF files without formatting groups', () => {
+    const rtf = '{\\rtf1\\ansi\\deff0{\\fonttbl{\\f0 Times New Roman;}}{\\*\\generator Writer;}' +
+      '\\pard\\b Jane Doe\\b0\\par\r\nSoftware Engineer \\endash  Caf\\\'e9\\par\r\n' +
+      'Unicode \\u8364? sign\\par}';
+
+    const text = documentConverter.rtfToText(Buffer.from(rtf, 'latin1'));
+    expect(text).not.toContain('Times New Roman');
+    expect(text).not.toContain('Writer');
+    expect(text.split('\n').map(line => line.trim())).toEqual([
+      'Jane Doe',
+      'Software Engineer – Café',
+      'Unicode € sign',
+      ''
+    ]);
+  });
+
+  it('extracts the text of ODT files', async () => {
+    const odt = buildOdt(
+      '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ' +
+      'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"><office:body><office:text>' +
+      '<text:h text:outline-level="1">Jane Doe</text:h>' +
+      '<text:p>Skills:<text:tab/>Node.js &amp; MongoDB</text:p>' +
+      '<text:p>Phone<text:s text:c="2"/>+1 555 0100<text:line-break/>jane@example.com</text:p>' +
+      '</office:text></office:body></office:document-content>'
+    );
+
+    const text = await documentConverter.extractText(odt, 'odt');
+    expect(text).toBe('Jane Doe\nSkills:\tNode.js & MongoDB\nPhone  +1 555 0100\njane@example.com\n');
+  });
+
+  it('keeps PDFs as their own preview and skips conversion without LibreOffice', async () => {
+    const pdf = Buffer.from('%PDF-1.4\n');
+    expect(await documentConverter.convertToPdf(pdf, 'pdf')).toBe(pdf);
+    if (!process.env.LIBREOFFICE_PATH) {
+      expect(await documentConverter.convertToPdf(buildDocx(['x']), 'docx')).toBeNull();
+    }
+  });
+});
@@ -2,32 +2,36 @@ const imap = require('imap-simple');
 const simpleParser = require('mailparser').simpleParser;
 const fs = require('fs-extra');
 const path = require('path');
-const pdfParse = require('pdf-parse');
+const mongoose = require('mongoose');
 require('dotenv').config();
 
-// Optional: Tesseract.js for OCR
-let Tesseract = null;
-try {
-  Tesseract = require('tesseract.js');
-} catch (e) {
-  console.warn('⚠️ tesseract.js not installed. OCR functionality will be disabled.');
-  console.warn('   To enable OCR, run: npm install tesseract.js');
-}
-
 const Email = require('../models/Resume');
 const { extractResumeData } = require('./pdfParser');
+const { detectDocumentType, isSupportedDocument, isImageType, getContentType, extractText, convertToPdf } = require('./documentConverter');
 const { s3Client, bucketName } = require('../config/s3');
 const { Upload } = require("@aws-sdk/lib-storage");
 const redisService = require('./redisService');
 const tnef = require('node-tnef');
 const graphService = require('./graphService');
+const { emitNewEmail } = require('./socketService');
+const { getDefaultOrganizationId } = require('./tenantService');
+const MailboxAccount = require('../models/MailboxAccount');
+const MailboxSyncState = require('../models/MailboxSyncState');
+const IngestionRule = require('../models/IngestionRule');
+const { evaluateRules } = require('./ruleEngine');
+const { isEnabled: isPostProcessingEnabled, planActions, postProcessImapMessage } = require('./postProcessingService');
+const ingestionQueue = require('./ingestionQueue');
+const deadLetterService = require('./deadLetterService');
+const autoReplyService = require('./autoReplyService');
+const { decrypt } = require('../utils/crypto');
+const { detectArchiveType, isArchive, expandArchive } = require('./archiveExtractor');
 
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, '../uploads');
 fs.ensureDirSync(uploadsDir);
 
 // IMAP configuration factory
-const createImapConfig = (user, password, host, port) => {
+const createImapConfig = (user, password, host, port, { tls = true, rejectUnauthorized = false } = {}) => {
   const imapHost = host || 'imap.gmail.com';
   return {
     imap: {
@@ -35,9 +39,9 @@ const createImapConfig = (user, password, host, port) => {
       password,
       host: imapHost,
       port: parseInt(port) || 993,
-      tls: true,
+      tls,
       tlsOptions: { 
-        rejectUnauthorized: false,
+        rejectUnauthorized,
         servername: imapHost // Required for some servers like Outlook
       },
       authTimeout: 20000,
@@ -52,315 +56,575 @@ const createImapConfig = (user, password, host, port) => {
   };
 };
 
-let monitoringInstances = [];
+// Running monitors keyed by account: "env:Primary", "env:Outlook", "graph"
+// or the id of a MailboxAccount
+const monitors = new Map();
+let monitorIo = null;
+
+// First sync of a folder imports mail received in the last N days (1 = today);
+// older mail can be imported with a backfill
+const INITIAL_SYNC_DAYS = Math.max(parseInt(process.env.IMAP_INITIAL_SYNC_DAYS) || 1, 1);
+// Messages whose headers are fetched per round trip
+const SYNC_BATCH_SIZE = parseInt(process.env.IMAP_SYNC_BATCH_SIZE) || 50;
+const HEADER_FETCH_OPTIONS = {
+  bodies: ['HEADER.FIELDS (FROM TO SUBJECT DATE)'],
+  envelope: true,
+  struct: true
+};
 
-// Store processed email UIDs (in-memory fallback)
+// Store processed email ids (in-memory fallback)
 const processedEmails = new Set();
 
+// Smaller pictures are logos, icons or signatures rather than a photographed resume
+const MIN_IMAGE_RESUME_BYTES = 30 * 1024;
+
 // Initialize Redis on module load
 redisService.initializeRedis().catch(err => {
   console.warn('⚠️ Redis initialization failed, will use in-memory fallback:', err.message);
 });
 
 /**
- * Main function to process emails for a specific connection
+ * Main function to process new emails in one folder of an account.
+ * Only UIDs above the saved high-water mark are fetched, and the mark is
+ * saved after every message so the next run continues where this one stopped.
  */
-async function processEmail(connection, io, accountName = 'Primary') {
-  try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    const formatDate = (date) => {
-      const day = date.getDate().toString().padStart(2, '0');
-      const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-      const month = months[date.getMonth()];
-      const year = date.getFullYear();
-      return `${day}-${month}-${year}`;
-    };
+async function processEmail(connection, io, account, folder = 'INBOX') {
+  const { name } = account;
 
-    const todayStr = formatDate(today);
-    console.log(`\n📧 [${accountName}] Searching for emails from today: ${todayStr}...`);
+  try {
+    console.log(`\n📧 [${name}] Checking ${folder} for new emails...`);
 
-    let messages = [];
+    const box = await openFolder(connection, account, folder);
+    const uidValidity = Number(box.uidvalidity);
+    const state = await getSyncState(connection, account, folder, box);
 
-    // Try optimized fetch first (sequence-based)
-    try {
-      messages = await fetchEmailsBySequence(connection);
-    } catch (error) {
-      console.error(`❌ Sequence fetch failed: ${error.message}`);
-      // Fallback to search-based method
-      try {
-        console.log('🔄 Falling back to search-based method...');
-        messages = await fetchEmailsBySearch(connection);
-      } catch (fallbackError) {
-        console.error(`❌ Fallback search also failed: ${fallbackError.message}`);
-        console.error('\nPossible issues:');
-        console.error('  - IMAP server not responding');
-        console.error('  - Network connectivity issues');
-        console.error('  - Gmail rate limiting (wait a few minutes)');
-        return;
-      }
-    }
+    // "n:*" always matches the newest message, even when its UID is below n
+    const uids = (await searchUids(connection, [['UID', `${state.lastUid + 1}:*`]]))
+      .filter(uid => uid > state.lastUid)
+      .sort((a, b) => a - b);
 
-    if (!messages || messages.length === 0) {
-      console.log(`\n❌ No emails found in inbox.\n`);
+    state.lastSyncedAt = new Date();
+    if (uids.length === 0) {
+      await state.save();
+      console.log(`📭 [${name}] No new emails in ${folder}`);
       return;
     }
 
-    // Filter messages to today only
-    messages = filterEmailsByDate(messages, today);
+    console.log(`\n✅ [${name}] Found ${uids.length} new email(s) in ${folder} (UID > ${state.lastUid})`);
 
-    if (messages.length === 0) {
-      console.log(`\n❌ No emails found from today (${todayStr}).\n`);
-      return;
-    }
+    for (let i = 0; i < uids.length; i += SYNC_BATCH_SIZE) {
+      const batch = uids.slice(i, i + SYNC_BATCH_SIZE);
+      const messages = await fetchMessageHeaders(connection, batch);
 
-    console.log(`\n✅ [${accountName}] Found ${messages.length} email(s) from today`);
-    console.log(`\n🚀 [${accountName}] Processing today's emails...\n`);
+      for (const message of messages) {
+        const uid = message.attributes.uid;
+        await processIndividualEmail(message, connection, io, account, imapEmailId(account, folder, uidValidity, uid), folder, {
+          queue: true,
+          uidValidity
+        });
+        state.lastUid = uid;
+        state.lastSyncedAt = new Date();
+        await state.save();
+      }
 
-    // Process each message
-    for (const message of messages) {
-      await processIndividualEmail(message, connection, io, accountName);
+      // Messages deleted since the search are not coming back
+      state.lastUid = Math.max(state.lastUid, batch[batch.length - 1]);
+      await state.save();
     }
 
   } catch (error) {
-    console.error('❌ Error in processEmail:', error.message);
+    // Nothing past the last saved UID is skipped: the next run retries it
+    console.error(`❌ [${name}] Error in processEmail (${folder}):`, error.message);
     console.error(error.stack);
   }
 }
 
 /**
- * Fetch emails using sequence numbers (faster, bypasses Gmail search throttling)
+ * Open a folder of the account: read-only, unless post-processing has to
+ * change flags or move messages
  */
-async function fetchEmailsBySequence(connection) {
-  console.log('📥 Fetching last 20 emails by sequence number...');
+function openFolder(connection, account, folder) {
+  return connection.openBox(folder, !isPostProcessingEnabled(account.postProcessing));
+}
 
-  // Get inbox info
-  let box;
-  try {
-    box = await connection.openBox('INBOX', true);
-  } catch (error) {
-    // Box might already be open
-    if (connection._box) {
-      box = connection._box;
-    } else {
-      throw new Error('Cannot access inbox: ' + error.message);
-    }
-  }
+/**
+ * UIDs matching an IMAP search, without fetching the messages
+ */
+function searchUids(connection, criteria) {
+  return Promise.race([
+    new Promise((resolve, reject) => {
+      connection.imap.search(criteria, (err, uids) => err ? reject(err) : resolve(uids || []));
+    }),
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('Search timeout')), 30000)
+    )
+  ]);
+}
+
+/**
+ * Envelope and headers of messages by UID, oldest first
+ */
+async function fetchMessageHeaders(connection, uids) {
+  const messages = await connection.search([['UID', uids.join(',')]], HEADER_FETCH_OPTIONS);
+  return messages.sort((a, b) => a.attributes.uid - b.attributes.uid);
+}
+
+/**
+ * Stable id of an IMAP message: account, folder, UIDVALIDITY and UID
+ */
+function imapEmailId(account, folder, uidValidity, uid) {
+  return `imap_${account.syncKey}_${folder}_${uidValidity}_${uid}`;
+}
 
-  const totalMessages = box.messages.total;
-  console.log(`✓ Inbox has ${totalMessages} total message(s)`);
+/**
+ * Load the sync position of a folder. On the first sync, or when the server
+ * has renumbered the folder (new UIDVALIDITY), the position is moved to just
+ * before the first message received since IMAP_INITIAL_SYNC_DAYS ago or since
+ * the day of the last sync. Messages imported before a renumbering are
+ * recognised by their Message-ID.
+ */
+async function getSyncState(connection, account, folder, box) {
+  const uidValidity = Number(box.uidvalidity);
+  const filter = { account: account.syncKey, folder };
 
-  if (totalMessages === 0) {
-    return [];
+  const state = await MailboxSyncState.findOne(filter);
+  if (state && state.uidValidity === uidValidity) {
+    return state;
   }
 
-  // Calculate sequence range for last 20 emails
-  const fetchCount = Math.min(20, totalMessages);
-  const startSeq = Math.max(1, totalMessages - fetchCount + 1);
-  const endSeq = totalMessages;
+  const since = new Date(state
+    ? (state.lastSyncedAt || state.updatedAt)
+    : Date.now() - (INITIAL_SYNC_DAYS - 1) * 24 * 60 * 60 * 1000);
+  since.setHours(0, 0, 0, 0);
 
-  console.log(`  Fetching sequence ${startSeq}:${endSeq} (last ${fetchCount} emails)`);
+  if (state) {
+    console.warn(`⚠️  [${account.name}] UIDVALIDITY of ${folder} changed (${state.uidValidity} -> ${uidValidity}), resyncing from ${since.toDateString()}`);
+  } else {
+    console.log(`🆕 [${account.name}] First sync of ${folder}, importing mail from ${since.toDateString()}`);
+  }
 
-  // Use search with UID to get the messages
-  // This is more reliable than accessing raw IMAP connection
-  const searchCriteria = ['ALL'];
-  const fetchOptions = {
-    bodies: ['HEADER.FIELDS (FROM TO SUBJECT DATE)', ''],
-    struct: true
-  };
+  const recentUids = await searchUids(connection, [['SINCE', since]]);
+  let lastUid;
+  if (recentUids.length > 0) {
+    lastUid = recentUids.reduce((min, uid) => Math.min(min, uid), Infinity) - 1;
+  } else if (Number(box.uidnext) > 0) {
+    lastUid = Number(box.uidnext) - 1;
+  } else {
+    const allUids = await searchUids(connection, ['ALL']);
+    lastUid = allUids.reduce((max, uid) => Math.max(max, uid), 0);
+  }
 
-  const allMessages = await connection.search(searchCriteria, fetchOptions);
-  
-  // Get last 20 messages
-  const recentMessages = allMessages.slice(-20);
-  
-  console.log(`✓ Fetched ${recentMessages.length} recent email(s)`);
-  
-  return recentMessages;
+  return MailboxSyncState.findOneAndUpdate(
+    filter,
+    { uidValidity, lastUid, organization: account.organizationId },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
 }
 
 /**
- * Fallback: Fetch emails using IMAP search
+ * Ingestion rules that apply to a mailbox: its own and the organization-wide ones
+ * @param {{mailboxId?: string, graphAccount?: string}} scope
  */
-async function fetchEmailsBySearch(connection) {
-  console.log('📥 Fetching emails using IMAP search...');
-
-  const searchCriteria = ['ALL'];
-  const fetchOptions = {
-    bodies: ['HEADER.FIELDS (FROM TO SUBJECT DATE)', ''],
-    struct: true
-  };
-
-  const messages = await Promise.race([
-    connection.search(searchCriteria, fetchOptions),
-    new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Search timeout')), 30000)
-    )
-  ]);
-
-  // Get last 20 only
-  return messages.slice(-20);
+async function loadIngestionRules(organizationId, { mailboxId, graphAccount } = {}) {
+  const scopes = [{ mailbox: null, graphAccount: null }];
+  if (mailboxId) scopes.push({ mailbox: mailboxId });
+  if (graphAccount) scopes.push({ graphAccount: graphAccount.toLowerCase() });
+
+  return IngestionRule.find({
+    organization: organizationId || await getDefaultOrganizationId(),
+    enabled: true,
+    $or: scopes
+  }).sort({ priority: 1, createdAt: 1 }).lean();
 }
 
 /**
- * Filter emails to only include today's emails
+ * What the ingestion rules say about a message (see ruleEngine)
+ * @returns {Promise<{action: string, tags: string[], rule: object|null}>}
  */
-function filterEmailsByDate(messages, today) {
-  console.log(`\n🔍 Filtering ${messages.length} emails for today's date...`);
-
-  const todayDateOnly = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-
-  return messages.filter(msg => {
-    try {
-      let emailDate = null;
-
-      // Try to get date from different sources
-      if (msg.attributes.date) {
-        emailDate = new Date(msg.attributes.date);
-      } else if (msg.attributes.envelope && msg.attributes.envelope.date) {
-        emailDate = new Date(msg.attributes.envelope.date);
-      }
+async function getIngestionDecision(ruleMessage, { organizationId, mailboxId, graphAccount } = {}) {
+  const rules = await loadIngestionRules(organizationId, { mailboxId, graphAccount });
+  return evaluateRules(rules, ruleMessage);
+}
 
-      // Parse date from headers if not in attributes
-      if (!emailDate || isNaN(emailDate.getTime())) {
-        const headers = msg.parts.find(p => p.which === 'HEADER.FIELDS (FROM TO SUBJECT DATE)');
-        if (headers && headers.body) {
-          const dateMatch = headers.body.match(/Date: (.+)/i);
-          if (dateMatch) {
-            emailDate = new Date(dateMatch[1]);
-          }
-        }
-      }
+/**
+ * Rule engine view of an IMAP message, built from the envelope and body
+ * structure so rules run before the message itself is downloaded
+ */
+function imapRuleMessage(message, folder) {
+  const envelope = message.attributes.envelope || {};
+  const from = envelope.from?.[0];
+  const parts = message.attributes.struct ? imap.getParts(message.attributes.struct) : [];
+
+  const attachments = parts
+    .map(part => ({
+      filename: part.disposition?.params?.filename || part.params?.name,
+      contentType: `${part.type}/${part.subtype}`.toLowerCase(),
+      disposition: (part.disposition?.type || '').toLowerCase()
+    }))
+    .filter(part => part.disposition === 'attachment' || (part.filename && part.disposition !== 'inline'))
+    .map(({ filename, contentType }) => ({ filename, contentType }));
 
-      if (!emailDate || isNaN(emailDate.getTime())) {
-        console.log(`  ⚠️ Email UID ${msg.attributes.uid} has no valid date, including it`);
-        return true;
-      }
+  return {
+    folder,
+    // Gmail labels, fetched with the headers when the server supports them
+    labels: message.attributes['x-gm-labels'] || [],
+    from: from?.mailbox && from?.host ? `${from.mailbox}@${from.host}` : (from?.address || ''),
+    subject: envelope.subject || '',
+    attachments
+  };
+}
 
-      // Compare dates (ignore time)
-      const emailDateOnly = new Date(
-        emailDate.getFullYear(),
-        emailDate.getMonth(),
-        emailDate.getDate()
-      );
+/**
+ * Recent messages of a mailbox as the rule engine sees them, newest first,
+ * for the ingestion rule dry run. Only headers are fetched.
+ * @param {object} mailbox - MailboxAccount document
+ * @param {{since: Date, limit: number}} options
+ * @returns {Promise<object[]>} rule engine messages with their date
+ */
+async function fetchRecentRuleMessages(mailbox, { since, limit }) {
+  const account = toMonitoredAccount(mailbox);
+  const folders = account.folders?.length ? account.folders : ['INBOX'];
 
-      const isToday = emailDateOnly.getTime() === todayDateOnly.getTime();
+  // A connection of its own: the monitor keeps its folder open
+  const connection = await imap.connect(account.config);
+  connection.on('error', (err) => console.error(`❌ [${account.name}] IMAP connection error (dry run):`, err.message));
 
-      if (isToday) {
-        const subject = msg.attributes.envelope?.subject || 
-                       msg.attributes.subject || 
-                       'No Subject';
-        console.log(`  ✓ UID ${msg.attributes.uid}: ${emailDate.toLocaleDateString()} - "${subject}"`);
+  try {
+    const results = [];
+    for (const folder of folders) {
+      await connection.openBox(folder, true);
+      const uids = (await searchUids(connection, [['SINCE', since]]))
+        .sort((a, b) => b - a)
+        .slice(0, limit);
+      if (uids.length === 0) continue;
+
+      for (const message of await fetchMessageHeaders(connection, uids)) {
+        results.push({
+          ...imapRuleMessage(message, folder),
+          date: message.attributes.date || message.attributes.envelope?.date
+        });
       }
-
-      return isToday;
-    } catch (err) {
-      console.log(`  ⚠️ Error checking date for UID ${msg.attributes.uid}: ${err.message}`);
-      return true; // Include on error
     }
-  });
+    return results
+      .sort((a, b) => new Date(b.date) - new Date(a.date))
+      .slice(0, limit);
+  } finally {
+    await connection.end();
+  }
 }
 
 /**
- * Process individual email message
+ * Process individual email message, then apply the account's post-processing.
+ * Errors reaching the mailbox are thrown so the message is retried on the next
+ * run; errors while parsing or saving it are logged.
+ * @param {{queue?: boolean, uidValidity?: number}} [options] - queue: hand the
+ *   message to the ingestion workers instead of parsing it here
+ * @returns {Promise<'imported'|'skipped'|'failed'|'queued'>}
  */
-async function processIndividualEmail(message, connection, io, accountName = 'Primary') {
+async function processIndividualEmail(message, connection, io, account, emailId, folder = 'INBOX', { queue = false, uidValidity = null } = {}) {
+  const accountName = account.name;
   const uid = message.attributes.uid;
 
   // Check if already processed
-  if (processedEmails.has(uid)) {
+  if (processedEmails.has(emailId)) {
     console.log(`⏭️  [${accountName}] Email UID ${uid} already processed (in-memory), skipping...`);
-    return;
+    return 'skipped';
   }
 
   try {
-    const isProcessed = await redisService.isEmailProcessed(uid);
+    const isProcessed = await redisService.isEmailProcessed(emailId);
     if (isProcessed) {
       console.log(`⏭️  [${accountName}] Email UID ${uid} already processed (Redis), skipping...`);
-      processedEmails.add(uid);
-      return;
+      processedEmails.add(emailId);
+      return 'skipped';
     }
   } catch (error) {
     console.log(`⚠️  [${accountName}] Redis check failed for UID ${uid}, continuing...`);
   }
 
+  // Extract basic info from message
+  const envelope = message.attributes.envelope || {};
+  const subject = envelope.subject || 'No Subject';
+  const from = envelope.from?.[0];
+  const fromEmail = from?.mailbox && from?.host
+    ? `${from.mailbox}@${from.host}`
+    : (from?.address || 'unknown@example.com');
+  const fromName = from?.name || fromEmail;
+  const emailDate = message.attributes.date || envelope.date || new Date();
+
+  console.log(`\n${'='.repeat(80)}`);
+  console.log(`📨 [${accountName}] Processing Email UID ${uid}`);
+  console.log(`   From: ${fromName} <${fromEmail}>`);
+  console.log(`   Subject: "${subject}"`);
+  console.log(`   Date: ${new Date(emailDate).toLocaleString()}`);
+  console.log(`${'='.repeat(80)}`);
+
+  const decision = await getIngestionDecision(imapRuleMessage(message, folder), {
+    organizationId: account.organizationId,
+    mailboxId: account.mailboxId
+  });
+  if (decision.action === 'ignore') {
+    console.log(`🚫 [${accountName}] Ignored by ingestion rule "${decision.rule.name}"`);
+    await markAsProcessed(emailId);
+    return 'skipped';
+  }
+
+  // Job payload of the message (also what the dead-letter queue keeps)
+  const payload = {
+    accountKey: account.key,
+    folder,
+    uidValidity,
+    uid,
+    emailId,
+    subject,
+    fromEmail,
+    fromName,
+    emailDate,
+    tags: decision.tags
+  };
+
+  if (queue && ingestionQueue.isEnabled()) {
+    const queued = await queueImapMessage(connection, account, payload);
+    if (queued) return 'queued';
+  }
+
+  const result = await importImapMessage(connection, io, account, payload);
+  await postProcessImapMessage(connection, uid, account.postProcessing, result, accountName);
+  return result;
+}
+
+/**
+ * Hand a message to the ingestion workers, with its source so they don't
+ * need this connection. Post-processing is left to the worker.
+ * @returns {Promise<boolean>} false when it has to be processed here instead
+ */
+async function queueImapMessage(connection, account, payload) {
+  const { uid, emailId } = payload;
+  const source = await fetchMessageSource(connection, uid, account.name);
+  if (!source) return false;
+
   try {
-    // Extract basic info from message
-    const envelope = message.attributes.envelope || {};
-    const subject = envelope.subject || 'No Subject';
-    const from = envelope.from?.[0];
-    const fromEmail = from?.address || 'unknown@example.com';
-    const fromName = from?.name || fromEmail;
-    const emailDate = message.attributes.date || new Date();
-
-    console.log(`\n${'='.repeat(80)}`);
-    console.log(`📨 [${accountName}] Processing Email UID ${uid}`);
-    console.log(`   From: ${fromName} <${fromEmail}>`);
-    console.log(`   Subject: "${subject}"`);
-    console.log(`   Date: ${new Date(emailDate).toLocaleString()}`);
-    console.log(`${'='.repeat(80)}`);
-
-    // Fetch full email body
-    console.log(`📥 [${accountName}] Fetching full email content...`);
-    
-    const fullMessages = await connection.search([['UID', uid]], {
-      bodies: [''],
-      struct: true
-    });
+    const job = await ingestionQueue.enqueue('imap_message', {
+      ...payload,
+      source: source.toString('base64')
+    }, { key: emailId, organization: account.organizationId });
 
-    if (!fullMessages || fullMessages.length === 0) {
-      console.error(`❌ Could not fetch email body for UID ${uid}`);
-      await markAsProcessed(uid);
-      return;
+    console.log(`📬 [${account.name}] Email UID ${uid} queued for processing (job ${job.id}, ${job.backend})`);
+    return true;
+  } catch (error) {
+    console.warn(`⚠️  [${account.name}] Could not queue UID ${uid}, processing it now: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Process a message queued by the monitor (ingestion worker handler), then
+ * apply the account's post-processing over a connection of its own.
+ * Errors are thrown so the job is retried; the message is only moved to the
+ * failed folder on the last attempt. A payload without the source (a
+ * dead-letter retry of a message that wasn't kept) is fetched again.
+ * @returns {Promise<'imported'|'skipped'>}
+ */
+async function processQueuedImapMessage(payload, io, { finalAttempt = true } = {}) {
+  const account = await findMonitoredAccount(payload.accountKey);
+  if (!account) {
+    const error = new Error(`Mailbox ${payload.accountKey} no longer exists`);
+    error.permanent = true;
+    throw error;
+  }
+
+  let source = payload.source && Buffer.from(payload.source, 'base64');
+  if (!source) {
+    source = await deadLetterService.atStage('fetch', () => withFolder(account, payload.folder, payload.uidValidity,
+      connection => fetchMessageSource(connection, payload.uid, account.name)));
+    if (!source) {
+      throw Object.assign(new Error(`UID ${payload.uid} is no longer in ${payload.folder}`), { stage: 'fetch' });
     }
+  }
 
-    const fullMessage = fullMessages[0];
-    
-    // Get email body
-    let emailBody = null;
-    const bodyPart = fullMessage.parts.find(p => p.which === '');
-    
-    if (bodyPart && bodyPart.body) {
-      emailBody = bodyPart.body;
-    } else {
-      // Try to get body using getPartData
-      const parts = imap.getParts(fullMessage.attributes.struct);
-      if (parts && parts.length > 0) {
-        const textPart = parts.find(p => p.type === 'text' && p.subtype === 'plain') || parts[0];
-        emailBody = await connection.getPartData(fullMessage, textPart);
+  let outcome;
+  try {
+    const savedEmail = await processEmailContent(
+      source,
+      payload.emailId,
+      payload.subject,
+      payload.fromEmail,
+      payload.fromName,
+      new Date(payload.emailDate),
+      io,
+      account.name,
+      account.organizationId,
+      {
+        tags: payload.tags || [],
+        autoReply: { settings: account.autoReply, mailbox: account },
+        reference: imapReference(account, payload)
       }
-    }
+    );
+    outcome = savedEmail ? 'imported' : 'skipped';
+  } catch (error) {
+    if (finalAttempt) await postProcessQueuedMessage(account, payload, 'failed');
+    throw error;
+  }
 
-    if (!emailBody) {
-      console.error(`❌ Could not extract email body for UID ${uid}`);
-      await markAsProcessed(uid);
-      return;
+  await postProcessQueuedMessage(account, payload, outcome);
+  return outcome;
+}
+
+/**
+ * Post-process a queued message. Skipped when the folder was renumbered since
+ * the message was queued (its UID may now belong to another message).
+ */
+async function postProcessQueuedMessage(account, { folder, uidValidity, uid }, outcome) {
+  if (!planActions(account.postProcessing, outcome)) return;
+
+  try {
+    await withFolder(account, folder, uidValidity, connection =>
+      postProcessImapMessage(connection, uid, account.postProcessing, outcome, account.name));
+  } catch (error) {
+    console.warn(`⚠️  [${account.name}] Post-processing of UID ${uid} failed: ${error.message}`);
+  }
+}
+
+/**
+ * Run fn(connection) over a connection of its own with the folder open.
+ * Throws when the folder was renumbered since uidValidity.
+ */
+async function withFolder(account, folder, uidValidity, fn) {
+  const connection = await imap.connect(account.config);
+  try {
+    const box = await openFolder(connection, account, folder);
+    if (uidValidity && Number(box.uidvalidity) !== Number(uidValidity)) {
+      throw new Error(`${folder} was renumbered since`);
     }
+    return await fn(connection);
+  } finally {
+    connection.end();
+  }
+}
+
+/**
+ * Where an IMAP message came from, for the dead-letter queue
+ */
+function imapReference(account, { folder, uidValidity, uid }) {
+  return {
+    source: 'imap',
+    mailbox: account.mailboxId,
+    accountKey: account.key,
+    folder,
+    uidValidity: uidValidity || undefined,
+    uid
+  };
+}
+
+/**
+ * Keep a message that could not be imported in the dead-letter queue
+ */
+async function recordImapFailure(account, payload, error) {
+  try {
+    await deadLetterService.recordJobFailure({
+      type: 'imap_message',
+      payload,
+      key: payload.emailId,
+      organization: account.organizationId
+    }, error);
+  } catch (recordError) {
+    console.error(`❌ [${account.name}] Could not record failed UID ${payload.uid}:`, recordError.message);
+  }
+}
+
+/**
+ * Full source of a message, or null when the server doesn't return it
+ */
+async function fetchMessageSource(connection, uid, accountName = 'Primary') {
+  // Fetch full email body
+  console.log(`📥 [${accountName}] Fetching full email content...`);
+
+  const fullMessages = await connection.search([['UID', uid]], {
+    bodies: [''],
+    struct: true
+  });
+
+  if (!fullMessages || fullMessages.length === 0) {
+    console.error(`❌ Could not fetch email body for UID ${uid}`);
+    return null;
+  }
+
+  const fullMessage = fullMessages[0];
 
-    // Ensure emailBody is a Buffer
-    if (!Buffer.isBuffer(emailBody)) {
-      emailBody = Buffer.from(emailBody);
+  // Get email body
+  let emailBody = null;
+  const bodyPart = fullMessage.parts.find(p => p.which === '');
+
+  if (bodyPart && bodyPart.body) {
+    emailBody = bodyPart.body;
+  } else {
+    // Try to get body using getPartData
+    const parts = imap.getParts(fullMessage.attributes.struct);
+    if (parts && parts.length > 0) {
+      const textPart = parts.find(p => p.type === 'text' && p.subtype === 'plain') || parts[0];
+      emailBody = await connection.getPartData(fullMessage, textPart);
     }
+  }
 
-    console.log(`✓ Email body fetched (${emailBody.length} bytes)`);
+  if (!emailBody) {
+    console.error(`❌ Could not extract email body for UID ${uid}`);
+    return null;
+  }
 
-    // Process email content
-    await processEmailContent(emailBody, uid, subject, fromEmail, fromName, emailDate, io, accountName);
+  // Ensure emailBody is a Buffer
+  if (!Buffer.isBuffer(emailBody)) {
+    emailBody = Buffer.from(emailBody);
+  }
+
+  console.log(`✓ Email body fetched (${emailBody.length} bytes)`);
+  return emailBody;
+}
 
+/**
+ * Download, parse and save a message the ingestion rules let through.
+ * Messages that fail are kept in the dead-letter queue.
+ * @param {object} payload - the message as an imap_message job payload
+ * @returns {Promise<'imported'|'skipped'|'failed'>}
+ */
+async function importImapMessage(connection, io, account, payload) {
+  const accountName = account.name;
+  const { emailId, uid, subject, fromEmail, fromName, emailDate, tags } = payload;
+
+  const emailBody = await fetchMessageSource(connection, uid, accountName);
+  if (!emailBody) {
+    await recordImapFailure(account, payload, Object.assign(new Error('Could not fetch the message source'), { stage: 'fetch' }));
+    await markAsProcessed(emailId);
+    return 'failed';
+  }
+
+  try {
+    // Process email content
+    const savedEmail = await processEmailContent(emailBody, emailId, subject, fromEmail, fromName, emailDate, io, accountName, account.organizationId, {
+      tags,
+      autoReply: { settings: account.autoReply, mailbox: account },
+      reference: imapReference(account, payload)
+    });
+    return savedEmail ? 'imported' : 'skipped';
   } catch (error) {
     console.error(`❌ Error processing email UID ${uid}:`, error.message);
     console.error(error.stack);
+    await recordImapFailure(account, { ...payload, source: emailBody }, error);
+    return 'failed';
   }
 }
 
 /**
  * Process email content (parse, extract attachments, save to DB)
+ * @param {{tags?: string[], autoReply?: {settings: object, mailbox: object}, reference?: object}} [options] -
+ *   tags from the ingestion rules, auto-reply settings of the mailbox, where the
+ *   message came from (kept with attachments that fail in the dead-letter queue)
+ * @returns {Promise<object|null>} the saved email, or null when it was already imported
+ * @throws with .stage ('parse' or 'store') when known
  */
-async function processEmailContent(emailData, uid, subject, fromEmail, fromName, emailDate, io, accountName = 'Primary') {
+async function processEmailContent(emailData, emailId, subject, fromEmail, fromName, emailDate, io, accountName = 'Primary', organizationId = null, { tags = [], autoReply = null, reference = null } = {}) {
   try {
     // Parse email
-    const parsed = await simpleParser(emailData);
+    const parsed = await deadLetterService.atStage('parse', () => simpleParser(emailData));
     console.log(`✓ Email parsed successfully`);
     console.log(`  Attachments: ${parsed.attachments?.length || 0}`);
 
@@ -373,14 +637,20 @@ async function processEmailContent(emailData, uid, subject, fromEmail, fromName,
     emailBodyText = emailBodyText.replace(/\n{3,}/g, '\n\n').trim();
     console.log(`  Body length: ${emailBodyText.length} characters`);
 
-    // Check for existing email in database
-    const emailId = `uid_${uid}`;
-    const existingEmail = await Email.findOne({ emailId });
+    // Mailboxes configured in .env belong to the default organization
+    const organization = organizationId || await getDefaultOrganizationId();
+    const messageId = parsed.messageId || undefined;
+
+    // Check for existing email in database (same id, or same Message-ID after
+    // the mailbox was renumbered)
+    const existingEmail = await Email.findOne(messageId
+      ? { $or: [{ emailId }, { organization, messageId }] }
+      : { emailId });
 
     if (existingEmail) {
-      console.log(`⚠️ Email UID ${uid} already exists in database`);
-      await markAsProcessed(uid);
-      return;
+      console.log(`⚠️ Email ${emailId} already exists in database`);
+      await markAsProcessed(emailId);
+      return null;
     }
 
     // Process attachments (including potential winmail.dat/TNEF)
@@ -398,13 +668,13 @@ async function processEmailContent(emailData, uid, subject, fromEmail, fromName,
         if (tnefData && tnefData.Attachments) {
           console.log(`✓ [${accountName}] Extracted ${tnefData.Attachments.length} file(s) from winmail.dat`);
           for (const tnefFile of tnefData.Attachments) {
-            // Check if it's a PDF
+            // Keep the resume documents (PDF, Word, RTF, ODT) and archives of them
             const filename = tnefFile.Title || 'attachment.pdf';
-            if (filename.toLowerCase().endsWith('.pdf')) {
+            if (isSupportedDocument({ filename }) || isArchive({ filename })) {
               attachments.push({
                 filename: filename,
                 content: tnefFile.Data,
-                contentType: 'application/pdf'
+                contentType: getContentType(detectDocumentType({ filename }))
               });
             }
           }
@@ -414,54 +684,39 @@ async function processEmailContent(emailData, uid, subject, fromEmail, fromName,
       }
     }
 
-    // Process PDF attachments
-    let attachmentData = null;
-    let hasAttachment = false;
-
+    // Every resume attachment becomes a candidate record
+    const extracted = [];
     if (attachments.length > 0) {
       console.log(`\n📎 [${accountName}] Found ${attachments.length} attachment(s) (including extracted)`);
-
-      for (const attachment of attachments) {
-        const filename = attachment.filename || 'attachment.pdf';
-        const contentType = attachment.contentType || '';
-        const isPdf = contentType === 'application/pdf' || 
-                     filename.toLowerCase().endsWith('.pdf');
-
-        if (filename === 'winmail.dat') continue; // Skip the container
-
-        console.log(`\n  📎 ${filename}`);
-        console.log(`     Type: ${contentType}`);
-        console.log(`     Size: ${attachment.size || attachment.content?.length || 'unknown'} bytes`);
-        console.log(`     PDF: ${isPdf ? '✅' : '❌'}`);
-
-        if (isPdf) {
-          hasAttachment = true;
-          attachmentData = await processPdfAttachment(attachment, filename, accountName);
-          break; // Process only first PDF
-        }
-      }
+      // Skip the winmail.dat container
+      extracted.push(...await extractAttachments(
+        attachments.filter(attachment => attachment !== tnefAttachment),
+        accountName
+      ));
     }
 
     // Save to database
     console.log(`\n💾 Saving email to MongoDB...`);
 
-    const email = new Email({
+    const [savedEmail, ...extraCandidates] = await deadLetterService.atStage('store', () => saveEmailWithCandidates({
       from: fromEmail,
       fromName: fromName,
       subject: subject || 'No Subject',
       body: emailBodyText,
       receivedAt: emailDate,
       emailId: emailId,
-      hasAttachment: hasAttachment,
-      attachmentData: attachmentData || undefined
-    });
-
-    const savedEmail = await email.save();
+      messageId,
+      organization,
+      tags
+    }, extracted));
     console.log(`✅ Email saved successfully!`);
     console.log(`   MongoDB ID: ${savedEmail._id}`);
 
-    if (hasAttachment && attachmentData) {
-      console.log(`\n✅ PDF data extracted:`);
+    for (const record of [savedEmail, ...extraCandidates]) {
+      const attachmentData = record.attachmentData;
+      if (!record.hasAttachment && attachmentData?.source !== 'body') continue;
+      const origin = attachmentData.source === 'body' ? 'Message body' : 'PDF';
+      console.log(`\n✅ ${origin} data extracted${record.parentEmail ? ` (candidate record ${record._id})` : ''}:`);
       console.log(`   Name: ${attachmentData.name || 'N/A'}`);
       console.log(`   Email: ${attachmentData.email || 'N/A'}`);
       console.log(`   Contact: ${attachmentData.contactNumber || 'N/A'}`);
@@ -470,19 +725,31 @@ async function processEmailContent(emailData, uid, subject, fromEmail, fromName,
     }
 
     // Mark as processed
-    await markAsProcessed(uid);
+    await markAsProcessed(emailId);
+    await recordAttachmentFailures(savedEmail, extracted, reference);
+
+    if (autoReply) {
+      await autoReplyService.acknowledgeApplication(savedEmail, {
+        ...autoReply,
+        headers: autoReplyService.headersFromLines(parsed.headerLines),
+        messageId
+      });
+    }
 
     // Emit real-time notification
     if (io) {
-      io.emit('newEmail', {
-        message: hasAttachment ? 
-          'New email with PDF attachment received!' : 
-          'New email received!',
-        email: savedEmail
-      });
+      for (const record of [savedEmail, ...extraCandidates]) {
+        emitNewEmail(io, {
+          message: record.hasAttachment ?
+            'New email with resume attachment received!' :
+            'New email received!',
+          email: record
+        });
+      }
       console.log(`✓ Real-time notification sent`);
     }
 
+    return savedEmail;
   } catch (error) {
     console.error(`❌ Error processing email content:`, error.message);
     console.error(error.stack);
@@ -491,101 +758,380 @@ async function processEmailContent(emailData, uid, subject, fromEmail, fromName,
 }
 
 /**
- * Process PDF attachment
+ * Attachment content as a Buffer (mail parsers hand out Buffers, typed
+ * arrays or base64 strings)
  */
-async function processPdfAttachment(attachment, filename, accountName = 'Primary') {
-  console.log(`\n🔧 [${accountName}] Processing PDF: ${filename}`);
+function toBuffer(content) {
+  if (Buffer.isBuffer(content)) return content;
+  if (typeof content === 'string') return Buffer.from(content, 'base64');
+  return Buffer.from(content);
+}
 
-  try {
-    // Convert attachment to Buffer
-    let pdfContent = attachment.content;
-    
-    if (!Buffer.isBuffer(pdfContent)) {
-      if (pdfContent instanceof Uint8Array) {
-        pdfContent = Buffer.from(pdfContent);
-      } else if (typeof pdfContent === 'string') {
-        pdfContent = Buffer.from(pdfContent, 'base64');
-      } else {
-        pdfContent = Buffer.from(pdfContent);
+/**
+ * Whether an attachment is a resume we can extract (PDF, Word, RTF, ODT or
+ * a photo/scan). Pictures embedded in the message body, such as logos and
+ * signatures, and small images are left out.
+ */
+function isResumeAttachment(attachment) {
+  if (!isSupportedDocument(attachment)) return false;
+
+  const type = detectDocumentType({ filename: attachment.filename, contentType: attachment.contentType });
+  if (!isImageType(type)) return true;
+
+  const size = attachment.size || attachment.content?.length || 0;
+  const inline = attachment.related || attachment.isInline || attachment.contentDisposition === 'inline';
+  return !inline && size >= MIN_IMAGE_RESUME_BYTES;
+}
+
+/**
+ * Run every resume attachment through processPdfAttachment.
+ * A failing attachment is recorded and doesn't stop the others.
+ * @returns {Promise<object[]>} one entry per attachment:
+ *   { filename, contentType, size, isResume, status, error, data }
+ */
+async function extractAttachments(attachments, accountName = 'Primary') {
+  const results = [];
+
+  for (const attachment of attachments) {
+    const filename = attachment.filename || 'attachment';
+    const contentType = attachment.contentType || '';
+    const size = attachment.size || attachment.content?.length || 0;
+    const archiveType = attachment.content && detectArchiveType({ filename, contentType, buffer: toBuffer(attachment.content) });
+    if (archiveType) {
+      results.push(...await extractArchive(attachment, filename, accountName));
+      continue;
+    }
+
+    const isResume = isResumeAttachment(attachment);
+
+    console.log(`\n  📎 ${filename}`);
+    console.log(`     Type: ${contentType}`);
+    console.log(`     Size: ${size || 'unknown'} bytes`);
+    console.log(`     Resume: ${isResume ? '✅' : '❌'}`);
+
+    const result = { filename, contentType, size, isResume, status: 'skipped' };
+    if (isResume) {
+      try {
+        result.data = await processPdfAttachment(attachment, filename, accountName);
+        result.status = 'extracted';
+      } catch (error) {
+        result.status = 'failed';
+        result.error = error.message;
+        // For the dead-letter queue, not saved with the email
+        result.stage = error.stage;
+        result.content = toBuffer(attachment.content);
       }
     }
+    results.push(result);
+  }
 
-    console.log(`  [${accountName}] PDF buffer size: ${pdfContent.length} bytes`);
+  return results;
+}
 
-    // Upload to AWS S3
-    let s3Url = null;
-    let s3Key = null;
+/**
+ * Expand a ZIP/RAR attachment and run its files through extractAttachments.
+ * The archive is listed as "expanded" (or "failed"), followed by its files,
+ * each naming the archive it came from.
+ */
+async function extractArchive(attachment, filename, accountName = 'Primary') {
+  const entry = {
+    filename,
+    contentType: attachment.contentType || '',
+    size: attachment.size || attachment.content.length,
+    isResume: false,
+    status: 'expanded'
+  };
 
-    if (process.env.AWS_ACCESS_KEY_ID && 
-        process.env.AWS_SECRET_ACCESS_KEY && 
-        process.env.AWS_REGION && 
-        process.env.AWS_S3_BUCKET_NAME) {
-      
-      console.log(`  ☁️  [${accountName}] Uploading to AWS S3...`);
+  let files;
+  try {
+    files = await expandArchive(toBuffer(attachment.content), { filename });
+    console.log(`\n📦 [${accountName}] ${filename}: ${files.length} file(s) in the archive`);
+  } catch (error) {
+    console.error(`❌ [${accountName}] Could not expand ${filename}: ${error.message}`);
+    return [{ ...entry, status: 'failed', error: error.message, content: toBuffer(attachment.content) }];
+  }
 
-      try {
-        const timestamp = Date.now();
-        const sanitizedFilename = filename
-          .replace(/[^a-zA-Z0-9.-]/g, '_');
-
-        s3Key = `resumes/${timestamp}_${sanitizedFilename}`;
-
-        const upload = new Upload({
-          client: s3Client,
-          params: {
-            Bucket: bucketName,
-            Key: s3Key,
-            Body: pdfContent,
-            ContentType: 'application/pdf',
-          },
-        });
+  const results = await extractAttachments(files.map(file => ({
+    filename: file.filename,
+    contentType: file.contentType,
+    size: file.content.length,
+    content: file.content
+  })), accountName);
+  return [entry, ...results.map((result, index) => ({ ...result, archive: files[index].archive }))];
+}
 
-        const result = await upload.done();
-        s3Url = result.Location;
+// Fields that tell an application from an ordinary message: the parser
+// finds a location or a role in almost any text
+const BODY_CANDIDATE_FIELDS = ['name', 'contactNumber', 'dateOfBirth', 'experience', 'education'];
+const MIN_BODY_CANDIDATE_FIELDS = 2;
 
-        console.log(`  ✅ [${accountName}] Uploaded to AWS S3`);
-        console.log(`     URL: ${s3Url}`);
-      } catch (s3Error) {
-        console.error(`  ❌ [${accountName}] AWS S3 upload failed: ${s3Error.message}`);
-      }
-    } else {
-      console.log(`  ⚠️  [${accountName}] AWS S3 not configured, saving locally`);
+/**
+ * Candidate data from the message body, for applicants who paste their
+ * details instead of attaching a resume
+ * @returns {object|null} attachmentData with source 'body', or null when the
+ *   body doesn't read like an application
+ */
+function extractBodyCandidate(body, fromEmail) {
+  if (!body || body === '(No content)') return null;
+
+  const data = extractResumeData(body);
+  const found = BODY_CANDIDATE_FIELDS.filter(field => data[field]).length + (data.skills.length > 0 ? 1 : 0);
+  if (found < MIN_BODY_CANDIDATE_FIELDS) return null;
+
+  return {
+    ...data,
+    email: data.email || fromEmail,
+    rawText: body.substring(0, 5000),
+    source: 'body'
+  };
+}
+
+/**
+ * Save an email with one candidate record per extracted resume. The first
+ * resume is stored on the email itself, every other one in its own record
+ * linked back through parentEmail. The email lists all its attachments with
+ * their extraction status and the record holding each candidate.
+ * Without any resume, the candidate is taken from the message body when
+ * it holds their details.
+ * @param {object} fields - Email fields (from, subject, body, emailId, organization...)
+ * @param {object[]} extracted - result of extractAttachments()
+ * @returns {Promise<object[]>} the saved email followed by the extra candidate records
+ */
+async function saveEmailWithCandidates(fields, extracted = []) {
+  const emailObjectId = new mongoose.Types.ObjectId();
+  const resumeIndexes = extracted
+    .map((entry, index) => (entry.status === 'extracted' ? index : -1))
+    .filter(index => index !== -1);
+
+  // Ids are assigned up front so the email can point at every candidate
+  const candidateIds = new Map(resumeIndexes.map((index, position) => [
+    index,
+    position === 0 ? emailObjectId : new mongoose.Types.ObjectId()
+  ]));
+  const attachmentEntries = extracted.map(({ data, content, ...entry }, index) => ({
+    ...entry,
+    candidate: candidateIds.get(index)
+  }));
+
+  const email = new Email({
+    ...fields,
+    _id: emailObjectId,
+    hasAttachment: resumeIndexes.length > 0,
+    attachmentData: resumeIndexes.length > 0
+      ? extracted[resumeIndexes[0]].data
+      : extractBodyCandidate(fields.body, fields.from) || undefined,
+    attachments: attachmentEntries
+  });
+  await email.save();
+
+  const records = [email];
+  const { messageId, ...candidateFields } = fields;
+  for (const index of resumeIndexes.slice(1)) {
+    const candidate = await Email.create({
+      ...candidateFields,
+      _id: candidateIds.get(index),
+      emailId: `${fields.emailId}#${index + 1}`,
+      parentEmail: email._id,
+      hasAttachment: true,
+      attachmentData: extracted[index].data,
+      attachments: [attachmentEntries[index]]
+    });
+    records.push(candidate);
+  }
+
+  return records;
+}
+
+/**
+ * Keep resume attachments (and archives) that could not be read in the
+ * dead-letter queue. The email is saved without them; a retry adds the
+ * candidates they hold.
+ */
+async function recordAttachmentFailures(email, extracted, reference = null) {
+  for (const [index, entry] of extracted.entries()) {
+    if (entry.status !== 'failed' || !entry.content) continue;
+
+    try {
+      await deadLetterService.recordJobFailure({
+        type: 'attachment',
+        key: `${email.emailId}/attachment-${index + 1}`,
+        organization: email.organization,
+        payload: {
+          email: String(email._id),
+          filename: entry.filename,
+          contentType: entry.contentType,
+          archive: entry.archive,
+          content: entry.content
+        },
+        reference: {
+          ...reference,
+          emailId: email.emailId,
+          subject: email.subject,
+          from: email.from
+        }
+      }, Object.assign(new Error(entry.error), { stage: entry.stage || 'extract' }));
+    } catch (error) {
+      console.error(`❌ Could not record failed attachment ${entry.filename}:`, error.message);
     }
+  }
+}
 
-    // Save locally as fallback
-    let localPath = null;
-    if (!s3Url) {
-      const timestamp = Date.now();
-      const sanitizedFilename = filename.replace(/[^a-zA-Z0-9.-]/g, '_');
-      const pdfFilename = `${timestamp}_${sanitizedFilename}`;
-      localPath = path.join(uploadsDir, pdfFilename);
-      await fs.writeFile(localPath, pdfContent);
-      console.log(`  ✓ [${accountName}] Saved locally: ${pdfFilename}`);
+/**
+ * Read a failed attachment of a saved email again (dead-letter retry). Its
+ * candidates go to the email when it has none yet, to new candidate records
+ * otherwise, and its entry in the email's attachments is updated.
+ * @returns {Promise<object>} the email
+ */
+async function retryFailedAttachment({ email: emailRecordId, filename, contentType, archive, content }, io) {
+  const email = await Email.findById(emailRecordId);
+  if (!email) {
+    const error = new Error('The email of this attachment was deleted');
+    error.permanent = true;
+    throw error;
+  }
+
+  const results = await extractAttachments([{ filename, contentType, content: Buffer.from(content, 'base64') }], 'Retry');
+  const failed = results.find(result => result.status === 'failed');
+  if (failed) {
+    throw Object.assign(new Error(failed.error), { stage: 'extract' });
+  }
+
+  const position = email.attachments.findIndex(entry =>
+    entry.filename === filename && entry.status === 'failed' && (entry.archive || null) === (archive || null));
+  const slot = position === -1 ? email.attachments.length : position;
+
+  const updated = [];
+  const entries = [];
+  for (const [index, { data, content: _content, ...entry }] of results.entries()) {
+    let candidate = null;
+    if (entry.status === 'extracted' && !email.hasAttachment) {
+      email.hasAttachment = true;
+      email.attachmentData = data;
+      candidate = email;
+    } else if (entry.status === 'extracted') {
+      candidate = await deadLetterService.atStage('store', () => Email.create({
+        from: email.from,
+        fromName: email.fromName,
+        subject: email.subject,
+        body: email.body,
+        receivedAt: email.receivedAt,
+        organization: email.organization,
+        tags: email.tags,
+        emailId: `${email.emailId}#${slot + 1}${results.length > 1 ? `.${index + 1}` : ''}`,
+        parentEmail: email._id,
+        hasAttachment: true,
+        attachmentData: data,
+        attachments: [{ ...entry, archive: entry.archive || archive }]
+      }));
+    }
+    if (candidate) updated.push(candidate);
+    entries.push({ ...entry, archive: entry.archive || archive, candidate: candidate?._id });
+  }
+
+  email.attachments.splice(slot, position === -1 ? 0 : 1, ...entries);
+  await deadLetterService.atStage('store', () => email.save());
+
+  if (io) {
+    for (const record of updated) {
+      emitNewEmail(io, { message: 'Resume attachment imported on retry', email: record });
     }
+  }
+  console.log(`✅ ${filename} of ${email.emailId} read on retry: ${updated.length} candidate(s)`);
+  return email;
+}
+
+/**
+ * Store a file in AWS S3, or in the local uploads folder when S3 isn't
+ * configured or the upload fails
+ * @returns {Promise<{s3Url: string|null, s3Key: string|null, localPath: string|null}>}
+ */
+async function storeFile(content, filename, contentType, accountName = 'Primary') {
+  const timestamp = Date.now();
+  const sanitizedFilename = filename.replace(/[^a-zA-Z0-9.-]/g, '_');
+  let s3Url = null;
+  let s3Key = null;
 
-    // Extract text from PDF
-    console.log(`  📄 [${accountName}] Extracting text from PDF...`);
-    let extractedText = '';
+  if (process.env.AWS_ACCESS_KEY_ID &&
+      process.env.AWS_SECRET_ACCESS_KEY &&
+      process.env.AWS_REGION &&
+      process.env.AWS_S3_BUCKET_NAME) {
+
+    console.log(`  ☁️  [${accountName}] Uploading ${sanitizedFilename} to AWS S3...`);
 
     try {
-      const pdfData = await pdfParse(pdfContent);
-      extractedText = pdfData.text || '';
-      console.log(`  ✅ [${accountName}] Extracted ${extractedText.length} characters`);
-    } catch (parseError) {
-      console.log(`  ⚠️  [${accountName}] pdf-parse failed: ${parseError.message}`);
-
-      // Try OCR if available
-      if (Tesseract && extractedText.length < 50) {
-        console.log(`  🔍 [${accountName}] Attempting OCR...`);
-        try {
-          const { data: { text } } = await Tesseract.recognize(pdfContent, 'eng');
-          if (text && text.trim().length > 0) {
-            extractedText = text;
-            console.log(`  ✅ [${accountName}] OCR extracted ${extractedText.length} characters`);
-          }
-        } catch (ocrError) {
-          console.error(`  ❌ [${accountName}] OCR failed: ${ocrError.message}`);
-        }
+      s3Key = `resumes/${timestamp}_${sanitizedFilename}`;
+
+      const upload = new Upload({
+        client: s3Client,
+        params: {
+          Bucket: bucketName,
+          Key: s3Key,
+          Body: content,
+          ContentType: contentType,
+        },
+      });
+
+      const result = await upload.done();
+      s3Url = result.Location;
+
+      console.log(`  ✅ [${accountName}] Uploaded to AWS S3`);
+      console.log(`     URL: ${s3Url}`);
+    } catch (s3Error) {
+      s3Key = null;
+      console.error(`  ❌ [${accountName}] AWS S3 upload failed: ${s3Error.message}`);
+    }
+  } else {
+    console.log(`  ⚠️  [${accountName}] AWS S3 not configured, saving locally`);
+  }
+
+  // Save locally as fallback
+  let localPath = null;
+  if (!s3Url) {
+    const localFilename = `${timestamp}_${sanitizedFilename}`;
+    localPath = path.join(uploadsDir, localFilename);
+    await fs.writeFile(localPath, content);
+    console.log(`  ✓ [${accountName}] Saved locally: ${localFilename}`);
+  }
+
+  return { s3Url, s3Key, localPath };
+}
+
+/**
+ * Process a resume attachment: PDF, Word (DOCX/DOC), RTF, ODT or an image.
+ * The original file is stored as it was sent; Word-type documents also get a
+ * PDF rendition for preview when LibreOffice is available. Scanned PDFs and
+ * images are read by OCR.
+ */
+async function processPdfAttachment(attachment, filename, accountName = 'Primary') {
+  console.log(`\n🔧 [${accountName}] Processing resume: ${filename}`);
+
+  try {
+    const fileContent = toBuffer(attachment.content);
+
+    const fileType = detectDocumentType({ filename, contentType: attachment.contentType, buffer: fileContent });
+    if (!fileType) {
+      throw new Error('Unsupported or unrecognised document format');
+    }
+    const contentType = getContentType(fileType);
+
+    console.log(`  [${accountName}] ${fileType.toUpperCase()} buffer size: ${fileContent.length} bytes`);
+
+    // Extract text from the document. Done before storing the file, so a
+    // failure (recorded as a failed attachment) leaves nothing behind
+    console.log(`  📄 [${accountName}] Extracting text from ${fileType.toUpperCase()}...`);
+    const extractedText = await deadLetterService.atStage('extract', () => extractText(fileContent, fileType));
+    console.log(`  ✅ [${accountName}] Extracted ${extractedText.length} characters`);
+
+    const { s3Url, s3Key, localPath } = await deadLetterService.atStage('store', () =>
+      storeFile(fileContent, filename, contentType, accountName));
+
+    // PDF rendition for in-browser preview
+    let preview = null;
+    if (fileType !== 'pdf') {
+      const previewPdf = await convertToPdf(fileContent, fileType);
+      if (previewPdf) {
+        const previewName = `${path.basename(filename, path.extname(filename))}_preview.pdf`;
+        preview = await storeFile(previewPdf, previewName, 'application/pdf', accountName);
       }
     }
 
@@ -601,14 +1147,19 @@ async function processPdfAttachment(attachment, filename, accountName = 'Primary
 
     return {
       ...extractedData,
+      originalFileName: filename,
+      fileType,
+      contentType,
       s3Url: s3Url || null,
       s3Key: s3Key || null,
       pdfPath: s3Url || localPath,
+      previewPdfPath: preview ? (preview.s3Url || preview.localPath) : null,
+      previewS3Key: preview ? preview.s3Key : null,
       rawText: extractedText.substring(0, 5000)
     };
 
   } catch (error) {
-    console.error(`  ❌ [${accountName}] Error processing PDF: ${error.message}`);
+    console.error(`  ❌ [${accountName}] Error processing resume: ${error.message}`);
     throw error;
   }
 }
@@ -616,13 +1167,13 @@ async function processPdfAttachment(attachment, filename, accountName = 'Primary
 /**
  * Mark email as processed
  */
-async function markAsProcessed(uid) {
+async function markAsProcessed(emailId) {
   try {
-    await redisService.markEmailProcessed(uid);
-    processedEmails.add(uid);
+    await redisService.markEmailProcessed(emailId);
+    processedEmails.add(emailId);
   } catch (error) {
-    console.warn(`⚠️ Could not mark UID ${uid} in Redis: ${error.message}`);
-    processedEmails.add(uid); // At least mark in memory
+    console.warn(`⚠️ Could not mark ${emailId} in Redis: ${error.message}`);
+    processedEmails.add(emailId); // At least mark in memory
   }
 }
 
@@ -631,50 +1182,35 @@ async function markAsProcessed(uid) {
  */
 async function startMonitoring(io) {
   console.log('\n🚀 Initializing email monitoring...');
-  
-  const configs = [];
-  
-  // Primary/Gmail Account
-  if (process.env.IMAP_USER && process.env.IMAP_PASSWORD) {
-    configs.push({
-      name: 'Primary',
-      config: createImapConfig(
-        process.env.IMAP_USER,
-        process.env.IMAP_PASSWORD,
-        process.env.IMAP_HOST,
-        process.env.IMAP_PORT
-      )
-    });
-  }
+  monitorIo = io;
 
-  // Outlook/Microsoft Account
-  if (process.env.OUTLOOK_USER && process.env.OUTLOOK_PASSWORD) {
-    configs.push({
-      name: 'Outlook',
-      config: createImapConfig(
-        process.env.OUTLOOK_USER,
-        process.env.OUTLOOK_PASSWORD,
-        process.env.OUTLOOK_HOST || 'outlook.office365.com',
-        process.env.OUTLOOK_PORT || 993
-      )
-    });
+  const configs = envAccounts();
+
+  // Mailboxes added through /api/mailboxes
+  let mailboxes = [];
+  try {
+    mailboxes = await MailboxAccount.find({ enabled: true });
+  } catch (err) {
+    console.error('❌ Could not load mailbox accounts:', err.message);
   }
 
-  if (configs.length === 0) {
-    console.error('❌ No IMAP accounts configured! Please check your .env file.');
-    return;
+  if (configs.length === 0 && mailboxes.length === 0) {
+    console.error('❌ No IMAP accounts configured! Add one with POST /api/mailboxes or check your .env file.');
   }
 
   // Start each account monitoring with timeout protection (non-blocking)
   for (const account of configs) {
     // Don't await - start them in parallel and continue
-    startAccountMonitoringWithTimeout(account, io);
+    startAccount(account, io);
+  }
+  for (const mailbox of mailboxes) {
+    syncMailbox(mailbox, io);
   }
 
   // Also start Microsoft Graph API polling if configured (non-blocking)
   if (process.env.MS_GRAPH_CLIENT_ID && process.env.MS_GRAPH_CLIENT_SECRET && process.env.MS_GRAPH_USER_ID) {
     console.log(`\n🚀 [Outlook-Graph] Starting Microsoft Graph API polling...`);
-    
+
     const pollInterval = setInterval(async () => {
       try {
         await graphService.fetchOutlookMessages(process.env.MS_GRAPH_USER_ID, io);
@@ -683,8 +1219,9 @@ async function startMonitoring(io) {
       }
     }, 5 * 60 * 1000); // Poll every 5 minutes
 
-    monitoringInstances.push({
+    monitors.set('graph', {
       name: 'Outlook-Graph',
+      connected: true,
       stop: async () => {
         clearInterval(pollInterval);
       }
@@ -697,92 +1234,345 @@ async function startMonitoring(io) {
       });
     });
   }
-  
+
   console.log('✅ Email monitoring initialization completed (connections starting in background)');
 }
 
+/**
+ * Accounts configured in .env
+ */
+function envAccounts() {
+  const configs = [];
+
+  // Primary/Gmail Account
+  if (process.env.IMAP_USER && process.env.IMAP_PASSWORD) {
+    configs.push({
+      key: 'env:Primary',
+      // Sync position follows the mailbox, not the variable name
+      syncKey: `env:${process.env.IMAP_USER}@${process.env.IMAP_HOST || 'imap.gmail.com'}`,
+      name: 'Primary',
+      config: createImapConfig(
+        process.env.IMAP_USER,
+        process.env.IMAP_PASSWORD,
+        process.env.IMAP_HOST,
+        process.env.IMAP_PORT
+      )
+    });
+  }
+
+  // Outlook/Microsoft Account
+  if (process.env.OUTLOOK_USER && process.env.OUTLOOK_PASSWORD) {
+    configs.push({
+      key: 'env:Outlook',
+      syncKey: `env:${process.env.OUTLOOK_USER}@${process.env.OUTLOOK_HOST || 'outlook.office365.com'}`,
+      name: 'Outlook',
+      config: createImapConfig(
+        process.env.OUTLOOK_USER,
+        process.env.OUTLOOK_PASSWORD,
+        process.env.OUTLOOK_HOST || 'outlook.office365.com',
+        process.env.OUTLOOK_PORT || 993
+      )
+    });
+  }
+
+  return configs;
+}
+
+/**
+ * Monitor settings of an account by its key ("env:Primary", "env:Outlook"
+ * or the id of a MailboxAccount), loaded fresh so separate worker processes
+ * can use it too
+ */
+async function findMonitoredAccount(key) {
+  if (key.startsWith('env:')) {
+    return envAccounts().find(account => account.key === key) || null;
+  }
+  if (!mongoose.isValidObjectId(key)) return null;
+
+  const mailbox = await MailboxAccount.findById(key);
+  return mailbox ? toMonitoredAccount(mailbox) : null;
+}
+
+/**
+ * Monitor settings for a mailbox saved through the API
+ */
+function toMonitoredAccount(mailbox) {
+  return {
+    key: String(mailbox._id),
+    syncKey: String(mailbox._id),
+    mailboxId: mailbox._id,
+    name: mailbox.name,
+    organizationId: mailbox.organization,
+    folders: mailbox.folders,
+    postProcessing: mailbox.postProcessing,
+    autoReply: mailbox.autoReply,
+    config: createImapConfig(
+      mailbox.username,
+      decrypt(mailbox.password),
+      mailbox.host,
+      mailbox.port,
+      { tls: mailbox.tls, rejectUnauthorized: !mailbox.allowSelfSignedCertificate }
+    )
+  };
+}
+
+/**
+ * Save the outcome of a connection attempt on the mailbox (API-managed mailboxes only)
+ */
+async function recordMailboxStatus(account, error = null) {
+  if (!account.mailboxId) return;
+  const update = error
+    ? { lastError: error.message, lastErrorAt: new Date() }
+    : { lastConnectedAt: new Date(), $unset: { lastError: 1, lastErrorAt: 1 } };
+  try {
+    await MailboxAccount.updateOne({ _id: account.mailboxId }, update);
+  } catch (err) {
+    console.warn(`⚠️  [${account.name}] Could not save mailbox status: ${err.message}`);
+  }
+}
+
+/**
+ * Register a monitor for an account and start connecting in the background
+ */
+function startAccount(account, io) {
+  const monitor = {
+    name: account.name,
+    connection: null,
+    checkInterval: null,
+    retryTimer: null,
+    attempt: 0,
+    connected: false,
+    stopped: false,
+    stop: async () => {
+      // Also cancels a pending retry or a connection that is still being opened
+      monitor.stopped = true;
+      monitor.connected = false;
+      if (monitor.retryTimer) clearTimeout(monitor.retryTimer);
+      if (monitor.checkInterval) clearInterval(monitor.checkInterval);
+      if (monitor.connection) await monitor.connection.end();
+    }
+  };
+
+  monitors.set(account.key, monitor);
+  startAccountMonitoringWithTimeout(account, io, monitor);
+  return monitor;
+}
+
+/**
+ * Stop a running monitor
+ * @param {string} key - "env:Primary", "graph" or a MailboxAccount id
+ * @returns {Promise<boolean>} false when nothing was running
+ */
+async function stopMailbox(key) {
+  const monitor = monitors.get(String(key));
+  if (!monitor) return false;
+
+  monitors.delete(String(key));
+  try {
+    await monitor.stop();
+    console.log(`✅ [${monitor.name}] Stopped`);
+  } catch (err) {
+    console.error(`⚠️  [${monitor.name}] Error stopping:`, err.message);
+  }
+  return true;
+}
+
+/**
+ * Bring the monitor of an API-managed mailbox in line with the saved document:
+ * start it when it was created or enabled, reconnect it when it was edited and
+ * stop it when it was disabled. Pass the id alone once the mailbox is deleted.
+ * @param {object|string} mailbox - MailboxAccount document or id
+ * @param {import('socket.io').Server} [io] - defaults to the server passed to startMonitoring
+ */
+async function syncMailbox(mailbox, io = monitorIo) {
+  const key = String(mailbox._id || mailbox);
+  await stopMailbox(key);
+
+  if (!mailbox._id || !mailbox.enabled) return;
+
+  let account;
+  try {
+    account = toMonitoredAccount(mailbox);
+  } catch (err) {
+    // e.g. ENCRYPTION_KEY changed since the password was saved
+    console.error(`❌ [${mailbox.name}] Cannot read mailbox settings:`, err.message);
+    await recordMailboxStatus({ mailboxId: mailbox._id, name: mailbox.name }, err);
+    return;
+  }
+  startAccount(account, io);
+}
+
+// Mailbox changes reach the monitors of every server process over Redis
+const MAILBOX_SYNC_CHANNEL = 'mailbox:sync';
+let receivingMailboxSyncs = false;
+
+async function syncMailboxById(mailboxId) {
+  // Monitors only run in processes that called startMonitoring
+  if (!monitorIo) return;
+  const mailbox = await MailboxAccount.findById(mailboxId);
+  await syncMailbox(mailbox || String(mailboxId));
+}
+
+/**
+ * Apply a saved (or deleted) mailbox to its monitor in every server process.
+ * Without Redis only this process is updated.
+ * @param {string} mailboxId
+ */
+async function requestMailboxSync(mailboxId) {
+  if (receivingMailboxSyncs && await redisService.publish(MAILBOX_SYNC_CHANNEL, { mailboxId: String(mailboxId) })) {
+    return;
+  }
+  await syncMailboxById(mailboxId);
+}
+
+/**
+ * Web server: follow mailbox changes made through any process
+ * @returns {Promise<boolean>} false when Redis is unavailable
+ */
+async function receiveMailboxSyncs() {
+  receivingMailboxSyncs = await redisService.subscribe(MAILBOX_SYNC_CHANNEL, ({ mailboxId }) => {
+    syncMailboxById(mailboxId).catch(err => {
+      console.error(`⚠️  Could not update monitoring for mailbox ${mailboxId}:`, err.message);
+    });
+  });
+  return receivingMailboxSyncs;
+}
+
+/**
+ * Monitor state of an account: 'connected', 'connecting' or 'stopped'
+ */
+function getMonitorStatus(key) {
+  const monitor = monitors.get(String(key));
+  if (!monitor) return 'stopped';
+  return monitor.connected ? 'connected' : 'connecting';
+}
+
+// Time allowed to connect and open the first folder (the first sync can take longer)
+const CONNECTION_TIMEOUT = 30000;
+
+function withConnectionTimeout(promise) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error('Connection timeout'), { timeout: true })), CONNECTION_TIMEOUT);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 /**
  * Start monitoring for a specific account (with timeout protection)
  */
-async function startAccountMonitoringWithTimeout(account, io) {
+async function startAccountMonitoringWithTimeout(account, io, monitor) {
   const { name } = account;
-  const timeout = 30000; // 30 second timeout for connection
-  
+  const attempt = ++monitor.attempt;
+
   console.log(`\n🚀 [${name}] Initializing account monitoring...`);
-  
-  const connectionTimeout = new Promise((_, reject) => 
-    setTimeout(() => reject(new Error('Connection timeout')), timeout)
-  );
-  
+
   try {
-    await Promise.race([
-      startAccountMonitoring(account, io),
-      connectionTimeout
-    ]);
+    await startAccountMonitoring(account, io, monitor, attempt);
   } catch (err) {
+    if (monitor.stopped) return;
+
     console.error(`\n❌ [${name}] Failed to start monitoring (non-fatal):`, err.message);
     console.log(`   [${name}] Server will continue without this account`);
-    
+
     // Retry after 60 seconds (in background)
-    setTimeout(() => {
+    monitor.retryTimer = setTimeout(() => {
+      if (monitor.stopped) return;
       console.log(`\n🔄 [${name}] Retrying connection...`);
-      startAccountMonitoringWithTimeout(account, io);
+      startAccountMonitoringWithTimeout(account, io, monitor);
     }, 60000);
   }
 }
 
 /**
- * Start monitoring for a specific account
+ * Start monitoring for a specific account. Throws only when connecting timed
+ * out (to be retried); other failures are logged and recorded.
  */
-async function startAccountMonitoring(account, io) {
+async function startAccountMonitoring(account, io, monitor, attempt) {
   const { name, config } = account;
-  
+  const folders = account.folders?.length ? account.folders : ['INBOX'];
+  // Stopped, or superseded by a retry
+  const isStale = () => monitor.stopped || attempt !== monitor.attempt;
+
   try {
     console.log(`\n🔄 [${name}] Connecting to IMAP server...`);
     console.log(`   Host: ${config.imap.host}`);
     console.log(`   User: ${config.imap.user}`);
 
-    const connection = await imap.connect(config);
-    let isConnected = true;
-
-    const instance = {
-      name,
-      connection,
-      checkInterval: null,
-      stop: async () => {
-        if (instance.checkInterval) clearInterval(instance.checkInterval);
-        if (connection) await connection.end();
-        isConnected = false;
-      }
-    };
+    const connecting = imap.connect(config);
+    let connection;
+    try {
+      connection = await withConnectionTimeout(connecting);
+    } catch (err) {
+      // Close the connection if it still opens after the timeout
+      connecting.then(late => late.end()).catch(() => {});
+      throw err;
+    }
 
-    monitoringInstances.push(instance);
+    if (isStale()) {
+      await connection.end();
+      return;
+    }
+    monitor.connection = connection;
+    monitor.connected = true;
 
     // Set up error handlers
     connection.on('error', (err) => {
       console.error(`\n❌ [${name}] IMAP connection error:`, err.message);
-      isConnected = false;
+      monitor.connected = false;
+      recordMailboxStatus(account, err);
     });
 
     connection.on('end', () => {
       console.warn(`\n⚠️  [${name}] IMAP connection ended`);
-      isConnected = false;
+      monitor.connected = false;
     });
 
-    // Open inbox
-    await connection.openBox('INBOX', true);
-    console.log(`✅ [${name}] Connected successfully\n`);
+    // Open the first folder
+    try {
+      await withConnectionTimeout(openFolder(connection, account, folders[0]));
+    } catch (err) {
+      monitor.connected = false;
+      connection.end();
+      throw err;
+    }
+    console.log(`✅ [${name}] Connected successfully (${folders.join(', ')})\n`);
+    await recordMailboxStatus(account);
+
+    // Only one folder can be open at a time: check them one after the other
+    // and go back to the first so 'mail' events keep coming for it
+    let checking = false;
+    const checkFolders = async () => {
+      if (checking) return;
+      checking = true;
+      try {
+        for (const folder of folders) {
+          await processEmail(connection, io, account, folder);
+        }
+        if (folders.length > 1) {
+          await openFolder(connection, account, folders[0]);
+        }
+      } finally {
+        checking = false;
+      }
+    };
 
     // Process existing emails
-    await processEmail(connection, io, name);
+    await checkFolders();
+
+    // A retry or a restart took over during the first sync
+    if (isStale()) {
+      if (!monitor.stopped) await connection.end();
+      return;
+    }
 
     // Set up periodic checking (every 5 minutes)
     const CHECK_INTERVAL = 5 * 60 * 1000;
-    instance.checkInterval = setInterval(async () => {
-      if (!isConnected) return;
+    monitor.checkInterval = setInterval(async () => {
+      if (!monitor.connected) return;
       console.log(`\n⏰ [${name}] Scheduled email check...`);
       try {
-        await processEmail(connection, io, name);
+        await checkFolders();
       } catch (err) {
         console.error(`❌ [${name}] Scheduled check failed:`, err.message);
       }
@@ -792,7 +1582,7 @@ async function startAccountMonitoring(account, io) {
     connection.on('mail', async () => {
       console.log(`\n📬 [${name}] New email detected!`);
       try {
-        await processEmail(connection, io, name);
+        await checkFolders();
       } catch (error) {
         console.error(`❌ [${name}] Error processing new email:`, error.message);
       }
@@ -800,10 +1590,11 @@ async function startAccountMonitoring(account, io) {
 
   } catch (error) {
     console.error(`\n❌ [${name}] Failed to start monitoring:`, error.message);
+    await recordMailboxStatus(account, error);
     if (error.source === 'authentication' || error.message.includes('LOGIN failed')) {
       console.log(`   Detailed Error: ${JSON.stringify(error)}`);
     }
-    
+
     // Provide helpful error messages for login failures
     if (error.message.includes('LOGIN failed') || error.message.includes('authenticate') || error.message.includes('Invalid credentials')) {
       console.error(`\n💡 [${name}] Authentication failed. Please check:`);
@@ -813,12 +1604,14 @@ async function startAccountMonitoring(account, io) {
         console.error('   3. Go to Microsoft Account Security > Advanced security options to create an App Password.');
         console.error('   4. If this is a personal account, try changing OUTLOOK_HOST to imap-mail.outlook.com');
       } else {
-        console.error(`   - Check ${name === 'Primary' ? 'IMAP_USER and IMAP_PASSWORD' : 'credentials'} in .env`);
+        console.error(`   - Check ${name === 'Primary' ? 'IMAP_USER and IMAP_PASSWORD' : 'credentials'} in ${account.mailboxId ? 'the mailbox settings' : '.env'}`);
         console.error('   - For Gmail: Use an App Password (not your regular password).');
       }
-    } else if (error.code === 'ETIMEDOUT' || error.code === 'ECONNREFUSED') {
+    } else if (error.timeout || error.code === 'ETIMEDOUT' || error.code === 'ECONNREFUSED') {
       console.error(`\n💡 [${name}] Connection issue: Check host/port settings and internet connection.`);
     }
+
+    if (error.timeout) throw error;
   }
 }
 
@@ -827,20 +1620,33 @@ async function startAccountMonitoring(account, io) {
  */
 async function stopMonitoring() {
   console.log('\n🛑 Stopping all email monitoring...');
-  for (const instance of monitoringInstances) {
-    try {
-      await instance.stop();
-      console.log(`✅ [${instance.name}] Stopped`);
-    } catch (err) {
-      console.error(`⚠️  [${instance.name}] Error stopping:`, err.message);
-    }
+  for (const key of [...monitors.keys()]) {
+    await stopMailbox(key);
   }
-  monitoringInstances = [];
 }
 
 module.exports = {
   startMonitoring,
   stopMonitoring,
+  syncMailbox,
+  stopMailbox,
+  requestMailboxSync,
+  receiveMailboxSyncs,
+  getMonitorStatus,
+  toMonitoredAccount,
+  searchUids,
+  fetchMessageHeaders,
+  imapEmailId,
+  loadIngestionRules,
+  getIngestionDecision,
+  fetchRecentRuleMessages,
+  processIndividualEmail,
+  processQueuedImapMessage,
+  processEmailContent,
+  extractAttachments,
+  saveEmailWithCandidates,
+  recordAttachmentFailures,
+  retryFailedAttachment,
   processPdfAttachment,
   markAsProcessed
 };
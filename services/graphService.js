@@ -11,7 +11,44 @@ function getEmailService() {
   return require('./emailService');
 }
 
+const jwt = require('jsonwebtoken');
 const Token = require('../models/Token');
+const { emitNewEmail } = require('./socketService');
+const { JWT_SECRET } = require('./sessionService');
+const { getDefaultOrganizationId } = require('./tenantService');
+const { isEnabled: isPostProcessingEnabled, postProcessGraphMessage } = require('./postProcessingService');
+const autoReplyService = require('./autoReplyService');
+const ingestionQueue = require('./ingestionQueue');
+const deadLetterService = require('./deadLetterService');
+
+const CONNECT_STATE_PURPOSE = 'mailbox-connect';
+
+// Mail.ReadWrite lets post-processing mark, categorise and move messages,
+// Mail.Send lets auto-reply acknowledge applications. Accounts connected
+// with fewer scopes keep them until they are connected again.
+const GRAPH_SCOPES = ['offline_access', 'User.Read', 'Mail.ReadWrite', 'Mail.Send'];
+const READ_ONLY_GRAPH_SCOPES = ['offline_access', 'User.Read', 'Mail.Read'];
+
+function hasScope(tokenRecord, scope) {
+  const pattern = new RegExp(`(^|/)${scope.replace('.', '\\.')}$`, 'i');
+  return (tokenRecord?.scopes || []).some(granted => pattern.test(granted));
+}
+
+/**
+ * Whether an Outlook account granted Mail.ReadWrite
+ * @param {object} tokenRecord - Token document
+ */
+function canWriteMail(tokenRecord) {
+  return hasScope(tokenRecord, 'Mail.ReadWrite');
+}
+
+/**
+ * Whether an Outlook account granted Mail.Send
+ * @param {object} tokenRecord - Token document
+ */
+function canSendMail(tokenRecord) {
+  return hasScope(tokenRecord, 'Mail.Send');
+}
 
 // MS Graph Configuration
 const msalConfig = {
@@ -25,33 +62,63 @@ const msalConfig = {
 const cca = new msal.ConfidentialClientApplication(msalConfig);
 
 /**
- * Get the Authorization URL for the user to visit
+ * Get the Authorization URL for the user to visit.
+ * The organization the mailbox will belong to travels in a signed state.
  */
-function getAuthUrl() {
+function getAuthUrl(organizationId = null) {
   const redirectUri = process.env.MS_GRAPH_REDIRECT_URI || 
     `http://localhost:${process.env.PORT || 5000}/api/outlook-auth/callback`;
   
   const authCodeUrlParameters = {
-    scopes: ['offline_access', 'User.Read', 'Mail.Read'],
+    scopes: GRAPH_SCOPES,
     redirectUri: redirectUri,
   };
 
+  if (organizationId) {
+    authCodeUrlParameters.state = jwt.sign(
+      { purpose: CONNECT_STATE_PURPOSE, organization: String(organizationId) },
+      JWT_SECRET,
+      { expiresIn: '15m' }
+    );
+  }
+
   return cca.getAuthCodeUrl(authCodeUrlParameters);
 }
 
+/**
+ * Organization from the callback state (the default one when the flow
+ * was started without an organization)
+ */
+async function getOrganizationFromState(state) {
+  if (!state) return getDefaultOrganizationId();
+
+  let decoded;
+  try {
+    decoded = jwt.verify(state, JWT_SECRET);
+  } catch (error) {
+    throw new Error('Authorization link expired or invalid. Please start again.');
+  }
+  if (decoded.purpose !== CONNECT_STATE_PURPOSE) {
+    throw new Error('Authorization link expired or invalid. Please start again.');
+  }
+  return decoded.organization;
+}
+
 /**
  * Exchange Authorization Code for Tokens
  */
-async function redeemCode(code) {
+async function redeemCode(code, state = null) {
   const redirectUri = process.env.MS_GRAPH_REDIRECT_URI || 
     `http://localhost:${process.env.PORT || 5000}/api/outlook-auth/callback`;
   
   const tokenRequest = {
     code: code,
-    scopes: ['offline_access', 'User.Read', 'Mail.Read'],
+    scopes: GRAPH_SCOPES,
     redirectUri: redirectUri,
   };
 
+  const organizationId = await getOrganizationFromState(state);
+
   try {
     const response = await cca.acquireTokenByCode(tokenRequest);
     const accountEmail = response.account.username.toLowerCase();
@@ -60,9 +127,11 @@ async function redeemCode(code) {
     await Token.findOneAndUpdate(
       { accountEmail },
       {
+        organization: organizationId,
         accessToken: response.accessToken,
         refreshToken: response.refreshToken,
         expiresAt: response.expiresOn,
+        scopes: response.scopes,
         updatedAt: new Date()
       },
       { upsert: true }
@@ -94,7 +163,8 @@ async function getValidToken(accountEmail) {
 
   const refreshTokenRequest = {
     refreshToken: tokenRecord.refreshToken,
-    scopes: ['offline_access', 'User.Read', 'Mail.Read'],
+    // Asking for more than was granted would fail the refresh
+    scopes: tokenRecord.scopes?.length ? tokenRecord.scopes : READ_ONLY_GRAPH_SCOPES,
   };
 
   try {
@@ -103,6 +173,7 @@ async function getValidToken(accountEmail) {
     tokenRecord.accessToken = response.accessToken;
     if (response.refreshToken) tokenRecord.refreshToken = response.refreshToken;
     tokenRecord.expiresAt = response.expiresOn;
+    if (response.scopes?.length) tokenRecord.scopes = response.scopes;
     tokenRecord.updatedAt = new Date();
     await tokenRecord.save();
 
@@ -146,6 +217,7 @@ async function fetchOutlookMessages(userId, io) {
     }
 
     const client = getGraphClient(accessToken);
+    const { organizationId, postProcessing, autoReply } = await getAccountSettings(userId);
 
     // Fetch last 10 messages from Inbox
     const messages = await client.api(`/users/${userId}/mailFolders/inbox/messages`)
@@ -162,7 +234,19 @@ async function fetchOutlookMessages(userId, io) {
     console.log(`✅ [Outlook-Graph] Found ${messages.value.length} recent messages.`);
 
     for (const msg of messages.value) {
-      await processGraphMessage(client, userId, msg, io);
+      // Failed messages wait in the dead-letter queue for a retry
+      if (await deadLetterService.hasFailure(`graph_${msg.id}`)) continue;
+
+      if (ingestionQueue.isEnabled() && await queueGraphMessage(userId, msg, organizationId)) continue;
+
+      // One bad message shouldn't stop the others
+      await processGraphMessage(client, userId, msg, io, organizationId, { postProcessing, autoReply }).catch(error =>
+        deadLetterService.recordJobFailure({
+          type: 'graph_message',
+          payload: { userId, message: msg },
+          key: `graph_${msg.id}`,
+          organization: organizationId
+        }, error).catch(err => console.error(`❌ [Outlook-Graph] Could not record failed message ${msg.id}:`, err.message)));
     }
 
   } catch (error) {
@@ -183,24 +267,85 @@ async function fetchOutlookMessages(userId, io) {
     if (error.statusCode === 401) {
       console.error('\n💡 [Outlook-Graph] 401 Unauthorized usually means:');
       console.error('   1. Personal accounts (@outlook.com) often do not support "Application Permissions".');
-      console.error('   2. Ensure you have granted "Admin Consent" for Mail.Read in Azure Portal.');
+      console.error('   2. Ensure you have granted "Admin Consent" for Mail.ReadWrite in Azure Portal.');
       console.error('   3. Check if your Client Secret is correct and not expired.');
     }
   }
 }
 
 /**
- * Process individual message from Graph API
+ * Rule engine view of a Graph message. Outlook categories count as labels;
+ * only the inbox is polled.
+ * @param {object} message - with from, subject and categories
+ * @param {object[]} attachments - attachment metadata (name, contentType, isInline)
  */
-async function processGraphMessage(client, userId, message, io) {
-  const emailId = `graph_${message.id}`;
+function graphRuleMessage(message, attachments = []) {
+  return {
+    folder: 'Inbox',
+    labels: message.categories || [],
+    from: message.from?.emailAddress?.address || '',
+    subject: message.subject || '',
+    attachments: attachments
+      .filter(attachment => !attachment.isInline)
+      .map(attachment => ({ filename: attachment.name, contentType: attachment.contentType }))
+  };
+}
 
-  // Check if already processed
+/**
+ * Recent inbox messages of an Outlook account as the rule engine sees them,
+ * newest first, for the ingestion rule dry run
+ * @param {{since: Date, limit: number}} options
+ */
+async function fetchRecentRuleMessages(userId, { since, limit }) {
+  const client = getGraphClient(await getValidToken(userId));
+  const page = await client.api(`/users/${userId}/mailFolders/inbox/messages`)
+    .filter(`receivedDateTime ge ${since.toISOString()}`)
+    .select('id,subject,from,receivedDateTime,hasAttachments,categories')
+    .orderby('receivedDateTime desc')
+    .top(limit)
+    .get();
+
+  const results = [];
+  for (const message of page.value || []) {
+    // Metadata only, the files themselves are not needed
+    const attachments = message.hasAttachments
+      ? (await client.api(`/users/${userId}/messages/${message.id}/attachments`)
+        .select('name,contentType,size,isInline')
+        .get()).value
+      : [];
+    results.push({ ...graphRuleMessage(message, attachments), date: message.receivedDateTime });
+  }
+  return results;
+}
+
+/**
+ * Organization and post-processing/auto-reply settings of a connected
+ * account, without the features its token has no scope for
+ */
+async function getAccountSettings(userId) {
+  const tokenRecord = await Token.findOne({ accountEmail: userId.toLowerCase() }).select('organization scopes postProcessing autoReply');
+  const organizationId = tokenRecord?.organization || await getDefaultOrganizationId();
+
+  let postProcessing = tokenRecord?.postProcessing;
+  if (isPostProcessingEnabled(postProcessing) && !canWriteMail(tokenRecord)) {
+    console.warn(`⚠️ [Outlook-Graph] Post-processing needs Mail.ReadWrite, connect ${userId} again to grant it`);
+    postProcessing = null;
+  }
+  let autoReply = tokenRecord?.autoReply;
+  if (autoReply?.enabled && !canSendMail(tokenRecord)) {
+    console.warn(`⚠️ [Outlook-Graph] Auto-reply needs Mail.Send, connect ${userId} again to grant it`);
+    autoReply = null;
+  }
+
+  return { organizationId, postProcessing, autoReply };
+}
+
+/**
+ * Whether a message was imported (or ignored) already
+ */
+async function isGraphMessageProcessed(emailId) {
   try {
-    const isProcessed = await redisService.isEmailProcessed(emailId);
-    if (isProcessed) {
-      return;
-    }
+    if (await redisService.isEmailProcessed(emailId)) return true;
   } catch (err) {
     // Fallback to DB check if Redis fails
   }
@@ -208,7 +353,55 @@ async function processGraphMessage(client, userId, message, io) {
   const existingEmail = await Email.findOne({ emailId });
   if (existingEmail) {
     await redisService.markEmailProcessed(emailId).catch(() => {});
-    return;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Hand a new message to the ingestion workers. The same message is only
+ * queued once, however often it shows up in the polled inbox.
+ * @returns {Promise<boolean>} false when it has to be processed here instead
+ */
+async function queueGraphMessage(userId, message, organizationId) {
+  const emailId = `graph_${message.id}`;
+  if (await isGraphMessageProcessed(emailId)) return true;
+
+  try {
+    const job = await ingestionQueue.enqueue('graph_message', { userId, message }, { key: emailId, organization: organizationId });
+    if (!job.duplicate) {
+      console.log(`📬 [Outlook-Graph] Message ${message.id} queued for processing (job ${job.id}, ${job.backend})`);
+    }
+    return true;
+  } catch (error) {
+    console.warn(`⚠️ [Outlook-Graph] Could not queue message ${message.id}, processing it now: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Process a message queued by fetchOutlookMessages (ingestion worker handler)
+ */
+async function processQueuedGraphMessage({ userId, message }, io, { finalAttempt = true } = {}) {
+  const client = getGraphClient(await getValidToken(userId));
+  const { organizationId, postProcessing, autoReply } = await getAccountSettings(userId);
+  return processGraphMessage(client, userId, message, io, organizationId, { postProcessing, autoReply, finalAttempt });
+}
+
+/**
+ * Process individual message from Graph API
+ * @param {{postProcessing?: object, autoReply?: object, finalAttempt?: boolean}} [options] -
+ *   post-processing and auto-reply settings of the account; finalAttempt: false
+ *   while a queued message will still be retried
+ * @returns {Promise<object|null>} the saved email, or null when it was already imported
+ * @throws when the message could not be fetched or saved
+ */
+async function processGraphMessage(client, userId, message, io, organizationId, { postProcessing = null, autoReply = null, finalAttempt = true } = {}) {
+  const emailId = `graph_${message.id}`;
+
+  // Check if already processed
+  if (await isGraphMessageProcessed(emailId)) {
+    return null;
   }
 
   console.log(`📨 [Outlook-Graph] Processing Message ID: ${message.id}`);
@@ -217,9 +410,9 @@ async function processGraphMessage(client, userId, message, io) {
 
   try {
     // Get message content
-    const fullMsg = await client.api(`/users/${userId}/messages/${message.id}`)
-      .select('body,hasAttachments,from,subject,receivedDateTime')
-      .get();
+    const fullMsg = await deadLetterService.atStage('fetch', () => client.api(`/users/${userId}/messages/${message.id}`)
+      .select('body,hasAttachments,from,subject,receivedDateTime,categories,internetMessageHeaders')
+      .get());
 
     const fromEmail = fullMsg.from.emailAddress.address;
     const fromName = fullMsg.from.emailAddress.name;
@@ -227,79 +420,98 @@ async function processGraphMessage(client, userId, message, io) {
     const receivedAt = new Date(fullMsg.receivedDateTime);
     const bodyText = fullMsg.body.content.replace(/<[^>]*>/g, '').trim();
     
-    let attachmentData = null;
-    let hasAttachment = false;
-
-    // Fetch attachments if any
-    if (fullMsg.hasAttachments) {
-      const attachments = await client.api(`/users/${userId}/messages/${message.id}/attachments`).get();
-      
-      for (const attachment of attachments.value) {
-        if (attachment['@odata.type'] === '#microsoft.graph.fileAttachment' && 
-            (attachment.name.toLowerCase().endsWith('.pdf') || attachment.contentType === 'application/pdf')) {
-          
-          console.log(`📎 [Outlook-Graph] Found PDF attachment: ${attachment.name}`);
-          
-          const buffer = Buffer.from(attachment.contentBytes, 'base64');
-          
-          // Use processPdfAttachment from emailService
-          const emailService = getEmailService();
-          if (emailService && emailService.processPdfAttachment) {
-            hasAttachment = true;
-            attachmentData = await emailService.processPdfAttachment(
-              { content: buffer, filename: attachment.name, contentType: attachment.contentType },
-              attachment.name,
-              'Outlook-Graph'
-            );
-            break; // Process only first PDF
-          }
-        }
-      }
+    const emailService = getEmailService();
+    const attachments = fullMsg.hasAttachments
+      ? (await deadLetterService.atStage('fetch', () => client.api(`/users/${userId}/messages/${message.id}/attachments`).get())).value
+      : [];
+
+    // Nothing is stored for mail the ingestion rules ignore
+    const decision = await emailService.getIngestionDecision(graphRuleMessage(fullMsg, attachments), {
+      organizationId,
+      graphAccount: userId
+    });
+    if (decision.action === 'ignore') {
+      console.log(`🚫 [Outlook-Graph] Ignored by ingestion rule "${decision.rule.name}"`);
+      await emailService.markAsProcessed(emailId);
+      return null;
+    }
+
+    // Every resume attachment becomes a candidate record
+    let extracted = [];
+    if (attachments.length > 0) {
+      const files = attachments
+        .filter(attachment => attachment['@odata.type'] === '#microsoft.graph.fileAttachment')
+        .map(attachment => ({
+          filename: attachment.name,
+          contentType: attachment.contentType,
+          size: attachment.size,
+          isInline: attachment.isInline,
+          content: Buffer.from(attachment.contentBytes, 'base64')
+        }));
+
+      extracted = await emailService.extractAttachments(files, 'Outlook-Graph');
     }
 
     // Save to database
     console.log(`\n💾 [Outlook-Graph] Saving email to MongoDB...`);
 
-    const email = new Email({
+    const [savedEmail, ...extraCandidates] = await deadLetterService.atStage('store', () => emailService.saveEmailWithCandidates({
       from: fromEmail,
       fromName: fromName,
       subject: subject || 'No Subject',
       body: bodyText,
       receivedAt: receivedAt,
       emailId: emailId,
-      hasAttachment: hasAttachment,
-      attachmentData: attachmentData || undefined
-    });
-
-    const savedEmail = await email.save();
+      organization: organizationId,
+      tags: decision.tags
+    }, extracted));
     console.log(`✅ [Outlook-Graph] Email saved successfully!`);
 
     // Mark as processed
-    const emailService = getEmailService();
-    if (emailService && emailService.markAsProcessed) {
-      await emailService.markAsProcessed(emailId);
-    } else {
-      await redisService.markEmailProcessed(emailId).catch(() => {});
-    }
+    await emailService.markAsProcessed(emailId);
+    await emailService.recordAttachmentFailures(savedEmail, extracted, {
+      source: 'graph',
+      graphAccount: userId,
+      graphMessageId: message.id
+    });
+    await postProcessGraphMessage(client, userId, { id: message.id, categories: fullMsg.categories }, postProcessing, 'imported');
+    await autoReplyService.acknowledgeApplication(savedEmail, {
+      settings: autoReply,
+      headers: autoReplyService.headersFromGraph(fullMsg.internetMessageHeaders),
+      graph: { client, userId }
+    });
 
     // Emit real-time notification
     if (io) {
-      io.emit('newEmail', {
-        message: hasAttachment ? 
-          'New Outlook email with PDF attachment received!' : 
-          'New Outlook email received!',
-        email: savedEmail
-      });
+      for (const record of [savedEmail, ...extraCandidates]) {
+        emitNewEmail(io, {
+          message: record.hasAttachment ?
+            'New Outlook email with resume attachment received!' :
+            'New Outlook email received!',
+          email: record
+        });
+      }
       console.log(`✓ [Outlook-Graph] Real-time notification sent`);
     }
 
+    return savedEmail;
   } catch (error) {
     console.error(`❌ Error processing Graph message ${message.id}:`, error.message);
+    // Queued messages are retried: only moved to the failed folder on the last attempt
+    if (finalAttempt) await postProcessGraphMessage(client, userId, message, postProcessing, 'failed');
+    throw error;
   }
 }
 
 module.exports = {
+  canWriteMail,
+  canSendMail,
   fetchOutlookMessages,
+  processGraphMessage,
+  processQueuedGraphMessage,
+  fetchRecentRuleMessages,
+  getValidToken,
+  getGraphClient,
   getAuthUrl,
   redeemCode
 };
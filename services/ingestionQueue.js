@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const IngestionJob = require('../models/IngestionJob');
+const redisService = require('./redisService');
+require('dotenv').config();
+
+// Lazy load deadLetterService to avoid circular dependency
+function getDeadLetterService() {
+  return require('./deadLetterService');
+}
+
+/**
+ * Ingestion queue: mail and uploads are queued when they arrive and parsed
+ * by workers (services/ingestionWorker), so a slow OCR run doesn't hold up
+ * the IMAP loop or the HTTP request.
+ *
+ * Jobs live in Redis when it is connected, in MongoDB (IngestionJob)
+ * otherwise; workers take jobs from both. A job handed to a worker is leased
+ * for INGEST_VISIBILITY_TIMEOUT_MS and goes back to the queue when it isn't
+ * acknowledged in time (the worker crashed). A failed job is retried with
+ * exponential backoff; after INGEST_MAX_ATTEMPTS deliveries it moves to the
+ * dead-letter queue (services/deadLetterService).
+ *
+ * INGEST_QUEUE selects the store: auto (default), redis, mongo, or off to
+ * parse everything inline as before.
+ */
+const QUEUE_MODE = (process.env.INGEST_QUEUE || 'auto').toLowerCase();
+const VISIBILITY_TIMEOUT_MS = parseInt(process.env.INGEST_VISIBILITY_TIMEOUT_MS) || 5 * 60 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.INGEST_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = parseInt(process.env.INGEST_RETRY_BASE_MS) || 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// A MongoDB document can't exceed 16 MB
+const MAX_MONGO_PAYLOAD_BYTES = 15 * 1024 * 1024;
+
+const REDIS_KEYS = {
+  jobs: 'ingest:jobs',              // hash: id -> job JSON
+  attempts: 'ingest:attempts',      // hash: id -> deliveries so far
+  ready: 'ingest:ready',            // list of ids, oldest at the right
+  delayed: 'ingest:delayed',        // sorted set: id -> time it may run again
+  processing: 'ingest:processing',  // sorted set: id -> lease expiry
+  dedupe: 'ingest:keys'             // hash: job key -> id
+};
+
+// Adds a job unless one with the same key is still queued. Atomic, so the
+// key never points at a job that wasn't stored. Returns the id holding the key.
+const ENQUEUE_SCRIPT = `
+if ARGV[3] ~= '' then
+  local existing = redis.call('HGET', KEYS[3], ARGV[3])
+  if existing then return existing end
+  redis.call('HSET', KEYS[3], ARGV[3], ARGV[1])
+end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+redis.call('LPUSH', KEYS[2], ARGV[1])
+return ARGV[1]
+`;
+
+// Moves due retries and expired leases back to the ready list, then hands
+// out the oldest ready job. Atomic, so two workers never get the same job.
+const RESERVE_SCRIPT = `
+local now = tonumber(ARGV[1])
+for _, source in ipairs({ KEYS[3], KEYS[4] }) do
+  local due = redis.call('ZRANGEBYSCORE', source, '-inf', now, 'LIMIT', 0, 100)
+  for _, id in ipairs(due) do
+    redis.call('ZREM', source, id)
+    redis.call('LPUSH', KEYS[1], id)
+  end
+end
+while true do
+  local id = redis.call('RPOP', KEYS[1])
+  if not id then return nil end
+  local job = redis.call('HGET', KEYS[2], id)
+  if job then
+    local attempts = redis.call('HINCRBY', KEYS[5], id, 1)
+    redis.call('ZADD', KEYS[4], ARGV[2], id)
+    return { job, attempts }
+  end
+end
+`;
+
+// The scripts below act on a job only while the caller still holds its
+// lease (ARGV[2]): once it ran out the job may belong to another worker.
+const LEASE_CHECK = `
+if tonumber(redis.call('ZSCORE', KEYS[1], ARGV[1])) ~= tonumber(ARGV[2]) then return 0 end
+`;
+
+const TOUCH_SCRIPT = `${LEASE_CHECK}
+redis.call('ZADD', KEYS[1], ARGV[3], ARGV[1])
+return 1
+`;
+
+const REMOVE_SCRIPT = `${LEASE_CHECK}
+redis.call('ZREM', KEYS[1], ARGV[1])
+redis.call('HDEL', KEYS[2], ARGV[1])
+redis.call('HDEL', KEYS[3], ARGV[1])
+if ARGV[3] ~= '' then redis.call('HDEL', KEYS[4], ARGV[3]) end
+return 1
+`;
+
+const RETRY_SCRIPT = `${LEASE_CHECK}
+redis.call('ZREM', KEYS[1], ARGV[1])
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[3])
+redis.call('ZADD', KEYS[3], ARGV[4], ARGV[1])
+return 1
+`;
+
+/**
+ * Whether mail and uploads go through the queue
+ */
+function isEnabled() {
+  return QUEUE_MODE !== 'off';
+}
+
+/**
+ * Delay before the next delivery of a job that failed for the n-th time
+ */
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+}
+
+function useRedis() {
+  return ['auto', 'redis'].includes(QUEUE_MODE) && redisService.isAvailable();
+}
+
+function useMongo() {
+  return ['auto', 'mongo'].includes(QUEUE_MODE) && mongoose.connection.readyState === 1;
+}
+
+/**
+ * Queue a job
+ * @param {string} type - a handler of services/ingestionWorker
+ * @param {object} payload - JSON-serializable (Buffers as base64)
+ * @param {{key?: string, organization?: any, maxAttempts?: number}} [options] -
+ *   key: a job with the same key that is still queued isn't added again
+ * @returns {Promise<{id: string, backend: string, duplicate?: boolean}>}
+ * @throws when neither store is available - callers then process inline
+ */
+async function enqueue(type, payload, { key = null, organization = null, maxAttempts = MAX_ATTEMPTS } = {}) {
+  if (useRedis()) {
+    const client = await redisService.getRedisClient();
+    const id = crypto.randomUUID();
+    const job = { id, type, payload, key, organization: organization ? String(organization) : null, maxAttempts, createdAt: new Date() };
+    const queuedId = await client.eval(ENQUEUE_SCRIPT, {
+      keys: [REDIS_KEYS.jobs, REDIS_KEYS.ready, REDIS_KEYS.dedupe],
+      arguments: [id, JSON.stringify(job), key || '']
+    });
+    return queuedId === id ? { id, backend: 'redis' } : { id: queuedId, backend: 'redis', duplicate: true };
+  }
+
+  if (useMongo()) {
+    if (Buffer.byteLength(JSON.stringify(payload)) > MAX_MONGO_PAYLOAD_BYTES) {
+      throw new Error('Job too large to queue without Redis');
+    }
+    try {
+      const job = await IngestionJob.create({ type, payload, key: key || undefined, organization, maxAttempts });
+      return { id: String(job._id), backend: 'mongo' };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      const existing = await IngestionJob.findOne({ key }).select('_id');
+      return { id: String(existing?._id), backend: 'mongo', duplicate: true };
+    }
+  }
+
+  throw new Error('No queue available (Redis and MongoDB are both unreachable)');
+}
+
+function fromRedis([raw, attempts], leaseUntil) {
+  const job = JSON.parse(raw);
+  return { ...job, attempts: Number(attempts), maxAttempts: job.maxAttempts || MAX_ATTEMPTS, backend: 'redis', leaseUntil };
+}
+
+function fromMongo(doc) {
+  return {
+    id: String(doc._id),
+    type: doc.type,
+    payload: doc.payload,
+    key: doc.key || null,
+    organization: doc.organization ? String(doc.organization) : null,
+    attempts: doc.attempts,
+    maxAttempts: doc.maxAttempts || MAX_ATTEMPTS,
+    createdAt: doc.createdAt,
+    backend: 'mongo',
+    lockedBy: doc.lockedBy
+  };
+}
+
+/**
+ * Take the next job, leased to this worker for the visibility timeout
+ * @returns {Promise<object|null>} { id, type, payload, attempts, maxAttempts, backend, ... }
+ */
+async function reserve(workerId) {
+  const now = Date.now();
+  const leaseUntil = now + VISIBILITY_TIMEOUT_MS;
+
+  if (useRedis()) {
+    const client = await redisService.getRedisClient();
+    const result = await client.eval(RESERVE_SCRIPT, {
+      keys: [REDIS_KEYS.ready, REDIS_KEYS.jobs, REDIS_KEYS.delayed, REDIS_KEYS.processing, REDIS_KEYS.attempts],
+      arguments: [String(now), String(leaseUntil)]
+    });
+    if (result) return fromRedis(result, leaseUntil);
+  }
+
+  // Also drains jobs queued while Redis was down
+  if (useMongo()) {
+    const doc = await IngestionJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', availableAt: { $lte: new Date(now) } },
+          { status: 'processing', leaseExpiresAt: { $lte: new Date(now) } }
+        ]
+      },
+      {
+        $set: { status: 'processing', leaseExpiresAt: new Date(leaseUntil), lockedBy: workerId },
+        $inc: { attempts: 1 }
+      },
+      { sort: { availableAt: 1 }, new: true }
+    );
+    if (doc) return fromMongo(doc);
+  }
+
+  return null;
+}
+
+// Filter matching a MongoDB job only while this worker still holds it
+function leasedBy(job) {
+  return { _id: job.id, status: 'processing', lockedBy: job.lockedBy };
+}
+
+/**
+ * Extend the lease of a job that is still being worked on
+ * @returns {Promise<boolean>} false when the lease already ran out
+ */
+async function touch(job) {
+  const leaseUntil = Date.now() + VISIBILITY_TIMEOUT_MS;
+  if (job.backend === 'redis') {
+    const client = await redisService.getRedisClient();
+    const extended = await client.eval(TOUCH_SCRIPT, {
+      keys: [REDIS_KEYS.processing],
+      arguments: [job.id, String(job.leaseUntil), String(leaseUntil)]
+    });
+    if (!extended) return false;
+    job.leaseUntil = leaseUntil;
+    return true;
+  }
+
+  const result = await IngestionJob.updateOne(leasedBy(job), { leaseExpiresAt: new Date(leaseUntil) });
+  return result.matchedCount > 0;
+}
+
+/**
+ * Acknowledge a job: it was handled and is removed from the queue
+ * @returns {Promise<boolean>} false when the lease ran out and the job was left to its new holder
+ */
+async function ack(job) {
+  return remove(job);
+}
+
+async function remove(job) {
+  if (job.backend === 'redis') {
+    const client = await redisService.getRedisClient();
+    const removed = await client.eval(REMOVE_SCRIPT, {
+      keys: [REDIS_KEYS.processing, REDIS_KEYS.jobs, REDIS_KEYS.attempts, REDIS_KEYS.dedupe],
+      arguments: [job.id, String(job.leaseUntil), job.key || '']
+    });
+    return !!removed;
+  }
+
+  const result = await IngestionJob.deleteOne(leasedBy(job));
+  return result.deletedCount > 0;
+}
+
+async function holdsLease(job) {
+  if (job.backend === 'redis') {
+    const client = await redisService.getRedisClient();
+    return await client.zScore(REDIS_KEYS.processing, job.id) === job.leaseUntil;
+  }
+  return !!(await IngestionJob.exists(leasedBy(job)));
+}
+
+/**
+ * Record a failed delivery: the job runs again after a backoff, or moves to
+ * the dead-letter queue once it is out of attempts (or the error is permanent)
+ * @returns {Promise<{retryAt?: Date, failed?: boolean, leaseLost?: boolean}>}
+ *   leaseLost: the lease ran out and the job was left to its new holder
+ */
+async function fail(job, error, { permanent = false } = {}) {
+  if (permanent || job.attempts >= job.maxAttempts) {
+    if (!(await holdsLease(job))) return { leaseLost: true };
+    // Recorded first: if that fails the lease runs out and the job comes back
+    await getDeadLetterService().recordJobFailure(job, error);
+    await remove(job);
+    return { failed: true };
+  }
+
+  const message = error?.message || String(error);
+  const retryAt = new Date(Date.now() + retryDelay(job.attempts));
+
+  let retried;
+  if (job.backend === 'redis') {
+    const client = await redisService.getRedisClient();
+    const { backend, attempts, leaseUntil, ...stored } = job;
+    retried = await client.eval(RETRY_SCRIPT, {
+      keys: [REDIS_KEYS.processing, REDIS_KEYS.jobs, REDIS_KEYS.delayed],
+      arguments: [job.id, String(leaseUntil), JSON.stringify({ ...stored, lastError: message }), String(retryAt.getTime())]
+    });
+  } else {
+    const result = await IngestionJob.updateOne(leasedBy(job), {
+      status: 'queued',
+      lastError: message,
+      availableAt: retryAt,
+      $unset: { leaseExpiresAt: 1, lockedBy: 1 }
+    });
+    retried = result.matchedCount > 0;
+  }
+
+  return retried ? { retryAt } : { leaseLost: true };
+}
+
+/**
+ * Jobs per state in each store
+ */
+async function getStats() {
+  const stats = {};
+  if (redisService.isAvailable()) {
+    const client = await redisService.getRedisClient();
+    const [ready, delayed, processing] = await Promise.all([
+      client.lLen(REDIS_KEYS.ready),
+      client.zCard(REDIS_KEYS.delayed),
+      client.zCard(REDIS_KEYS.processing)
+    ]);
+    stats.redis = { queued: ready + delayed, processing };
+  }
+  if (mongoose.connection.readyState === 1) {
+    const counts = await IngestionJob.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+    stats.mongo = { queued: 0, processing: 0 };
+    for (const { _id, count } of counts) stats.mongo[_id] = count;
+  }
+  return stats;
+}
+
+module.exports = {
+  VISIBILITY_TIMEOUT_MS,
+  MAX_ATTEMPTS,
+  isEnabled,
+  retryDelay,
+  enqueue,
+  reserve,
+  touch,
+  ack,
+  fail,
+  getStats
+};
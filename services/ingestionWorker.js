@@ -0,0 +1,169 @@
+const os = require('os');
+const ingestionQueue = require('./ingestionQueue');
+const redisService = require('./redisService');
+require('dotenv').config();
+
+/**
+ * Ingestion workers: take jobs from services/ingestionQueue and run them.
+ * They run inside the web server (INGEST_WORKERS, default 2, 0 for none) or
+ * on their own with scripts/ingestion-worker.js.
+ */
+const WORKER_COUNT = process.env.INGEST_WORKERS !== undefined ? parseInt(process.env.INGEST_WORKERS) || 0 : 2;
+const POLL_INTERVAL_MS = parseInt(process.env.INGEST_POLL_MS) || 2000;
+
+// Notifications of workers running on their own, for the web server's sockets
+const EVENT_CHANNEL = 'ingest:events';
+
+// Lazy loaded: the handlers' services queue jobs themselves
+const HANDLERS = {
+  imap_message: (payload, io, options) => require('./emailService').processQueuedImapMessage(payload, io, options),
+  graph_message: (payload, io, options) => require('./graphService').processQueuedGraphMessage(payload, io, options),
+  upload: (payload, io) => require('./uploadService').processQueuedUpload(payload, io),
+  // Dead-letter queue: an attachment of a saved email, and manual retries
+  attachment: (payload, io) => require('./emailService').retryFailedAttachment(payload, io),
+  retry_failure: (payload, io) => require('./deadLetterService').runRetry(payload.failureId, io)
+};
+
+const workers = [];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run one job: acknowledged when the handler succeeds, retried or moved to
+ * the dead-letter queue when it throws. The lease is extended while the
+ * handler runs.
+ * @returns {Promise<'done'|'retry'|'failed'|'lease_lost'>}
+ */
+async function runJob(job, io, workerId = 'worker') {
+  const handler = HANDLERS[job.type];
+  const label = `[${workerId}] ${job.type} job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`;
+
+  // Delivered again after too many leases ran out: it crashes the worker
+  if (!handler || job.attempts > job.maxAttempts) {
+    const reason = handler ? 'Worker stopped during every attempt' : `Unknown job type "${job.type}"`;
+    console.error(`❌ ${label}: ${reason}`);
+    await ingestionQueue.fail(job, new Error(reason), { permanent: true });
+    return 'failed';
+  }
+
+  const heartbeat = setInterval(() => {
+    ingestionQueue.touch(job)
+      .then(extended => extended || console.warn(`⚠️ ${label}: lease ran out, the job may be handed to another worker`))
+      .catch(err => console.warn(`⚠️ ${label}: could not extend lease: ${err.message}`));
+  }, Math.max(Math.floor(ingestionQueue.VISIBILITY_TIMEOUT_MS / 3), 1000));
+
+  try {
+    console.log(`⚙️  ${label} started`);
+    await handler(job.payload, io, { finalAttempt: job.attempts >= job.maxAttempts });
+    if (!(await ingestionQueue.ack(job))) {
+      console.warn(`⚠️ ${label} done, but its lease ran out: left to the worker that holds it now`);
+      return 'lease_lost';
+    }
+    console.log(`✅ ${label} done`);
+    return 'done';
+  } catch (error) {
+    const result = await ingestionQueue.fail(job, error, { permanent: !!error.permanent });
+    if (result.leaseLost) {
+      console.warn(`⚠️ ${label} failed after its lease ran out, left to the worker that holds it now: ${error.message}`);
+      return 'lease_lost';
+    }
+    if (result.failed) {
+      console.error(`❌ ${label} failed for good, moved to the dead-letter queue: ${error.message}`);
+      return 'failed';
+    }
+    console.warn(`🔁 ${label} failed, retrying at ${result.retryAt.toISOString()}: ${error.message}`);
+    return 'retry';
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+async function workerLoop(worker, io) {
+  while (!worker.stopped) {
+    let job = null;
+    try {
+      job = await ingestionQueue.reserve(worker.id);
+    } catch (error) {
+      console.error(`❌ [${worker.id}] Could not take a job:`, error.message);
+    }
+
+    if (!job) {
+      await sleep(POLL_INTERVAL_MS);
+      continue;
+    }
+
+    worker.current = runJob(job, io, worker.id).catch(error => {
+      // The queue itself failed: the lease runs out and the job comes back
+      console.error(`❌ [${worker.id}] Job ${job.id} not recorded:`, error.message);
+    });
+    await worker.current;
+    worker.current = null;
+  }
+}
+
+/**
+ * Start ingestion workers in this process
+ * @param {object|null} io - Socket.IO server for notifications, if any
+ * @returns {number} workers started
+ */
+function startIngestionWorkers(io, count = WORKER_COUNT) {
+  if (!ingestionQueue.isEnabled()) {
+    console.log('⏸️  Ingestion queue off (INGEST_QUEUE=off): mail and uploads are processed inline');
+    return 0;
+  }
+  if (count <= 0) {
+    console.log('⏸️  No ingestion workers in this process: run them with npm run worker');
+    return 0;
+  }
+
+  for (let i = 0; i < count; i++) {
+    const worker = { id: `${os.hostname()}:${process.pid}:${workers.length + 1}`, stopped: false, current: null };
+    workers.push(worker);
+    workerLoop(worker, io);
+  }
+
+  console.log(`👷 Started ${count} ingestion worker(s)`);
+  return count;
+}
+
+/**
+ * Stop taking jobs and wait for the running ones to finish
+ */
+async function stopIngestionWorkers() {
+  for (const worker of workers) worker.stopped = true;
+  await Promise.all(workers.map(worker => worker.current));
+  workers.length = 0;
+}
+
+/**
+ * Stand-in for the Socket.IO server in a worker process: events emitted to a
+ * room are published over Redis and emitted by the web server
+ */
+function createEventRelay() {
+  return {
+    to: (room) => ({
+      emit: (event, payload) => {
+        redisService.publish(EVENT_CHANNEL, { room, event, payload });
+      }
+    })
+  };
+}
+
+/**
+ * Web server: emit the events of separate worker processes
+ * @returns {Promise<boolean>} false when Redis is unavailable
+ */
+function receiveWorkerEvents(io) {
+  return redisService.subscribe(EVENT_CHANNEL, ({ room, event, payload }) => {
+    io.to(room).emit(event, payload);
+  });
+}
+
+module.exports = {
+  HANDLERS,
+  runJob,
+  startIngestionWorkers,
+  stopIngestionWorkers,
+  createEventRelay,
+  receiveWorkerEvents
+};
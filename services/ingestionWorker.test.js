@@ -0,0 +1,86 @@
+const ingestionQueue = require('./ingestionQueue');
+const IngestionJob = require('../models/IngestionJob');
+const { HANDLERS, runJob } = require('./ingestionWorker');
+
+describe('Ingestion queue retries', () => {
+  it('backs off exponentially, up to an hour', () => {
+    expect(ingestionQueue.retryDelay(1)).toBe(30 * 1000);
+    expect(ingestionQueue.retryDelay(2)).toBe(60 * 1000);
+    expect(ingestionQueue.retryDelay(4)).toBe(4 * 60 * 1000);
+    expect(ingestionQueue.retryDelay(20)).toBe(60 * 60 * 1000);
+  });
+});
+
+describe('Ingestion job leases', () => {
+  const job = { id: '64b0000000000000000000aa', type: 'test', attempts: 1, maxAttempts: 3, backend: 'mongo', lockedBy: 'host:1:1' };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('leaves a job alone once another worker holds it', async () => {
+    const deleteOne = jest.spyOn(IngestionJob, 'deleteOne').mockResolvedValue({ deletedCount: 0 });
+    const updateOne = jest.spyOn(IngestionJob, 'updateOne').mockResolvedValue({ matchedCount: 0 });
+
+    await expect(ingestionQueue.ack(job)).resolves.toBe(false);
+    await expect(ingestionQueue.fail(job, new Error('OCR timed out'))).resolves.toEqual({ leaseLost: true });
+
+    const leased = { _id: job.id, status: 'processing', lockedBy: 'host:1:1' };
+    expect(deleteOne).toHaveBeenCalledWith(leased);
+    expect(updateOne).toHaveBeenCalledWith(leased, expect.objectContaining({ status: 'queued' }));
+  });
+});
+
+describe('Ingestion workers', () => {
+  const job = (fields = {}) => ({ id: 'job-1', type: 'test', payload: { n: 1 }, attempts: 1, maxAttempts: 3, backend: 'redis', ...fields });
+
+  beforeEach(() => {
+    jest.spyOn(ingestionQueue, 'ack').mockResolvedValue(true);
+    jest.spyOn(ingestionQueue, 'touch').mockResolvedValue(true);
+    jest.spyOn(ingestionQueue, 'fail').mockImplementation(async (failed, error, { permanent } = {}) =>
+      permanent || failed.attempts >= failed.maxAttempts ? { failed: true } : { retryAt: new Date() });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete HANDLERS.test;
+  });
+
+  it('acknowledges a job the handler finished', async () => {
+    HANDLERS.test = jest.fn().mockResolvedValue('imported');
+
+    await expect(runJob(job(), null)).resolves.toBe('done');
+    expect(HANDLERS.test).toHaveBeenCalledWith({ n: 1 }, null, { finalAttempt: false });
+    expect(ingestionQueue.ack).toHaveBeenCalledWith(expect.objectContaining({ id: 'job-1' }));
+    expect(ingestionQueue.fail).not.toHaveBeenCalled();
+  });
+
+  it('retries a failed job until it is out of attempts', async () => {
+    const error = new Error('OCR timed out');
+    HANDLERS.test = jest.fn().mockRejectedValue(error);
+
+    await expect(runJob(job(), null)).resolves.toBe('retry');
+    await expect(runJob(job({ attempts: 3 }), null)).resolves.toBe('failed');
+    expect(HANDLERS.test).toHaveBeenLastCalledWith({ n: 1 }, null, { finalAttempt: true });
+    expect(ingestionQueue.fail).toHaveBeenCalledWith(expect.objectContaining({ attempts: 3 }), error, { permanent: false });
+    expect(ingestionQueue.ack).not.toHaveBeenCalled();
+  });
+
+  it('gives up at once on permanent errors, unknown types and jobs that keep crashing the worker', async () => {
+    HANDLERS.test = jest.fn().mockRejectedValue(Object.assign(new Error('Mailbox deleted'), { permanent: true }));
+    await expect(runJob(job(), null)).resolves.toBe('failed');
+
+    await expect(runJob(job({ type: 'fax' }), null)).resolves.toBe('failed');
+    await expect(runJob(job({ attempts: 4 }), null)).resolves.toBe('failed');
+    expect(HANDLERS.test).toHaveBeenCalledTimes(1);
+    expect(ingestionQueue.fail).toHaveBeenLastCalledWith(expect.anything(), expect.any(Error), { permanent: true });
+  });
+
+  it('leaves a job whose lease ran out to the worker that holds it now', async () => {
+    HANDLERS.test = jest.fn().mockResolvedValue('imported');
+    ingestionQueue.ack.mockResolvedValue(false);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(runJob(job(), null)).resolves.toBe('lease_lost');
+  });
+});
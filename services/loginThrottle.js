@@ -0,0 +1,188 @@
+const redisService = require('./redisService');
+
+// Brute-force protection for the login endpoint
+// Failed attempts are counted per IP and per account. Too many failures for
+// an account locks it, and each further lockout doubles the lock duration.
+const IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+const IP_WINDOW_SECONDS = parseInt(process.env.LOGIN_IP_WINDOW_SECONDS) || 15 * 60;
+const ACCOUNT_MAX_ATTEMPTS = parseInt(process.env.LOGIN_ACCOUNT_MAX_ATTEMPTS) || 5;
+const ACCOUNT_WINDOW_SECONDS = parseInt(process.env.LOGIN_ACCOUNT_WINDOW_SECONDS) || 15 * 60;
+const LOCKOUT_BASE_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60;
+const LOCKOUT_MAX_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60;
+const LOCKOUT_LEVEL_TTL_SECONDS = 24 * 60 * 60; // Lockout escalation resets after a quiet day
+const RESET_IP_MAX_REQUESTS = parseInt(process.env.PASSWORD_RESET_IP_MAX_REQUESTS) || 10;
+const RESET_EMAIL_MAX_REQUESTS = parseInt(process.env.PASSWORD_RESET_EMAIL_MAX_REQUESTS) || 3;
+const RESET_WINDOW_SECONDS = parseInt(process.env.PASSWORD_RESET_WINDOW_SECONDS) || 60 * 60;
+
+const keys = {
+  ip: (ip) => `login_fail:ip:${ip}`,
+  failures: (account) => `login_fail:account:${account}`,
+  lock: (account) => `login_lock:account:${account}`,
+  level: (account) => `login_lock_level:account:${account}`,
+  resetIp: (ip) => `password_reset:ip:${ip}`,
+  resetEmail: (email) => `password_reset:email:${email}`
+};
+
+// In-memory fallback used while Redis is down
+const memoryStore = new Map();
+
+function memoryGet(key) {
+  const entry = memoryStore.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+  return entry.value;
+}
+
+function memorySet(key, value, ttlSeconds) {
+  // Sweep expired entries so the map cannot grow without bound
+  if (memoryStore.size > 10000) {
+    const now = Date.now();
+    for (const [k, entry] of memoryStore) {
+      if (entry.expiresAt <= now) memoryStore.delete(k);
+    }
+  }
+  memoryStore.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+}
+
+function memoryIncr(key, ttlSeconds) {
+  const entry = memoryStore.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    entry.value += 1;
+    return entry.value;
+  }
+  memorySet(key, 1, ttlSeconds);
+  return 1;
+}
+
+function memoryTTL(key) {
+  const entry = memoryStore.get(key);
+  if (!entry) return null;
+  const ttl = Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  return ttl > 0 ? ttl : null;
+}
+
+// Redis first, memory when Redis is unavailable
+const store = {
+  async incr(key, ttlSeconds) {
+    const count = await redisService.incrementCounter(key, ttlSeconds);
+    return count !== null ? count : memoryIncr(key, ttlSeconds);
+  },
+  async get(key) {
+    return redisService.isAvailable() ? redisService.getCache(key) : memoryGet(key);
+  },
+  async set(key, value, ttlSeconds) {
+    if (redisService.isAvailable() && await redisService.setCache(key, value, ttlSeconds)) return;
+    memorySet(key, value, ttlSeconds);
+  },
+  async ttl(key) {
+    return redisService.isAvailable() ? redisService.getTTL(key) : memoryTTL(key);
+  },
+  async del(...keyList) {
+    for (const key of keyList) {
+      memoryStore.delete(key);
+      if (redisService.isAvailable()) await redisService.deleteCache(key);
+    }
+  }
+};
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {string} ip - Client IP
+ * @param {string} account - Account key (admin id, or the submitted username if unknown)
+ * @returns {Promise<{allowed: boolean, reason?: string, retryAfter?: number}>}
+ */
+async function checkLoginAllowed(ip, account) {
+  const ipFailures = Number(await store.get(keys.ip(ip))) || 0;
+  if (ipFailures >= IP_MAX_ATTEMPTS) {
+    const retryAfter = await store.ttl(keys.ip(ip)) || IP_WINDOW_SECONDS;
+    return { allowed: false, reason: 'ip', retryAfter };
+  }
+
+  const lock = await store.get(keys.lock(account));
+  if (lock && lock.until > Date.now()) {
+    return {
+      allowed: false,
+      reason: 'account',
+      retryAfter: Math.ceil((lock.until - Date.now()) / 1000)
+    };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Record a failed login and lock the account if it crossed the threshold
+ * @returns {Promise<{locked: boolean, retryAfter?: number, attemptsRemaining?: number}>}
+ */
+async function recordFailedLogin(ip, account) {
+  await store.incr(keys.ip(ip), IP_WINDOW_SECONDS);
+  const failures = await store.incr(keys.failures(account), ACCOUNT_WINDOW_SECONDS);
+
+  if (failures < ACCOUNT_MAX_ATTEMPTS) {
+    return { locked: false, attemptsRemaining: ACCOUNT_MAX_ATTEMPTS - failures };
+  }
+
+  const level = await store.incr(keys.level(account), LOCKOUT_LEVEL_TTL_SECONDS);
+  const duration = Math.min(LOCKOUT_BASE_SECONDS * 2 ** (level - 1), LOCKOUT_MAX_SECONDS);
+
+  await store.set(keys.lock(account), { until: Date.now() + duration * 1000, level }, duration);
+  await store.del(keys.failures(account));
+
+  console.warn(`🔒 Login locked for account ${account} (${duration}s, level ${level}) after failures from ${ip}`);
+  return { locked: true, retryAfter: duration };
+}
+
+/**
+ * Clear failure counters after a successful login
+ */
+async function recordSuccessfulLogin(ip, account) {
+  await store.del(keys.failures(account), keys.level(account));
+}
+
+/**
+ * Current lock of an account, or null when it is not locked
+ */
+async function getLockStatus(account) {
+  const lock = await store.get(keys.lock(account));
+  if (!lock || lock.until <= Date.now()) return null;
+  return { lockedUntil: new Date(lock.until), level: lock.level };
+}
+
+/**
+ * Remove a lockout (and its escalation) from an account
+ */
+async function unlockAccount(account) {
+  await store.del(keys.failures(account), keys.lock(account), keys.level(account));
+}
+
+/**
+ * Count a password reset request and check it is within the limits.
+ * Every request counts, whether or not the email belongs to an account,
+ * so the answer doesn't reveal which addresses exist.
+ * @returns {Promise<{allowed: boolean, reason?: string, retryAfter?: number}>}
+ */
+async function checkPasswordResetAllowed(ip, email) {
+  for (const [reason, key, max] of [
+    ['ip', keys.resetIp(ip), RESET_IP_MAX_REQUESTS],
+    ['email', keys.resetEmail(email), RESET_EMAIL_MAX_REQUESTS]
+  ]) {
+    const requests = await store.incr(key, RESET_WINDOW_SECONDS);
+    if (requests > max) {
+      const retryAfter = await store.ttl(key) || RESET_WINDOW_SECONDS;
+      return { allowed: false, reason, retryAfter };
+    }
+  }
+  return { allowed: true };
+}
+
+module.exports = {
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  getLockStatus,
+  unlockAccount,
+  checkPasswordResetAllowed
+};
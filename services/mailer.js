@@ -0,0 +1,88 @@
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+// Outgoing mail for account emails (password resets, invites...)
+// MAIL_TRANSPORT selects the transport:
+//   smtp - send through SMTP_HOST/SMTP_PORT (point it at a local catcher in tests)
+//   log  - print the recipient and subject to the console instead of sending
+//          (default without SMTP_HOST; in production only when set explicitly)
+// The log transport never prints message bodies: they carry reset and invite links.
+let transport = null;
+let transportName = null;
+
+function createTransportFromEnv() {
+  const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'log');
+
+  if (name !== 'smtp' && process.env.MAIL_TRANSPORT !== 'log' && process.env.NODE_ENV === 'production') {
+    throw new Error('Outgoing mail is not configured: set SMTP_HOST, or MAIL_TRANSPORT=log to only log messages');
+  }
+
+  if (name === 'smtp') {
+    transportName = 'smtp';
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+      tls: {
+        rejectUnauthorized: process.env.SMTP_REJECT_UNAUTHORIZED !== 'false'
+      }
+    });
+  }
+
+  if (name !== 'log') {
+    console.warn(`⚠️  Unknown MAIL_TRANSPORT "${name}", falling back to console logging`);
+  }
+  transportName = 'log';
+  return nodemailer.createTransport({ jsonTransport: true });
+}
+
+function getTransport() {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+  return transport;
+}
+
+/**
+ * Whether messages are actually sent (false with the log transport)
+ */
+function isDelivering() {
+  getTransport();
+  return transportName !== 'log';
+}
+
+/**
+ * Replace the transport (any nodemailer transport or object with sendMail).
+ * Pass null to go back to the environment configuration.
+ */
+function setTransport(customTransport, name = 'custom') {
+  transport = customTransport;
+  transportName = customTransport ? name : null;
+}
+
+/**
+ * Send an email
+ * @param {{to: string, subject: string, text?: string, html?: string}} message
+ */
+async function sendMail({ to, subject, text, html, ...rest }) {
+  const from = process.env.MAIL_FROM || process.env.SMTP_USER || 'no-reply@youhrpower.com';
+  const info = await getTransport().sendMail({ from, to, subject, text, html, ...rest });
+
+  if (transportName === 'log') {
+    console.log(`✉️  [Mailer] (log transport, not sent) To: ${to} | Subject: ${subject}`);
+  } else {
+    console.log(`✉️  [Mailer] Sent "${subject}" to ${to}`);
+  }
+
+  return info;
+}
+
+module.exports = {
+  sendMail,
+  isDelivering,
+  setTransport
+};
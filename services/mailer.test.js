@@ -0,0 +1,108 @@
+const { SMTPServer } = require('smtp-server');
+const mailer = require('./mailer');
+
+describe('Mailer', () => {
+  let server;
+  let received;
+
+  beforeAll(async () => {
+    // Local SMTP catcher - accepts everything and keeps the raw messages
+    server = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ['STARTTLS'],
+      onData(stream, session, callback) {
+        let raw = '';
+        stream.on('data', (chunk) => { raw += chunk.toString(); });
+        stream.on('end', () => {
+          received.push({ to: session.envelope.rcptTo.map(r => r.address), raw });
+          callback();
+        });
+      }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.MAIL_TRANSPORT = 'smtp';
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(server.server.address().port);
+    process.env.SMTP_IGNORE_TLS = 'true';
+    process.env.MAIL_FROM = 'hr@example.test';
+  });
+
+  beforeEach(() => {
+    received = [];
+    mailer.setTransport(null); // Rebuild the transport from the environment
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('delivers mail through the configured SMTP server', async () => {
+    await mailer.sendMail({
+      to: 'recruiter@example.test',
+      subject: 'Reset your password',
+      text: 'https://app.example.test/reset-password?token=abc'
+    });
+
+    expect(received).toHaveLength(1);
+    expect(received[0].to).toEqual(['recruiter@example.test']);
+    expect(received[0].raw).toContain('Subject: Reset your password');
+    expect(received[0].raw).toContain('From: hr@example.test');
+    expect(received[0].raw).toContain('reset-password?token=abc');
+  });
+
+  it('uses a custom transport when one is set', async () => {
+    const sent = [];
+    mailer.setTransport({ sendMail: async (message) => { sent.push(message); return {}; } });
+
+    await mailer.sendMail({ to: 'a@example.test', subject: 'Hello', text: 'Hi' });
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0].from).toBe('hr@example.test');
+    expect(received).toHaveLength(0);
+  });
+
+  describe('log transport', () => {
+    const saved = {};
+    const keys = ['MAIL_TRANSPORT', 'SMTP_HOST', 'NODE_ENV'];
+
+    beforeEach(() => {
+      for (const key of keys) saved[key] = process.env[key];
+      delete process.env.MAIL_TRANSPORT;
+      delete process.env.SMTP_HOST;
+      mailer.setTransport(null);
+    });
+
+    afterEach(() => {
+      for (const key of keys) {
+        if (saved[key] === undefined) delete process.env[key];
+        else process.env[key] = saved[key];
+      }
+      mailer.setTransport(null);
+    });
+
+    it('logs the recipient and subject but never the message', async () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      try {
+        await mailer.sendMail({ to: 'a@example.test', subject: 'Reset your password', text: 'reset-password?token=secret' });
+
+        expect(mailer.isDelivering()).toBe(false);
+        const output = log.mock.calls.flat().join('\n');
+        expect(output).toContain('a@example.test');
+        expect(output).not.toContain('token=secret');
+      } finally {
+        log.mockRestore();
+      }
+    });
+
+    it('is only used in production when set explicitly', async () => {
+      process.env.NODE_ENV = 'production';
+      await expect(mailer.sendMail({ to: 'a@example.test', subject: 'Hello', text: 'Hi' })).rejects.toThrow(/not configured/);
+
+      process.env.MAIL_TRANSPORT = 'log';
+      mailer.setTransport(null);
+      expect(mailer.isDelivering()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+const pdfParse = require('pdf-parse');
+
+// Optional: Tesseract.js for OCR
+let Tesseract = null;
+try {
+  Tesseract = require('tesseract.js');
+} catch (e) {
+  console.warn('⚠️ tesseract.js not installed. OCR functionality will be disabled.');
+  console.warn('   To enable OCR, run: npm install tesseract.js');
+}
+
+// Optional: heic-convert for iPhone photos
+let heicConvert = null;
+try {
+  heicConvert = require('heic-convert');
+} catch (e) {
+  console.warn('⚠️ heic-convert not installed. HEIC resumes cannot be read.');
+}
+
+const OCR_ENABLED = process.env.OCR_ENABLED !== 'false';
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'eng';
+// Folder with <lang>.traineddata files; by default Tesseract downloads them
+const OCR_LANG_PATH = process.env.TESSERACT_LANG_PATH;
+// Scanned resumes longer than this are only read up to here
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES) || 10;
+// 72 dpi at scale 1; Tesseract works best from ~200 dpi
+const OCR_RENDER_SCALE = parseFloat(process.env.OCR_RENDER_SCALE) || 3;
+// A page with fewer characters than this has no usable text layer
+const MIN_PAGE_TEXT = 20;
+
+/**
+ * Whether a page's text layer is missing (scanned or photographed page)
+ */
+function needsOcr(text) {
+  return (text || '').replace(/\s+/g, '').length < MIN_PAGE_TEXT;
+}
+
+// Same layout as pdf-parse's own page renderer, kept per page
+function renderPageText(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then((textContent) => {
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+      return text;
+    });
+}
+
+/**
+ * Text layer of every page of a PDF
+ * @returns {Promise<string[]>}
+ */
+async function readPdfPages(buffer) {
+  const pages = [];
+  await pdfParse(buffer, {
+    pagerender: (pageData) => renderPageText(pageData).then((text) => {
+      pages[pageData.pageIndex] = text;
+      return text;
+    })
+  });
+  return Array.from(pages, text => text || '');
+}
+
+/**
+ * Combine page texts the way pdf-parse does, so extractResumeData() sees the
+ * same layout whether a page was read from the text layer or by OCR
+ */
+function mergePages(pages) {
+  return pages.map(text => `\n\n${text}`).join('');
+}
+
+/**
+ * Run OCR on images (PNG/JPEG buffers) with one Tesseract worker
+ * @returns {Promise<string[]>}
+ */
+async function recognizeImages(images) {
+  const worker = await Tesseract.createWorker(
+    OCR_LANGUAGES,
+    Tesseract.OEM.LSTM_ONLY,
+    OCR_LANG_PATH ? { langPath: OCR_LANG_PATH } : {}
+  );
+  try {
+    const texts = [];
+    for (const image of images) {
+      const { data: { text } } = await worker.recognize(image);
+      texts.push(text || '');
+    }
+    return texts;
+  } finally {
+    await worker.terminate();
+  }
+}
+
+function isOcrAvailable() {
+  return OCR_ENABLED && Tesseract !== null;
+}
+
+/**
+ * Text of a PDF. Pages without a text layer are rendered to images and read
+ * by OCR; the other pages keep their own text.
+ * @returns {Promise<string>}
+ */
+async function extractPdfText(buffer) {
+  let pages = null;
+  try {
+    pages = await readPdfPages(buffer);
+  } catch (error) {
+    // Broken or unusual PDFs: pdf.js in pdf-to-img is more forgiving
+    console.warn(`  ⚠️  pdf-parse failed (${error.message}), reading every page by OCR`);
+  }
+
+  const scannedPages = pages
+    ? pages.map((text, index) => (needsOcr(text) ? index : -1)).filter(index => index !== -1)
+    : null;
+  if (pages && scannedPages.length === 0) {
+    return mergePages(pages);
+  }
+
+  if (!isOcrAvailable()) {
+    if (!pages) throw new Error('Could not read the PDF and OCR is not available');
+    console.warn('  ⚠️  PDF has pages without text, but OCR is disabled');
+    return mergePages(pages);
+  }
+
+  // pdf-to-img is an ES module
+  const { pdf } = await import('pdf-to-img');
+  const document = await pdf(buffer, { scale: OCR_RENDER_SCALE });
+  const merged = pages || new Array(document.length).fill('');
+  const toRead = (scannedPages || merged.map((text, index) => index)).slice(0, OCR_MAX_PAGES);
+
+  console.log(`  🔍 Running OCR on ${toRead.length} of ${document.length} page(s)...`);
+  const images = [];
+  for (const index of toRead) {
+    images.push(await document.getPage(index + 1));
+  }
+  const texts = await recognizeImages(images);
+  toRead.forEach((pageIndex, i) => {
+    merged[pageIndex] = texts[i];
+  });
+
+  return mergePages(merged);
+}
+
+/**
+ * Text of a photographed or scanned resume (JPEG, PNG or HEIC)
+ * @param {Buffer} buffer
+ * @param {string} type - 'jpg', 'png' or 'heic'
+ * @returns {Promise<string>}
+ */
+async function extractImageText(buffer, type) {
+  if (!isOcrAvailable()) {
+    throw new Error('OCR is not available, image resumes cannot be read');
+  }
+
+  let image = buffer;
+  if (type === 'heic') {
+    if (!heicConvert) throw new Error('HEIC images are not supported (heic-convert missing)');
+    image = Buffer.from(await heicConvert({ buffer, format: 'JPEG', quality: 0.92 }));
+  }
+
+  console.log(`  🔍 Running OCR on ${type.toUpperCase()} image...`);
+  const [text] = await recognizeImages([image]);
+  return text;
+}
+
+module.exports = {
+  needsOcr,
+  mergePages,
+  isOcrAvailable,
+  extractPdfText,
+  extractImageText
+};
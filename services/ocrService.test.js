@@ -0,0 +1,109 @@
+const { execFile } = require('child_process');
+const Tesseract = require('tesseract.js');
+const ocrService = require('./ocrService');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+
+// One-page PDF holding only an image, like a scanned resume (no text layer).
+// Over 4 KB: pdf-parse misreads the small pooled buffers Node hands out below that
+function scannedPdf() {
+  const size = 64;
+  const pixels = Buffer.alloc(size * size, 0xff);
+  pixels.fill(0x00, 32 * size, 33 * size);
+  const drawImage = 'q 200 0 0 200 0 0 cm /Im1 Do Q';
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 200 200] /Resources << /XObject << /Im1 4 0 R >> >> /Contents 5 0 R >>',
+    [`<< /Type /XObject /Subtype /Image /Width ${size} /Height ${size} /ColorSpace /DeviceGray /BitsPerComponent 8 /Length ${pixels.length} >>\nstream\n`, pixels, '\nendstream'],
+    `<< /Length ${drawImage.length} >>\nstream\n${drawImage}\nendstream`
+  ];
+
+  const chunks = [Buffer.from('%PDF-1.4\n')];
+  const offsets = [];
+  const length = () => chunks.reduce((total, chunk) => total + chunk.length, 0);
+  objects.forEach((body, index) => {
+    offsets.push(length());
+    for (const part of [`${index + 1} 0 obj\n`, ...[].concat(body), '\nendobj\n']) {
+      chunks.push(Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1'));
+    }
+  });
+  const xref = length();
+  const entries = offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  chunks.push(Buffer.from(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${entries}` +
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`, 'latin1'));
+  return Buffer.concat(chunks);
+}
+
+// Tesseract worker answering with fixed text, keeping the images it was given
+function fakeTesseract(text) {
+  const images = [];
+  const spy = jest.spyOn(Tesseract, 'createWorker').mockResolvedValue({
+    recognize: async (image) => {
+      images.push(image);
+      return { data: { text } };
+    },
+    terminate: async () => {}
+  });
+  return { spy, images };
+}
+
+// Run extractPdfText in a plain node process: pdf-to-img is an ES module,
+// which jest can't import. Tesseract answers with `text` there too.
+function extractPdfTextInNode(pdf, text) {
+  const script = `
+    const Tesseract = require('tesseract.js');
+    const images = [];
+    Tesseract.createWorker = async () => ({
+      recognize: async (image) => {
+        images.push(image);
+        return { data: { text: ${JSON.stringify(text)} } };
+      },
+      terminate: async () => {}
+    });
+    require('./ocrService').extractPdfText(Buffer.from(process.argv[1], 'base64')).then((text) => {
+      const result = { text, images: images.map(image => image.subarray(0, 4).toString('hex')) };
+      console.log('RESULT ' + JSON.stringify(result));
+    });
+  `;
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', script, pdf.toString('base64')], { cwd: __dirname, timeout: 60000 }, (error, stdout) => {
+      if (error) return reject(error);
+      const line = stdout.split('\n').find(output => output.startsWith('RESULT '));
+      resolve(JSON.parse(line.slice('RESULT '.length)));
+    });
+  });
+}
+
+describe('OCR service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only sends pages without a usable text layer to OCR', () => {
+    expect(ocrService.needsOcr('')).toBe(true);
+    expect(ocrService.needsOcr(' \n \n 3 ')).toBe(true);
+    expect(ocrService.needsOcr('Jane Doe\nSoftware Engineer')).toBe(false);
+  });
+
+  it('merges pages with the layout of pdf-parse', () => {
+    expect(ocrService.mergePages(['Jane Doe', 'Experience'])).toBe('\n\nJane Doe\n\nExperience');
+  });
+
+  it('renders scanned PDF pages and reads them by OCR', async () => {
+    const { text, images } = await extractPdfTextInNode(scannedPdf(), 'Jane Doe\njane@example.com');
+
+    expect(images).toEqual([PNG_SIGNATURE.toString('hex')]);
+    expect(text).toBe('\n\nJane Doe\njane@example.com');
+  });
+
+  it('reads image resumes by OCR', async () => {
+    const { images } = fakeTesseract('John Smith\n+1 555 0100');
+    const photo = Buffer.concat([PNG_SIGNATURE, Buffer.from('rest of the image')]);
+
+    const text = await ocrService.extractImageText(photo, 'png');
+
+    expect(images).toEqual([photo]);
+    expect(text).toBe('John Smith\n+1 555 0100');
+  });
+});
@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const Admin = require('../models/Admin');
+const { ROLES, ROLE_PERMISSIONS } = require('../config/roles');
+const redisService = require('./redisService');
+const { generateToken } = require('../utils/tokenUtils');
+const { getDefaultOrganizationId } = require('./tenantService');
+require('dotenv').config();
+
+// Admin single sign-on through any OpenID Connect provider
+// (Azure AD / Entra ID, Google Workspace, Okta, Keycloak...)
+// Authorization code flow with PKCE, state and nonce. Endpoints and signing
+// keys come from the issuer's discovery document.
+const LOGIN_STATE_TTL_SECONDS = 10 * 60;
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+function getConfig() {
+  return {
+    issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    redirectUri: process.env.OIDC_REDIRECT_URI ||
+      `http://localhost:${process.env.PORT || 5000}/api/auth/oidc/callback`,
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    defaultRole: process.env.OIDC_DEFAULT_ROLE || 'viewer',
+    allowedDomains: (process.env.OIDC_ALLOWED_DOMAINS || '')
+      .split(',')
+      .map(domain => domain.trim().toLowerCase())
+      .filter(Boolean)
+  };
+}
+
+function isEnabled() {
+  const config = getConfig();
+  return !!(config.issuer && config.clientId);
+}
+
+// Discovery document and JWKS, cached per issuer
+let metadataCache = null;
+let jwksCache = null;
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed (${response.status}): ${detail}`);
+  }
+  return body;
+}
+
+async function getMetadata() {
+  const { issuer } = getConfig();
+  if (metadataCache && metadataCache.issuer === issuer && metadataCache.expiresAt > Date.now()) {
+    return metadataCache.value;
+  }
+
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if ((metadata.issuer || '').replace(/\/$/, '') !== issuer) {
+    throw new Error(`OIDC discovery issuer mismatch: expected ${issuer}, got ${metadata.issuer}`);
+  }
+
+  metadataCache = { issuer, value: metadata, expiresAt: Date.now() + METADATA_CACHE_MS };
+  return metadata;
+}
+
+async function getSigningKey(kid, { forceRefresh = false } = {}) {
+  const metadata = await getMetadata();
+  if (forceRefresh || !jwksCache || jwksCache.uri !== metadata.jwks_uri || jwksCache.expiresAt <= Date.now()) {
+    const { keys = [] } = await fetchJson(metadata.jwks_uri);
+    jwksCache = { uri: metadata.jwks_uri, keys, expiresAt: Date.now() + METADATA_CACHE_MS };
+  }
+
+  const jwk = jwksCache.keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+  if (!jwk && !forceRefresh) {
+    // The provider may have rotated its keys since we cached them
+    return getSigningKey(kid, { forceRefresh: true });
+  }
+  if (!jwk) {
+    throw new Error(`OIDC signing key "${kid}" not found`);
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+// Pending logins (state -> nonce + PKCE verifier). Redis first, memory fallback.
+const pendingLogins = new Map();
+
+async function savePendingLogin(state, value) {
+  if (redisService.isAvailable() && await redisService.setCache(`oidc_state:${state}`, value, LOGIN_STATE_TTL_SECONDS)) {
+    return;
+  }
+  const now = Date.now();
+  for (const [key, entry] of pendingLogins) {
+    if (entry.expiresAt <= now) pendingLogins.delete(key);
+  }
+  pendingLogins.set(state, { value, expiresAt: now + LOGIN_STATE_TTL_SECONDS * 1000 });
+}
+
+// Single use: the state is removed as soon as it is read
+async function takePendingLogin(state) {
+  if (redisService.isAvailable()) {
+    const value = await redisService.getCache(`oidc_state:${state}`);
+    if (value) {
+      await redisService.deleteCache(`oidc_state:${state}`);
+      return value;
+    }
+  }
+  const entry = pendingLogins.get(state);
+  pendingLogins.delete(state);
+  return entry && entry.expiresAt > Date.now() ? entry.value : null;
+}
+
+/**
+ * Build the provider's authorization URL and remember state/nonce/verifier
+ * @param {{linkAdminId?: string}} [options] - link the identity to this signed-in account instead of signing in
+ * @returns {Promise<string>}
+ */
+async function getAuthorizationUrl({ linkAdminId = null } = {}) {
+  const config = getConfig();
+  const metadata = await getMetadata();
+
+  const state = generateToken();
+  const nonce = generateToken();
+  const codeVerifier = generateToken(48);
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  await savePendingLogin(state, { nonce, codeVerifier, linkAdminId: linkAdminId && String(linkAdminId) });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  return `${metadata.authorization_endpoint}?${params.toString()}`;
+}
+
+/**
+ * Verify an ID token's signature and claims
+ * @returns {Promise<object>} the token claims
+ */
+async function verifyIdToken(idToken, nonce) {
+  const config = getConfig();
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: SUPPORTED_ALGORITHMS,
+    issuer: [config.issuer, `${config.issuer}/`],
+    audience: config.clientId,
+    clockTolerance: 60
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+  return claims;
+}
+
+/**
+ * Handle the provider callback: check state, exchange the code and verify the ID token
+ * @returns {Promise<{claims: object, linkAdminId: string|null}>} verified ID token claims,
+ *   and the account to link when the flow was started with linkAdminId
+ */
+async function handleCallback({ code, state }) {
+  if (!code || !state) {
+    throw new Error('Missing code or state');
+  }
+
+  const pending = await takePendingLogin(state);
+  if (!pending) {
+    throw new Error('Login request expired or invalid state. Please try again.');
+  }
+
+  const config = getConfig();
+  const metadata = await getMetadata();
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: pending.codeVerifier
+  });
+  if (config.clientSecret) {
+    body.set('client_secret', config.clientSecret);
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body
+  });
+  if (!tokens.id_token) {
+    throw new Error('Provider did not return an ID token');
+  }
+
+  const claims = await verifyIdToken(tokens.id_token, pending.nonce);
+  return { claims, linkAdminId: pending.linkAdminId || null };
+}
+
+/**
+ * Whether an email belongs to one of OIDC_ALLOWED_DOMAINS (all domains when unset)
+ */
+function isEmailDomainAllowed(email, allowedDomains = getConfig().allowedDomains) {
+  if (!email) return false;
+  if (allowedDomains.length === 0) return true;
+  const domain = String(email).split('@').pop().toLowerCase();
+  return allowedDomains.includes(domain);
+}
+
+async function generateUniqueUsername(base) {
+  const cleaned = String(base || 'user').toLowerCase().replace(/[^a-z0-9._-]/g, '') || 'user';
+  let username = cleaned;
+  for (let i = 2; await Admin.exists({ username }); i++) {
+    username = `${cleaned}${i}`;
+  }
+  return username;
+}
+
+// Roles with every permission are never linked by email alone
+function isPrivilegedRole(role) {
+  return (ROLE_PERMISSIONS[role] || []).includes('*');
+}
+
+/**
+ * Whether the first SSO login may take over an existing account with the same
+ * email: the provider must vouch for the email, its domain must be listed in
+ * OIDC_ALLOWED_DOMAINS and the account must not be privileged
+ */
+function canLinkByEmail(admin, claims, allowedDomains = getConfig().allowedDomains) {
+  return claims.email_verified === true &&
+    allowedDomains.length > 0 &&
+    isEmailDomainAllowed(claims.email, allowedDomains) &&
+    !isPrivilegedRole(admin.role);
+}
+
+/**
+ * Find the account for verified claims, linking by email on first SSO login
+ * (see canLinkByEmail) and creating it with OIDC_DEFAULT_ROLE when it does
+ * not exist yet.
+ * @returns {Promise<object>} the admin document
+ */
+async function findOrProvisionAdmin(claims) {
+  const config = getConfig();
+  const email = claims.email ? String(claims.email).toLowerCase() : null;
+
+  if (!email) {
+    throw new Error('Your identity provider did not share an email address');
+  }
+  if (claims.email_verified === false) {
+    throw new Error('Your email address is not verified with your identity provider');
+  }
+  if (!isEmailDomainAllowed(email, config.allowedDomains)) {
+    throw new Error('Your email domain is not allowed to sign in');
+  }
+
+  let admin = await Admin.findOne({ 'sso.issuer': config.issuer, 'sso.subject': claims.sub });
+
+  if (!admin) {
+    admin = await Admin.findOne({ email });
+    if (admin && !canLinkByEmail(admin, claims, config.allowedDomains)) {
+      throw new Error('An account already exists for this email. Sign in with your password and link single sign-on from your account.');
+    }
+    if (admin) {
+      admin.sso = { issuer: config.issuer, subject: claims.sub };
+      // Accepting an invite through SSO is fine - the provider proved the email
+      if (admin.status === 'invited') {
+        admin.status = 'active';
+        admin.inviteTokenHash = undefined;
+        admin.inviteExpiresAt = undefined;
+      }
+      await admin.save();
+      console.log(`🔗 Linked ${admin.username} to SSO identity ${claims.sub}`);
+    }
+  }
+
+  if (!admin) {
+    const role = ROLES.includes(config.defaultRole) ? config.defaultRole : 'viewer';
+    admin = await Admin.create({
+      username: await generateUniqueUsername(claims.preferred_username?.split('@')[0] || email.split('@')[0]),
+      email,
+      // SSO accounts sign in through the provider; the password can be set later via reset
+      password: await bcrypt.hash(generateToken(), 10),
+      role,
+      organization: await getDefaultOrganizationId(),
+      status: 'active',
+      sso: { issuer: config.issuer, subject: claims.sub }
+    });
+    console.log(`👤 Provisioned ${admin.username} (${admin.role}) from SSO`);
+  }
+
+  return admin;
+}
+
+/**
+ * Link verified claims to a signed-in account (started with getAuthorizationUrl({ linkAdminId }))
+ * @returns {Promise<object>} the admin document
+ */
+async function linkAdmin(adminId, claims) {
+  const config = getConfig();
+  const linked = await Admin.findOne({ 'sso.issuer': config.issuer, 'sso.subject': claims.sub });
+  if (linked && String(linked._id) !== String(adminId)) {
+    throw new Error('This identity is already linked to another account');
+  }
+
+  const admin = await Admin.findById(adminId);
+  if (!admin || admin.status !== 'active') {
+    throw new Error('Account not found or not active');
+  }
+
+  admin.sso = { issuer: config.issuer, subject: claims.sub };
+  await admin.save();
+  console.log(`🔗 Linked ${admin.username} to SSO identity ${claims.sub} from a signed-in session`);
+  return admin;
+}
+
+module.exports = {
+  isEnabled,
+  getAuthorizationUrl,
+  handleCallback,
+  verifyIdToken,
+  isEmailDomainAllowed,
+  canLinkByEmail,
+  findOrProvisionAdmin,
+  linkAdmin
+};
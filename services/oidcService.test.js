@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const oidcService = require('./oidcService');
+
+describe('OIDC service', () => {
+  let server;
+  let issuer;
+  let nextClaims;
+  const authorizations = new Map(); // code -> { nonce, codeChallenge }
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  // Simulate the user signing in at the provider and being sent back with a code
+  function authorize(authorizationUrl) {
+    const params = new URL(authorizationUrl).searchParams;
+    const code = crypto.randomBytes(8).toString('hex');
+    authorizations.set(code, {
+      nonce: params.get('nonce'),
+      codeChallenge: params.get('code_challenge')
+    });
+    return { code, state: params.get('state') };
+  }
+
+  beforeAll(async () => {
+    // Local mock OpenID Connect issuer
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+      res.json({
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`
+      });
+    });
+
+    app.get('/jwks', (req, res) => {
+      res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' }] });
+    });
+
+    app.post('/token', (req, res) => {
+      const authorization = authorizations.get(req.body.code);
+      authorizations.delete(req.body.code);
+      const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+
+      if (!authorization || challenge !== authorization.codeChallenge || req.body.client_secret !== 'test-secret') {
+        return res.status(400).json({ error: 'invalid_grant' });
+      }
+
+      const idToken = jwt.sign(
+        { aud: 'hr-backend', nonce: authorization.nonce, ...nextClaims },
+        privateKey,
+        { algorithm: 'RS256', keyid: 'test-key', issuer, subject: 'user-123', expiresIn: '5m' }
+      );
+      res.json({ access_token: 'provider-access-token', id_token: idToken, token_type: 'Bearer' });
+    });
+
+    server = await new Promise(resolve => {
+      const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    issuer = `http://127.0.0.1:${server.address().port}`;
+
+    process.env.OIDC_ISSUER = issuer;
+    process.env.OIDC_CLIENT_ID = 'hr-backend';
+    process.env.OIDC_CLIENT_SECRET = 'test-secret';
+    process.env.OIDC_REDIRECT_URI = 'http://localhost:5000/api/auth/oidc/callback';
+  });
+
+  beforeEach(() => {
+    nextClaims = { email: 'jane@example.test', email_verified: true };
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('builds an authorization URL with PKCE, state and nonce', async () => {
+    const url = new URL(await oidcService.getAuthorizationUrl());
+
+    expect(`${url.origin}${url.pathname}`).toBe(`${issuer}/authorize`);
+    expect(url.searchParams.get('client_id')).toBe('hr-backend');
+    expect(url.searchParams.get('redirect_uri')).toBe('http://localhost:5000/api/auth/oidc/callback');
+    expect(url.searchParams.get('scope')).toBe('openid email profile');
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(url.searchParams.get('state')).toBeTruthy();
+    expect(url.searchParams.get('nonce')).toBeTruthy();
+  });
+
+  it('exchanges the code and returns verified claims', async () => {
+    const { code, state } = authorize(await oidcService.getAuthorizationUrl());
+
+    const { claims, linkAdminId } = await oidcService.handleCallback({ code, state });
+
+    expect(claims.sub).toBe('user-123');
+    expect(claims.email).toBe('jane@example.test');
+    expect(claims.iss).toBe(issuer);
+    expect(linkAdminId).toBeNull();
+  });
+
+  it('remembers the signed-in account a link was started for', async () => {
+    const { code, state } = authorize(await oidcService.getAuthorizationUrl({ linkAdminId: '64b000000000000000000001' }));
+
+    const { linkAdminId } = await oidcService.handleCallback({ code, state });
+
+    expect(linkAdminId).toBe('64b000000000000000000001');
+  });
+
+  it('accepts each state only once', async () => {
+    const { code, state } = authorize(await oidcService.getAuthorizationUrl());
+    await oidcService.handleCallback({ code, state });
+
+    await expect(oidcService.handleCallback({ code, state })).rejects.toThrow(/invalid state/);
+  });
+
+  it('rejects ID tokens issued for another client', async () => {
+    nextClaims.aud = 'some-other-app';
+    const { code, state } = authorize(await oidcService.getAuthorizationUrl());
+
+    await expect(oidcService.handleCallback({ code, state })).rejects.toThrow(/audience/);
+  });
+
+  it('rejects ID tokens with the wrong nonce', async () => {
+    nextClaims.nonce = 'replayed-nonce';
+    const { code, state } = authorize(await oidcService.getAuthorizationUrl());
+
+    await expect(oidcService.handleCallback({ code, state })).rejects.toThrow(/nonce/);
+  });
+
+  it('limits sign-in to the allowed email domains', () => {
+    expect(oidcService.isEmailDomainAllowed('jane@example.test', [])).toBe(true);
+    expect(oidcService.isEmailDomainAllowed('jane@Example.test', ['example.test'])).toBe(true);
+    expect(oidcService.isEmailDomainAllowed('jane@evil.test', ['example.test'])).toBe(false);
+    expect(oidcService.isEmailDomainAllowed(undefined, [])).toBe(false);
+  });
+
+  it('links existing accounts by email only for verified emails of listed domains', () => {
+    const recruiter = { role: 'recruiter' };
+    const claims = { email: 'jane@example.test', email_verified: true };
+
+    expect(oidcService.canLinkByEmail(recruiter, claims, ['example.test'])).toBe(true);
+    expect(oidcService.canLinkByEmail(recruiter, claims, [])).toBe(false);
+    expect(oidcService.canLinkByEmail(recruiter, { email: claims.email }, ['example.test'])).toBe(false);
+    expect(oidcService.canLinkByEmail(recruiter, { ...claims, email_verified: 'true' }, ['example.test'])).toBe(false);
+    expect(oidcService.canLinkByEmail({ role: 'owner' }, claims, ['example.test'])).toBe(false);
+    expect(oidcService.canLinkByEmail({ role: 'super-admin' }, claims, ['example.test'])).toBe(false);
+  });
+});
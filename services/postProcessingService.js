@@ -0,0 +1,235 @@
+/**
+ * Post-processing: what happens to a message in the source mailbox once it
+ * has been handled, so recruiters can tell in Gmail or Outlook what was
+ * imported. Settings are kept per mailbox (MailboxAccount) and per Outlook
+ * account (Token):
+ *   { markAsRead, flag, category, processedFolder, failedFolder }
+ *
+ * Imported messages are marked, flagged, categorised and moved to
+ * processedFolder; messages that failed are only moved to failedFolder.
+ * Skipped messages (duplicates, ignored by a rule) are left alone.
+ */
+
+// Outlook folders Graph accepts by name as a move destination
+const GRAPH_WELL_KNOWN_FOLDERS = ['inbox', 'archive', 'deleteditems', 'junkemail', 'drafts', 'sentitems'];
+
+// Graph folder ids by "<account>:<lowercased name>"
+const graphFolderIds = new Map();
+
+const SETTING_FLAGS = ['markAsRead', 'flag'];
+const SETTING_NAMES = ['category', 'processedFolder', 'failedFolder'];
+
+/**
+ * Settings as returned by the API, with every field present
+ */
+function publicSettings(settings) {
+  return {
+    markAsRead: !!settings?.markAsRead,
+    flag: !!settings?.flag,
+    category: settings?.category || null,
+    processedFolder: settings?.processedFolder || null,
+    failedFolder: settings?.failedFolder || null
+  };
+}
+
+/**
+ * Whether any action is configured (the IMAP folder is then opened read-write)
+ */
+function isEnabled(settings) {
+  const value = publicSettings(settings);
+  return value.markAsRead || value.flag || SETTING_NAMES.some(field => value[field]);
+}
+
+/**
+ * Validate post-processing settings from a request body. The settings are
+ * replaced as a whole: fields left out are turned off.
+ * @returns {{ error?: string, value?: object }}
+ */
+function parseSettingsInput(input) {
+  if (input === null) return { value: publicSettings(null) };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'postProcessing must be an object' };
+  }
+
+  const value = publicSettings(null);
+  for (const field of SETTING_FLAGS) {
+    if (input[field] === undefined) continue;
+    if (typeof input[field] !== 'boolean') return { error: `postProcessing.${field} must be true or false` };
+    value[field] = input[field];
+  }
+  for (const field of SETTING_NAMES) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') continue;
+    if (typeof input[field] !== 'string' || !input[field].trim()) {
+      return { error: `postProcessing.${field} must be a string or null` };
+    }
+    value[field] = input[field].trim();
+  }
+  if (value.processedFolder && value.processedFolder === value.failedFolder) {
+    return { error: 'postProcessing.processedFolder and failedFolder must be different folders' };
+  }
+  return { value };
+}
+
+/**
+ * Actions to take for a processing outcome, or null when there are none
+ * @param {object} settings
+ * @param {'imported'|'skipped'|'failed'} outcome
+ */
+function planActions(settings, outcome) {
+  const value = publicSettings(settings);
+  let plan = null;
+
+  if (outcome === 'imported') {
+    plan = { markAsRead: value.markAsRead, flag: value.flag, category: value.category, moveTo: value.processedFolder };
+  } else if (outcome === 'failed') {
+    plan = { markAsRead: false, flag: false, category: null, moveTo: value.failedFolder };
+  }
+
+  if (!plan || !(plan.markAsRead || plan.flag || plan.category || plan.moveTo)) return null;
+  return plan;
+}
+
+function describePlan(plan) {
+  return [
+    plan.markAsRead && 'marked as read',
+    plan.flag && 'flagged',
+    plan.category && `tagged "${plan.category}"`,
+    plan.moveTo && `moved to ${plan.moveTo}`
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * IMAP keywords are atoms: no spaces, brackets, quotes or wildcards
+ */
+function imapKeyword(category) {
+  return category.replace(/[^A-Za-z0-9_.$-]/g, '_');
+}
+
+/**
+ * Move a message by UID, creating the folder the first time
+ */
+async function moveImapMessage(connection, uid, folder) {
+  try {
+    await connection.moveMessage(uid, folder);
+  } catch (error) {
+    // Servers answer [TRYCREATE] when the folder doesn't exist yet
+    await connection.addBox(folder).catch(() => {});
+    await connection.moveMessage(uid, folder);
+  }
+}
+
+/**
+ * Apply planned actions to a message of the open (read-write) IMAP folder.
+ * On Gmail the category becomes a label, elsewhere a keyword.
+ */
+async function applyImapActions(connection, uid, plan) {
+  const flags = [];
+  if (plan.markAsRead) flags.push('\\Seen');
+  if (plan.flag) flags.push('\\Flagged');
+  if (flags.length > 0) {
+    await connection.addFlags(uid, flags);
+  }
+
+  if (plan.category) {
+    const gmail = connection.imap.serverSupports('X-GM-EXT-1');
+    await new Promise((resolve, reject) => {
+      const done = (err) => (err ? reject(err) : resolve());
+      if (gmail) {
+        connection.imap.addLabels(uid, plan.category, done);
+      } else {
+        connection.imap.addKeywords(uid, imapKeyword(plan.category), done);
+      }
+    });
+  }
+
+  if (plan.moveTo) {
+    await moveImapMessage(connection, uid, plan.moveTo);
+  }
+}
+
+/**
+ * Post-process an IMAP message after it was handled. Failures are logged and
+ * never undo the import.
+ */
+async function postProcessImapMessage(connection, uid, settings, outcome, accountName = 'Primary') {
+  const plan = planActions(settings, outcome);
+  if (!plan) return;
+
+  try {
+    await applyImapActions(connection, uid, plan);
+    console.log(`🏷️  [${accountName}] Email UID ${uid} ${describePlan(plan)}`);
+  } catch (error) {
+    console.warn(`⚠️  [${accountName}] Post-processing of UID ${uid} failed: ${error.message}`);
+  }
+}
+
+/**
+ * Id of an Outlook folder to move messages to: a well-known folder, or a
+ * top-level folder by display name, created when missing
+ */
+async function getGraphFolderId(client, userId, name) {
+  if (GRAPH_WELL_KNOWN_FOLDERS.includes(name.toLowerCase())) {
+    return name.toLowerCase();
+  }
+
+  const key = `${userId.toLowerCase()}:${name.toLowerCase()}`;
+  if (graphFolderIds.has(key)) return graphFolderIds.get(key);
+
+  const found = await client.api(`/users/${userId}/mailFolders`)
+    .filter(`displayName eq '${name.replace(/'/g, "''")}'`)
+    .select('id,displayName')
+    .get();
+  const folder = found.value?.[0]
+    || await client.api(`/users/${userId}/mailFolders`).post({ displayName: name });
+
+  graphFolderIds.set(key, folder.id);
+  return folder.id;
+}
+
+/**
+ * Apply planned actions to an Outlook message (needs Mail.ReadWrite)
+ * @param {object} message - with id and categories
+ */
+async function applyGraphActions(client, userId, message, plan) {
+  const update = {};
+  if (plan.markAsRead) update.isRead = true;
+  if (plan.flag) update.flag = { flagStatus: 'flagged' };
+  if (plan.category) update.categories = [...new Set([...(message.categories || []), plan.category])];
+
+  if (Object.keys(update).length > 0) {
+    await client.api(`/users/${userId}/messages/${message.id}`).patch(update);
+  }
+
+  // Last: the message gets a new id in its new folder
+  if (plan.moveTo) {
+    const destinationId = await getGraphFolderId(client, userId, plan.moveTo);
+    await client.api(`/users/${userId}/messages/${message.id}/move`).post({ destinationId });
+  }
+}
+
+/**
+ * Post-process an Outlook message after it was handled. Failures are logged
+ * and never undo the import.
+ */
+async function postProcessGraphMessage(client, userId, message, settings, outcome) {
+  const plan = planActions(settings, outcome);
+  if (!plan) return;
+
+  try {
+    await applyGraphActions(client, userId, message, plan);
+    console.log(`🏷️  [Outlook-Graph] Message ${message.id} ${describePlan(plan)}`);
+  } catch (error) {
+    console.warn(`⚠️  [Outlook-Graph] Post-processing of message ${message.id} failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  publicSettings,
+  isEnabled,
+  parseSettingsInput,
+  planActions,
+  applyImapActions,
+  postProcessImapMessage,
+  applyGraphActions,
+  postProcessGraphMessage
+};
@@ -0,0 +1,151 @@
+const hoodiecrow = require('hoodiecrow-imap');
+const imap = require('imap-simple');
+const postProcessing = require('./postProcessingService');
+
+const SETTINGS = {
+  markAsRead: true,
+  flag: true,
+  category: 'Resume Imported',
+  processedFolder: 'Processed',
+  failedFolder: 'Failed'
+};
+
+describe('Post-processing settings', () => {
+  it('validates settings and turns off what is left out', () => {
+    expect(postProcessing.parseSettingsInput({ markAsRead: true, processedFolder: ' Processed ' })).toEqual({
+      value: { markAsRead: true, flag: false, category: null, processedFolder: 'Processed', failedFolder: null }
+    });
+    expect(postProcessing.parseSettingsInput(null).value).toEqual(postProcessing.publicSettings(null));
+    expect(postProcessing.parseSettingsInput({ flag: 'yes' }).error).toMatch(/flag/);
+    expect(postProcessing.parseSettingsInput({ processedFolder: 'Done', failedFolder: 'Done' }).error).toMatch(/different/);
+    expect(postProcessing.isEnabled({ markAsRead: false })).toBe(false);
+    expect(postProcessing.isEnabled({ failedFolder: 'Failed' })).toBe(true);
+  });
+
+  it('plans every action for imported mail and only the move for failed mail', () => {
+    expect(postProcessing.planActions(SETTINGS, 'imported')).toEqual({
+      markAsRead: true, flag: true, category: 'Resume Imported', moveTo: 'Processed'
+    });
+    expect(postProcessing.planActions(SETTINGS, 'failed')).toEqual({
+      markAsRead: false, flag: false, category: null, moveTo: 'Failed'
+    });
+    expect(postProcessing.planActions(SETTINGS, 'skipped')).toBeNull();
+    expect(postProcessing.planActions({ markAsRead: true }, 'failed')).toBeNull();
+    expect(postProcessing.planActions(null, 'imported')).toBeNull();
+  });
+});
+
+describe('IMAP post-processing', () => {
+  let server;
+  let connection;
+
+  // A fresh in-memory IMAP server per test, with two messages in INBOX
+  const start = async () => {
+    server = hoodiecrow({
+      plugins: ['MOVE', 'UIDPLUS'],
+      storage: {
+        INBOX: {
+          messages: [
+            { raw: 'From: jane@example.com\r\nSubject: My resume\r\n\r\nPlease find my CV attached.' },
+            { raw: 'From: john@example.com\r\nSubject: Application\r\n\r\nHello' }
+          ]
+        },
+        '': { separator: '/', folders: {} }
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    connection = await imap.connect({
+      imap: {
+        user: 'testuser',
+        password: 'testpass',
+        host: '127.0.0.1',
+        port: server.server.address().port,
+        tls: false,
+        authTimeout: 5000
+      }
+    });
+    await connection.openBox('INBOX', false);
+  };
+
+  const listFolder = async (folder) => {
+    await connection.openBox(folder, true);
+    const messages = await connection.search(['ALL'], { bodies: ['HEADER.FIELDS (SUBJECT)'] });
+    return messages.map(message => ({
+      subject: message.parts[0].body.subject[0],
+      flags: message.attributes.flags
+    }));
+  };
+
+  afterEach(async () => {
+    connection.end();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('marks, flags, tags and moves imported mail, creating the folder', async () => {
+    await start();
+    await postProcessing.postProcessImapMessage(connection, 1, SETTINGS, 'imported', 'Test');
+
+    expect(await listFolder('INBOX')).toEqual([expect.objectContaining({ subject: 'Application', flags: [] })]);
+    expect(await listFolder('Processed')).toEqual([
+      expect.objectContaining({ subject: 'My resume', flags: ['\\Seen', '\\Flagged', 'Resume_Imported'] })
+    ]);
+  });
+
+  it('only moves failed mail, and leaves skipped mail alone', async () => {
+    await start();
+    await postProcessing.postProcessImapMessage(connection, 1, SETTINGS, 'failed', 'Test');
+    await postProcessing.postProcessImapMessage(connection, 2, SETTINGS, 'skipped', 'Test');
+
+    expect(await listFolder('Failed')).toEqual([expect.objectContaining({ subject: 'My resume', flags: [] })]);
+    expect(await listFolder('INBOX')).toEqual([expect.objectContaining({ subject: 'Application', flags: [] })]);
+  });
+});
+
+describe('Outlook post-processing', () => {
+  // Records the Graph requests and answers like an account without the folder
+  const fakeClient = () => {
+    const calls = [];
+    const client = {
+      calls,
+      api: (url) => {
+        const request = {
+          filter: () => request,
+          select: () => request,
+          get: async () => { calls.push(['GET', url]); return { value: [] }; },
+          post: async (body) => { calls.push(['POST', url, body]); return { id: 'folder-1' }; },
+          patch: async (body) => { calls.push(['PATCH', url, body]); return {}; }
+        };
+        return request;
+      }
+    };
+    return client;
+  };
+
+  it('updates the message, then moves it to a folder created on first use', async () => {
+    const client = fakeClient();
+    const message = { id: 'msg-1', categories: ['Blue'] };
+
+    await postProcessing.applyGraphActions(client, 'hr@example.com', message, postProcessing.planActions(SETTINGS, 'imported'));
+
+    expect(client.calls).toEqual([
+      ['PATCH', '/users/hr@example.com/messages/msg-1', {
+        isRead: true,
+        flag: { flagStatus: 'flagged' },
+        categories: ['Blue', 'Resume Imported']
+      }],
+      ['GET', '/users/hr@example.com/mailFolders'],
+      ['POST', '/users/hr@example.com/mailFolders', { displayName: 'Processed' }],
+      ['POST', '/users/hr@example.com/messages/msg-1/move', { destinationId: 'folder-1' }]
+    ]);
+
+    // Well-known folders go by name and looked-up folders are remembered
+    client.calls.length = 0;
+    await postProcessing.applyGraphActions(client, 'hr@example.com', { id: 'msg-2' }, { moveTo: 'Archive' });
+    await postProcessing.applyGraphActions(client, 'hr@example.com', { id: 'msg-3' }, { moveTo: 'processed' });
+    expect(client.calls).toEqual([
+      ['POST', '/users/hr@example.com/messages/msg-2/move', { destinationId: 'archive' }],
+      ['POST', '/users/hr@example.com/messages/msg-3/move', { destinationId: 'folder-1' }]
+    ]);
+  });
+});
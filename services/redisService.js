@@ -192,6 +192,144 @@ async function deleteCache(key) {
   }
 }
 
+// Set a key only if it doesn't exist yet (SET NX), to claim work across processes
+// Returns whether the key was claimed, or null when Redis is unavailable so callers can fall back
+async function claimKey(key, value, expirationSeconds = 3600) {
+  try {
+    const client = await getRedisClient();
+    if (!client || !isConnected) return null;
+
+    const result = await client.set(key, JSON.stringify(value), { NX: true, EX: expirationSeconds });
+    return result === 'OK';
+  } catch (error) {
+    console.error(`❌ Error claiming ${key}:`, error.message);
+    return null;
+  }
+}
+
+// Counter operations
+// Returns the new value, or null when Redis is unavailable so callers can fall back
+async function incrementCounter(key, expirationSeconds = 3600) {
+  try {
+    const client = await getRedisClient();
+    if (!client || !isConnected) return null;
+
+    const count = await client.incr(key);
+    if (count === 1) {
+      await client.expire(key, expirationSeconds);
+    }
+    return count;
+  } catch (error) {
+    console.error(`❌ Error incrementing counter ${key}:`, error.message);
+    return null;
+  }
+}
+
+// Remaining time to live of a key in seconds (null if unavailable or no expiry)
+async function getTTL(key) {
+  try {
+    const client = await getRedisClient();
+    if (!client || !isConnected) return null;
+
+    const ttl = await client.ttl(key);
+    return ttl > 0 ? ttl : null;
+  } catch (error) {
+    console.error(`❌ Error getting TTL ${key}:`, error.message);
+    return null;
+  }
+}
+
+// Hash operations
+// Returns false when Redis is unavailable so callers can fall back
+async function setHashField(key, field, value) {
+  try {
+    const client = await getRedisClient();
+    if (!client || !isConnected) return false;
+
+    await client.hSet(key, field, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.error(`❌ Error setting hash field ${key}.${field}:`, error.message);
+    return false;
+  }
+}
+
+// Read every field of a hash and delete it atomically (null if unavailable)
+async function takeHash(key) {
+  try {
+    const client = await getRedisClient();
+    if (!client || !isConnected) return null;
+
+    const [fields] = await client.multi().hGetAll(key).del(key).exec();
+    const result = {};
+    for (const [field, value] of Object.entries(fields || {})) {
+      result[field] = JSON.parse(value);
+    }
+    return result;
+  } catch (error) {
+    console.error(`❌ Error reading hash ${key}:`, error.message);
+    return null;
+  }
+}
+
+// Read a single hash field without removing it (null if missing or unavailable)
+async function getHashField(key, field) {
+  try {
+    const client = await getRedisClient();
+    if (!client || !isConnected) return null;
+
+    const value = await client.hGet(key, field);
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    console.error(`❌ Error getting hash field ${key}.${field}:`, error.message);
+    return null;
+  }
+}
+
+// Publish a message on a channel (false when Redis is unavailable)
+async function publish(channel, data) {
+  try {
+    const client = await getRedisClient();
+    if (!client || !isConnected) return false;
+
+    await client.publish(channel, JSON.stringify(data));
+    return true;
+  } catch (error) {
+    console.error(`❌ Error publishing to ${channel}:`, error.message);
+    return false;
+  }
+}
+
+// Call handler with every message published on a channel, over a connection
+// of its own (a subscribed connection can't run other commands).
+// Returns false when Redis is unavailable.
+async function subscribe(channel, handler) {
+  try {
+    const client = await getRedisClient();
+    if (!client || !isConnected) return false;
+
+    const subscriber = client.duplicate();
+    subscriber.on('error', () => {});
+    await subscriber.connect();
+    await subscriber.subscribe(channel, (message) => {
+      try {
+        handler(JSON.parse(message));
+      } catch (error) {
+        console.error(`❌ Error handling message on ${channel}:`, error.message);
+      }
+    });
+    return true;
+  } catch (error) {
+    console.error(`❌ Error subscribing to ${channel}:`, error.message);
+    return false;
+  }
+}
+
+// Whether Redis is connected right now (without trying to reconnect)
+function isAvailable() {
+  return !!(redis && !redisDisabled && redisClient && isConnected);
+}
+
 // Check if email UID was processed (using Redis for faster lookups)
 async function isEmailProcessed(uid) {
   // If Redis is disabled, always return false so emails can be processed
@@ -259,6 +397,15 @@ module.exports = {
   setCache,
   getCache,
   deleteCache,
+  claimKey,
+  incrementCounter,
+  getTTL,
+  setHashField,
+  getHashField,
+  takeHash,
+  publish,
+  subscribe,
+  isAvailable,
   isEmailProcessed,
   markEmailProcessed,
   closeRedis
@@ -0,0 +1,110 @@
+/**
+ * Ingestion rules decide, before anything is stored, whether an incoming
+ * email is imported. Rules are checked in priority order (lowest first) and
+ * the first rule whose conditions all match decides. Mail that matches no
+ * rule is ingested.
+ *
+ * The engine works on a plain description of the message, built by the
+ * IMAP and Graph importers from the headers:
+ *   { folder, labels: [], from, subject, attachments: [{ filename, contentType }] }
+ */
+
+const ACTIONS = ['ingest', 'ignore', 'ingest_and_tag'];
+
+const lower = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Whether a sender address is in a list of addresses and domains.
+ * "jane@acme.com" matches the address only, "acme.com" or "@acme.com" the
+ * domain and its subdomains.
+ */
+function senderMatches(sender, patterns) {
+  const address = lower(sender);
+  const domain = address.split('@')[1] || '';
+
+  return patterns.some((pattern) => {
+    const value = lower(pattern);
+    if (!value) return false;
+    if (value.includes('@') && !value.startsWith('@')) return address === value;
+    const wanted = value.replace(/^@/, '');
+    return domain === wanted || domain.endsWith(`.${wanted}`);
+  });
+}
+
+/**
+ * Type of an attachment for the attachmentTypes condition: the file
+ * extension ("pdf", "docx", "zip"...), or the MIME subtype without one
+ */
+function attachmentType({ filename, contentType } = {}) {
+  const extension = /\.([a-z0-9]+)$/i.exec(filename || '');
+  const type = extension ? extension[1].toLowerCase() : lower(contentType).split('/')[1] || '';
+  return type === 'jpeg' ? 'jpg' : type;
+}
+
+/**
+ * Whether every condition of a rule holds for a message. Empty conditions
+ * match everything.
+ */
+function matchesRule(rule, message) {
+  const conditions = rule.conditions || {};
+  const attachments = message.attachments || [];
+
+  if (conditions.folders?.length) {
+    const names = [message.folder, ...(message.labels || [])].map(lower).filter(Boolean);
+    if (!conditions.folders.some(folder => names.includes(lower(folder)))) return false;
+  }
+
+  if (conditions.senderAllowList?.length && !senderMatches(message.from, conditions.senderAllowList)) {
+    return false;
+  }
+  if (conditions.senderDenyList?.length && senderMatches(message.from, conditions.senderDenyList)) {
+    return false;
+  }
+
+  if (conditions.subjectKeywords?.length) {
+    const subject = lower(message.subject);
+    if (!conditions.subjectKeywords.some(keyword => lower(keyword) && subject.includes(lower(keyword)))) return false;
+  }
+
+  if (typeof conditions.hasAttachment === 'boolean' && (attachments.length > 0) !== conditions.hasAttachment) {
+    return false;
+  }
+
+  if (conditions.attachmentTypes?.length) {
+    const wanted = conditions.attachmentTypes.map(type => attachmentType({ filename: `.${lower(type).replace(/^\./, '')}` }));
+    if (!attachments.some(attachment => wanted.includes(attachmentType(attachment)))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Decide what happens to a message
+ * @param {object[]} rules - IngestionRule documents (or plain objects)
+ * @param {object} message - see the top of this file
+ * @returns {{ action: string, tags: string[], rule: object|null }}
+ */
+function evaluateRules(rules, message) {
+  const ordered = rules
+    .filter(rule => rule.enabled !== false)
+    .sort((a, b) => (a.priority || 0) - (b.priority || 0));
+
+  for (const rule of ordered) {
+    if (matchesRule(rule, message)) {
+      return {
+        action: rule.action,
+        tags: rule.action === 'ingest_and_tag' ? [...(rule.tags || [])] : [],
+        rule
+      };
+    }
+  }
+  return { action: 'ingest', tags: [], rule: null };
+}
+
+module.exports = {
+  ACTIONS,
+  senderMatches,
+  attachmentType,
+  matchesRule,
+  evaluateRules
+};
@@ -0,0 +1,68 @@
+const { senderMatches, attachmentType, matchesRule, evaluateRules } = require('./ruleEngine');
+
+const message = (overrides = {}) => ({
+  folder: 'INBOX',
+  labels: [],
+  from: 'jane@mail.acme.com',
+  subject: 'Application: Senior Developer',
+  attachments: [{ filename: 'Jane_Doe_CV.pdf', contentType: 'application/pdf' }],
+  ...overrides
+});
+
+describe('Ingestion rule engine', () => {
+  it('matches senders by address or domain', () => {
+    expect(senderMatches('Jane@Acme.com', ['jane@acme.com'])).toBe(true);
+    expect(senderMatches('john@acme.com', ['jane@acme.com'])).toBe(false);
+    expect(senderMatches('jane@mail.acme.com', ['acme.com'])).toBe(true);
+    expect(senderMatches('jane@acme.com', ['@acme.com'])).toBe(true);
+    expect(senderMatches('jane@notacme.com', ['acme.com'])).toBe(false);
+  });
+
+  it('reads the attachment type from the name, then the MIME type', () => {
+    expect(attachmentType({ filename: 'cv.DOCX' })).toBe('docx');
+    expect(attachmentType({ filename: 'scan', contentType: 'image/jpeg' })).toBe('jpg');
+  });
+
+  it('requires every condition to hold', () => {
+    const rule = {
+      conditions: {
+        folders: ['Applications'],
+        senderDenyList: ['spam.com'],
+        subjectKeywords: ['application', 'resume'],
+        hasAttachment: true,
+        attachmentTypes: ['pdf', '.docx']
+      }
+    };
+
+    expect(matchesRule(rule, message({ labels: ['applications'] }))).toBe(true);
+    expect(matchesRule(rule, message())).toBe(false);
+    expect(matchesRule(rule, message({ folder: 'Applications', from: 'x@spam.com' }))).toBe(false);
+    expect(matchesRule(rule, message({ folder: 'Applications', subject: 'Invoice' }))).toBe(false);
+    expect(matchesRule(rule, message({ folder: 'Applications', attachments: [] }))).toBe(false);
+    expect(matchesRule(rule, message({ folder: 'Applications', attachments: [{ filename: 'photo.png' }] }))).toBe(false);
+    expect(matchesRule({ conditions: {} }, message())).toBe(true);
+  });
+
+  it('lets the first enabled rule by priority decide', () => {
+    const rules = [
+      { name: 'tag acme', priority: 20, action: 'ingest_and_tag', tags: ['acme'], conditions: { senderAllowList: ['acme.com'] } },
+      { name: 'ignore invoices', priority: 10, action: 'ignore', tags: ['unused'], conditions: { subjectKeywords: ['invoice'] } },
+      { name: 'disabled', priority: 1, enabled: false, action: 'ignore', conditions: {} }
+    ];
+
+    const tagged = evaluateRules(rules, message());
+    expect(tagged.action).toBe('ingest_and_tag');
+    expect(tagged.tags).toEqual(['acme']);
+    expect(tagged.rule.name).toBe('tag acme');
+
+    const ignored = evaluateRules(rules, message({ subject: 'Invoice #12' }));
+    expect(ignored).toMatchObject({ action: 'ignore', tags: [] });
+    expect(ignored.rule.name).toBe('ignore invoices');
+  });
+
+  it('ingests mail that no rule matches', () => {
+    const rules = [{ priority: 1, action: 'ignore', conditions: { hasAttachment: false } }];
+    expect(evaluateRules(rules, message())).toEqual({ action: 'ingest', tags: [], rule: null });
+    expect(evaluateRules([], message())).toEqual({ action: 'ingest', tags: [], rule: null });
+  });
+});
@@ -0,0 +1,297 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const Admin = require('../models/Admin');
+const redisService = require('./redisService');
+const { generateToken, hashToken } = require('../utils/tokenUtils');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'yourHRpower_secret_key_change_in_production_2024';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const CHALLENGE_TOKEN_EXPIRES_IN = '5m';
+const LAST_SEEN_KEY = 'session_last_seen';
+const LAST_SEEN_FLUSH_SECONDS = parseInt(process.env.SESSION_LAST_SEEN_FLUSH_SECONDS) || 60;
+
+/**
+ * Extract client details stored with a session
+ */
+function getClientInfo(req) {
+  if (!req) return {};
+  return {
+    userAgent: (req.headers['user-agent'] || '').substring(0, 500),
+    ip: req.ip || req.connection?.remoteAddress
+  };
+}
+
+/**
+ * Sign a short-lived access token bound to a session
+ */
+function signAccessToken(admin, sessionId) {
+  return jwt.sign(
+    {
+      id: admin._id,
+      username: admin.username,
+      email: admin.email,
+      role: admin.role,
+      tv: admin.tokenVersion || 0,
+      sid: sessionId
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+/**
+ * Decode the expiry of an access token in seconds from now
+ */
+function getExpiresIn(accessToken) {
+  const decoded = jwt.decode(accessToken);
+  return decoded?.exp ? decoded.exp - Math.floor(Date.now() / 1000) : null;
+}
+
+/**
+ * Refresh tokens look like "<sessionId>.<secret>" so the session can be
+ * found without scanning every hash
+ */
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+/**
+ * Start a new session after a successful login
+ * @returns {Promise<{accessToken, refreshToken, expiresIn, session}>}
+ */
+async function createSession(admin, req) {
+  const secret = generateToken();
+  const session = new Session({
+    admin: admin._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    ...getClientInfo(req)
+  });
+  await session.save();
+
+  const accessToken = signAccessToken(admin, session._id);
+  return {
+    accessToken,
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: getExpiresIn(accessToken),
+    session
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * The refresh token is rotated on every use; presenting an old one
+ * means it was copied, so the whole session is revoked.
+ * @returns {Promise<object|null>} null when the token is not usable
+ */
+async function refreshSession(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  // Rotate in one step, on the current hash only: of two requests with the
+  // same token, one gets the new pair and the other counts as reuse
+  const secret = generateToken();
+  const activeFilter = { _id: parsed.sessionId, revokedAt: null, expiresAt: { $gt: new Date() } };
+  const session = await Session.findOneAndUpdate(
+    { ...activeFilter, refreshTokenHash: hashToken(parsed.secret) },
+    { refreshTokenHash: hashToken(secret), lastRotatedAt: new Date(), ...getClientInfo(req) },
+    { new: true }
+  );
+
+  if (!session) {
+    if (await Session.exists(activeFilter)) {
+      console.warn(`⚠️  Refresh token reuse detected for session ${parsed.sessionId}, revoking`);
+      await revokeSession(parsed.sessionId, 'refresh_token_reuse');
+    }
+    return null;
+  }
+
+  const admin = await Admin.findById(session.admin);
+  if (!admin || (admin.status && admin.status !== 'active')) {
+    await revokeSession(session._id, 'account_unavailable');
+    return null;
+  }
+
+  const accessToken = signAccessToken(admin, session._id);
+  return {
+    accessToken,
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: getExpiresIn(accessToken),
+    session,
+    admin
+  };
+}
+
+/**
+ * Check that a session exists and has not been revoked or expired
+ */
+async function isSessionActive(sessionId) {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return false;
+  const session = await Session.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return !!session;
+}
+
+async function revokeSession(sessionId, reason = 'logout') {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+}
+
+/**
+ * Revoke every session of an account, optionally keeping one
+ * @returns {Promise<number>} number of sessions revoked
+ */
+async function revokeAllSessions(adminId, reason = 'logout_all', exceptSessionId = null) {
+  const filter = { admin: adminId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+  return result.modifiedCount || 0;
+}
+
+// Last-seen times are collected per request and written to MongoDB in batches:
+// a Redis hash (sessionId -> { at, ip }) shared by every instance, or this map
+// while Redis is unavailable
+const pendingLastSeen = new Map();
+
+/**
+ * Note that a session was just used. Cheap enough to call on every request.
+ */
+function touchSession(sessionId, ip) {
+  if (!sessionId) return;
+  const entry = { at: Date.now(), ip };
+
+  if (!redisService.isAvailable()) {
+    pendingLastSeen.set(String(sessionId), entry);
+    return;
+  }
+  redisService.setHashField(LAST_SEEN_KEY, String(sessionId), entry)
+    .then(stored => {
+      if (!stored) pendingLastSeen.set(String(sessionId), entry);
+    })
+    .catch(() => pendingLastSeen.set(String(sessionId), entry));
+}
+
+/**
+ * Write collected last-seen times to MongoDB
+ * @returns {Promise<number>} number of sessions updated
+ */
+async function flushLastSeen() {
+  const entries = {};
+  if (redisService.isAvailable()) {
+    Object.assign(entries, await redisService.takeHash(LAST_SEEN_KEY));
+  }
+  for (const [sessionId, entry] of pendingLastSeen) {
+    if (!entries[sessionId] || entries[sessionId].at < entry.at) {
+      entries[sessionId] = entry;
+    }
+  }
+  pendingLastSeen.clear();
+
+  const operations = Object.entries(entries)
+    .filter(([sessionId]) => mongoose.Types.ObjectId.isValid(sessionId))
+    .map(([sessionId, { at, ip }]) => ({
+      updateOne: {
+        filter: { _id: sessionId },
+        update: { $max: { lastSeenAt: new Date(at) }, $set: { lastSeenIp: ip } }
+      }
+    }));
+  if (operations.length === 0) return 0;
+
+  const result = await Session.bulkWrite(operations, { ordered: false });
+  return result.modifiedCount || 0;
+}
+
+/**
+ * Flush last-seen times every SESSION_LAST_SEEN_FLUSH_SECONDS
+ */
+function startLastSeenFlusher() {
+  const timer = setInterval(() => {
+    flushLastSeen().catch(err => console.warn(`⚠️  Could not save session last-seen times: ${err.message}`));
+  }, LAST_SEEN_FLUSH_SECONDS * 1000);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Active sessions of an account, newest activity first. Last-seen times that
+ * are still waiting to be flushed are included.
+ */
+async function listActiveSessions(adminId) {
+  const sessions = await Session.find({
+    admin: adminId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).lean();
+
+  for (const session of sessions) {
+    const pending = pendingLastSeen.get(String(session._id)) ||
+      (redisService.isAvailable() ? await redisService.getHashField(LAST_SEEN_KEY, String(session._id)) : null);
+    if (pending && (!session.lastSeenAt || session.lastSeenAt.getTime() < pending.at)) {
+      session.lastSeenAt = new Date(pending.at);
+      session.lastSeenIp = pending.ip;
+    }
+  }
+
+  const lastActivity = (session) => (session.lastSeenAt || session.createdAt).getTime();
+  return sessions.sort((a, b) => lastActivity(b) - lastActivity(a));
+}
+
+/**
+ * Sign a short-lived token proving the password step of a login succeeded.
+ * purpose is '2fa' (code required) or '2fa-setup' (enrollment required)
+ */
+function signChallengeToken(admin, purpose) {
+  return jwt.sign(
+    { id: admin._id, purpose, tv: admin.tokenVersion || 0 },
+    JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_EXPIRES_IN }
+  );
+}
+
+/**
+ * Verify a challenge token and load its admin
+ * @returns {Promise<object|null>} the admin document, or null when invalid
+ */
+async function verifyChallengeToken(token, purpose) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (decoded.purpose !== purpose) return null;
+
+  const admin = await Admin.findById(decoded.id);
+  if (!admin || (admin.status && admin.status !== 'active')) return null;
+  if ((decoded.tv || 0) !== (admin.tokenVersion || 0)) return null;
+  return admin;
+}
+
+module.exports = {
+  JWT_SECRET,
+  createSession,
+  refreshSession,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions,
+  touchSession,
+  flushLastSeen,
+  startLastSeenFlusher,
+  listActiveSessions,
+  signChallengeToken,
+  verifyChallengeToken
+};
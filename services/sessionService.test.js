@@ -0,0 +1,73 @@
+const Session = require('../models/Session');
+const Admin = require('../models/Admin');
+const sessionService = require('./sessionService');
+
+// Sessions kept in memory. Each query is applied in one go, the way MongoDB
+// applies a single-document update.
+function fakeSessions() {
+  const sessions = new Map();
+  const matches = (session, filter) => Object.entries(filter).every(([field, condition]) => {
+    const value = session[field];
+    if (condition && condition.$gt !== undefined) return value > condition.$gt;
+    if (condition === null) return value === null || value === undefined;
+    return String(value) === String(condition);
+  });
+  const find = (filter) => [...sessions.values()].find(session => matches(session, filter)) || null;
+
+  jest.spyOn(Session.prototype, 'save').mockImplementation(async function () {
+    sessions.set(String(this._id), { ...this.toObject(), revokedAt: null });
+    return this;
+  });
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const session = find(filter);
+    if (!session) return null;
+    Object.assign(session, update);
+    return { ...session };
+  });
+  jest.spyOn(Session, 'exists').mockImplementation(async (filter) => (find(filter) ? { _id: filter._id } : null));
+  jest.spyOn(Session, 'updateOne').mockImplementation(async (filter, update) => {
+    const session = find(filter);
+    if (session) Object.assign(session, update);
+    return { matchedCount: session ? 1 : 0 };
+  });
+  return sessions;
+}
+
+describe('Session refresh', () => {
+  const admin = new Admin({ username: 'jane', email: 'jane@example.test', password: 'x', role: 'recruiter', status: 'active' });
+  let sessions;
+
+  beforeEach(() => {
+    sessions = fakeSessions();
+    jest.spyOn(Admin, 'findById').mockResolvedValue(admin);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('revokes the session when a rotated refresh token is used again', async () => {
+    const { refreshToken, session } = await sessionService.createSession(admin);
+
+    const rotated = await sessionService.refreshSession(refreshToken);
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+
+    expect(await sessionService.refreshSession(refreshToken)).toBeNull();
+    expect(sessions.get(String(session._id)).revokedReason).toBe('refresh_token_reuse');
+
+    // The copy that was rotated legitimately goes with it
+    expect(await sessionService.refreshSession(rotated.refreshToken)).toBeNull();
+  });
+
+  it('gives one new pair to concurrent refreshes with the same token', async () => {
+    const { refreshToken } = await sessionService.createSession(admin);
+
+    const results = await Promise.all([
+      sessionService.refreshSession(refreshToken),
+      sessionService.refreshSession(refreshToken)
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+  });
+});
@@ -1,6 +1,6 @@
 const twilio = require('twilio');
 const Email = require('../models/Resume'); // Default export is Email model
-const { Resume } = require('../models/Resume'); // Named export is Resume model
+const { Resume, CANDIDATE_FILTER } = require('../models/Resume'); // Named export is Resume model
 const cron = require('node-cron');
 
 // Environment check
@@ -39,7 +39,7 @@ async function checkAndSendBirthdaySMS() {
 
     // Get both Email records and direct Resume records
     const [emails, resumes] = await Promise.all([
-      Email.find({ hasAttachment: true }),
+      Email.find(CANDIDATE_FILTER),
       Resume.find({})
     ]);
     
@@ -0,0 +1,149 @@
+const { resolvePrincipal, AuthError } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
+const { resolveOrganizationId, TenantError } = require('./tenantService');
+
+// Rooms a socket joins based on its organization and permissions. Events are
+// only ever sent to rooms, never broadcast to every connection.
+const ROOMS = {
+  RESUMES_FULL: 'resumes:full',       // resumes:read + resumes:download - complete record
+  RESUMES_SUMMARY: 'resumes:summary'  // resumes:read only - no files, raw text or email body
+};
+
+// Room names are prefixed with the organization, e.g. "org:<id>:resumes:full"
+const organizationRoom = (organizationId, room) => `org:${organizationId}:${room}`;
+
+// Fields removed from candidate records for sockets that can't download resumes
+const SUMMARY_HIDDEN_FIELDS = [
+  'pdfPath',
+  's3Url',
+  's3Key',
+  'cloudinaryUrl',
+  'cloudinaryPublicId',
+  'cloudinaryId',
+  'rawText'
+];
+
+let ioInstance = null;
+
+/**
+ * Read the credential from the handshake. Browsers pass it with
+ * io(url, { auth: { token } }); server-side clients can also use headers.
+ */
+function getHandshakeToken(handshake) {
+  return handshake.auth?.token
+    || handshake.headers?.authorization?.replace('Bearer ', '')
+    || handshake.headers?.['x-api-key'];
+}
+
+function getRoomsForPermissions(permissions) {
+  if (!hasPermission(permissions, PERMISSIONS.RESUMES_READ)) return [];
+  return hasPermission(permissions, PERMISSIONS.RESUMES_DOWNLOAD)
+    ? [ROOMS.RESUMES_FULL]
+    : [ROOMS.RESUMES_SUMMARY];
+}
+
+/**
+ * Strip file locations, raw text and the email body from a candidate record
+ */
+function toSummary(record) {
+  if (!record) return record;
+  const summary = typeof record.toObject === 'function' ? record.toObject() : { ...record };
+
+  delete summary.body;
+  for (const field of SUMMARY_HIDDEN_FIELDS) {
+    delete summary[field];
+  }
+  if (summary.attachmentData) {
+    summary.attachmentData = { ...summary.attachmentData };
+    for (const field of SUMMARY_HIDDEN_FIELDS) {
+      delete summary.attachmentData[field];
+    }
+  }
+  return summary;
+}
+
+/**
+ * Require a valid JWT or API key on the handshake and join permission rooms.
+ * A super-admin can pick the organization with io(url, { auth: { token, organizationId } }).
+ * @param {import('socket.io').Server} io
+ */
+function initializeSocket(io) {
+  ioInstance = io;
+
+  io.use(async (socket, next) => {
+    try {
+      const principal = await resolvePrincipal(getHandshakeToken(socket.handshake), {
+        ip: socket.handshake.address
+      });
+      socket.data.admin = principal;
+      socket.data.organizationId = await resolveOrganizationId(principal, socket.handshake.auth?.organizationId);
+      next();
+    } catch (error) {
+      const expected = error instanceof AuthError || error instanceof TenantError;
+      if (!expected) {
+        console.error('Socket auth error:', error);
+      }
+      const err = new Error(expected ? error.message : 'Authentication failed');
+      err.data = { code: error.code || 'UNAUTHORIZED' };
+      next(err);
+    }
+  });
+
+  io.on('connection', (socket) => {
+    const admin = socket.data.admin;
+    const rooms = getRoomsForPermissions(admin.permissions)
+      .map(room => organizationRoom(socket.data.organizationId, room));
+    socket.join([`user:${admin.id}`, ...rooms]);
+    console.log(`🔌 Client connected: ${socket.id} (${admin.username}, rooms: ${rooms.join(', ') || 'none'})`);
+
+    // Access tokens are short-lived; drop the socket when its token expires
+    // so the client reconnects with a fresh one
+    let expiryTimer = null;
+    if (admin.expiresAt) {
+      const remaining = new Date(admin.expiresAt).getTime() - Date.now();
+      expiryTimer = setTimeout(() => {
+        socket.emit('authExpired', { code: 'TOKEN_EXPIRED' });
+        socket.disconnect(true);
+      }, Math.max(remaining, 0));
+    }
+
+    socket.on('disconnect', () => {
+      if (expiryTimer) clearTimeout(expiryTimer);
+      console.log(`🔌 Client disconnected: ${socket.id}`);
+    });
+  });
+}
+
+/**
+ * Notify the record's organization of a new candidate record.
+ * Sockets that can download get the full record, read-only ones a summary.
+ * @param {import('socket.io').Server} [io] - defaults to the initialized server
+ * @param {{message: string, email: object}} payload
+ */
+function emitNewEmail(io, { message, email }) {
+  const server = io || ioInstance;
+  if (!server || !email?.organization) return;
+
+  server.to(organizationRoom(email.organization, ROOMS.RESUMES_FULL)).emit('newEmail', { message, email });
+  server.to(organizationRoom(email.organization, ROOMS.RESUMES_SUMMARY)).emit('newEmail', { message, email: toSummary(email) });
+}
+
+/**
+ * Send an event to every socket of one account (e.g. progress of a job it started)
+ * @param {import('socket.io').Server} [io] - defaults to the initialized server
+ */
+function emitToUser(io, userId, event, payload) {
+  const server = io || ioInstance;
+  if (!server || !userId) return;
+  server.to(`user:${userId}`).emit(event, payload);
+}
+
+module.exports = {
+  ROOMS,
+  organizationRoom,
+  initializeSocket,
+  emitNewEmail,
+  emitToUser,
+  toSummary,
+  getRoomsForPermissions
+};
@@ -0,0 +1,34 @@
+const { ROOMS, toSummary, getRoomsForPermissions } = require('./socketService');
+
+describe('Socket service', () => {
+  it('puts sockets in rooms by permission', () => {
+    expect(getRoomsForPermissions(['*'])).toEqual([ROOMS.RESUMES_FULL]);
+    expect(getRoomsForPermissions(['resumes:read', 'resumes:download'])).toEqual([ROOMS.RESUMES_FULL]);
+    expect(getRoomsForPermissions(['resumes:read'])).toEqual([ROOMS.RESUMES_SUMMARY]);
+    expect(getRoomsForPermissions(['resumes:write'])).toEqual([]);
+  });
+
+  it('trims file locations and raw text from summaries', () => {
+    const email = {
+      _id: '1',
+      subject: 'Application',
+      body: 'Hello, please find my resume attached',
+      attachmentData: {
+        name: 'Jane Doe',
+        role: 'Engineer',
+        pdfPath: 'https://bucket/resume.pdf',
+        s3Url: 'https://bucket/resume.pdf',
+        s3Key: 'resumes/resume.pdf',
+        rawText: 'Jane Doe ...'
+      }
+    };
+
+    const summary = toSummary(email);
+
+    expect(summary.attachmentData).toEqual({ name: 'Jane Doe', role: 'Engineer' });
+    expect(summary.body).toBeUndefined();
+    expect(summary.subject).toBe('Application');
+    // The original record is left untouched for the full room
+    expect(email.attachmentData.pdfPath).toBe('https://bucket/resume.pdf');
+  });
+});
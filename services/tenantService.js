@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const Email = require('../models/Resume');
+const { Resume } = require('../models/Resume');
+const Admin = require('../models/Admin');
+const Token = require('../models/Token');
+const ApiKey = require('../models/ApiKey');
+const AuditLog = require('../models/AuditLog');
+const { SUPER_ADMIN_ROLE } = require('../config/roles');
+const { generateToken } = require('../utils/tokenUtils');
+
+// Every candidate record, account, mailbox and key belongs to an organization.
+// Data created before organizations existed is moved to the default one.
+const DEFAULT_ORGANIZATION_SLUG = 'default';
+const DEFAULT_ORGANIZATION_NAME = process.env.DEFAULT_ORGANIZATION_NAME || 'Default';
+
+// Collections that are scoped to an organization
+const TENANT_MODELS = [Email, Resume, Admin, Token, ApiKey, AuditLog];
+
+let defaultOrganizationId = null;
+
+// Raised when a request asks for an organization it can't use
+class TenantError extends Error {
+  constructor(message, status = 403) {
+    super(message);
+    this.name = 'TenantError';
+    this.status = status;
+  }
+}
+
+function slugify(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 60) || 'organization';
+}
+
+/**
+ * Create the default organization if needed and assign it to every record
+ * that has no organization yet. Safe to run on every startup.
+ * @returns {Promise<object>} the default organization
+ */
+async function ensureDefaultOrganization() {
+  let organization = await Organization.findOne({ slug: DEFAULT_ORGANIZATION_SLUG });
+  if (!organization) {
+    organization = await Organization.create({
+      name: DEFAULT_ORGANIZATION_NAME,
+      slug: DEFAULT_ORGANIZATION_SLUG,
+      uploadToken: generateToken(24)
+    });
+    console.log(`🏢 Default organization created: ${organization.name}`);
+  }
+  defaultOrganizationId = organization._id;
+
+  for (const Model of TENANT_MODELS) {
+    // Raw collection update: AuditLog blocks updates through the model,
+    // this one-time migration is the only exception
+    const result = await Model.collection.updateMany(
+      { organization: { $exists: false } },
+      { $set: { organization: organization._id } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`🏢 Assigned ${result.modifiedCount} ${Model.modelName} record(s) to the default organization`);
+    }
+  }
+
+  return organization;
+}
+
+/**
+ * Id of the default organization (for env-configured mailboxes and SSO users)
+ */
+async function getDefaultOrganizationId() {
+  if (!defaultOrganizationId) {
+    const organization = await Organization.findOne({ slug: DEFAULT_ORGANIZATION_SLUG }).select('_id');
+    defaultOrganizationId = organization ? organization._id : (await ensureDefaultOrganization())._id;
+  }
+  return defaultOrganizationId;
+}
+
+/**
+ * Work out which organization a request acts on.
+ * Everyone works in their own organization; a super-admin may switch with
+ * the X-Organization-Id header (or the socket handshake).
+ * @param {object} principal - req.admin
+ * @param {string} [requestedId] - organization asked for by the client
+ * @returns {Promise<mongoose.Types.ObjectId>}
+ * @throws {TenantError}
+ */
+async function resolveOrganizationId(principal, requestedId) {
+  const ownId = principal.organization || await getDefaultOrganizationId();
+
+  if (!requestedId || String(requestedId) === String(ownId)) {
+    return ownId;
+  }
+
+  if (principal.role !== SUPER_ADMIN_ROLE || principal.apiKeyId) {
+    throw new TenantError('You do not have access to this organization');
+  }
+  if (!mongoose.Types.ObjectId.isValid(requestedId) || !(await Organization.exists({ _id: requestedId }))) {
+    throw new TenantError('Organization not found', 404);
+  }
+  return new mongoose.Types.ObjectId(requestedId);
+}
+
+/**
+ * Query filter limited to the request's organization
+ * Usage: Email.find(tenantFilter(req, { hasAttachment: true }))
+ */
+function tenantFilter(req, filter = {}) {
+  return { ...filter, organization: req.organizationId };
+}
+
+module.exports = {
+  DEFAULT_ORGANIZATION_SLUG,
+  TenantError,
+  slugify,
+  ensureDefaultOrganization,
+  getDefaultOrganizationId,
+  resolveOrganizationId,
+  tenantFilter
+};
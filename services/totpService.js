@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+// Time-based one-time passwords (RFC 6238) compatible with
+// Google Authenticator, Microsoft Authenticator, 1Password, etc.
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'YourHRPower';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random base32 secret (160 bits)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ */
+function generateHotp(secret, counter, digits = DIGITS) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Time step for a timestamp
+ */
+function getTimeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Current TOTP code for a secret
+ */
+function generateCode(secret, timestamp = Date.now()) {
+  return generateHotp(secret, getTimeStep(timestamp));
+}
+
+/**
+ * Verify a code, allowing for clock drift of `window` steps.
+ * Steps at or before lastUsedStep are rejected so a code can't be replayed.
+ * @returns {number|null} the matching time step, or null
+ */
+function verifyCode(secret, code, { window = 1, lastUsedStep = null, timestamp = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = getTimeStep(timestamp);
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI understood by authenticator apps
+ */
+function buildOtpauthUrl(secret, accountName, issuer = TOTP_ISSUER) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Provisioning data for enrollment: secret, otpauth URI and a QR code image
+ */
+async function buildProvisioningData(secret, accountName) {
+  const otpauthUrl = buildOtpauthUrl(secret, accountName);
+  const qrCodeDataUrl = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCodeDataUrl };
+}
+
+/**
+ * One-time recovery codes, e.g. "k7dq2-m4xpa"
+ */
+function generateRecoveryCodes(count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = base32Encode(crypto.randomBytes(7)).toLowerCase().substring(0, 10);
+    codes.push(`${raw.substring(0, 5)}-${raw.substring(5)}`);
+  }
+  return codes;
+}
+
+/**
+ * Normalize a recovery code typed by a user before hashing
+ */
+function normalizeRecoveryCode(code) {
+  const raw = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return raw.length === 10 ? `${raw.substring(0, 5)}-${raw.substring(5)}` : raw;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+  buildProvisioningData,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};
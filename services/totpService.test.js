@@ -0,0 +1,45 @@
+const totpService = require('./totpService');
+
+describe('TOTP service', () => {
+  // RFC 6238 test secret "12345678901234567890" (SHA-1)
+  const rfcSecret = totpService.base32Encode(Buffer.from('12345678901234567890'));
+
+  it('matches the RFC 6238 reference values', () => {
+    // Reference values are 8 digits, we use the last 6
+    expect(totpService.generateCode(rfcSecret, 59 * 1000)).toBe('287082');
+    expect(totpService.generateCode(rfcSecret, 1111111109 * 1000)).toBe('081804');
+    expect(totpService.generateCode(rfcSecret, 1234567890 * 1000)).toBe('005924');
+    expect(totpService.generateCode(rfcSecret, 2000000000 * 1000)).toBe('279037');
+  });
+
+  it('round-trips base32 secrets', () => {
+    const secret = totpService.generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(totpService.base32Encode(totpService.base32Decode(secret))).toBe(secret);
+  });
+
+  it('accepts codes within the drift window and rejects replays', () => {
+    const secret = totpService.generateSecret();
+    const now = Date.now();
+    const previousCode = totpService.generateCode(secret, now - 30 * 1000);
+
+    const step = totpService.verifyCode(secret, previousCode, { timestamp: now });
+    expect(step).not.toBeNull();
+
+    expect(totpService.verifyCode(secret, previousCode, { timestamp: now, lastUsedStep: step })).toBeNull();
+    const futureCode = totpService.generateCode(secret, now + 10 * 60 * 1000);
+    expect(totpService.verifyCode(secret, futureCode, { timestamp: now, window: 0 })).toBeNull();
+    expect(totpService.verifyCode(secret, 'abc123')).toBeNull();
+  });
+
+  it('builds an otpauth URI for authenticator apps', () => {
+    const url = totpService.buildOtpauthUrl('JBSWY3DPEHPK3PXP', 'recruiter@example.com', 'YourHRPower');
+    expect(url).toBe('otpauth://totp/YourHRPower%3Arecruiter%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=YourHRPower&algorithm=SHA1&digits=6&period=30');
+  });
+
+  it('normalizes recovery codes typed without the dash', () => {
+    const [code] = totpService.generateRecoveryCodes(1);
+    expect(code).toMatch(/^[a-z2-7]{5}-[a-z2-7]{5}$/);
+    expect(totpService.normalizeRecoveryCode(code.replace('-', '').toUpperCase())).toBe(code);
+  });
+});
@@ -0,0 +1,144 @@
+const { s3Client, bucketName } = require('../config/s3');
+const { Upload } = require("@aws-sdk/lib-storage");
+const path = require('path');
+const Email = require('../models/Resume');
+const { extractResumeData } = require('./pdfParser');
+const { SUPPORTED_FORMATS, detectDocumentType, getContentType, extractText, convertToPdf } = require('./documentConverter');
+const ingestionQueue = require('./ingestionQueue');
+const { atStage } = require('./deadLetterService');
+const { emitNewEmail } = require('./socketService');
+
+async function uploadToS3(key, body, contentType) {
+  const uploadResult = await new Upload({
+    client: s3Client,
+    params: {
+      Bucket: bucketName,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+    },
+  }).done();
+  return uploadResult.Location;
+}
+
+function resumeFileType(file) {
+  const fileType = detectDocumentType({ filename: file.originalname, contentType: file.mimetype, buffer: file.buffer });
+  if (!fileType) {
+    throw new Error(`Unsupported file type. Upload a ${SUPPORTED_FORMATS} file.`);
+  }
+  return fileType;
+}
+
+function newEmailId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+}
+
+/**
+ * Extract the candidate data from an uploaded resume (multer memory file: PDF, Word,
+ * RTF, ODT or image), store the file in S3 and save it (Email model structure for
+ * frontend compatibility)
+ * @param {{originalname: string, mimetype?: string, buffer: Buffer}} file
+ * @param {{organizationId, subject?: string, body?: string, emailIdPrefix?: string, emailId?: string}} options
+ * @returns {Promise<object>} the saved record
+ */
+async function saveUploadedResume(file, { organizationId, subject, body, emailIdPrefix = 'web', emailId = null }) {
+  const fileType = resumeFileType(file);
+  const contentType = getContentType(fileType);
+
+  // 1️⃣ Extract text from the document first: a file that can't be read isn't stored
+  const rawText = await atStage('extract', () => extractText(file.buffer, fileType));
+
+  // 2️⃣ Extract structured resume data
+  const extracted = extractResumeData(rawText);
+
+  // 3️⃣ Upload the original file to AWS S3, keyed on the record id so a
+  // retried job overwrites its own file instead of leaving another copy
+  const recordId = emailId || newEmailId(emailIdPrefix);
+  const sanitizedFilename = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+  const s3Key = `resumes/${recordId}_${sanitizedFilename}`;
+  const s3Url = await atStage('store', () => uploadToS3(s3Key, file.buffer, contentType));
+
+  // PDF rendition for preview (Word/RTF/ODT, when LibreOffice is available)
+  let previewS3Key = null;
+  let previewPdfPath = null;
+  if (fileType !== 'pdf') {
+    const previewPdf = await convertToPdf(file.buffer, fileType);
+    if (previewPdf) {
+      previewS3Key = `resumes/${recordId}_${path.basename(sanitizedFilename, path.extname(sanitizedFilename))}_preview.pdf`;
+      previewPdfPath = await uploadToS3(previewS3Key, previewPdf, 'application/pdf');
+    }
+  }
+
+  // 4️⃣ Save in MongoDB
+  return atStage('store', () => Email.create({
+    from: extracted.email || 'upload@user.com',
+    fromName: extracted.name || file.originalname,
+    subject: subject || `Web Upload: ${file.originalname}`,
+    body: body || `Resume uploaded via web dashboard.`,
+    receivedAt: new Date(),
+    emailId: recordId,
+    organization: organizationId,
+    hasAttachment: true,
+    attachmentData: {
+      ...extracted,
+      rawText,
+      pdfPath: s3Url,
+      s3Url: s3Url,
+      s3Key: s3Key,
+      originalFileName: file.originalname,
+      fileType,
+      contentType,
+      previewPdfPath,
+      previewS3Key
+    }
+  }));
+}
+
+/**
+ * Queue an uploaded resume for the ingestion workers, or save it right away
+ * when there is no queue. Unsupported files are rejected either way.
+ * @param {object} file - as for saveUploadedResume
+ * @param {object} options - as for saveUploadedResume, plus notification: the
+ *   message of the newEmail event sent once it is saved
+ * @returns {Promise<{resume?: object, jobId?: string}>} the saved record, or the id of its job
+ */
+async function submitUploadedResume(file, { notification, io = null, ...options }) {
+  resumeFileType(file);
+
+  if (ingestionQueue.isEnabled()) {
+    try {
+      // The record id is fixed now, so a retried job can't save it twice
+      const emailId = newEmailId(options.emailIdPrefix || 'web');
+      const job = await ingestionQueue.enqueue('upload', {
+        file: { originalname: file.originalname, mimetype: file.mimetype, buffer: file.buffer.toString('base64') },
+        options: { ...options, organizationId: options.organizationId ? String(options.organizationId) : null, emailId },
+        notification
+      }, { key: emailId, organization: options.organizationId });
+      return { jobId: job.id };
+    } catch (error) {
+      console.warn(`⚠️ Could not queue ${file.originalname}, processing it now: ${error.message}`);
+    }
+  }
+
+  const resume = await saveUploadedResume(file, options);
+  emitNewEmail(io, { message: notification, email: resume });
+  return { resume };
+}
+
+/**
+ * Save an upload queued by submitUploadedResume (ingestion worker handler)
+ */
+async function processQueuedUpload({ file, options, notification }, io) {
+  const existing = await Email.findOne({ emailId: options.emailId });
+  if (existing) return existing;
+
+  const resume = await saveUploadedResume({ ...file, buffer: Buffer.from(file.buffer, 'base64') }, options);
+  emitNewEmail(io, { message: notification, email: resume });
+  return resume;
+}
+
+module.exports = {
+  saveUploadedResume,
+  submitUploadedResume,
+  processQueuedUpload
+};
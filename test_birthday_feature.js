@@ -3,7 +3,7 @@
  */
 
 const mongoose = require('mongoose');
-const { Resume } = require('./models/Resume');
+const { Resume, CANDIDATE_FILTER } = require('./models/Resume');
 const Email = require('./models/Resume');
 const { checkAndSendBirthdaySMS } = require('./services/smsService');
 
@@ -77,7 +77,7 @@ async function testBirthdayFeature() {
     
     // Replicate the logic from our notification endpoint
     const [emails, resumes] = await Promise.all([
-      Email.find({ hasAttachment: true }),
+      Email.find(CANDIDATE_FILTER),
       Resume.find({})
     ]);
     
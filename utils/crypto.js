@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Symmetric encryption for secrets stored in MongoDB (AES-256-GCM)
+// Set ENCRYPTION_KEY to a long random string in production.
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+let warnedAboutKey = false;
+
+const getKey = () => {
+  let secret = process.env.ENCRYPTION_KEY;
+  if (!secret) {
+    if (!warnedAboutKey) {
+      console.warn('⚠️  ENCRYPTION_KEY not set, deriving encryption key from JWT_SECRET. Set ENCRYPTION_KEY in .env');
+      warnedAboutKey = true;
+    }
+    secret = process.env.JWT_SECRET || 'yourHRpower_secret_key_change_in_production_2024';
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypts a string
+ * @param {string} plainText
+ * @returns {string} "v1:<iv>:<authTag>:<cipherText>" (base64 parts)
+ */
+const encrypt = (plainText) => {
+  if (plainText === undefined || plainText === null) return plainText;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [VERSION, iv.toString('base64'), authTag.toString('base64'), encrypted.toString('base64')].join(':');
+};
+
+/**
+ * Decrypts a value produced by encrypt()
+ * @param {string} payload
+ * @returns {string}
+ */
+const decrypt = (payload) => {
+  if (payload === undefined || payload === null) return payload;
+
+  const [version, iv, authTag, encrypted] = String(payload).split(':');
+  if (version !== VERSION || !iv || !authTag || !encrypted) {
+    throw new Error('Invalid encrypted payload');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(encrypted, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
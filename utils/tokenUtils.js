@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+/**
+ * Generates a URL-safe random token
+ * @param {number} bytes - Amount of randomness (default 32 bytes)
+ * @returns {string}
+ */
+const generateToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+/**
+ * Hashes a token for storage. Tokens are high-entropy so a plain
+ * SHA-256 is enough (no need for bcrypt)
+ * @param {string} token
+ * @returns {string}
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = {
+  generateToken,
+  hashToken
+};